@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+/**
+ * mindmapper — Command-line tool for .mindmap files.
+ *
+ * Runs the same export pipeline as the app, headless, on a saved map:
+ *
+ *   mindmapper validate <file> [--strict] [--json]
+ *   mindmapper prompt   <file> [--format markdown|json] [--compact] [--tags expr]
+ *                              [--submap path] [--flatten] [-o out]
+ *   mindmapper report   <file> --type <report-type> [-o out]
+ *   mindmapper stats    <file> [--json]
+ *   mindmapper layout   <file> [-o out]
+ *
+ * Exit codes: 0 success / valid map, 1 validation failed, 2 usage or file error.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+
+import { GraphModel } from '../src/model/GraphModel.js';
+import { serializeMindMap } from '../src/export/MindMapSerializer.js';
+import { generateWorkflowPrompt, generateTaskJSON } from '../src/export/WorkflowPromptGenerator.js';
+import { validateMindMap, computeStats } from '../src/validation/MindMapValidator.js';
+import { buildReportPrompt, REPORT_TYPES } from '../src/prompts/ReportPrompts.js';
+import { layoutGraph } from '../src/ai/IdeaGenerator.js';
+import { compileTagExpression } from '../src/model/TagQuery.js';
+import { findSubMapPath } from '../src/model/SubMaps.js';
+
+const EXIT_OK = 0;
+const EXIT_INVALID = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: mindmapper <command> <file.mindmap> [options]
+
+Commands:
+  validate   Check the map is ready for agent processing
+  prompt     Generate the Claude Code workflow prompt
+  report     Generate a CEO report prompt (--type required)
+  stats      Print node/connection statistics
+  layout     Re-arrange node positions with the balanced tree layout
+
+Options:
+  -o, --out <file>        Write output to a file instead of stdout
+                          (layout: defaults to rewriting the input file)
+      --json              validate/stats: print machine-readable JSON
+      --strict            validate: treat warnings as failures
+      --format <fmt>      prompt: markdown (default) or json
+      --compact           prompt: compact markdown output
+      --tags <expr>       prompt: only nodes matching a tag expression,
+                          e.g. "#mvp and not #v2"
+      --submap <path>     prompt: plan one sub-map, e.g. "Payments/Stripe"
+                          (node texts or ids, outermost first)
+      --flatten           prompt: plan nested sub-maps too
+      --model <id>        prompt: target model
+      --mode <mode>       prompt: execution mode
+      --stack <stack>     prompt: preferred tech stack
+      --name <name>       Project name (default: the file's saved name)
+      --vision <text>     CEO vision (default: the file's saved description)
+      --type <type>       report: ${REPORT_TYPES.map(r => r.type).join(' | ')}
+  -h, --help              Show this help
+
+Exit codes: 0 ok, 1 validation failed, 2 usage or file error`;
+
+class UsageError extends Error {}
+
+// ─── File I/O ────────────────────────────────────────────────────────
+
+function loadMindmap(file) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new UsageError(`Cannot read ${file}: ${err.message}`);
+  }
+  if (!data || !Array.isArray(data.nodes)) {
+    throw new UsageError(`Invalid MindMapper file — missing nodes array: ${file}`);
+  }
+  return data;
+}
+
+function writeOutput(text, out) {
+  if (out) {
+    writeFileSync(out, text.endsWith('\n') ? text : text + '\n');
+    console.error(`Wrote ${out}`);
+  } else {
+    process.stdout.write(text.endsWith('\n') ? text : text + '\n');
+  }
+}
+
+/** Project name / vision from flags, falling back to what the app saved */
+function projectOptions(data, values) {
+  const savedName = data.name && data.name !== 'Untitled' ? data.name : '';
+  return {
+    projectName: values.name ?? savedName,
+    ceoVision: values.vision ?? (data.description || ''),
+  };
+}
+
+// ─── Commands ────────────────────────────────────────────────────────
+
+function cmdValidate(data, model, values) {
+  const { ceoVision } = projectOptions(data, values);
+  const result = validateMindMap(
+    model.serializeNodes(),
+    model.serializeConnections(),
+    { concept: ceoVision },
+    { nodeTypes: model.serializeNodeTypes() }
+  );
+  const passed = result.valid && !(values.strict && result.warnings.length > 0);
+
+  if (values.json) {
+    writeOutput(JSON.stringify({ ...result, passed }, null, 2), values.out);
+  } else {
+    const lines = [];
+    result.errors.forEach(e => lines.push(`✖ ${e}`));
+    result.warnings.forEach(w => lines.push(`⚠ ${w}`));
+    lines.push(passed
+      ? `✔ Valid — ${result.stats.totalNodes} nodes, ${result.stats.totalConnections} connections`
+      : `✖ Invalid — ${result.errors.length} error(s), ${result.warnings.length} warning(s)`);
+    writeOutput(lines.join('\n'), values.out);
+  }
+  return passed ? EXIT_OK : EXIT_INVALID;
+}
+
+function cmdPrompt(data, model, values) {
+  const format = values.format || 'markdown';
+  if (format !== 'markdown' && format !== 'json') {
+    throw new UsageError(`Unknown format "${format}" — use markdown or json`);
+  }
+
+  const nodes = model.serializeNodes();
+  let subMap = [];
+  try {
+    if (values.tags) compileTagExpression(values.tags);
+  } catch (err) {
+    throw new UsageError(`--tags: ${err.message}`);
+  }
+  try {
+    if (values.submap) subMap = findSubMapPath(nodes, values.submap);
+  } catch (err) {
+    throw new UsageError(`--submap: ${err.message}`);
+  }
+
+  const serialized = serializeMindMap(nodes, model.serializeConnections(), {
+    ...projectOptions(data, values),
+    frames: model.serializeFrames(),
+    nodeTypes: model.serializeNodeTypes(),
+    propertySchema: model.serializePropertySchema(),
+    tags: values.tags,
+    subMap,
+    flattenSubMaps: !!values.flatten,
+  });
+  const genOptions = { compact: !!values.compact };
+  if (values.model) genOptions.model = values.model;
+  if (values.mode) genOptions.mode = values.mode;
+  if (values.stack) genOptions.stack = values.stack;
+
+  const output = format === 'json'
+    ? JSON.stringify(generateTaskJSON(serialized, genOptions), null, 2)
+    : generateWorkflowPrompt(serialized, genOptions);
+  writeOutput(output, values.out);
+  return EXIT_OK;
+}
+
+function cmdReport(data, model, values) {
+  const report = REPORT_TYPES.find(r => r.type === values.type);
+  if (!report) {
+    throw new UsageError(`--type must be one of: ${REPORT_TYPES.map(r => r.type).join(', ')}`);
+  }
+
+  const nodes = model.serializeNodes();
+  const connections = model.serializeConnections();
+  const serialized = serializeMindMap(nodes, connections, {
+    ...projectOptions(data, values),
+    frames: model.serializeFrames(),
+    nodeTypes: model.serializeNodeTypes(),
+    propertySchema: model.serializePropertySchema(),
+  });
+
+  // summarizeMap reads the raw node/connection lists for its metrics
+  const prompt = buildReportPrompt(report.type, report.label, { ...serialized, nodes, connections });
+  writeOutput(prompt, values.out);
+  return EXIT_OK;
+}
+
+function cmdStats(data, model, values) {
+  const stats = computeStats(model.serializeNodes(), model.serializeConnections(), model.serializeNodeTypes());
+
+  if (values.json) {
+    writeOutput(JSON.stringify(stats, null, 2), values.out);
+    return EXIT_OK;
+  }
+
+  const counts = (obj) => Object.entries(obj)
+    .filter(([, v]) => v > 0)
+    .map(([k, v]) => `${k}: ${v}`)
+    .join(', ') || '—';
+
+  writeOutput([
+    `Nodes:        ${stats.totalNodes} (${stats.nodesWithText} labeled, ${stats.nodesAssigned} assigned)`,
+    `Connections:  ${stats.totalConnections}`,
+    `By type:      ${counts(stats.nodesByType)}`,
+    `By priority:  ${counts(stats.nodesByPriority)}`,
+    `By status:    ${counts(stats.nodesByStatus)}`,
+  ].join('\n'), values.out);
+  return EXIT_OK;
+}
+
+function cmdLayout(data, model, values, file) {
+  const nodes = model.serializeNodes();
+  const connections = model.serializeConnections();
+  if (nodes.length === 0) throw new UsageError('No nodes to arrange.');
+
+  const { positions, ports } = layoutGraph(nodes, connections);
+  positions.forEach((pos, id) => model.updateNode(id, pos));
+  ports.forEach((p, id) => model.updateConnection(id, p));
+
+  // Keep everything else the app saved (name, description, viewport, …)
+  const output = { ...data, ...model.toJSON() };
+  writeOutput(JSON.stringify(output, null, 2), values.out || file);
+  return EXIT_OK;
+}
+
+const COMMANDS = {
+  validate: cmdValidate,
+  prompt: cmdPrompt,
+  report: cmdReport,
+  stats: cmdStats,
+  layout: cmdLayout,
+};
+
+// ─── Entry point ─────────────────────────────────────────────────────
+
+function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      out:     { type: 'string', short: 'o' },
+      json:    { type: 'boolean' },
+      strict:  { type: 'boolean' },
+      format:  { type: 'string' },
+      compact: { type: 'boolean' },
+      model:   { type: 'string' },
+      mode:    { type: 'string' },
+      stack:   { type: 'string' },
+      name:    { type: 'string' },
+      vision:  { type: 'string' },
+      type:    { type: 'string' },
+      tags:    { type: 'string' },
+      submap:  { type: 'string' },
+      flatten: { type: 'boolean' },
+      help:    { type: 'boolean', short: 'h' },
+    },
+  });
+
+  const [command, file] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? EXIT_OK : EXIT_USAGE;
+  }
+
+  const run = COMMANDS[command];
+  if (!run) throw new UsageError(`Unknown command "${command}"\n\n${USAGE}`);
+  if (!file) throw new UsageError(`Missing .mindmap file for "${command}"`);
+
+  const data = loadMindmap(file);
+  const model = GraphModel.fromJSON(data);
+  // Frame membership follows geometry — re-derive it for hand-edited files
+  model.syncFrameMembership();
+  return run(data, model, values, file);
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  console.error(`mindmapper: ${err.message}`);
+  process.exitCode = err instanceof UsageError || err.code?.startsWith('ERR_PARSE_ARGS') ? EXIT_USAGE : 1;
+}
@@ -11,7 +11,7 @@
  *   const opusAgents = registry.getByTier('opus');
  */
 
-import { AGENT_ROLES } from '../nodes/NodeManager.js';
+import { AGENT_ROLES } from '../model/NodeSchema.js';
 
 // ─── Role Metadata ──────────────────────────────────────────────────────
 // Enriches AGENT_ROLES with tier + capability data.
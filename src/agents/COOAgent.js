@@ -57,7 +57,8 @@ export class COOAgent extends AgentBase {
     prompt += `3. Assign EVERY task to a specific agent by their role ID.\n`;
     prompt += `4. Use the most cost-efficient tier for each task.\n`;
     prompt += `5. Sequence work logically: architecture → backend → frontend → integration → QA → security.\n`;
-    prompt += `6. Return ONLY the JSON plan — no commentary.\n\n`;
+    prompt += `6. If the data lists epics (group frames the CEO drew), make each epic its own milestone and keep its items together.\n`;
+    prompt += `7. Return ONLY the JSON plan — no commentary.\n\n`;
 
     prompt += `### Expected Output Format\n`;
     prompt += '```json\n';
@@ -161,8 +162,11 @@ export class COOAgent extends AgentBase {
    */
   createLocalPlan(mindMapData, projectContext = {}) {
     const nodes = mindMapData?.nodes || [];
+    const epics = (mindMapData?.epics || []).filter(e => e.nodes.length > 0);
+    const grouped = new Set(epics.flatMap(e => e.nodes.map(n => n.id)));
     const features = nodes
       .filter(n => n.type === 'feature' || n.type === 'requirement')
+      .filter(n => !grouped.has(n.id))
       .map(n => ({
         label: n.label || n.text || 'Unnamed feature',
         priority: n.priority || 'medium',
@@ -192,24 +196,38 @@ export class COOAgent extends AgentBase {
       }],
     });
 
-    // Phase 2: Core Implementation
-    const coreTasks = features.map((f, i) => ({
-      id: `t2_${i + 1}`,
-      title: `Implement: ${f.label}`,
-      assignedTo: f.label.toLowerCase().includes('ui') || f.label.toLowerCase().includes('page') ? 'frontend' : 'backend',
+    // Phase 2: Core Implementation — one milestone per epic the CEO framed,
+    // then whatever features were left ungrouped
+    const implement = (label, id, description) => ({
+      id,
+      title: `Implement: ${label}`,
+      assignedTo: label.toLowerCase().includes('ui') || label.toLowerCase().includes('page') ? 'frontend' : 'backend',
       tier: 'standard',
-      description: f.description || `Implement the ${f.label} feature.`,
+      description: description || `Implement the ${label} feature.`,
+    });
+
+    const coreMilestones = epics.map((epic, e) => ({
+      id: `m2_${e + 1}`,
+      title: epic.label,
+      tasks: epic.nodes.map((n, i) => {
+        const label = n.group ? `${n.group}: ${n.text || 'Untitled'}` : (n.text || 'Untitled');
+        return implement(label, `t2_${e + 1}_${i + 1}`);
+      }),
     }));
 
-    if (coreTasks.length > 0) {
+    if (features.length > 0) {
+      coreMilestones.push({
+        id: `m2_${coreMilestones.length + 1}`,
+        title: 'Build Core Features',
+        tasks: features.map((f, i) => implement(f.label, `t2_${i + 1}`, f.description)),
+      });
+    }
+
+    if (coreMilestones.length > 0) {
       phases.push({
         id: 'phase-2',
         name: 'Core Feature Implementation',
-        milestones: [{
-          id: 'm2_1',
-          title: 'Build Core Features',
-          tasks: coreTasks,
-        }],
+        milestones: coreMilestones,
       });
     }
 
@@ -250,7 +268,8 @@ export class COOAgent extends AgentBase {
 
     return {
       phases,
-      summary: `${phases.length}-phase plan covering ${features.length} features and ${integrations.length} integrations.`,
+      summary: `${phases.length}-phase plan covering ${features.length + grouped.size} features`
+        + `${epics.length ? ` in ${epics.length} epics` : ''} and ${integrations.length} integrations.`,
       estimatedRounds: phases.length,
     };
   }
@@ -546,6 +546,67 @@ export function computeLayout(nodes, connections, centerX = 0, centerY = 0) {
   return positioned;
 }
 
+/**
+ * Run computeLayout on id-based map data (serialized nodes/connections,
+ * as saved in a .mindmap file) — no DOM required.
+ *
+ * Returns new top-left node positions plus the ports each wire should use
+ * so it leaves and enters its nodes facing each other.
+ *
+ * @param {object[]} nodes - Serialized nodes ({ id, text, nodeType, priority })
+ * @param {object[]} connections - Serialized connections ({ id, sourceId, targetId, directed })
+ * @param {number} centerX - Center X position on canvas
+ * @param {number} centerY - Center Y position on canvas
+ * @returns {{ positions: Map<string, {x: number, y: number}>, ports: Map<string, {sourcePort: string, targetPort: string}> }}
+ */
+export function layoutGraph(nodes, connections, centerX = 0, centerY = 0) {
+  // Build index-based arrays for computeLayout
+  const idToIndex = new Map();
+  const layoutNodes = nodes.map((n, i) => {
+    idToIndex.set(n.id, i);
+    return { text: n.text, type: n.nodeType || 'general', priority: n.priority || 'medium' };
+  });
+
+  const layoutConns = [];
+  connections.forEach(c => {
+    const fromIdx = idToIndex.get(c.sourceId);
+    const toIdx = idToIndex.get(c.targetId);
+    if (fromIdx !== undefined && toIdx !== undefined) {
+      layoutConns.push({ from: fromIdx, to: toIdx, directed: c.directed === 'forward' });
+    }
+  });
+
+  const positioned = computeLayout(layoutNodes, layoutConns, centerX, centerY);
+
+  // computeLayout places node centers — offset to the node's top-left corner
+  const positions = new Map();
+  nodes.forEach((n, i) => {
+    positions.set(n.id, {
+      x: Math.round(positioned[i].x - 70),
+      y: Math.round(positioned[i].y - 20),
+    });
+  });
+
+  // Re-assign ports so each wire faces along its dominant axis
+  const ports = new Map();
+  connections.forEach(c => {
+    const srcIdx = idToIndex.get(c.sourceId);
+    const tgtIdx = idToIndex.get(c.targetId);
+    if (srcIdx === undefined || tgtIdx === undefined) return;
+
+    const dx = positioned[tgtIdx].x - positioned[srcIdx].x;
+    const dy = positioned[tgtIdx].y - positioned[srcIdx].y;
+
+    if (Math.abs(dx) > Math.abs(dy)) {
+      ports.set(c.id, { sourcePort: dx > 0 ? 'right' : 'left', targetPort: dx > 0 ? 'left' : 'right' });
+    } else {
+      ports.set(c.id, { sourcePort: dy > 0 ? 'bottom' : 'top', targetPort: dy > 0 ? 'top' : 'bottom' });
+    }
+  });
+
+  return { positions, ports };
+}
+
 // ─── Example Concepts ────────────────────────────────────────────────
 
 export const EXAMPLE_CONCEPTS = [
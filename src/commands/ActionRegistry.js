@@ -0,0 +1,112 @@
+/**
+ * ActionRegistry — Every user-facing app action in one list.
+ *
+ * Toolbar buttons, the file menu, the agent panel and the keyboard all
+ * trigger the same actions; the command palette lists them and the Keymap
+ * binds keys to them. An action is:
+ *
+ *   { id: 'view.search', label: 'Search Nodes', group: 'View', icon: '🔍',
+ *     keys: ['Ctrl+F'], hint?: 'Ctrl+C', when?: () => boolean, run: () => {} }
+ *
+ * `keys` are the default shortcuts; `hint` names a shortcut the browser
+ * handles itself (copy, cut, paste) and cannot be rebound.
+ *
+ * Providers add context-aware entries, such as "Set priority: Critical"
+ * for the current selection, each time the palette opens. Those entries are
+ * not bindable and are not remembered as recent.
+ */
+
+const RECENT_KEY = 'mm_recent_actions';
+const MAX_RECENT = 8;
+
+export class ActionRegistry {
+  /**
+   * @param {import('../core/EventBus.js').EventBus} bus
+   */
+  constructor(bus) {
+    this.bus = bus;
+    /** @type {Map<string, object>} */
+    this._actions = new Map();
+    /** @type {Array<() => object[]>} */
+    this._providers = [];
+    this._recent = this._loadRecent();
+  }
+
+  /**
+   * Register an action (replacing one with the same id).
+   * @param {{id: string, label: string, group?: string, icon?: string, keys?: string[], hint?: string, when?: Function, run: Function}} action
+   */
+  register(action) {
+    if (!action?.id || typeof action.run !== 'function') {
+      throw new Error('Action needs an id and a run function');
+    }
+    this._actions.set(action.id, { group: 'General', keys: [], ...action });
+  }
+
+  /** Add a function returning context-aware entries for the palette */
+  addProvider(provider) {
+    this._providers.push(provider);
+  }
+
+  get(id) {
+    return this._actions.get(id) || null;
+  }
+
+  /** Registered actions in registration order */
+  list() {
+    return [...this._actions.values()];
+  }
+
+  /** Entries from the providers for the current app state */
+  contextual() {
+    return this._providers.flatMap(provider => {
+      try {
+        return provider() || [];
+      } catch (err) {
+        console.warn('[Actions] Provider failed:', err.message);
+        return [];
+      }
+    });
+  }
+
+  isEnabled(action) {
+    return !action.when || !!action.when();
+  }
+
+  /**
+   * Run a registered action by id, or a contextual entry object.
+   * @param {string|object} idOrAction
+   * @param {{source?: string}} [meta]
+   */
+  run(idOrAction, meta = {}) {
+    const action = typeof idOrAction === 'string' ? this.get(idOrAction) : idOrAction;
+    if (!action) throw new Error(`Unknown action: ${idOrAction}`);
+    if (!this.isEnabled(action)) return undefined;
+
+    if (this._actions.get(action.id) === action) this._remember(action.id);
+    const result = action.run();
+    this.bus.emit('action:run', { id: action.id, source: meta.source || 'api' });
+    return result;
+  }
+
+  // ─── Recent ────────────────────────────────────────────────────────
+
+  /** Recently run actions, most recent first */
+  recent() {
+    return this._recent.map(id => this.get(id)).filter(Boolean);
+  }
+
+  _remember(id) {
+    this._recent = [id, ...this._recent.filter(r => r !== id)].slice(0, MAX_RECENT);
+    localStorage.setItem(RECENT_KEY, JSON.stringify(this._recent));
+  }
+
+  _loadRecent() {
+    try {
+      const ids = JSON.parse(localStorage.getItem(RECENT_KEY) || '[]');
+      return Array.isArray(ids) ? ids.filter(id => typeof id === 'string') : [];
+    } catch {
+      return [];
+    }
+  }
+}
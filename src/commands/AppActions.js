@@ -0,0 +1,273 @@
+/**
+ * AppActions — The app's action set for the palette and the keymap.
+ *
+ * Registers file, edit, node, view, project and agent actions with their
+ * default shortcuts, plus a provider of selection-aware entries ("Set
+ * priority: Critical", "Align Left", …). Canvas mutations still go through
+ * the command dispatcher; actions are the user-facing layer on top.
+ */
+
+import {
+  NODE_SHAPES, PRIORITY_LEVELS, AGENT_ROLES,
+} from '../model/NodeSchema.js';
+import { ALIGN_EDGES, DISTRIBUTE_AXES } from '../model/Arrange.js';
+import { REPORT_TYPES } from '../prompts/ReportPrompts.js';
+import { navigate, placeChild, placeSibling } from '../model/TreeAuthoring.js';
+
+/**
+ * Register the app action set.
+ * @param {import('./ActionRegistry.js').ActionRegistry} actions
+ * @param {object} app - The MindMapperApp instance (main.js)
+ */
+export function registerAppActions(actions, app) {
+  const { bus, nodeManager, connectionManager, frameManager, commands, viewport, fileManager } = app;
+  const hasSelection = () => nodeManager.selected.size > 0;
+  const zoomCenter = (factor) => {
+    const rect = viewport.container.getBoundingClientRect();
+    viewport.zoomAt(rect.width / 2, rect.height / 2, factor);
+  };
+
+  const group = (name, list) => list.forEach(action => actions.register({ group: name, ...action }));
+
+  // ─── File ──────────────────────────────────────────────────────────
+
+  group('File', [
+    { id: 'file.new',        label: 'New Project',          icon: '📄', keys: ['Ctrl+N'],       run: () => fileManager.newProject() },
+    { id: 'file.open',       label: 'Open File…',           icon: '📂', keys: ['Ctrl+O'],       run: () => fileManager.openFile() },
+    { id: 'file.save',       label: 'Save',                 icon: '💾',                          run: () => fileManager.save() },
+    { id: 'file.saveAs',     label: 'Save As…',             icon: '📥', keys: ['Ctrl+Shift+S'], run: () => fileManager.saveAs() },
+    { id: 'file.saveLocal',  label: 'Save to Browser',      icon: '🗄️', keys: ['Ctrl+S'],       run: () => app.storage.save(app._getDocumentState()) },
+    { id: 'file.exportPNG',  label: 'Export as PNG',        icon: '🖼️',                          run: () => fileManager.exportPNG() },
+    { id: 'file.exportJSON', label: 'Export as JSON',       icon: '{ }',                         run: () => fileManager.exportJSON() },
+    { id: 'file.exportSVG',  label: 'Export as SVG',        icon: '◇',                           run: () => fileManager.exportSVG() },
+    { id: 'file.import',     label: 'Import Reference…',    icon: '📎',                          run: () => fileManager.importReference() },
+    { id: 'file.recordMacro', label: 'Record / Stop Macro', icon: '⏺',                           run: () => fileManager.toggleMacroRecording() },
+    { id: 'file.replayMacro', label: 'Replay Macro…',       icon: '▶',                           run: () => fileManager.replayMacroFile() },
+  ]);
+
+  // ─── Edit ──────────────────────────────────────────────────────────
+
+  group('Edit', [
+    { id: 'edit.undo', label: 'Undo', icon: '↶', keys: ['Ctrl+Z'], run: () => app.undo() },
+    { id: 'edit.redo', label: 'Redo', icon: '↷', keys: ['Ctrl+Y', 'Ctrl+Shift+Z'], run: () => app.redo() },
+    {
+      id: 'edit.history', label: 'Undo History…', icon: '🕘',
+      // Next frame, so the palette click that ran this does not close it again
+      run: () => requestAnimationFrame(() => app.historyMenu.show()),
+    },
+    { id: 'edit.copy', label: 'Copy Selection', icon: '📋', hint: 'Ctrl+C', when: hasSelection, run: () => app.clipboard.copySelection() },
+    { id: 'edit.cut',  label: 'Cut Selection',  icon: '✂',  hint: 'Ctrl+X', when: hasSelection, run: () => app.clipboard.cutSelection() },
+    {
+      id: 'edit.delete', label: 'Delete Selection', icon: '🗑', keys: ['Delete', 'Backspace'],
+      run: () => {
+        if (connectionManager.selectedConnection) connectionManager.deleteSelectedConnection();
+        else if (frameManager.selectedFrame) frameManager.deleteSelected();
+        else nodeManager.deleteSelected();
+      },
+    },
+    {
+      id: 'edit.deselect', label: 'Deselect All', icon: '◌', keys: ['Escape'],
+      run: () => {
+        nodeManager.deselectAll();
+        connectionManager.deselectConnection();
+        frameManager.deselect();
+        bus.emit('selection:changed', []);
+      },
+    },
+    {
+      id: 'edit.groupFrame', label: 'Group Selection in Frame', icon: '▭', keys: ['Ctrl+G'], when: hasSelection,
+      run: () => commands.dispatch({ type: 'frame.create', payload: { nodeIds: [...nodeManager.selected] } }),
+    },
+  ]);
+
+  // ─── Node (keyboard authoring) ─────────────────────────────────────
+
+  const singleSelection = () => (nodeManager.selected.size === 1 ? [...nodeManager.selected][0] : null);
+  const selectAndReveal = (nodeId) => {
+    nodeManager.selectNodes([nodeId]);
+    revealNode(app, nodeId);
+  };
+  const step = (direction) => () => {
+    const next = navigate(nodeManager.model, singleSelection(), direction, id => !nodeManager.isHidden(id));
+    if (next) selectAndReveal(next);
+  };
+
+  group('Node', [
+    { id: 'node.addChild',   label: 'Add Child Node',   icon: '↳', keys: ['Tab'],   when: singleSelection, run: () => addConnectedNode(app, singleSelection(), 'child') },
+    { id: 'node.addSibling', label: 'Add Sibling Node', icon: '↓', keys: ['Enter'], when: singleSelection, run: () => addConnectedNode(app, singleSelection(), 'sibling') },
+    { id: 'node.editText',   label: 'Edit Node Text',   icon: '✎', keys: ['F2'],    when: singleSelection, run: () => nodeManager.startEditing(singleSelection()) },
+    { id: 'node.selectParent',  label: 'Select Parent',        icon: '←', keys: ['ArrowLeft'],  when: singleSelection, run: step('left') },
+    { id: 'node.selectChild',   label: 'Select First Child',   icon: '→', keys: ['ArrowRight'], when: singleSelection, run: step('right') },
+    { id: 'node.selectPrev',    label: 'Select Previous Sibling', icon: '↑', keys: ['ArrowUp'],   when: singleSelection, run: step('up') },
+    { id: 'node.selectNext',    label: 'Select Next Sibling',  icon: '↓', keys: ['ArrowDown'],  when: singleSelection, run: step('down') },
+  ]);
+
+  // ─── View ──────────────────────────────────────────────────────────
+
+  group('View', [
+    { id: 'view.palette',   label: 'Command Palette',     icon: '⌘', keys: ['Ctrl+K'],  run: () => app.commandPalette.show() },
+    { id: 'view.search',    label: 'Search Nodes',        icon: '🔍', keys: ['Ctrl+F'], run: () => app.searchOverlay.show() },
+    { id: 'view.replace',   label: 'Find and Replace',    icon: '⇄',                    run: () => app.searchOverlay.show({ replace: true }) },
+    { id: 'view.zoomIn',    label: 'Zoom In',             icon: '＋',                    run: () => zoomCenter(1.2) },
+    { id: 'view.zoomOut',   label: 'Zoom Out',            icon: '－',                    run: () => zoomCenter(0.8) },
+    { id: 'view.zoomFit',   label: 'Zoom to Fit',         icon: '⤢',                    run: () => bus.emit('viewport:fit-request') },
+    { id: 'view.snapGrid',  label: 'Toggle Snap to Grid', icon: '▦',                    run: () => app._setSnapToGrid(!nodeManager.snapToGrid) },
+    { id: 'view.cleanLayout', label: 'Clean Layout',      icon: '⊹',                    run: () => app._cleanLayout() },
+    { id: 'view.criticalPath', label: 'Toggle Critical Path', icon: '⛓',                 run: () => app.analysisOverlay.toggleCriticalPath() },
+    {
+      id: 'view.impact', label: 'Show Impact of Node', icon: '◎', when: singleSelection,
+      run: () => app.analysisOverlay.toggleImpact(singleSelection()),
+    },
+    { id: 'view.agentPanel', label: 'Toggle Agent Panel', icon: '🤖',                    run: () => app.agentPanel.toggle() },
+    { id: 'view.present',    label: 'Present (Plan Order)', icon: '▶', keys: ['F5'],      run: () => app.presentation.start('plan') },
+    { id: 'view.presentPhase', label: 'Present by Phase',   icon: '▶',                    run: () => app.presentation.start('phase') },
+    {
+      id: 'view.presentSelection', label: 'Present Selection (in Pick Order)', icon: '▶', when: hasSelection,
+      run: () => app.presentation.start('selection'),
+    },
+  ]);
+
+  // ─── Project ───────────────────────────────────────────────────────
+
+  group('Project', [
+    { id: 'project.generatePrompt', label: 'Generate Workflow Prompt', icon: '⚡', keys: ['Ctrl+Shift+G'], run: () => app.promptExportModal.show() },
+    { id: 'project.aiGenerate',     label: 'AI Generate Mind Map',     icon: '✨', keys: ['Ctrl+Shift+I'], run: () => app.ideaInputModal.show() },
+    { id: 'project.templates',      label: 'Templates…',               icon: '🧩',                         run: () => app.presetModal.show() },
+    { id: 'project.nodeTypes',      label: 'Node Types…',              icon: '🏷️',                         run: () => bus.emit('nodetypes:manage-request') },
+    { id: 'project.properties',     label: 'Property Fields…',         icon: '🗂️',                         run: () => bus.emit('properties:manage-request') },
+    { id: 'project.settings',       label: 'Workspace Settings…',      icon: '⚙️',                         run: () => app.workspaceSettingsModal.show() },
+    { id: 'project.keybindings',    label: 'Keyboard Shortcuts…',      icon: '⌨️',                         run: () => bus.emit('keybindings:manage-request') },
+  ]);
+
+  // ─── Agents (the agent panel's CEO commands) ───────────────────────
+
+  group('Agents', [
+    { id: 'agents.launch',      label: 'Launch Agents',        icon: '🚀', run: () => bus.emit('ceo:launch-request') },
+    { id: 'agents.pause',       label: 'Pause Session',        icon: '⏸',  run: () => bus.emit('orchestration:pause-request') },
+    { id: 'agents.resume',      label: 'Resume Session',       icon: '▶',  run: () => bus.emit('orchestration:resume-request') },
+    {
+      id: 'agents.stop', label: 'Stop Session', icon: '⏹',
+      run: () => {
+        if (confirm('Are you sure you want to stop the current agent session?')) bus.emit('orchestration:cancel-request');
+      },
+    },
+    { id: 'agents.retry',       label: 'Retry Session',        icon: '↻',  run: () => bus.emit('ceo:retry-request') },
+    { id: 'agents.previewPlan', label: 'Preview Agent Plan',   icon: '🗺️', run: () => bus.emit('ceo:multi-agent-request') },
+    { id: 'agents.config',      label: 'Generate Agent Config', icon: '🔧', run: () => bus.emit('ceo:agent-config-request') },
+    { id: 'agents.copyPrompt',  label: 'Copy Workflow Prompt', icon: '📋', run: () => bus.emit('ceo:copy-prompt-request') },
+    ...REPORT_TYPES.map(rt => ({
+      id: `agents.report.${rt.type}`, label: `Report: ${rt.label}`, icon: '📊',
+      run: () => bus.emit('ceo:report-request', { type: rt.type, label: rt.label }),
+    })),
+  ]);
+
+  actions.addProvider(() => selectionEntries(app));
+}
+
+/**
+ * Create a node next to `nodeId` — its child or its sibling — wired to the
+ * parent through the ports that face each other, as one undo step. The new
+ * node is selected with its label in edit mode.
+ */
+function addConnectedNode(app, nodeId, kind) {
+  const { nodeManager, connectionManager, commands } = app;
+  const model = nodeManager.model;
+  const source = nodeManager.getNode(nodeId);
+  if (!source) return;
+
+  const spot = kind === 'child' ? placeChild(model, nodeId) : placeSibling(model, nodeId);
+  const parentId = kind === 'child' ? nodeId : spot.parentId;
+  const incoming = kind === 'sibling' && parentId
+    ? [...model.connections.values()].find(c => c.sourceId === parentId && c.targetId === nodeId)
+    : null;
+
+  const node = app._transaction(kind === 'child' ? 'Add child node' : 'Add sibling node', () => {
+    const parent = parentId && nodeManager.getNode(parentId);
+    if (parent?.collapsed) commands.dispatch({ type: 'node.setCollapsed', payload: { nodeId: parentId, collapsed: false } });
+
+    // A sibling looks like the node it follows; a child starts fresh
+    const style = kind === 'sibling' ? { nodeType: source.nodeType, shape: source.shape, color: source.color } : {};
+    const created = commands.dispatch({ type: 'node.create', payload: { x: spot.x, y: spot.y, ...style } });
+    if (created && parentId) {
+      commands.dispatch({
+        type: 'connection.create',
+        payload: {
+          sourceId: parentId, sourcePort: connectionManager._findBestPort(created.id, parentId),
+          targetId: created.id, targetPort: connectionManager._findBestPort(parentId, created.id),
+          directed: incoming ? incoming.directed : 'forward',
+          type: incoming ? incoming.type : 'blocks',
+        },
+      });
+    }
+    return created;
+  });
+  if (!node) return;
+
+  nodeManager.selectNodes([node.id]);
+  revealNode(app, node.id);
+  // Wait for the element to settle before focusing its label
+  requestAnimationFrame(() => nodeManager.startEditing(node.id));
+}
+
+/** Glide the viewport to a node that is (partly) off screen */
+function revealNode(app, nodeId) {
+  const { nodeManager, viewport } = app;
+  const node = nodeManager.getNode(nodeId);
+  if (!node) return;
+  const { width, height } = nodeManager.model.getNodeSize(node);
+  const rect = viewport.container.getBoundingClientRect();
+  const topLeft = viewport.worldToScreen(node.x, node.y);
+  const bottomRight = viewport.worldToScreen(node.x + width, node.y + height);
+  const margin = 40;
+  if (topLeft.x >= margin && topLeft.y >= margin
+    && bottomRight.x <= rect.width - margin && bottomRight.y <= rect.height - margin) return;
+  viewport.animateTo(node.x + width / 2, node.y + height / 2);
+}
+
+/** Palette entries that act on the current node selection */
+function selectionEntries(app) {
+  const { nodeManager, commands } = app;
+  const nodeIds = [...nodeManager.selected];
+  if (nodeIds.length === 0) return [];
+
+  const count = nodeIds.length === 1 ? '' : ` (${nodeIds.length} nodes)`;
+  const each = (label, type, payloadFor) => () => app._transaction(label, () => {
+    nodeIds.forEach(nodeId => commands.dispatch({ type, payload: payloadFor(nodeId) }));
+  });
+  const entry = (id, label, icon, run) => ({ id: `selection.${id}`, group: 'Selection', label: label + count, icon, run });
+
+  const entries = [
+    ...PRIORITY_LEVELS.map(p => entry(`priority.${p.id}`, `Set priority: ${p.label}`, p.icon,
+      each(`Set priority: ${p.label}`, 'node.setPriority', nodeId => ({ nodeId, priority: p.id })))),
+    ...nodeManager.getNodeTypes().map(t => entry(`type.${t.id}`, `Set type: ${t.label}`, t.icon,
+      each(`Set type: ${t.label}`, 'node.setType', nodeId => ({ nodeId, nodeType: t.id })))),
+    ...AGENT_ROLES.map(a => entry(`agent.${a.id}`, `Assign agent: ${a.label}`, a.icon,
+      each(`Assign ${a.label}`, 'node.setAgent', nodeId => ({ nodeId, agent: a.id })))),
+    ...NODE_SHAPES.map(s => entry(`shape.${s.id}`, `Set shape: ${s.label}`, s.icon,
+      each(`Set shape: ${s.label}`, 'node.setShape', nodeId => ({ nodeId, shape: s.id })))),
+  ];
+
+  if (nodeIds.length >= 2) {
+    entries.push(...ALIGN_EDGES.map(a => entry(`align.${a.id}`, a.label, a.icon,
+      () => commands.dispatch({ type: 'node.align', payload: { nodeIds, edge: a.id } }))));
+  }
+  if (nodeIds.length >= 3) {
+    entries.push(...DISTRIBUTE_AXES.map(d => entry(`distribute.${d.id}`, d.label, d.icon,
+      () => commands.dispatch({ type: 'node.distribute', payload: { nodeIds, axis: d.id } }))));
+  }
+  entries.push(entry('snap', 'Snap to grid', '▦',
+    () => commands.dispatch({ type: 'node.snapToGrid', payload: { nodeIds } })));
+
+  if (nodeIds.length === 1) {
+    const node = nodeManager.getNode(nodeIds[0]);
+    if (nodeManager.model.getChildIds(node.id).length > 0) {
+      entries.push(entry('fold', node.collapsed ? 'Expand subtree' : 'Collapse subtree', node.collapsed ? '⊕' : '⊖',
+        () => commands.dispatch({ type: 'node.setCollapsed', payload: { nodeId: node.id, collapsed: !node.collapsed } })));
+    }
+    entries.push(entry('submap', node.subMap ? 'Open sub-map' : 'Create sub-map', '⊞',
+      () => app.bus.emit('submap:open-request', { nodeId: node.id })));
+    entries.push(entry('notes', node.body ? 'Edit notes' : 'Add notes', '📝',
+      () => app.bus.emit('notes:edit-request', { nodeId: node.id })));
+  }
+  return entries;
+}
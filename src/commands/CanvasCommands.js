@@ -0,0 +1,351 @@
+/**
+ * CanvasCommands — Command handlers for every node, connection and frame
+ * mutation, plus the project's node types and property fields.
+ *
+ * Payloads only hold ids and plain values so each command can be logged,
+ * recorded into a macro and replayed on another map.
+ */
+
+import { alignRects, distributeRects, snapRects } from '../model/Arrange.js';
+import { planReplace } from '../model/NodeSearch.js';
+
+/**
+ * Register the canvas command set on a dispatcher.
+ * @param {import('./CommandDispatcher.js').CommandDispatcher} dispatcher
+ * @param {object} deps
+ * @param {import('../nodes/NodeManager.js').NodeManager} deps.nodeManager
+ * @param {import('../connections/ConnectionManager.js').ConnectionManager} deps.connectionManager
+ * @param {import('../frames/FrameManager.js').FrameManager} deps.frameManager
+ * @param {import('../core/EventBus.js').EventBus} deps.bus
+ */
+export function registerCanvasCommands(dispatcher, { nodeManager, connectionManager, frameManager, bus }) {
+  const requireNode = (id) => {
+    const node = nodeManager.getNode(id);
+    if (!node) throw new Error(`Node not found: ${id}`);
+    return node;
+  };
+  const requireConnection = (id) => {
+    const conn = connectionManager.connections.get(id);
+    if (!conn) throw new Error(`Connection not found: ${id}`);
+    return conn;
+  };
+  const requireFrame = (id) => {
+    const frame = frameManager.frames.get(id);
+    if (!frame) throw new Error(`Frame not found: ${id}`);
+    return frame;
+  };
+
+  // ─── Nodes ─────────────────────────────────────────────────────────
+
+  dispatcher.register('node.create', {
+    label: 'Add node',
+    run: ({ x, y, ...opts }) => {
+      const node = nodeManager.createNode(x, y, opts);
+      frameManager.syncMembership();
+      return node;
+    },
+    creates: (node) => [node?.id],
+  });
+
+  dispatcher.register('node.delete', {
+    label: 'Delete nodes',
+    run: ({ nodeIds }) => {
+      // Check every id before deleting any, so a bad id changes nothing
+      nodeIds.forEach(requireNode);
+      nodeIds.forEach(id => nodeManager.deleteNode(id));
+      bus.emit('state:changed');
+    },
+  });
+
+  dispatcher.register('node.move', {
+    label: 'Move nodes',
+    run: ({ moves }) => {
+      moves.forEach(({ nodeId, x, y }) => {
+        requireNode(nodeId);
+        nodeManager.moveNode(nodeId, x, y);
+      });
+      // Dropping a node into or out of a frame changes its membership
+      frameManager.syncMembership();
+    },
+  });
+
+  // ─── Arrange ───────────────────────────────────────────────────────
+
+  const rectsOf = (nodeIds) => nodeIds.map(id => {
+    const node = requireNode(id);
+    const { width, height } = nodeManager.model.getNodeSize(node);
+    return { id, x: node.x, y: node.y, width, height };
+  });
+  const arrange = (type, label, place) => {
+    dispatcher.register(type, {
+      label,
+      run: (payload) => {
+        place(rectsOf(payload.nodeIds), payload).forEach(({ id, x, y }) => nodeManager.moveNode(id, x, y));
+        frameManager.syncMembership();
+      },
+    });
+  };
+
+  arrange('node.align',      'Align nodes',      (rects, { edge }) => alignRects(rects, edge));
+  arrange('node.distribute', 'Distribute nodes', (rects, { axis }) => distributeRects(rects, axis));
+  arrange('node.snapToGrid', 'Snap to grid',     (rects) => snapRects(rects));
+
+  const setter = (type, label, field, method) => {
+    dispatcher.register(type, {
+      label,
+      run: (payload) => {
+        requireNode(payload.nodeId);
+        nodeManager[method](payload.nodeId, payload[field]);
+      },
+    });
+  };
+  setter('node.setText',        'Edit text',        'text',        'setText');
+  setter('node.setColor',       'Set color',        'color',       'setColor');
+  setter('node.setShape',       'Set shape',        'shape',       'setShape');
+  setter('node.setType',        'Set node type',    'nodeType',    'setNodeType');
+  setter('node.setPriority',    'Set priority',     'priority',    'setPriority');
+  setter('node.setPhase',       'Set phase',        'phase',       'setPhase');
+  setter('node.setAgent',       'Assign agent',     'agent',       'setAssignedAgent');
+  setter('node.setAgentStatus', 'Set agent status', 'status',      'setAgentStatus');
+  setter('node.setNotes',       'Set agent notes',  'notes',       'setAgentNotes');
+  setter('node.setBody',        'Edit notes',       'body',        'setBody');
+  setter('node.setCollapsed',   'Fold subtree',     'collapsed',   'setCollapsed');
+  setter('node.setTags',        'Set tags',         'tags',        'setTags');
+  setter('node.setSubMap',      'Set sub-map',      'subMap',      'setSubMap');
+
+  dispatcher.register('node.replaceText', {
+    label: 'Replace in labels',
+    run: ({ find, replace, matchCase = false, nodeIds = null }) => {
+      if (!find) throw new Error('Nothing to find');
+      const nodes = nodeIds ? nodeIds.map(requireNode) : [...nodeManager.nodes.values()];
+      const changes = planReplace(nodes, find, replace ?? '', matchCase);
+      changes.forEach(({ nodeId, text }) => nodeManager.setText(nodeId, text));
+      return { nodes: changes.length, replacements: changes.reduce((sum, c) => sum + c.count, 0) };
+    },
+  });
+
+  // ─── Connections ───────────────────────────────────────────────────
+
+  dispatcher.register('connection.create', {
+    label: 'Connect nodes',
+    run: ({ sourceId, sourcePort, targetId, targetPort, ...opts }) => {
+      requireNode(sourceId);
+      requireNode(targetId);
+      return connectionManager.createConnection(sourceId, sourcePort, targetId, targetPort, opts);
+    },
+    creates: (conn) => [conn?.id],
+  });
+
+  dispatcher.register('connection.delete', {
+    label: 'Delete connection',
+    run: ({ connId }) => {
+      requireConnection(connId);
+      connectionManager.deleteConnection(connId);
+      bus.emit('state:changed');
+    },
+  });
+
+  dispatcher.register('connection.setArrow', {
+    label: 'Set arrow',
+    run: ({ connId, directed }) => {
+      requireConnection(connId);
+      connectionManager.setArrow(connId, directed);
+    },
+  });
+
+  dispatcher.register('connection.setType', {
+    label: 'Set relationship',
+    run: ({ connId, type }) => {
+      requireConnection(connId);
+      connectionManager.setType(connId, type);
+    },
+  });
+
+  dispatcher.register('connection.setLabel', {
+    label: 'Label connection',
+    run: ({ connId, label }) => {
+      requireConnection(connId);
+      connectionManager.setLabel(connId, label);
+    },
+  });
+
+  dispatcher.register('connection.setRouting', {
+    label: 'Set wire routing',
+    run: ({ connId, routing }) => {
+      requireConnection(connId);
+      connectionManager.setRouting(connId, routing);
+    },
+  });
+
+  dispatcher.register('connection.setWaypoints', {
+    label: 'Bend wire',
+    run: ({ connId, waypoints }) => {
+      requireConnection(connId);
+      connectionManager.setWaypoints(connId, waypoints);
+    },
+  });
+
+  dispatcher.register('connection.reverse', {
+    label: 'Reverse direction',
+    run: ({ connId }) => {
+      const { sourceId, sourcePort, targetId, targetPort, directed, type, label, routing, waypoints } = requireConnection(connId);
+      connectionManager.deleteConnection(connId);
+      return connectionManager.createConnection(targetId, targetPort, sourceId, sourcePort, {
+        directed, type, label, routing, waypoints: [...waypoints].reverse(),
+      });
+    },
+    creates: (conn) => [conn?.id],
+  });
+
+  dispatcher.register('connection.splice', {
+    label: 'Splice node into wire',
+    run: ({ connId, nodeId }) => {
+      requireConnection(connId);
+      requireNode(nodeId);
+      return connectionManager.spliceNodeIntoConnection(connId, nodeId);
+    },
+    creates: (conns) => (Array.isArray(conns) ? conns.map(c => c.id) : []),
+  });
+
+  dispatcher.register('connection.disconnectAll', {
+    label: 'Disconnect all',
+    run: ({ nodeId }) => connectionManager.disconnectAll(nodeId),
+  });
+
+  // ─── Node Types ────────────────────────────────────────────────────
+
+  const requireCustomType = (id) => {
+    if (!nodeManager.model.nodeTypes.has(id)) throw new Error(`Custom node type not found: ${id}`);
+  };
+
+  dispatcher.register('nodeType.define', {
+    label: 'Add node type',
+    run: (def) => nodeManager.defineNodeType(def),
+    creates: (type) => [type?.id],
+  });
+
+  dispatcher.register('nodeType.update', {
+    label: 'Edit node type',
+    run: ({ typeId, ...fields }) => {
+      requireCustomType(typeId);
+      nodeManager.updateNodeType(typeId, fields);
+    },
+  });
+
+  dispatcher.register('nodeType.delete', {
+    label: 'Delete node type',
+    // Nodes of the deleted type become General so nothing points at it
+    run: ({ typeId }) => {
+      requireCustomType(typeId);
+      nodeManager.nodes.forEach(node => {
+        if (node.nodeType === typeId) nodeManager.setNodeType(node.id, 'general');
+      });
+      nodeManager.removeNodeType(typeId);
+    },
+  });
+
+  // ─── Properties ────────────────────────────────────────────────────
+
+  const requireField = (id) => {
+    const field = nodeManager.model.getPropertyDef(id);
+    if (!field) throw new Error(`Property field not found: ${id}`);
+    return field;
+  };
+  const nodesWithValue = (fieldId) =>
+    [...nodeManager.nodes.values()].filter(n => n.properties?.[fieldId] !== undefined);
+
+  dispatcher.register('node.setProperty', {
+    label: 'Set property',
+    // An empty value clears the property
+    run: ({ nodeId, fieldId, value }) => {
+      requireNode(nodeId);
+      requireField(fieldId);
+      nodeManager.setProperty(nodeId, fieldId, value);
+    },
+  });
+
+  dispatcher.register('property.define', {
+    label: 'Add property field',
+    run: (def) => nodeManager.definePropertyField(def),
+    creates: (field) => [field?.id],
+  });
+
+  dispatcher.register('property.update', {
+    label: 'Edit property field',
+    // Existing values are re-checked against the new kind / options
+    run: ({ fieldId, ...fields }) => {
+      requireField(fieldId);
+      nodeManager.updatePropertyField(fieldId, fields);
+      nodesWithValue(fieldId).forEach(node => {
+        nodeManager.setProperty(node.id, fieldId, node.properties[fieldId]);
+      });
+    },
+  });
+
+  dispatcher.register('property.delete', {
+    label: 'Delete property field',
+    run: ({ fieldId }) => {
+      requireField(fieldId);
+      nodesWithValue(fieldId).forEach(node => nodeManager.setProperty(node.id, fieldId, null));
+      nodeManager.removePropertyField(fieldId);
+    },
+  });
+
+  // ─── Frames ────────────────────────────────────────────────────────
+
+  dispatcher.register('frame.create', {
+    label: 'Add frame',
+    // Either explicit geometry or the node ids to wrap
+    run: ({ nodeIds, x, y, width, height, ...opts }) => {
+      nodeIds?.forEach(requireNode);
+      const frame = nodeIds?.length
+        ? frameManager.createFrameAround(nodeIds, opts)
+        : frameManager.createFrame(x, y, width, height, opts);
+      frameManager.syncMembership();
+      return frame;
+    },
+    creates: (frame) => [frame?.id],
+  });
+
+  dispatcher.register('frame.delete', {
+    label: 'Delete frame',
+    run: ({ frameId }) => {
+      requireFrame(frameId);
+      frameManager.deleteFrame(frameId);
+      frameManager.syncMembership();
+      bus.emit('state:changed');
+    },
+  });
+
+  dispatcher.register('frame.move', {
+    label: 'Move frame',
+    run: ({ frameId, dx, dy }) => {
+      requireFrame(frameId);
+      frameManager.moveFrame(frameId, dx, dy);
+    },
+  });
+
+  dispatcher.register('frame.resize', {
+    label: 'Resize frame',
+    run: ({ frameId, width, height }) => {
+      requireFrame(frameId);
+      frameManager.resizeFrame(frameId, width, height);
+    },
+  });
+
+  dispatcher.register('frame.setLabel', {
+    label: 'Rename frame',
+    run: ({ frameId, label }) => {
+      requireFrame(frameId);
+      frameManager.setLabel(frameId, label);
+    },
+  });
+
+  dispatcher.register('frame.setColor', {
+    label: 'Set frame color',
+    run: ({ frameId, color }) => {
+      requireFrame(frameId);
+      frameManager.setColor(frameId, color);
+    },
+  });
+}
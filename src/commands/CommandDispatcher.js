@@ -0,0 +1,173 @@
+/**
+ * CommandDispatcher — Single audited path for every canvas mutation.
+ *
+ * Each mutation is a plain, JSON-serializable command object:
+ *
+ *   { type: 'node.setPriority', payload: { nodeId, priority } }
+ *
+ * Handlers are registered per type (see CanvasCommands.js). UI components,
+ * agents and plugins all call dispatch() — agents can also emit
+ * 'command:dispatch' on the bus. Every executed command is appended to an
+ * audit log, broadcast as 'command:executed', and captured by an active
+ * macro recording so the sequence can be replayed on another map.
+ */
+
+const MACRO_VERSION = 1;
+
+/** Payload keys that hold ids the replay may have minted afresh (a string or a list) */
+const ID_KEYS = new Set(['nodeId', 'nodeIds', 'sourceId', 'targetId', 'connId', 'frameId', 'parentId', 'fieldId', 'typeId']);
+
+export class CommandDispatcher {
+  constructor(bus, opts = {}) {
+    this.bus = bus;
+    this.maxLog = opts.maxLog || 500;
+
+    /** @type {Map<string, {run: Function, creates?: Function, label?: string}>} */
+    this._handlers = new Map();
+    this._log = [];
+    this._recording = null;
+
+    // Agents / plugins drive the canvas through the bus
+    this.bus.on('command:dispatch', ({ command, source = 'agent' } = {}) => {
+      try {
+        this.dispatch(command, { source });
+      } catch (err) {
+        console.warn(`[Commands] Rejected ${command?.type}:`, err.message);
+      }
+    });
+  }
+
+  /**
+   * Register a command handler.
+   * @param {string} type - e.g. 'node.create'
+   * @param {object} def
+   * @param {Function} def.run - (payload) → result
+   * @param {Function} [def.creates] - (result) → ids created by the command, in order
+   * @param {string} [def.label] - Human-readable name for logs and palettes
+   */
+  register(type, def) {
+    if (typeof def?.run !== 'function') {
+      throw new Error(`Command "${type}" needs a run() handler`);
+    }
+    this._handlers.set(type, def);
+  }
+
+  has(type) {
+    return this._handlers.has(type);
+  }
+
+  /** Registered command types with their labels */
+  list() {
+    return [...this._handlers.entries()].map(([type, def]) => ({ type, label: def.label || type }));
+  }
+
+  /**
+   * Execute a command and record it.
+   * @param {{type: string, payload?: object}} command
+   * @param {object} [opts]
+   * @param {string} [opts.source] - 'user' | 'agent' | 'plugin' | 'macro'
+   * @returns {*} The handler's result (e.g. the created node)
+   */
+  dispatch(command, opts = {}) {
+    const { type, payload = {} } = command || {};
+    const def = this._handlers.get(type);
+    if (!def) throw new Error(`Unknown command: ${type}`);
+
+    const result = def.run(payload);
+    const created = def.creates ? (def.creates(result) || []).filter(Boolean) : [];
+
+    // Store a detached copy so later mutations of the payload can't rewrite history
+    const record = JSON.parse(JSON.stringify({ type, payload, ...(created.length ? { created } : {}) }));
+    const entry = { ...record, source: opts.source || 'user', timestamp: Date.now() };
+
+    this._log.push(entry);
+    if (this._log.length > this.maxLog) this._log.shift();
+    if (this._recording && entry.source !== 'macro') this._recording.commands.push(record);
+
+    this.bus.emit('command:executed', entry);
+    return result;
+  }
+
+  /** Audit log of executed commands, oldest first */
+  getLog() {
+    return [...this._log];
+  }
+
+  // ─── Macros ────────────────────────────────────────────────────────
+
+  get isRecording() {
+    return !!this._recording;
+  }
+
+  startRecording(name = 'Untitled macro') {
+    this._recording = { name, commands: [] };
+    this.bus.emit('macro:recording', { recording: true, name });
+  }
+
+  /**
+   * Stop recording and return the macro.
+   * @returns {{version: number, name: string, createdAt: string, commands: object[]}|null}
+   */
+  stopRecording() {
+    if (!this._recording) return null;
+    const macro = {
+      version: MACRO_VERSION,
+      name: this._recording.name,
+      createdAt: new Date().toISOString(),
+      commands: this._recording.commands,
+    };
+    this._recording = null;
+    this.bus.emit('macro:recording', { recording: false, name: macro.name });
+    return macro;
+  }
+
+  /**
+   * Replay a recorded macro on the current map. Ids created during the
+   * recording are mapped to the fresh ids created on replay, so later
+   * commands hit the right nodes and wires.
+   * @param {object} macro - Result of stopRecording() (or its JSON)
+   * @param {object} [opts]
+   * @param {Object<string,string>} [opts.idMap] - Pre-seeded id mapping, e.g. recorded root → target root
+   * @returns {{executed: number, failed: {type: string, error: string}[]}}
+   */
+  replay(macro, opts = {}) {
+    if (!macro || !Array.isArray(macro.commands)) {
+      throw new Error('Invalid macro: missing commands array');
+    }
+    const idMap = new Map(Object.entries(opts.idMap || {}));
+    const failed = [];
+    let executed = 0;
+
+    for (const cmd of macro.commands) {
+      const def = this._handlers.get(cmd.type);
+      const payload = _remapIds(cmd.payload || {}, idMap);
+      if (def?.creates) delete payload.id; // always mint fresh ids on replay
+
+      try {
+        const result = this.dispatch({ type: cmd.type, payload }, { source: 'macro' });
+        const fresh = def?.creates ? (def.creates(result) || []) : [];
+        (cmd.created || []).forEach((oldId, i) => {
+          if (fresh[i]) idMap.set(oldId, fresh[i]);
+        });
+        executed++;
+      } catch (err) {
+        failed.push({ type: cmd.type, error: err.message });
+      }
+    }
+
+    this.bus.emit('macro:replayed', { name: macro.name, executed, failed });
+    return { executed, failed };
+  }
+}
+
+/** Deep-copy a payload, replacing recorded ids under ID_KEYS (free text is left alone) */
+function _remapIds(value, idMap, isId = false) {
+  if (typeof value === 'string') return isId ? (idMap.get(value) ?? value) : value;
+  if (Array.isArray(value)) return value.map(v => _remapIds(v, idMap, isId));
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = _remapIds(v, idMap, ID_KEYS.has(k));
+    return out;
+  }
+  return value;
+}
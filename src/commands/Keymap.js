@@ -0,0 +1,164 @@
+/**
+ * Keymap — User-editable keyboard shortcuts for registered app actions.
+ *
+ * Every action declares its default keys; the user's changes are saved in
+ * localStorage as overrides (`{ actionId: ["Ctrl+Shift+P"] }`, where an
+ * empty list unbinds the action). One window keydown listener looks the
+ * pressed combo up and runs the action — there are no hard-coded shortcuts.
+ * While a dialog is open the keys are its own; while a button, panel or
+ * other control outside the canvas has focus, only Ctrl/Alt combos run —
+ * Tab, Enter, Space and the arrows keep their usual meaning there.
+ *
+ * Combos are written "Ctrl+Alt+Shift+Key". Cmd on macOS counts as Ctrl;
+ * letters are upper-case, other keys use KeyboardEvent.key names
+ * (Delete, Escape, ArrowUp, F2, …).
+ */
+
+const STORAGE_KEY = 'mm_keybindings';
+const MODIFIERS = ['Ctrl', 'Alt', 'Shift'];
+/** Full-window dialogs, while shown */
+const MODAL_SELECTOR = [
+  '.preset-modal-overlay', '.prompt-export-overlay', '.idea-input-overlay', '.command-palette-overlay',
+].map(sel => `${sel}.visible`).join(', ');
+const KEY_ALIASES = {
+  cmd: 'Ctrl', meta: 'Ctrl', control: 'Ctrl', ctrl: 'Ctrl', option: 'Alt', alt: 'Alt', shift: 'Shift',
+  del: 'Delete', esc: 'Escape', space: 'Space', ' ': 'Space', return: 'Enter',
+  up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight',
+};
+
+/**
+ * Canonical form of a combo string: "shift+ctrl+k" → "Ctrl+Shift+K".
+ * @returns {string} '' when there is no key
+ */
+export function normalizeCombo(combo) {
+  const parts = String(combo || '').split('+').map(p => p.trim()).filter(Boolean);
+  const mods = new Set();
+  let key = '';
+  parts.forEach(part => {
+    const alias = KEY_ALIASES[part.toLowerCase()] || part;
+    if (MODIFIERS.includes(alias)) mods.add(alias);
+    else key = alias.length === 1 ? alias.toUpperCase() : alias[0].toUpperCase() + alias.slice(1);
+  });
+  if (!key) return '';
+  return [...MODIFIERS.filter(m => mods.has(m)), key].join('+');
+}
+
+/** The combo a keydown event represents, or '' for a lone modifier */
+export function eventToCombo(e) {
+  if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return '';
+  const key = e.key === ' ' ? 'Space' : e.key;
+  return normalizeCombo([
+    (e.ctrlKey || e.metaKey) && 'Ctrl',
+    e.altKey && 'Alt',
+    e.shiftKey && 'Shift',
+    key === '+' ? 'Plus' : key,
+  ].filter(Boolean).join('+'));
+}
+
+export class Keymap {
+  /**
+   * @param {import('./ActionRegistry.js').ActionRegistry} actions
+   */
+  constructor(actions) {
+    this.actions = actions;
+    /** @type {Object<string, string[]>} actionId → combos the user chose */
+    this._overrides = this._loadOverrides();
+
+    window.addEventListener('keydown', (e) => this._onKeyDown(e));
+  }
+
+  // ─── Lookup ────────────────────────────────────────────────────────
+
+  /** Combos bound to an action (the user's, else its defaults) */
+  getKeys(actionId) {
+    if (this._overrides[actionId]) return this._overrides[actionId];
+    return (this.actions.get(actionId)?.keys || []).map(normalizeCombo).filter(Boolean);
+  }
+
+  /** Display label for an action's first combo ('' when unbound) */
+  label(actionId) {
+    return this.getKeys(actionId)[0] || this.actions.get(actionId)?.hint || '';
+  }
+
+  /** Action bound to a combo, if any */
+  lookup(combo) {
+    return this.actions.list().find(a => this.getKeys(a.id).includes(combo)) || null;
+  }
+
+  isCustomized(actionId) {
+    return actionId in this._overrides;
+  }
+
+  // ─── Editing ───────────────────────────────────────────────────────
+
+  /**
+   * Bind an action to the given combos, unbinding them from any other action.
+   * @param {string} actionId
+   * @param {string[]} combos - An empty list leaves the action unbound
+   * @returns {string[]} ids of the actions that lost a combo to this one
+   */
+  setKeys(actionId, combos) {
+    const keys = [...new Set(combos.map(normalizeCombo).filter(Boolean))];
+    const displaced = [];
+    this.actions.list().forEach(action => {
+      if (action.id === actionId) return;
+      const current = this.getKeys(action.id);
+      const kept = current.filter(c => !keys.includes(c));
+      if (kept.length === current.length) return;
+      this._overrides[action.id] = kept;
+      displaced.push(action.id);
+    });
+    this._overrides[actionId] = keys;
+    this._saveOverrides();
+    this.actions.bus.emit('keymap:changed', { actionId, displaced });
+    return displaced;
+  }
+
+  /** Restore one action's default keys, or every action's */
+  reset(actionId = null) {
+    if (actionId) delete this._overrides[actionId];
+    else this._overrides = {};
+    this._saveOverrides();
+    this.actions.bus.emit('keymap:changed', { actionId, displaced: [] });
+  }
+
+  // ─── Dispatch ──────────────────────────────────────────────────────
+
+  _onKeyDown(e) {
+    // Ignore when editing text
+    const active = document.activeElement;
+    if (active?.isContentEditable || active?.tagName === 'TEXTAREA' || active?.tagName === 'INPUT' || active?.tagName === 'SELECT') {
+      return;
+    }
+    if (document.querySelector(MODAL_SELECTOR)) return;
+    const combo = eventToCombo(e);
+    if (!combo) return;
+    // Plain keys belong to the canvas; a focused button or panel keeps them
+    const onCanvas = !active || active === document.body || !!active.closest('#canvas-container');
+    if (!onCanvas && !/^(Ctrl|Alt)\+/.test(combo)) return;
+    const action = this.lookup(combo);
+    if (!action || !this.actions.isEnabled(action)) return;
+    e.preventDefault();
+    this.actions.run(action.id, { source: 'keyboard' });
+  }
+
+  // ─── Persistence ───────────────────────────────────────────────────
+
+  _loadOverrides() {
+    try {
+      const data = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+      const overrides = {};
+      Object.entries(data).forEach(([id, combos]) => {
+        if (Array.isArray(combos)) overrides[id] = combos.map(normalizeCombo).filter(Boolean);
+      });
+      return overrides;
+    } catch (err) {
+      console.warn('[Keymap] Ignoring saved key bindings:', err.message);
+      return {};
+    }
+  }
+
+  _saveOverrides() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this._overrides));
+  }
+}
@@ -1,11 +1,50 @@
 /**
  * ConnectionManager — Creates, renders, and manages SVG circuit-trace connections between node ports.
+ *
+ * Connection records live in the GraphModel shared with NodeManager; the SVG
+ * elements for each wire are kept in a side map of views.
+ *
+ * Wires touching a node hidden under a collapsed subtree are hidden too and
+ * skipped by routing, jump arcs and hit-testing. Wires touching a node dimmed
+ * by the tag filter are dimmed with it.
+ *
+ * Each wire is styled by its relationship type (dashed relates-to, red
+ * blocks) and shows its label — or the type's wording — at the midpoint.
+ * Dependency wires that close a cycle are flagged (.in-cycle) so the
+ * context menu can offer to reverse or retype them.
+ *
+ * Routing: orthogonal wires are auto-routed around nodes until they get
+ * manual bend points; straight and curved wires run port to port. The
+ * selected wire shows handles to drag its bend points, add one (the "+"
+ * between two points) or remove one (double-click).
+ *
+ * Dense maps: a wire whose plain route is blocked goes through the A* grid
+ * router (GridRouter.js), with nearby nodes looked up in a SpatialIndex.
+ * Moving nodes re-routes only the wires attached to them or running through
+ * their new spot, and jump arcs test each segment against the segments
+ * indexed near it rather than every other wire.
+ *
+ * Touch: wiring from a port, dragging a solder dot and dragging bend points
+ * take touch pointer events through the same handlers as the mouse (see
+ * Pointer.js).
+ *
+ * Large maps: NodeManager.updateCulling passes the visible world rect to
+ * updateCulling here. Wires whose box misses it are unmounted, routed only
+ * once they scroll back into view, and left out of the jump-arc pass.
  */
 
-let _connIdCounter = 0;
-function generateConnId() {
-  return `conn_${Date.now().toString(36)}_${(++_connIdCounter).toString(36)}`;
-}
+import { getConnectionType } from '../model/NodeSchema.js';
+import { snapToGrid } from '../model/Arrange.js';
+import {
+  portDirection, straightRoute, orthogonalRoute, curvedRoute, insertHandlePositions,
+} from './WireRouting.js';
+import { routeAround, headingOf } from './GridRouter.js';
+import { SpatialIndex, segmentRect } from '../model/SpatialIndex.js';
+import { touchOnly } from '../core/Pointer.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const OBSTACLE_MARGIN = 15;   // clearance kept around nodes by the router
+const INDEX_CELL = 160;       // spatial index cell size (world units)
 
 export class ConnectionManager {
   constructor(bus, nodeManager) {
@@ -14,8 +53,9 @@ export class ConnectionManager {
     this.svgLayer = document.getElementById('connections-layer');
     this.container = document.getElementById('canvas-container');
 
-    /** @type {Map<string, {id,sourceId,sourcePort,targetId,targetPort,group}>} */
-    this.connections = new Map();
+    this.model = nodeManager.model;
+    /** @type {Map<string, {group, pathEl, hitArea, dot1, dot2, labelEl, handlesEl?, basePathD?: string, pathPoints?: object[], smooth?: boolean, stale?: boolean}>} */
+    this._views = new Map();
     this.selectedConnection = null;
 
     // Drag-to-connect state
@@ -30,16 +70,80 @@ export class ConnectionManager {
     this._detachAnchor = null;    // the fixed end's port info
     this._detachPreview = null;   // SVG preview path
 
+    // Bend-point drag state: { connId, index, waypoints, moved }
+    this._bend = null;
+
+    this.commands = null;         // set via setCommands()
+    this.transaction = (label, run) => run(); // set via setTransaction()
+
+    // Routing indexes: node obstacles (rebuilt lazily after nodes change)
+    // and wire segments (rebuilt with every jump pass)
+    this._obstacleIndex = null;
+    this._segmentIndex = null;
+    this._movedNodes = new Set();
+
+    // Dependency wires in a cycle (see setCycleHighlight)
+    this.cycleConnections = new Set();
+
+    // World rect wires are mounted for, or null to mount all (see updateCulling)
+    this._cullRect = null;
+
     this._bindEvents();
 
-    // Re-render connections when nodes move
-    this.bus.on('node:moved', () => this._renderAll());
-    this.bus.on('node:deleted', ({ id }) => this._removeConnectionsForNode(id));
+    // Re-route the wires a move affects, once per frame
+    this.bus.on('node:moved', (node) => this._scheduleReroute(node.id));
+    this.bus.on('node:resized', (node) => this._scheduleReroute(node.id));
+    this.bus.on('node:created', () => { this._obstacleIndex = null; });
+    this.bus.on('node:updated', () => { this._obstacleIndex = null; });
+    this.bus.on('node:deleted', ({ id }) => {
+      this._obstacleIndex = null;
+      this._removeConnectionsForNode(id);
+    });
+    this.bus.on('visibility:changed', () => this._applyVisibility());
+    this.bus.on('tagfilter:changed', () => this._applyTagDimming());
+  }
+
+  /** Connection records from the model (pure data — no DOM) */
+  get connections() {
+    return this.model.connections;
+  }
+
+  /** Attach the CommandDispatcher that user-initiated mutations go through */
+  setCommands(commands) {
+    this.commands = commands;
+  }
+
+  /** Attach the app's undo grouping: runs `run` as one labeled step */
+  setTransaction(transaction) {
+    this.transaction = transaction;
+  }
+
+  /** Dispatch a user-initiated mutation as a command */
+  _command(type, payload) {
+    return this.commands.dispatch({ type, payload });
+  }
+
+  /**
+   * Move one end of a wire to another node port. The wire keeps its
+   * direction, relationship and label, so a dependency still reads the
+   * same way round, and its routing and manual bends.
+   * @param {object} conn
+   * @param {'source'|'target'} end - the end that moved
+   */
+  _rewire(conn, end, nodeId, port) {
+    const ends = end === 'source'
+      ? { sourceId: nodeId, sourcePort: port, targetId: conn.targetId, targetPort: conn.targetPort }
+      : { sourceId: conn.sourceId, sourcePort: conn.sourcePort, targetId: nodeId, targetPort: port };
+    const { directed, type, label, routing, waypoints } = conn;
+    this.transaction('Rewire connection', () => {
+      this._command('connection.delete', { connId: conn.id });
+      this._command('connection.create', { ...ends, directed, type, label, routing, waypoints: [...waypoints] });
+    });
   }
 
   _bindEvents() {
     // Port mousedown → start connecting
-    this.container.addEventListener('mousedown', (e) => {
+    const onPortDown = (e) => {
       const port = e.target.closest('.node-port');
       if (!port || e.button !== 0) return;
       e.stopPropagation();
@@ -52,13 +156,15 @@ export class ConnectionManager {
       };
 
       // Create preview line
-      this._previewLine = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+      this._previewLine = document.createElementNS(SVG_NS, 'path');
       this._previewLine.classList.add('connection-preview');
       this.svgLayer.appendChild(this._previewLine);
-    });
+    };
+    this.container.addEventListener('mousedown', onPortDown);
+    this.container.addEventListener('pointerdown', touchOnly(onPortDown));
 
     // Solder-dot mousedown → start detaching
-    this.svgLayer.addEventListener('mousedown', (e) => {
+    const onDotDown = (e) => {
       const dot = e.target.closest('.connection-dot');
       if (!dot || e.button !== 0) return;
       const group = dot.closest('.connection-group');
@@ -72,7 +178,7 @@ export class ConnectionManager {
       if (!conn) return;
 
       // Determine which end is being dragged (compare dot to dot1/dot2)
-      const isDot1 = (dot === conn.dot1);
+      const isDot1 = (dot === this._views.get(connId).dot1);
       this._detaching = true;
       this._detachConn = conn;
       this._detachEnd = isDot1 ? 'source' : 'target';
@@ -82,15 +188,17 @@ export class ConnectionManager {
         : { nodeId: conn.sourceId, port: conn.sourcePort };
 
       // Hide the existing connection visually
-      conn.group.style.opacity = '0.2';
+      group.style.opacity = '0.2';
 
       // Create a preview line from the anchor
-      this._detachPreview = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+      this._detachPreview = document.createElementNS(SVG_NS, 'path');
       this._detachPreview.classList.add('connection-preview');
       this.svgLayer.appendChild(this._detachPreview);
-    });
+    };
+    this.svgLayer.addEventListener('mousedown', onDotDown);
+    this.svgLayer.addEventListener('pointerdown', touchOnly(onDotDown));
 
-    window.addEventListener('mousemove', (e) => {
+    const onMove = (e) => {
       const rect = this.container.getBoundingClientRect();
       const vp = this.nodeManager.viewport;
       const mouseWorld = vp.screenToWorld(e.clientX - rect.left, e.clientY - rect.top);
@@ -103,6 +211,15 @@ export class ConnectionManager {
         this._previewLine.setAttribute('d', path);
       }
 
+      // --- Bend point drag ---
+      if (this._bend) {
+        const snap = (v) => (this.nodeManager.snapToGrid ? snapToGrid(v) : Math.round(v));
+        this._bend.waypoints[this._bend.index] = { x: snap(mouseWorld.x), y: snap(mouseWorld.y) };
+        this._bend.moved = true;
+        const conn = this.connections.get(this._bend.connId);
+        if (conn) this._renderConnection(conn);
+      }
+
       // --- Detach preview ---
       if (this._detaching && this._detachAnchor) {
         const anchorPos = this.nodeManager.getPortPosition(this._detachAnchor.nodeId, this._detachAnchor.port);
@@ -110,9 +227,20 @@ export class ConnectionManager {
         const path = this._computePath(anchorPos.x, anchorPos.y, mouseWorld.x, mouseWorld.y);
         this._detachPreview.setAttribute('d', path);
       }
-    });
+    };
+    window.addEventListener('mousemove', onMove);
+    window.addEventListener('pointermove', touchOnly(onMove));
+
+    const onUp = (e) => {
+      // --- Bend point drop ---
+      if (this._bend) {
+        const { connId, waypoints, moved } = this._bend;
+        this._bend = null;
+        if (moved && this.connections.has(connId)) {
+          this._command('connection.setWaypoints', { connId, waypoints });
+        }
+      }
 
-    window.addEventListener('mouseup', (e) => {
       // --- Handle new connection drop ---
       if (this._connecting) {
         // Check if released on a port directly
@@ -130,10 +258,10 @@ export class ConnectionManager {
               targetNodeId, targetPort
             );
             if (!exists) {
-              this.createConnection(
-                this._connSource.nodeId, this._connSource.port,
-                targetNodeId, targetPort
-              );
+              this._command('connection.create', {
+                sourceId: this._connSource.nodeId, sourcePort: this._connSource.port,
+                targetId: targetNodeId, targetPort,
+              });
             }
           }
         } else if (nodeEl && this._connSource) {
@@ -146,10 +274,10 @@ export class ConnectionManager {
               targetNodeId, bestPort
             );
             if (!exists) {
-              this.createConnection(
-                this._connSource.nodeId, this._connSource.port,
-                targetNodeId, bestPort
-              );
+              this._command('connection.create', {
+                sourceId: this._connSource.nodeId, sourcePort: this._connSource.port,
+                targetId: targetNodeId, targetPort: bestPort,
+              });
             }
           }
         } else if (this._connSource && !port && !nodeEl) {
@@ -159,11 +287,11 @@ export class ConnectionManager {
           const world = vp.screenToWorld(e.clientX - rect.left, e.clientY - rect.top);
 
           const oppositePort = this._oppositePort(this._connSource.port);
-          const newNode = this.nodeManager.createNode(world.x - 70, world.y - 20);
-          this.createConnection(
-            this._connSource.nodeId, this._connSource.port,
-            newNode.id, oppositePort
-          );
+          const newNode = this._command('node.create', { x: world.x - 70, y: world.y - 20 });
+          this._command('connection.create', {
+            sourceId: this._connSource.nodeId, sourcePort: this._connSource.port,
+            targetId: newNode.id, targetPort: oppositePort,
+          });
         }
 
         // Cleanup preview
@@ -186,38 +314,25 @@ export class ConnectionManager {
           const newPort = port.dataset.port;
 
           if (newNodeId !== this._detachAnchor.nodeId) {
-            const oldId = this._detachConn.id;
-            this._detachConn.group.style.opacity = '';
-            this.deleteConnection(oldId);
-
-            this.createConnection(
-              this._detachAnchor.nodeId, this._detachAnchor.port,
-              newNodeId, newPort
-            );
+            this._views.get(this._detachConn.id).group.style.opacity = '';
+            this._rewire(this._detachConn, this._detachEnd, newNodeId, newPort);
           } else {
-            this._detachConn.group.style.opacity = '';
+            this._views.get(this._detachConn.id).group.style.opacity = '';
           }
         } else if (nodeEl) {
           // Dropped on a node body → auto-detect nearest port and rewire
           const newNodeId = nodeEl.dataset.nodeId;
           if (newNodeId && newNodeId !== this._detachAnchor.nodeId) {
             const bestPort = this._findBestPort(this._detachAnchor.nodeId, newNodeId);
-            const oldId = this._detachConn.id;
-            this._detachConn.group.style.opacity = '';
-            this.deleteConnection(oldId);
-
-            this.createConnection(
-              this._detachAnchor.nodeId, this._detachAnchor.port,
-              newNodeId, bestPort
-            );
+            this._views.get(this._detachConn.id).group.style.opacity = '';
+            this._rewire(this._detachConn, this._detachEnd, newNodeId, bestPort);
           } else {
-            this._detachConn.group.style.opacity = '';
+            this._views.get(this._detachConn.id).group.style.opacity = '';
           }
         } else {
           // Dropped on empty space → delete the connection (detach)
-          this._detachConn.group.style.opacity = '';
-          this.deleteConnection(this._detachConn.id);
-          this.bus.emit('state:changed');
+          this._views.get(this._detachConn.id).group.style.opacity = '';
+          this._command('connection.delete', { connId: this._detachConn.id });
         }
 
         // Cleanup detach preview
@@ -230,7 +345,9 @@ export class ConnectionManager {
         this._detachEnd = null;
         this._detachAnchor = null;
       }
-    });
+    };
+    window.addEventListener('mouseup', onUp);
+    window.addEventListener('pointerup', touchOnly(onUp));
 
     // Double-click on connection → delete it
     // Mark event so NodeManager can ignore it
@@ -240,10 +357,10 @@ export class ConnectionManager {
       e.stopPropagation();
       e.preventDefault();
       e._connectionHandled = true;
+      if (this._handleBendDblClick(e, group)) return;
       const connId = group.dataset.connectionId;
-      if (connId) {
-        this.deleteConnection(connId);
-        this.bus.emit('state:changed');
+      if (connId && this.connections.has(connId)) {
+        this._command('connection.delete', { connId });
       }
     };
     this.svgLayer.addEventListener('dblclick', handleConnDblClick);
@@ -252,10 +369,10 @@ export class ConnectionManager {
       const group = e.target.closest('.connection-group');
       if (!group || e._connectionHandled) return;
       e.stopPropagation();
+      if (this._handleBendDblClick(e, group)) return;
       const connId = group.dataset.connectionId;
-      if (connId) {
-        this.deleteConnection(connId);
-        this.bus.emit('state:changed');
+      if (connId && this.connections.has(connId)) {
+        this._command('connection.delete', { connId });
       }
     });
 
@@ -279,33 +396,41 @@ export class ConnectionManager {
   }
 
   createConnection(sourceId, sourcePort, targetId, targetPort, opts = {}) {
-    const id = opts.id || generateConnId();
+    const connData = this.model.addConnection(sourceId, sourcePort, targetId, targetPort, opts);
+    const { id } = connData;
 
-    const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    const group = document.createElementNS(SVG_NS, 'g');
     group.classList.add('connection-group');
     group.dataset.connectionId = id;
 
     // Hit area (invisible, wider for easier clicking)
-    const hitArea = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    const hitArea = document.createElementNS(SVG_NS, 'path');
     hitArea.classList.add('connection-hit-area');
 
     // Visible path
-    const pathEl = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    const pathEl = document.createElementNS(SVG_NS, 'path');
     pathEl.classList.add('connection-path');
 
     // Endpoint dots (solder points)
-    const dot1 = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+    const dot1 = document.createElementNS(SVG_NS, 'circle');
     dot1.classList.add('connection-dot');
     dot1.setAttribute('r', '3.5');
 
-    const dot2 = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+    const dot2 = document.createElementNS(SVG_NS, 'circle');
     dot2.classList.add('connection-dot');
     dot2.setAttribute('r', '3.5');
 
+    // Relationship label at the midpoint
+    const labelEl = document.createElementNS(SVG_NS, 'text');
+    labelEl.classList.add('connection-label');
+    labelEl.setAttribute('text-anchor', 'middle');
+    labelEl.setAttribute('dominant-baseline', 'central');
+
     group.appendChild(hitArea);
     group.appendChild(pathEl);
     group.appendChild(dot1);
     group.appendChild(dot2);
+    group.appendChild(labelEl);
 
     // Click to select
     group.addEventListener('mousedown', (e) => {
@@ -314,19 +439,13 @@ export class ConnectionManager {
     });
 
     this.svgLayer.appendChild(group);
+    this._views.set(id, { group, pathEl, hitArea, dot1, dot2, labelEl });
+    group.classList.toggle('collapsed-hidden', this.isHidden(connData));
+    group.classList.toggle('tag-dimmed', this.isDimmed(connData));
+    group.classList.toggle('in-cycle', this.cycleConnections.has(id));
 
-    const directed = opts.directed || false;
-    // Normalize directed: boolean → string tri-state ('none' | 'forward' | 'both')
-    const directedState = directed === true ? 'forward'
-                        : directed === 'forward' || directed === 'both' ? directed
-                        : 'none';
-    const connData = { id, sourceId, sourcePort, targetId, targetPort, directed: directedState, group, pathEl, hitArea, dot1, dot2 };
-    this.connections.set(id, connData);
-
-    // Apply arrowheads
-    if (directedState !== 'none') {
-      this._applyArrow(connData);
-    }
+    // Apply relationship styling and arrowheads
+    this._applyType(connData);
 
     this._renderConnection(connData);
 
@@ -343,6 +462,7 @@ export class ConnectionManager {
     const cycle = { 'none': 'forward', 'forward': 'both', 'both': 'none' };
     conn.directed = cycle[conn.directed] || 'forward';
     this._applyArrow(conn);
+    this.bus.emit('connection:updated', conn);
     this.bus.emit('state:changed');
   }
 
@@ -352,55 +472,306 @@ export class ConnectionManager {
     if (!conn) return;
     conn.directed = directed;
     this._applyArrow(conn);
+    this.bus.emit('connection:updated', conn);
+    this.bus.emit('state:changed');
+  }
+
+  /** Set the relationship type ('link', 'depends-on', 'blocks', 'relates-to') */
+  setType(connId, type) {
+    const conn = this.connections.get(connId);
+    if (!conn) return;
+    this.model.updateConnection(connId, { type });
+    this._applyType(conn);
+    this._renderConnection(conn);
+    this.bus.emit('connection:updated', conn);
+    this.bus.emit('state:changed');
+  }
+
+  /** Set the midpoint label; empty falls back to the type's wording */
+  setLabel(connId, label) {
+    const conn = this.connections.get(connId);
+    if (!conn) return;
+    this.model.updateConnection(connId, { label });
+    this._applyType(conn);
+    this._renderConnection(conn);
+    this.bus.emit('connection:updated', conn);
+    this.bus.emit('state:changed');
+  }
+
+  /** Draw the wire 'orthogonal', 'straight' or 'curved' */
+  setRouting(connId, routing) {
+    const conn = this.connections.get(connId);
+    if (!conn) return;
+    this.model.updateConnection(connId, { routing });
+    this._renderConnection(conn);
+    this.bus.emit('connection:updated', conn);
     this.bus.emit('state:changed');
   }
 
+  /** Replace the wire's manual bend points (empty lets the router choose the path) */
+  setWaypoints(connId, waypoints) {
+    const conn = this.connections.get(connId);
+    if (!conn) return;
+    this.model.updateConnection(connId, { waypoints });
+    this._renderConnection(conn);
+    this.bus.emit('connection:updated', conn);
+    this.bus.emit('state:changed');
+  }
+
+  /** The text drawn at a wire's midpoint */
+  getLabelText(conn) {
+    return conn.label || getConnectionType(conn.type).wireLabel;
+  }
+
+  /** Apply the type styling, label text and arrowheads */
+  _applyType(conn) {
+    const view = this._views.get(conn.id);
+    view.group.dataset.connType = getConnectionType(conn.type).id;
+    const text = this.getLabelText(conn);
+    view.labelEl.textContent = text;
+    view.labelEl.style.display = text ? '' : 'none';
+    this._applyArrow(conn);
+  }
+
   /** Apply SVG arrowhead markers based on directed state */
   _applyArrow(conn) {
-    const isSelected = conn.group.classList.contains('selected');
-    const color = isSelected ? 'magenta' : 'cyan';
+    const { group, pathEl } = this._views.get(conn.id);
+    const isSelected = group.classList.contains('selected');
+    const color = isSelected ? 'magenta' : (conn.type === 'blocks' ? 'red' : 'cyan');
 
     if (conn.directed === 'forward' || conn.directed === 'both') {
-      conn.pathEl.setAttribute('marker-end', `url(#arrowhead-${color})`);
+      pathEl.setAttribute('marker-end', `url(#arrowhead-${color})`);
     } else {
-      conn.pathEl.removeAttribute('marker-end');
+      pathEl.removeAttribute('marker-end');
     }
 
     if (conn.directed === 'both') {
-      conn.pathEl.setAttribute('marker-start', `url(#arrowhead-start-${color})`);
+      pathEl.setAttribute('marker-start', `url(#arrowhead-start-${color})`);
     } else {
-      conn.pathEl.removeAttribute('marker-start');
+      pathEl.removeAttribute('marker-start');
     }
   }
 
   _renderConnection(conn) {
+    if (this.isHidden(conn)) return;
+    const view = this._views.get(conn.id);
+    // Off-screen wires are routed once they scroll into view (see updateCulling)
+    if (!this._inView(conn)) {
+      view.stale = true;
+      view.group.remove();
+      return;
+    }
     const sp = this.nodeManager.getPortPosition(conn.sourceId, conn.sourcePort);
     const tp = this.nodeManager.getPortPosition(conn.targetId, conn.targetPort);
     if (!sp || !tp) return;
 
+    if (!view.group.isConnected) this.svgLayer.appendChild(view.group);
+    view.stale = false;
+    const { d, points, smooth } = this._route(conn, sp, tp);
+    // Store the clean base path (no jumps) — used for intersection detection
+    view.basePathD = d;
+    view.pathPoints = points;
+    view.smooth = smooth;
+    view.pathEl.setAttribute('d', d);
+    view.hitArea.setAttribute('d', d);
+
+    view.dot1.setAttribute('cx', sp.x);
+    view.dot1.setAttribute('cy', sp.y);
+    view.dot2.setAttribute('cx', tp.x);
+    view.dot2.setAttribute('cy', tp.y);
+    this._positionLabel(view);
+    if (conn.id === this.selectedConnection) this._renderHandles(conn);
+
+    // Schedule jump recalculation (batched per frame)
+    this._scheduleJumpUpdate();
+  }
+
+  /**
+   * The wire's path in its routing style. Orthogonal wires without bend
+   * points go through the auto-router; the rest are drawn through their
+   * waypoints. Curves are `smooth`: their points are samples, and they are
+   * jumped over rather than drawing jump arcs themselves.
+   */
+  _route(conn, sp, tp) {
+    const waypoints = this._bend?.connId === conn.id ? this._bend.waypoints : (conn.waypoints || []);
+    if (conn.routing === 'straight') {
+      return { ...straightRoute(sp, waypoints, tp), smooth: false };
+    }
+    if (conn.routing === 'curved') {
+      return { ...curvedRoute(sp, conn.sourcePort, waypoints, tp, conn.targetPort), smooth: true };
+    }
+    if (waypoints.length > 0) {
+      return { ...orthogonalRoute(sp, conn.sourcePort, waypoints, tp, conn.targetPort), smooth: false };
+    }
     const d = this._computeSmartPath(
       sp.x, sp.y, conn.sourcePort,
       tp.x, tp.y, conn.targetPort,
       conn.sourceId, conn.targetId
     );
-    // Store the clean base path (no jumps) — used for intersection detection
-    conn._basePathD = d;
-    conn.pathEl.setAttribute('d', d);
-    conn.hitArea.setAttribute('d', d);
+    return { d, points: this._parsePathPoints(d), smooth: false };
+  }
 
-    conn.dot1.setAttribute('cx', sp.x);
-    conn.dot1.setAttribute('cy', sp.y);
-    conn.dot2.setAttribute('cx', tp.x);
-    conn.dot2.setAttribute('cy', tp.y);
+  /** Place the label halfway along the routed path */
+  _positionLabel(view) {
+    if (!view.labelEl.textContent) return;
+    try {
+      const mid = view.hitArea.getPointAtLength(view.hitArea.getTotalLength() / 2);
+      view.labelEl.setAttribute('x', mid.x);
+      view.labelEl.setAttribute('y', mid.y);
+    } catch (_) {
+      // getTotalLength may throw if path data is empty
+    }
+  }
 
-    // Schedule jump recalculation (batched per frame)
-    this._scheduleJumpUpdate();
+  /** Rendered SVG group for a wire, or null */
+  getElement(id) {
+    return this._views.get(id)?.group || null;
+  }
+
+  /** Rendered SVG path of a wire (with jump arcs), falling back to its base route */
+  getPathData(id) {
+    const view = this._views.get(id);
+    const conn = this.connections.get(id);
+    // Culled wires are routed on demand (exports draw the whole map)
+    if (view?.stale && conn) {
+      const sp = this.nodeManager.getPortPosition(conn.sourceId, conn.sourcePort);
+      const tp = this.nodeManager.getPortPosition(conn.targetId, conn.targetPort);
+      if (sp && tp) return this._route(conn, sp, tp).d;
+    }
+    return view?.pathEl.getAttribute('d') || view?.basePathD || null;
   }
 
   _renderAll() {
+    this._obstacleIndex = null;
     this.connections.forEach(conn => this._renderConnection(conn));
   }
 
+  /** Queue a moved node; its wires are re-routed on the next frame */
+  _scheduleReroute(nodeId) {
+    this._obstacleIndex = null;
+    this._movedNodes.add(nodeId);
+    if (this._rerouteFrame) return;
+    this._rerouteFrame = requestAnimationFrame(() => {
+      this._rerouteFrame = null;
+      this._rerouteMoved();
+    });
+  }
+
+  /**
+   * Re-route the wires attached to the moved nodes, plus any wire whose
+   * current route now runs through one of them.
+   */
+  _rerouteMoved() {
+    const moved = this._movedNodes;
+    this._movedNodes = new Set();
+    const dirty = new Set();
+    this.connections.forEach(conn => {
+      if (moved.has(conn.sourceId) || moved.has(conn.targetId)) dirty.add(conn.id);
+    });
+
+    if (this._segmentIndex) {
+      const obstacles = this._getObstacleIndex();
+      moved.forEach(nodeId => {
+        const rect = obstacles.rectOf(nodeId);
+        if (!rect) return;
+        this._segmentIndex.query(rect).forEach(seg => {
+          // Only auto-routed wires steer around nodes
+          if (dirty.has(seg.conn.id) || seg.conn.routing !== 'orthogonal' || seg.conn.waypoints?.length) return;
+          if (this._segmentHitsRect(seg.a.x, seg.a.y, seg.b.x, seg.b.y, rect)) dirty.add(seg.conn.id);
+        });
+      });
+    }
+
+    dirty.forEach(id => {
+      const conn = this.connections.get(id);
+      if (conn) this._renderConnection(conn);
+    });
+  }
+
+  // ── Viewport Culling ──────────────────────────────────────────────
+
+  /**
+   * Mount the wires whose box meets the world rect and unmount the rest;
+   * a null rect mounts every wire. Newly mounted wires are re-routed, since
+   * their nodes may have moved while they were off screen.
+   */
+  updateCulling(rect) {
+    this._cullRect = rect;
+    let changed = false;
+    this.connections.forEach(conn => {
+      const view = this._views.get(conn.id);
+      if (!view || this.isHidden(conn)) return;
+      const inView = this._inView(conn);
+      if (inView === view.group.isConnected) return;
+      changed = true;
+      if (inView) this._renderConnection(conn);
+      else view.group.remove();
+    });
+    if (changed) this._scheduleJumpUpdate();
+  }
+
+  /** True if the wire's ends, bend points or last route meet the culling rect */
+  _inView(conn) {
+    const rect = this._cullRect;
+    if (!rect) return true;
+    let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+    const grow = (x, y) => {
+      left = Math.min(left, x);
+      top = Math.min(top, y);
+      right = Math.max(right, x);
+      bottom = Math.max(bottom, y);
+    };
+    [conn.sourceId, conn.targetId].forEach(id => {
+      const node = this.model.nodes.get(id);
+      if (!node) return;
+      const { width, height } = this.model.getNodeSize(node);
+      grow(node.x, node.y);
+      grow(node.x + width, node.y + height);
+    });
+    (conn.waypoints || []).forEach(p => grow(p.x, p.y));
+    (this._views.get(conn.id)?.pathPoints || []).forEach(p => grow(p.x, p.y));
+    return left <= rect.right && right >= rect.left && top <= rect.bottom && bottom >= rect.top;
+  }
+
+  /** True if either end of the wire is hidden under a collapsed subtree */
+  isHidden(conn) {
+    return this.nodeManager.isHidden(conn.sourceId) || this.nodeManager.isHidden(conn.targetId);
+  }
+
+  /** True if either end of the wire is dimmed by the tag filter */
+  isDimmed(conn) {
+    return this.nodeManager.isDimmed(conn.sourceId) || this.nodeManager.isDimmed(conn.targetId);
+  }
+
+  /** Flag the wires that close dependency cycles; pass an empty list to clear */
+  setCycleHighlight(connIds) {
+    this.cycleConnections = new Set(connIds);
+    this._views.forEach((view, id) => view.group.classList.toggle('in-cycle', this.cycleConnections.has(id)));
+  }
+
+  isInCycle(connId) {
+    return this.cycleConnections.has(connId);
+  }
+
+  _applyTagDimming() {
+    this.connections.forEach(conn => {
+      this._views.get(conn.id)?.group.classList.toggle('tag-dimmed', this.isDimmed(conn));
+    });
+  }
+
+  /** Show/hide wires after subtrees fold or unfold, then re-route the visible ones */
+  _applyVisibility() {
+    this.connections.forEach(conn => {
+      const view = this._views.get(conn.id);
+      if (!view) return;
+      const hidden = this.isHidden(conn);
+      view.group.classList.toggle('collapsed-hidden', hidden);
+      if (hidden && this.selectedConnection === conn.id) this.deselectConnection();
+    });
+    this._renderAll();
+    this._scheduleJumpUpdate();
+  }
+
   /** Batch jump updates into a single animation frame */
   _scheduleJumpUpdate() {
     cancelAnimationFrame(this._jumpFrame);
@@ -421,8 +792,8 @@ export class ConnectionManager {
   }
 
   /** Smart orthogonal routing with node-avoidance.
-   *  Extends outward from ports, computes basic L/Z route, then nudges
-   *  any segment that passes through an intermediate node's bounding box. */
+   *  Extends outward from ports and computes a basic L/Z route; if that
+   *  route runs through another node, the grid router finds one around. */
   _computeSmartPath(x1, y1, port1, x2, y2, port2, sourceId, targetId) {
     const OFFSET = 30; // minimum distance to extend from port before turning
 
@@ -466,10 +837,19 @@ export class ConnectionManager {
     ];
 
     // ── Obstacle avoidance ───────────────────────────────────────────
+    // Port stubs are exempt: they must touch the port whatever is nearby
     if (sourceId && targetId) {
-      const obstacles = this._getObstacles(sourceId, targetId);
-      if (obstacles.length > 0) {
-        points = this._avoidObstacles(points, obstacles);
+      const obstaclesIn = rect => this._getObstacles(sourceId, targetId, rect);
+      const middle = points.slice(1, -1);
+      const blocked = middle.some((p, i) => i > 0 && obstaclesIn(segmentRect(middle[i - 1], p))
+        .some(o => this._segmentHitsRect(middle[i - 1].x, middle[i - 1].y, p.x, p.y, o)));
+      if (blocked) {
+        const route = routeAround(
+          { x: ex1, y: ey1 }, headingOf(dir1),
+          { x: ex2, y: ey2 }, headingOf({ dx: -dir2.dx, dy: -dir2.dy }),
+          obstaclesIn
+        );
+        if (route) points = [{ x: x1, y: y1 }, ...route, { x: x2, y: y2 }];
       }
     }
 
@@ -478,33 +858,37 @@ export class ConnectionManager {
 
   /** Get the outward direction vector for a port */
   _portDirection(port) {
-    switch (port) {
-      case 'top':    return { dx: 0, dy: -1 };
-      case 'bottom': return { dx: 0, dy: 1 };
-      case 'left':   return { dx: -1, dy: 0 };
-      case 'right':  return { dx: 1, dy: 0 };
-      default:       return { dx: 0, dy: -1 };
-    }
+    return portDirection(port);
   }
 
   // ── Node-Avoidance Routing ──────────────────────────────────────────
 
-  /** Collect bounding boxes of all nodes except source and target (inflated by MARGIN) */
-  _getObstacles(sourceId, targetId) {
-    const MARGIN = 15;
-    const obstacles = [];
+  /** Spatial index of visible node rects (inflated by the margin), built on demand */
+  _getObstacleIndex() {
+    if (this._obstacleIndex) return this._obstacleIndex;
+    const index = new SpatialIndex(INDEX_CELL);
     for (const [id, node] of this.nodeManager.nodes) {
-      if (id === sourceId || id === targetId) continue;
-      const w = node.el.offsetWidth;
-      const h = node.el.offsetHeight;
-      if (w === 0 || h === 0) continue; // skip hidden / not-yet-rendered nodes
-      obstacles.push({
-        left:   node.x - MARGIN,
-        top:    node.y - MARGIN,
-        right:  node.x + w + MARGIN,
-        bottom: node.y + h + MARGIN,
+      if (this.nodeManager.isHidden(id)) continue;
+      const { width: w, height: h } = this.model.getNodeSize(node);
+      if (w === 0 || h === 0) continue;
+      index.insert(id, {
+        left:   node.x - OBSTACLE_MARGIN,
+        top:    node.y - OBSTACLE_MARGIN,
+        right:  node.x + w + OBSTACLE_MARGIN,
+        bottom: node.y + h + OBSTACLE_MARGIN,
       });
     }
+    this._obstacleIndex = index;
+    return index;
+  }
+
+  /** Obstacle rects overlapping a window, except the wire's own two nodes */
+  _getObstacles(sourceId, targetId, rect) {
+    const index = this._getObstacleIndex();
+    const obstacles = [];
+    index.query(rect).forEach(id => {
+      if (id !== sourceId && id !== targetId) obstacles.push(index.rectOf(id));
+    });
     return obstacles;
   }
 
@@ -523,88 +907,6 @@ export class ConnectionManager {
     return false;
   }
 
-  /** Run up to 3 passes — each pass fixes one layer of node collisions.
-   *  The first 2 and last 2 segments are EXEMPT (they anchor to port positions). */
-  _avoidObstacles(points, obstacles) {
-    let result = points;
-    for (let pass = 0; pass < 3; pass++) {
-      let changed = false;
-      const out = [result[0]];
-      const len = result.length;
-
-      for (let i = 1; i < len; i++) {
-        const p1 = result[i - 1];
-        const p2 = result[i];
-
-        // Protect anchor segments:
-        //   i=1  → port1 to extension1 (must touch the port)
-        //   i=2  → extension1 to first waypoint (connected to extension stub)
-        //   i=len-1 → extension2 to port2 (must touch the port)
-        //   i=len-2 → last waypoint to extension2 (connected to extension stub)
-        const isAnchor = i <= 2 || i >= len - 2;
-
-        // Only reroute non-anchor (middle) segments
-        let hit = null;
-        if (!isAnchor) {
-          for (const obs of obstacles) {
-            if (this._segmentHitsRect(p1.x, p1.y, p2.x, p2.y, obs)) {
-              hit = obs;
-              break;
-            }
-          }
-        }
-
-        if (hit) {
-          this._detourAroundRect(p1, p2, hit).forEach(dp => out.push(dp));
-          changed = true;
-        }
-        out.push(p2);
-      }
-
-      result = out;
-      if (!changed) break;
-    }
-    return result;
-  }
-
-  /** Insert waypoints that route an orthogonal segment around a rectangle */
-  _detourAroundRect(p1, p2, rect) {
-    const isHoriz = Math.abs(p1.y - p2.y) < 0.5;
-
-    if (isHoriz) {
-      // Horizontal segment — detour above or below the node
-      const y = p1.y;
-      const newY = Math.abs(y - rect.top) <= Math.abs(y - rect.bottom)
-        ? rect.top : rect.bottom;
-
-      // Order entry/exit by direction of travel
-      const entryX = p1.x < p2.x ? rect.left : rect.right;
-      const exitX  = p1.x < p2.x ? rect.right : rect.left;
-
-      return [
-        { x: entryX, y },
-        { x: entryX, y: newY },
-        { x: exitX,  y: newY },
-        { x: exitX,  y },
-      ];
-    }
-
-    // Vertical segment — detour left or right of the node
-    const x = p1.x;
-    const newX = Math.abs(x - rect.left) <= Math.abs(x - rect.right)
-      ? rect.left : rect.right;
-
-    const entryY = p1.y < p2.y ? rect.top : rect.bottom;
-    const exitY  = p1.y < p2.y ? rect.bottom : rect.top;
-
-    return [
-      { x, y: entryY },
-      { x: newX, y: entryY },
-      { x: newX, y: exitY },
-      { x, y: exitY },
-    ];
-  }
-
   // ── Wire Jump System ──────────────────────────────────────────────
 
   /** Parse an SVG path's M/L commands into an array of {x, y} points */
@@ -618,70 +920,50 @@ export class ConnectionManager {
     return points;
   }
 
-  /** Find crossing points between two sets of orthogonal path segments.
-   *  Returns array of { x, y, segIndex } where segIndex is the segment index in pointsA. */
-  _findSegmentCrossings(pointsA, pointsB) {
+  /** Find crossing points between two polylines.
+   *  Returns array of { x, y, segIndex, t } where segIndex is the segment index in pointsA
+   *  and t the position along it. Crossings closer than the arc radius to a segment end
+   *  are skipped; pass marginB = 0 when pointsB samples a curve (its ends are not corners). */
+  _findSegmentCrossings(pointsA, pointsB, marginB = 6) {
     const crossings = [];
     const R = 6; // arc radius — crossing must be this far from segment ends
 
     for (let i = 0; i < pointsA.length - 1; i++) {
       const a1 = pointsA[i], a2 = pointsA[i + 1];
-      const aHoriz = Math.abs(a2.y - a1.y) < 0.5;
-      const aVert  = Math.abs(a2.x - a1.x) < 0.5;
-      if (!aHoriz && !aVert) continue; // skip diagonals
+      const ax = a2.x - a1.x, ay = a2.y - a1.y;
+      const lenA = Math.hypot(ax, ay);
+      if (lenA <= 2 * R) continue;
 
       for (let j = 0; j < pointsB.length - 1; j++) {
         const b1 = pointsB[j], b2 = pointsB[j + 1];
-        const bHoriz = Math.abs(b2.y - b1.y) < 0.5;
-        const bVert  = Math.abs(b2.x - b1.x) < 0.5;
-        if (!bHoriz && !bVert) continue;
+        const bx = b2.x - b1.x, by = b2.y - b1.y;
+        const lenB = Math.hypot(bx, by);
+        if (lenB === 0) continue;
 
-        // Only H-V or V-H pairs can cross
-        if (aHoriz === bHoriz) continue;
+        // Parallel segments never cross at a single point
+        const denom = ax * by - ay * bx;
+        if (Math.abs(denom) < 1e-6 * lenA * lenB) continue;
 
-        let ix, iy;
-        if (aHoriz && bVert) {
-          iy = a1.y;
-          ix = b1.x;
-        } else {
-          ix = a1.x;
-          iy = b1.y;
-        }
+        const wx = b1.x - a1.x, wy = b1.y - a1.y;
+        const t = (wx * by - wy * bx) / denom; // along A
+        const u = (wx * ay - wy * ax) / denom; // along B
 
-        // Verify intersection falls within BOTH segments
         // Margin R is only needed along each segment's LENGTH, not across it
-        const aMinX = Math.min(a1.x, a2.x), aMaxX = Math.max(a1.x, a2.x);
-        const aMinY = Math.min(a1.y, a2.y), aMaxY = Math.max(a1.y, a2.y);
-        const bMinX = Math.min(b1.x, b2.x), bMaxX = Math.max(b1.x, b2.x);
-        const bMinY = Math.min(b1.y, b2.y), bMaxY = Math.max(b1.y, b2.y);
-
-        if (aHoriz) {
-          // Segment A is horizontal: check ix is within A's X range (with margin),
-          // and iy matches A's Y (exact match)
-          if (ix <= aMinX + R || ix >= aMaxX - R) continue;
-          if (Math.abs(iy - a1.y) > 0.5) continue;
-        } else {
-          // Segment A is vertical: check iy is within A's Y range (with margin),
-          // and ix matches A's X (exact match)
-          if (iy <= aMinY + R || iy >= aMaxY - R) continue;
-          if (Math.abs(ix - a1.x) > 0.5) continue;
-        }
-
-        if (bHoriz) {
-          if (ix <= bMinX + R || ix >= bMaxX - R) continue;
-          if (Math.abs(iy - b1.y) > 0.5) continue;
-        } else {
-          if (iy <= bMinY + R || iy >= bMaxY - R) continue;
-          if (Math.abs(ix - b1.x) > 0.5) continue;
-        }
+        if (t * lenA <= R || (1 - t) * lenA <= R) continue;
+        if (u * lenB <= marginB || (1 - u) * lenB <= marginB) continue;
 
-        crossings.push({ x: ix, y: iy, segIndex: i });
+        // Keep axis-aligned crossings on exact coordinates
+        const x = bx === 0 ? b1.x : ax === 0 ? a1.x : a1.x + ax * t;
+        const y = by === 0 ? b1.y : ay === 0 ? a1.y : a1.y + ay * t;
+        crossings.push({ x, y, segIndex: i, t });
       }
     }
     return crossings;
   }
 
-  /** Build an SVG path string with semicircle jump arcs at crossing points */
+  /** Build an SVG path string with semicircle jump arcs at crossing points.
+   *  Arcs bulge to the same side whatever the heading (down on horizontal runs,
+   *  right on vertical ones). */
   _buildPathWithJumps(points, jumps) {
     if (jumps.length === 0) return null;
     const R = 6; // jump arc radius
@@ -691,75 +973,132 @@ export class ConnectionManager {
       const prev = points[i - 1];
       const curr = points[i];
 
-      // Get jumps for this segment
-      const segJumps = jumps.filter(j => j.segIndex === i - 1);
+      // Get jumps for this segment, in travel order
+      const segJumps = jumps.filter(j => j.segIndex === i - 1).sort((a, b) => a.t - b.t);
 
       if (segJumps.length === 0) {
         d += ` L ${curr.x} ${curr.y}`;
         continue;
       }
 
-      const isHoriz = Math.abs(curr.y - prev.y) < 0.5;
+      const len = Math.hypot(curr.x - prev.x, curr.y - prev.y);
+      const ux = (curr.x - prev.x) / len;
+      const uy = (curr.y - prev.y) / len;
+      // Sweep 0 bulges toward (-uy, ux)
+      const sweep = ux - uy > 0 || (ux === uy && ux > 0) ? 0 : 1;
 
-      if (isHoriz) {
-        const goingRight = curr.x > prev.x;
-        segJumps.sort((a, b) => goingRight ? a.x - b.x : b.x - a.x);
-        for (const j of segJumps) {
-          const sign = goingRight ? 1 : -1;
-          d += ` L ${j.x - R * sign} ${j.y}`;
-          // Semicircle arc jumping over the crossing wire
-          d += ` A ${R} ${R} 0 0 ${goingRight ? 0 : 1} ${j.x + R * sign} ${j.y}`;
-        }
-      } else {
-        const goingDown = curr.y > prev.y;
-        segJumps.sort((a, b) => goingDown ? a.y - b.y : b.y - a.y);
-        for (const j of segJumps) {
-          const sign = goingDown ? 1 : -1;
-          d += ` L ${j.x} ${j.y - R * sign}`;
-          d += ` A ${R} ${R} 0 0 ${goingDown ? 1 : 0} ${j.x} ${j.y + R * sign}`;
-        }
+      for (const j of segJumps) {
+        d += ` L ${j.x - R * ux} ${j.y - R * uy}`;
+        // Semicircle arc jumping over the crossing wire
+        d += ` A ${R} ${R} 0 0 ${sweep} ${j.x + R * ux} ${j.y + R * uy}`;
       }
       d += ` L ${curr.x} ${curr.y}`;
     }
     return d;
   }
 
-  /** Recalculate and render jump arcs for ALL connections */
+  /** Recalculate and render jump arcs for all mounted connections.
+   *  Every segment is filed in a spatial index, so each segment is only
+   *  tested against the segments sharing its cells. Culled wires are
+   *  skipped — their arcs are redrawn once they are mounted again. */
   _applyAllJumps() {
-    // 1. Parse base paths into point arrays
+    // 1. Collect base paths and index their segments
     const entries = [];
+    const index = new SpatialIndex(INDEX_CELL);
     for (const conn of this.connections.values()) {
-      const d = conn._basePathD;
-      if (!d) continue;
-      const pts = this._parsePathPoints(d);
-      conn._pathPoints = pts;
-      entries.push({ conn, pts });
+      const view = this._views.get(conn.id);
+      if (!view?.basePathD || !view.group.isConnected || this.isHidden(conn)) continue;
+      const pts = view.pathPoints || this._parsePathPoints(view.basePathD);
+      entries.push({ conn, view, pts });
+      for (let i = 1; i < pts.length; i++) {
+        index.insert({ conn, smooth: view.smooth, a: pts[i - 1], b: pts[i] }, segmentRect(pts[i - 1], pts[i]));
+      }
     }
+    this._segmentIndex = index;
 
-    // 2. For each connection, find crossings with all unconnected wires
-    for (const { conn, pts } of entries) {
+    // 2. For each connection, find crossings with nearby segments of other wires
+    for (const { conn, view, pts } of entries) {
+      if (view.smooth) continue; // curves are jumped over, they draw no arcs
       const allJumps = [];
 
-      for (const { conn: other, pts: otherPts } of entries) {
-        if (other.id === conn.id) continue;
-
-        const crossings = this._findSegmentCrossings(pts, otherPts);
-        allJumps.push(...crossings);
+      for (let i = 1; i < pts.length; i++) {
+        const segment = [pts[i - 1], pts[i]];
+        index.query(segmentRect(pts[i - 1], pts[i])).forEach(other => {
+          if (other.conn.id === conn.id) return;
+          this._findSegmentCrossings(segment, [other.a, other.b], other.smooth ? 0 : undefined)
+            .forEach(c => allJumps.push({ ...c, segIndex: i - 1 }));
+        });
       }
 
-      if (allJumps.length > 0) {
-        const jumpPath = this._buildPathWithJumps(pts, allJumps);
-        if (jumpPath) {
-          conn.pathEl.setAttribute('d', jumpPath);
-          // Hit area keeps the base path for reliable click detection
-        }
-      } else {
-        // Reset to base path (remove any stale jumps)
-        conn.pathEl.setAttribute('d', conn._basePathD);
-      }
+      // Only touch the DOM when the drawn path changes
+      const d = (allJumps.length > 0 && this._buildPathWithJumps(pts, allJumps)) || view.basePathD;
+      if (view.pathEl.getAttribute('d') !== d) view.pathEl.setAttribute('d', d);
+      // Hit area keeps the base path for reliable click detection
     }
   }
 
+  // ── Bend Points ───────────────────────────────────────────────────
+
+  /** Draw drag handles on the selected wire: its bend points, and a "+" between each pair of points */
+  _renderHandles(conn) {
+    const view = this._views.get(conn.id);
+    this._clearHandles(conn.id);
+    const sp = this.nodeManager.getPortPosition(conn.sourceId, conn.sourcePort);
+    const tp = this.nodeManager.getPortPosition(conn.targetId, conn.targetPort);
+    if (!view || !sp || !tp || !view.pathPoints) return;
+
+    const waypoints = this._bend?.connId === conn.id ? this._bend.waypoints : conn.waypoints;
+    const handlesEl = document.createElementNS(SVG_NS, 'g');
+    handlesEl.classList.add('connection-handles');
+    insertHandlePositions(view.pathPoints, [sp, ...waypoints, tp]).forEach((p, i) => {
+      handlesEl.appendChild(this._createHandle(conn.id, p, i, true));
+    });
+    waypoints.forEach((p, i) => handlesEl.appendChild(this._createHandle(conn.id, p, i, false)));
+    view.group.appendChild(handlesEl);
+    view.handlesEl = handlesEl;
+  }
+
+  _clearHandles(connId) {
+    const view = this._views.get(connId);
+    view?.handlesEl?.remove();
+    if (view) view.handlesEl = null;
+  }
+
+  /** A bend-point handle; dragging an insert handle ("+") adds a bend point there */
+  _createHandle(connId, point, index, insert) {
+    const handle = document.createElementNS(SVG_NS, 'circle');
+    handle.classList.add(insert ? 'connection-bend-add' : 'connection-bend');
+    handle.setAttribute('cx', point.x);
+    handle.setAttribute('cy', point.y);
+    handle.setAttribute('r', insert ? '4' : '5');
+    handle.dataset.index = index;
+    const onDown = (e) => {
+      if (e.button !== 0) return;
+      e.stopPropagation();
+      e.preventDefault();
+      const waypoints = this.connections.get(connId).waypoints.map(p => ({ ...p }));
+      if (insert) waypoints.splice(index, 0, { x: Math.round(point.x), y: Math.round(point.y) });
+      this._bend = { connId, index, waypoints, moved: insert };
+    };
+    handle.addEventListener('mousedown', onDown);
+    handle.addEventListener('pointerdown', touchOnly(onDown));
+    return handle;
+  }
+
+  /** Double-click on a bend point removes it; on a "+" it is ignored. True when handled. */
+  _handleBendDblClick(e, group) {
+    if (!e.target.closest('.connection-handles')) return false;
+    const bend = e.target.closest('.connection-bend');
+    const conn = this.connections.get(group.dataset.connectionId);
+    if (bend && conn) {
+      const index = Number(bend.dataset.index);
+      this._command('connection.setWaypoints', {
+        connId: conn.id, waypoints: conn.waypoints.filter((_, i) => i !== index),
+      });
+    }
+    return true;
+  }
+
   /** Auto-detect the best port on the target node based on relative position to the source node */
   _findBestPort(sourceNodeId, targetNodeId) {
     const src = this.nodeManager.getNode(sourceNodeId);
@@ -767,12 +1106,12 @@ export class ConnectionManager {
     if (!src || !tgt) return 'left';
 
     // Get node centers
-    const srcEl = src.el;
-    const tgtEl = tgt.el;
-    const srcCx = src.x + srcEl.offsetWidth / 2;
-    const srcCy = src.y + srcEl.offsetHeight / 2;
-    const tgtCx = tgt.x + tgtEl.offsetWidth / 2;
-    const tgtCy = tgt.y + tgtEl.offsetHeight / 2;
+    const srcSize = this.model.getNodeSize(src);
+    const tgtSize = this.model.getNodeSize(tgt);
+    const srcCx = src.x + srcSize.width / 2;
+    const srcCy = src.y + srcSize.height / 2;
+    const tgtCx = tgt.x + tgtSize.width / 2;
+    const tgtCy = tgt.y + tgtSize.height / 2;
 
     const dx = srcCx - tgtCx; // positive = source is to the right
     const dy = srcCy - tgtCy; // positive = source is below
@@ -788,10 +1127,11 @@ export class ConnectionManager {
     this.deselectConnection();
     const conn = this.connections.get(id);
     if (conn) {
-      conn.group.classList.add('selected');
+      this._views.get(id).group.classList.add('selected');
       this.selectedConnection = id;
+      this._renderHandles(conn);
       // Switch arrowhead to magenta when selected
-      if (conn.directed !== 'none') this._applyArrow(conn);
+      this._applyArrow(conn);
       // Also deselect any nodes
       this.nodeManager.deselectAll();
       this.bus.emit('connection:selected', conn);
@@ -802,27 +1142,52 @@ export class ConnectionManager {
     if (this.selectedConnection) {
       const conn = this.connections.get(this.selectedConnection);
       if (conn) {
-        conn.group.classList.remove('selected');
+        this._views.get(conn.id).group.classList.remove('selected');
+        this._clearHandles(conn.id);
         // Switch arrowhead back to cyan
-        if (conn.directed !== 'none') this._applyArrow(conn);
+        this._applyArrow(conn);
       }
       this.selectedConnection = null;
     }
   }
 
   deleteConnection(id) {
-    const conn = this.connections.get(id);
-    if (!conn) return;
-    conn.group.remove();
-    this.connections.delete(id);
+    if (!this.connections.has(id)) return;
+    this._views.get(id)?.group.remove();
+    this._views.delete(id);
+    this.model.removeConnection(id);
     if (this.selectedConnection === id) this.selectedConnection = null;
     this.bus.emit('connection:deleted', { id });
   }
 
+  /**
+   * Apply a set of serialized fields to an existing connection
+   * (used by undo/redo). Endpoint changes re-create the wire under the same id.
+   */
+  updateConnection(id, fields) {
+    const conn = this.connections.get(id);
+    if (!conn) return;
+    const current = this.serialize().find(c => c.id === id);
+    const next = { ...current, ...fields };
+    const endpointsChanged = ['sourceId', 'sourcePort', 'targetId', 'targetPort']
+      .some(key => next[key] !== current[key]);
+
+    if (endpointsChanged) {
+      this.deleteConnection(id);
+      this.createConnection(next.sourceId, next.sourcePort, next.targetId, next.targetPort, { ...next, id });
+      return;
+    }
+    this.model.updateConnection(id, {
+      directed: next.directed, type: next.type, label: next.label, routing: next.routing, waypoints: next.waypoints,
+    });
+    this._applyType(conn);
+    this._renderConnection(conn);
+    this.bus.emit('connection:updated', conn);
+  }
+
   deleteSelectedConnection() {
     if (this.selectedConnection) {
-      this.deleteConnection(this.selectedConnection);
-      this.bus.emit('state:changed');
+      this._command('connection.delete', { connId: this.selectedConnection });
     }
   }
 
@@ -838,13 +1203,7 @@ export class ConnectionManager {
 
   /** Get all connections attached to a node */
   getConnectionsForNode(nodeId) {
-    const result = [];
-    this.connections.forEach(conn => {
-      if (conn.sourceId === nodeId || conn.targetId === nodeId) {
-        result.push(conn);
-      }
-    });
-    return result;
+    return this.model.getConnectionsForNode(nodeId);
   }
 
   /** Disconnect all connections from a specific node */
@@ -862,8 +1221,9 @@ export class ConnectionManager {
     for (const conn of this.connections.values()) {
       // Don't match wires already attached to this node
       if (excludeNodeId && (conn.sourceId === excludeNodeId || conn.targetId === excludeNodeId)) continue;
+      if (this.isHidden(conn)) continue;
       try {
-        if (conn.hitArea.isPointInStroke(point)) {
+        if (this._views.get(conn.id)?.hitArea.isPointInStroke(point)) {
           return conn;
         }
       } catch (_) {
@@ -874,12 +1234,13 @@ export class ConnectionManager {
   }
 
   /** Splice a node into an existing connection — replaces one wire with two.
-   *  source ──wire──> target  becomes  source ──> node ──> target */
+   *  source ──wire──> target  becomes  source ──> node ──> target
+   *  Returns the two new connections, or false if the wire doesn't exist. */
   spliceNodeIntoConnection(connId, nodeId) {
     const conn = this.connections.get(connId);
     if (!conn) return false;
 
-    const { sourceId, sourcePort, targetId, targetPort, directed } = conn;
+    const { sourceId, sourcePort, targetId, targetPort, directed, type, routing } = conn;
 
     // Determine which ports on the spliced node face the source and target
     const inPort = this._findBestPort(sourceId, nodeId);   // port on nodeId facing source
@@ -892,13 +1253,13 @@ export class ConnectionManager {
     this.deleteConnection(connId);
 
     // Create source → new node
-    this.createConnection(sourceId, sourcePort, nodeId, inPort, { directed });
+    const first = this.createConnection(sourceId, sourcePort, nodeId, inPort, { directed, type, routing });
 
     // Create new node → target
-    this.createConnection(nodeId, usedOutPort, targetId, targetPort, { directed });
+    const second = this.createConnection(nodeId, usedOutPort, targetId, targetPort, { directed, type, routing });
 
     this.bus.emit('state:changed');
-    return true;
+    return [first, second];
   }
 
   /** Highlight a connection as a splice target during node drag */
@@ -908,7 +1269,7 @@ export class ConnectionManager {
 
     const conn = this.findConnectionAtPoint(worldX, worldY, excludeNodeId);
     if (conn) {
-      conn.group.classList.add('splice-target');
+      this._views.get(conn.id).group.classList.add('splice-target');
       this._spliceHighlight = conn.id;
     }
     return conn;
@@ -917,43 +1278,33 @@ export class ConnectionManager {
   /** Remove splice highlight */
   clearSpliceHighlight() {
     if (this._spliceHighlight) {
-      const conn = this.connections.get(this._spliceHighlight);
-      if (conn) conn.group.classList.remove('splice-target');
+      this._views.get(this._spliceHighlight)?.group.classList.remove('splice-target');
       this._spliceHighlight = null;
     }
   }
 
   _connectionExists(srcId, srcPort, tgtId, tgtPort) {
-    for (const conn of this.connections.values()) {
-      if (
-        (conn.sourceId === srcId && conn.sourcePort === srcPort && conn.targetId === tgtId && conn.targetPort === tgtPort) ||
-        (conn.sourceId === tgtId && conn.sourcePort === tgtPort && conn.targetId === srcId && conn.targetPort === srcPort)
-      ) {
-        return true;
-      }
-    }
-    return false;
+    return this.model.hasConnection(srcId, srcPort, tgtId, tgtPort);
   }
 
   serialize() {
-    const arr = [];
-    this.connections.forEach(c => {
-      arr.push({ id: c.id, sourceId: c.sourceId, sourcePort: c.sourcePort, targetId: c.targetId, targetPort: c.targetPort, directed: c.directed || 'none' });
-    });
-    return arr;
+    return this.model.serializeConnections();
   }
 
   deserialize(data) {
     // Clear existing
-    this.connections.forEach(c => c.group.remove());
+    this._views.forEach(v => v.group.remove());
+    this._views.clear();
     this.connections.clear();
     this.selectedConnection = null;
+    // Route only what is (about to be) on screen; state:loaded re-culls
+    this._cullRect = this.nodeManager.visibleWorldRect();
 
     if (!data) return;
     data.forEach(d => {
       // Only create if both nodes exist
       if (this.nodeManager.getNode(d.sourceId) && this.nodeManager.getNode(d.targetId)) {
-        this.createConnection(d.sourceId, d.sourcePort, d.targetId, d.targetPort, { id: d.id, directed: d.directed || 'none' });
+        this.createConnection(d.sourceId, d.sourcePort, d.targetId, d.targetPort, { ...d, directed: d.directed || 'none' });
       }
     });
   }
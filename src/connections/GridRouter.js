@@ -0,0 +1,204 @@
+/**
+ * GridRouter — A* orthogonal wire routing around node rectangles.
+ *
+ * Builds a sparse orthogonal visibility grid for one wire: the x / y lines
+ * through its two port stubs, the midway channel between them, and the edges
+ * of every obstacle near them. Grid points inside an obstacle are dropped, as
+ * are grid steps that would cut through one. A* then searches the grid
+ * scoring path length plus a penalty per bend, so wires take the shortest
+ * route with the fewest turns and never pass through a node.
+ *
+ * Obstacles are asked for by window (ConnectionManager answers from a
+ * SpatialIndex), so a wire only sees the nodes around it, however large the
+ * map. When no route is found in the local window it is widened once before
+ * giving up, and the caller falls back to the plain route.
+ */
+
+/** Cost of one turn, in world units of wire length */
+export const BEND_PENALTY = 40;
+
+const WINDOW_PAD = 120;     // search window beyond the stubs' bounding box
+const MAX_EXPANSIONS = 20000;
+
+// Headings: 0 right, 1 down, 2 left, 3 up
+const STEPS = [{ dx: 1, dy: 0 }, { dx: 0, dy: 1 }, { dx: -1, dy: 0 }, { dx: 0, dy: -1 }];
+
+/** Heading of a unit direction vector */
+export function headingOf(dir) {
+  if (dir.dx > 0) return 0;
+  if (dir.dy > 0) return 1;
+  if (dir.dx < 0) return 2;
+  return 3;
+}
+
+/**
+ * Route between two port stubs around the obstacles.
+ *
+ * @param {{x: number, y: number}} from - Start stub
+ * @param {number} fromHeading - Heading the wire leaves the start stub in
+ * @param {{x: number, y: number}} to - End stub
+ * @param {number} toHeading - Heading the wire should arrive at the end stub in
+ * @param {(rect: object) => object[]} obstaclesIn - Obstacle rects overlapping a window
+ * @returns {{x: number, y: number}[] | null} Corner points from `from` to `to`, or null
+ */
+export function routeAround(from, fromHeading, to, toHeading, obstaclesIn) {
+  for (const pad of [WINDOW_PAD, WINDOW_PAD * 4]) {
+    const window = {
+      left: Math.min(from.x, to.x) - pad,
+      top: Math.min(from.y, to.y) - pad,
+      right: Math.max(from.x, to.x) + pad,
+      bottom: Math.max(from.y, to.y) + pad,
+    };
+    const path = search(from, fromHeading, to, toHeading, obstaclesIn(window), window);
+    if (path) return path;
+  }
+  return null;
+}
+
+// ─── Grid ────────────────────────────────────────────────────────────
+
+function buildGrid(from, to, obstacles, window) {
+  const xs = new Set([from.x, to.x, (from.x + to.x) / 2, window.left, window.right]);
+  const ys = new Set([from.y, to.y, (from.y + to.y) / 2, window.top, window.bottom]);
+  obstacles.forEach(o => {
+    if (o.left > window.left && o.left < window.right) xs.add(o.left);
+    if (o.right > window.left && o.right < window.right) xs.add(o.right);
+    if (o.top > window.top && o.top < window.bottom) ys.add(o.top);
+    if (o.bottom > window.top && o.bottom < window.bottom) ys.add(o.bottom);
+  });
+  return {
+    xs: [...xs].sort((a, b) => a - b),
+    ys: [...ys].sort((a, b) => a - b),
+  };
+}
+
+function inside(x, y, obstacles) {
+  return obstacles.some(o => x > o.left && x < o.right && y > o.top && y < o.bottom);
+}
+
+// ─── Search ──────────────────────────────────────────────────────────
+
+function search(from, fromHeading, to, toHeading, obstacles, window) {
+  const { xs, ys } = buildGrid(from, to, obstacles, window);
+  const W = xs.length;
+  const startIdx = ys.indexOf(from.y) * W + xs.indexOf(from.x);
+  const goalIdx = ys.indexOf(to.y) * W + xs.indexOf(to.x);
+
+  // Grid points are tested lazily: most of the grid is never reached
+  const blockedCache = new Map();
+  const blocked = idx => {
+    if (idx === startIdx || idx === goalIdx) return false;
+    if (!blockedCache.has(idx)) {
+      blockedCache.set(idx, inside(xs[idx % W], ys[Math.floor(idx / W)], obstacles));
+    }
+    return blockedCache.get(idx);
+  };
+
+  const h = idx => Math.abs(xs[idx % W] - to.x) + Math.abs(ys[Math.floor(idx / W)] - to.y);
+
+  // State = grid point × heading arrived in
+  const best = new Map();
+  const parent = new Map();
+  const open = new MinHeap();
+  const startState = startIdx * 4 + fromHeading;
+  best.set(startState, 0);
+  open.push({ state: startState, g: 0 }, h(startIdx));
+
+  let expansions = 0;
+  while (open.size > 0) {
+    const { state, g } = open.pop().item;
+    if (g > best.get(state)) continue; // superseded by a cheaper push
+    const idx = state >> 2;
+    const heading = state & 3;
+
+    if (idx === goalIdx) return tracePath(state, parent, xs, ys, W);
+    if (++expansions > MAX_EXPANSIONS) return null;
+
+    const col = idx % W;
+    const row = Math.floor(idx / W);
+    for (let dir = 0; dir < 4; dir++) {
+      if (dir === ((heading + 2) & 3)) continue; // no U-turns
+      const c = col + STEPS[dir].dx;
+      const r = row + STEPS[dir].dy;
+      if (c < 0 || c >= W || r < 0 || r >= ys.length) continue;
+      const next = r * W + c;
+      if (blocked(next)) continue;
+
+      // Grid lines run along every obstacle edge, so a step is either
+      // wholly inside an obstacle or clear of it — test its midpoint
+      const mx = (xs[col] + xs[c]) / 2;
+      const my = (ys[row] + ys[r]) / 2;
+      if (idx !== startIdx && next !== goalIdx && inside(mx, my, obstacles)) continue;
+
+      const cost = g + Math.abs(xs[c] - xs[col]) + Math.abs(ys[r] - ys[row])
+        + (dir === heading ? 0 : BEND_PENALTY);
+      const nextState = next * 4 + dir;
+      if (cost >= (best.get(nextState) ?? Infinity)) continue;
+      best.set(nextState, cost);
+      parent.set(nextState, state);
+      const arrival = next === goalIdx && dir !== toHeading ? BEND_PENALTY : 0;
+      open.push({ state: nextState, g: cost }, cost + h(next) + arrival);
+    }
+  }
+  return null;
+}
+
+/** Walk back from the goal, keeping only the corners */
+function tracePath(state, parent, xs, ys, W) {
+  const cells = [];
+  for (let s = state; s !== undefined; s = parent.get(s)) cells.push(s >> 2);
+  cells.reverse();
+
+  const points = cells.map(idx => ({ x: xs[idx % W], y: ys[Math.floor(idx / W)] }));
+  return points.filter((p, i) => {
+    if (i === 0 || i === points.length - 1) return true;
+    const a = points[i - 1];
+    const b = points[i + 1];
+    return !((a.x === p.x && p.x === b.x) || (a.y === p.y && p.y === b.y));
+  });
+}
+
+// ─── Priority Queue ──────────────────────────────────────────────────
+
+class MinHeap {
+  constructor() {
+    this._items = [];
+  }
+
+  get size() {
+    return this._items.length;
+  }
+
+  push(item, priority) {
+    const items = this._items;
+    items.push({ item, priority });
+    let i = items.length - 1;
+    while (i > 0) {
+      const up = (i - 1) >> 1;
+      if (items[up].priority <= items[i].priority) break;
+      [items[up], items[i]] = [items[i], items[up]];
+      i = up;
+    }
+  }
+
+  pop() {
+    const items = this._items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = 2 * i + 1;
+        const r = l + 1;
+        let min = i;
+        if (l < items.length && items[l].priority < items[min].priority) min = l;
+        if (r < items.length && items[r].priority < items[min].priority) min = r;
+        if (min === i) break;
+        [items[min], items[i]] = [items[i], items[min]];
+        i = min;
+      }
+    }
+    return top;
+  }
+}
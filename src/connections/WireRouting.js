@@ -0,0 +1,154 @@
+/**
+ * WireRouting — Route geometry for wires the automatic orthogonal router
+ * does not draw: straight and curved (bezier) wires, and wires bent through
+ * manual waypoints.
+ *
+ * Every builder returns { d, points }: the SVG path, and the path as a
+ * polyline (the exact corners of straight / orthogonal routes, samples
+ * along curves) that jump arcs and label placement work from.
+ */
+
+/** Distance a wire runs straight out of its port before turning */
+export const PORT_OFFSET = 30;
+
+const CURVE_SAMPLES = 16; // polyline samples per bezier segment
+
+/** Outward direction vector of a port */
+export function portDirection(port) {
+  switch (port) {
+    case 'top':    return { dx: 0, dy: -1 };
+    case 'bottom': return { dx: 0, dy: 1 };
+    case 'left':   return { dx: -1, dy: 0 };
+    case 'right':  return { dx: 1, dy: 0 };
+    default:       return { dx: 0, dy: -1 };
+  }
+}
+
+/** M/L path through the points */
+export function pointsToPath(points) {
+  return points.map((p, i) => `${i === 0 ? 'M' : 'L'} ${p.x} ${p.y}`).join(' ');
+}
+
+// ─── Routes ──────────────────────────────────────────────────────────
+
+/** Straight segments from port to port through the waypoints */
+export function straightRoute(start, waypoints, end) {
+  const points = dedupe([start, ...waypoints, end]);
+  return { d: pointsToPath(points), points };
+}
+
+/**
+ * Axis-aligned route through the waypoints: a stub out of each port, then
+ * one elbow between consecutive points, carrying on in the current heading
+ * before turning.
+ */
+export function orthogonalRoute(start, startPort, waypoints, end, endPort) {
+  const d1 = portDirection(startPort);
+  const d2 = portDirection(endPort);
+  const stub1 = { x: start.x + d1.dx * PORT_OFFSET, y: start.y + d1.dy * PORT_OFFSET };
+  const stub2 = { x: end.x + d2.dx * PORT_OFFSET, y: end.y + d2.dy * PORT_OFFSET };
+
+  const points = [start, stub1];
+  let vertical = d1.dy !== 0;
+  [...waypoints, stub2].forEach(target => {
+    const from = points[points.length - 1];
+    if (from.x !== target.x && from.y !== target.y) {
+      points.push(vertical ? { x: from.x, y: target.y } : { x: target.x, y: from.y });
+      vertical = !vertical;
+    } else if (from.x !== target.x || from.y !== target.y) {
+      vertical = from.x === target.x;
+    }
+    points.push(target);
+  });
+  points.push(end);
+
+  const clean = dedupe(points);
+  return { d: pointsToPath(clean), points: clean };
+}
+
+/**
+ * Smooth bezier from port to port through the waypoints (Catmull-Rom
+ * tangents inside, port directions at the ends).
+ */
+export function curvedRoute(start, startPort, waypoints, end, endPort) {
+  const pts = dedupe([start, ...waypoints, end]);
+  const n = pts.length - 1;
+  if (n < 1) return { d: pointsToPath(pts), points: pts };
+
+  const d1 = portDirection(startPort);
+  const d2 = portDirection(endPort);
+  const reach = (a, b) => Math.min(150, Math.max(40, Math.hypot(b.x - a.x, b.y - a.y) / 2));
+
+  // Control-point offsets at each point
+  const handles = pts.map((p, i) => {
+    if (i === 0) {
+      const r = reach(pts[0], pts[1]);
+      return { x: d1.dx * r, y: d1.dy * r };
+    }
+    if (i === n) {
+      const r = reach(pts[n - 1], pts[n]);
+      return { x: -d2.dx * r, y: -d2.dy * r };
+    }
+    return { x: (pts[i + 1].x - pts[i - 1].x) / 6, y: (pts[i + 1].y - pts[i - 1].y) / 6 };
+  });
+
+  let d = `M ${pts[0].x} ${pts[0].y}`;
+  const points = [pts[0]];
+  for (let i = 0; i < n; i++) {
+    const p0 = pts[i];
+    const p3 = pts[i + 1];
+    const c1 = { x: p0.x + handles[i].x, y: p0.y + handles[i].y };
+    const c2 = { x: p3.x - handles[i + 1].x, y: p3.y - handles[i + 1].y };
+    d += ` C ${c1.x} ${c1.y} ${c2.x} ${c2.y} ${p3.x} ${p3.y}`;
+    for (let s = 1; s <= CURVE_SAMPLES; s++) points.push(bezierPoint(p0, c1, c2, p3, s / CURVE_SAMPLES));
+  }
+  return { d, points };
+}
+
+function bezierPoint(p0, c1, c2, p3, t) {
+  const u = 1 - t;
+  const a = u * u * u, b = 3 * u * u * t, c = 3 * u * t * t, e = t * t * t;
+  return {
+    x: a * p0.x + b * c1.x + c * c2.x + e * p3.x,
+    y: a * p0.y + b * c1.y + c * c2.y + e * p3.y,
+  };
+}
+
+function dedupe(points) {
+  return points.filter((p, i) => i === 0 || p.x !== points[i - 1].x || p.y !== points[i - 1].y);
+}
+
+// ─── Editing ─────────────────────────────────────────────────────────
+
+/**
+ * Where a new bend point between anchors i and i + 1 (start, waypoints…, end)
+ * is offered: the point of the route nearest the middle of the two.
+ */
+export function insertHandlePositions(points, anchors) {
+  const handles = [];
+  for (let i = 0; i < anchors.length - 1; i++) {
+    const mid = { x: (anchors[i].x + anchors[i + 1].x) / 2, y: (anchors[i].y + anchors[i + 1].y) / 2 };
+    handles.push(nearestOnPolyline(points, mid));
+  }
+  return handles;
+}
+
+/** Closest point to p on a polyline */
+export function nearestOnPolyline(points, p) {
+  let best = points[0];
+  let bestDist = Infinity;
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    const lx = b.x - a.x, ly = b.y - a.y;
+    const len2 = lx * lx + ly * ly;
+    const t = len2 === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * lx + (p.y - a.y) * ly) / len2));
+    const q = { x: a.x + lx * t, y: a.y + ly * t };
+    const dist = Math.hypot(q.x - p.x, q.y - p.y);
+    if (dist < bestDist) {
+      best = q;
+      bestDist = dist;
+    }
+  }
+  return best;
+}
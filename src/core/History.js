@@ -1,49 +1,328 @@
 /**
- * History — Undo/redo stack with state snapshots.
+ * History — Undo/redo stack of structural diffs with named transactions.
+ *
+ * Instead of cloning the whole map on every change, History keeps a single
+ * baseline (one JSON string per node / connection / frame / custom node
+ * type / property field) and records each step as a list of patches against it:
+ *
+ *   { kind: 'node' | 'connection' | 'frame' | 'nodeType' | 'property', id, before, after }
+ *
+ * `before === null` is an add, `after === null` is a remove, and an update
+ * only carries the fields that changed. Related mutations can be grouped
+ * into one labeled step with begin(label) / end(state).
+ *
+ * undo()/redo()/jumpTo() return `{ label, patches }` where each patch is an
+ * operation to apply to the canvas:
+ *
+ *   { kind, op: 'add' | 'remove' | 'update', id, data }
  */
+
+/** Patch kind → the state array it is indexed from */
+const KINDS = {
+  node: 'nodes', connection: 'connections', frame: 'frames',
+  nodeType: 'nodeTypes', property: 'propertySchema',
+};
+
 export class History {
   constructor(bus, opts = {}) {
     this.bus = bus;
-    this.maxSize = opts.maxSize || 50;
-    this._stack = [];
+    this.maxSize = opts.maxSize || 100;
+    this._entries = [];
     this._pointer = -1;
     this._paused = false;
+
+    /** @type {Object<string, Map<string,string>>|null} kind → id → JSON */
+    this._base = null;
+
+    // Open transaction (nested begin/end calls share the outermost label)
+    this._txnLabel = null;
+    this._txnDepth = 0;
   }
 
-  /** Push a new state snapshot. Clears any redo history beyond current pointer. */
-  push(state) {
-    if (this._paused) return;
+  /**
+   * Record the difference between `state` and the current baseline as one
+   * history step. The first call only establishes the baseline.
+   * @param {{nodes: object[], connections: object[], frames?: object[], nodeTypes?: object[], propertySchema?: object[]}} state
+   * @param {string} [label] - Step name; derived from the patches if omitted
+   * @returns {boolean} true when a step was recorded
+   */
+  push(state, label) {
+    if (this._paused || this._txnDepth > 0) return false;
+
+    const next = this._index(state);
+    if (!this._base) {
+      this._base = next;
+      this._emit();
+      return false;
+    }
+
+    const patches = this._diff(this._base, next);
+    this._base = next;
+    if (patches.length === 0) return false;
+
     // Remove everything after current pointer
-    this._stack = this._stack.slice(0, this._pointer + 1);
-    this._stack.push(JSON.parse(JSON.stringify(state)));
-    if (this._stack.length > this.maxSize) this._stack.shift();
-    this._pointer = this._stack.length - 1;
-    this.bus.emit('history:changed', this.status());
+    this._entries = this._entries.slice(0, this._pointer + 1);
+    this._entries.push({
+      label: label || this._describe(patches),
+      timestamp: Date.now(),
+      patches,
+    });
+    if (this._entries.length > this.maxSize) this._entries.shift();
+    this._pointer = this._entries.length - 1;
+    this._emit();
+    return true;
+  }
+
+  /** Drop all steps and use `state` as the new baseline (e.g. after loading a file). */
+  reset(state) {
+    this._entries = [];
+    this._pointer = -1;
+    this._base = state ? this._index(state) : null;
+    this._txnLabel = null;
+    this._txnDepth = 0;
+    this._emit();
+  }
+
+  // ─── Transactions ──────────────────────────────────────────────────
+
+  /**
+   * Open a named transaction. Pushes are held back until the matching
+   * end() so every mutation in between becomes a single step.
+   * @param {string} label - e.g. "Clean layout", "Implement 6 recommendations"
+   */
+  begin(label) {
+    if (this._txnDepth === 0) this._txnLabel = label;
+    this._txnDepth++;
+  }
+
+  /**
+   * Close the current transaction and record it against `state`.
+   * Inner end() calls of a nested transaction are no-ops.
+   */
+  end(state) {
+    if (this._txnDepth === 0) return;
+    this._txnDepth--;
+    if (this._txnDepth > 0) return;
+    const label = this._txnLabel;
+    this._txnLabel = null;
+    this.push(state, label);
+  }
+
+  get inTransaction() {
+    return this._txnDepth > 0;
   }
 
+  // ─── Navigation ────────────────────────────────────────────────────
+
   undo() {
     if (!this.canUndo()) return null;
+    const entry = this._entries[this._pointer];
     this._pointer--;
-    const state = JSON.parse(JSON.stringify(this._stack[this._pointer]));
-    this.bus.emit('history:changed', this.status());
-    return state;
+    const patches = this._apply(entry.patches, true);
+    this._emit();
+    return { label: entry.label, patches };
   }
 
   redo() {
     if (!this.canRedo()) return null;
     this._pointer++;
-    const state = JSON.parse(JSON.stringify(this._stack[this._pointer]));
-    this.bus.emit('history:changed', this.status());
-    return state;
+    const entry = this._entries[this._pointer];
+    const patches = this._apply(entry.patches, false);
+    this._emit();
+    return { label: entry.label, patches };
   }
 
-  canUndo() { return this._pointer > 0; }
-  canRedo() { return this._pointer < this._stack.length - 1; }
+  /**
+   * Move to any step in list(). Index -1 is the state before the first step.
+   * Returns the patches in the order they must be applied.
+   */
+  jumpTo(index) {
+    if (index < -1 || index >= this._entries.length || index === this._pointer) return null;
+    const patches = [];
+    while (this._pointer > index) {
+      const entry = this._entries[this._pointer--];
+      patches.push(...this._apply(entry.patches, true));
+    }
+    while (this._pointer < index) {
+      const entry = this._entries[++this._pointer];
+      patches.push(...this._apply(entry.patches, false));
+    }
+    this._emit();
+    return { label: index >= 0 ? this._entries[index].label : '', patches };
+  }
+
+  canUndo() { return this._pointer >= 0; }
+  canRedo() { return this._pointer < this._entries.length - 1; }
+
+  /** Labeled steps, oldest first, for rendering a history list. */
+  list() {
+    return this._entries.map((e, index) => ({
+      index,
+      label: e.label,
+      timestamp: e.timestamp,
+      changes: e.patches.length,
+      current: index === this._pointer,
+      undone: index > this._pointer,
+    }));
+  }
 
   status() {
-    return { canUndo: this.canUndo(), canRedo: this.canRedo() };
+    return {
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo(),
+      undoLabel: this.canUndo() ? this._entries[this._pointer].label : null,
+      redoLabel: this.canRedo() ? this._entries[this._pointer + 1].label : null,
+    };
   }
 
   pause() { this._paused = true; }
   resume() { this._paused = false; }
+
+  // ─── Map Levels ────────────────────────────────────────────────────
+
+  /**
+   * Take the steps and baseline aside while another map level (a sub-map)
+   * is edited with a history of its own. The caller resets for the new
+   * level and hands the stash back to restore() on the way out.
+   */
+  stash() {
+    return { entries: this._entries, pointer: this._pointer, base: this._base };
+  }
+
+  restore({ entries, pointer, base }) {
+    this._entries = entries;
+    this._pointer = pointer;
+    this._base = base;
+    this._txnLabel = null;
+    this._txnDepth = 0;
+    this._emit();
+  }
+
+  // ─── Internals ─────────────────────────────────────────────────────
+
+  _emit() {
+    this.bus.emit('history:changed', this.status());
+  }
+
+  /** Index a state as id → JSON string per kind */
+  _index(state) {
+    const index = {};
+    Object.entries(KINDS).forEach(([kind, key]) => {
+      index[kind] = new Map((state[key] || []).map(item => [item.id, JSON.stringify(item)]));
+    });
+    return index;
+  }
+
+  /** Compute add / remove / field-level update patches between two indexes */
+  _diff(prev, next) {
+    const patches = [];
+    Object.keys(KINDS).forEach(kind => {
+      const a = prev[kind];
+      const b = next[kind];
+      a.forEach((json, id) => {
+        if (!b.has(id)) {
+          patches.push({ kind, id, before: json, after: null });
+        } else if (b.get(id) !== json) {
+          const before = JSON.parse(json);
+          const after = JSON.parse(b.get(id));
+          const changedBefore = {};
+          const changedAfter = {};
+          new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+            if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+              changedBefore[key] = before[key] ?? null;
+              changedAfter[key] = after[key] ?? null;
+            }
+          });
+          patches.push({ kind, id, before: JSON.stringify(changedBefore), after: JSON.stringify(changedAfter) });
+        }
+      });
+      b.forEach((json, id) => {
+        if (!a.has(id)) patches.push({ kind, id, before: null, after: json });
+      });
+    });
+    return patches;
+  }
+
+  /**
+   * Apply an entry to the baseline (forwards or inverted) and return the
+   * canvas operations, ordered so connections never outlive their nodes.
+   */
+  _apply(patches, invert) {
+    const ops = patches.map(p => {
+      const from = invert ? p.after : p.before;
+      const to = invert ? p.before : p.after;
+      const map = this._base[p.kind];
+
+      if (from === null) {
+        map.set(p.id, to);
+        return { kind: p.kind, op: 'add', id: p.id, data: JSON.parse(to) };
+      }
+      if (to === null) {
+        map.delete(p.id);
+        return { kind: p.kind, op: 'remove', id: p.id, data: null };
+      }
+      const fields = JSON.parse(to);
+      const current = JSON.parse(map.get(p.id) || '{}');
+      map.set(p.id, JSON.stringify({ ...current, ...fields }));
+      return { kind: p.kind, op: 'update', id: p.id, data: fields };
+    });
+
+    // Types and fields exist before the nodes that use them and outlive them on removal
+    const REMOVE_ORDER = ['connection', 'node', 'frame', 'nodeType', 'property'];
+    const ADD_ORDER = ['nodeType', 'property', 'frame', 'node', 'connection'];
+    const rank = (o) => (o.op === 'remove'
+      ? REMOVE_ORDER.indexOf(o.kind)
+      : REMOVE_ORDER.length + ADD_ORDER.indexOf(o.kind));
+    return ops.sort((a, b) => rank(a) - rank(b));
+  }
+
+  /** Derive a readable step name from its patches */
+  _describe(patches) {
+    const count = (kind, test) => patches.filter(p => p.kind === kind && test(p)).length;
+    const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+    const isAdd = p => p.before === null;
+    const isRemove = p => p.after === null;
+    const isUpdate = p => p.before !== null && p.after !== null;
+
+    const addedNodes = count('node', isAdd);
+    const removedNodes = count('node', isRemove);
+    const addedConns = count('connection', isAdd);
+    const removedConns = count('connection', isRemove);
+    const addedFrames = count('frame', isAdd);
+    const removedFrames = count('frame', isRemove);
+    const addedTypes = count('nodeType', isAdd);
+    const removedTypes = count('nodeType', isRemove);
+    const addedFields = count('property', isAdd);
+    const removedFields = count('property', isRemove);
+
+    if (addedTypes) return `Add ${plural(addedTypes, 'node type')}`;
+    if (removedTypes) return `Delete ${plural(removedTypes, 'node type')}`;
+    if (addedFields) return `Add ${plural(addedFields, 'property field')}`;
+    if (removedFields) return `Delete ${plural(removedFields, 'property field')}`;
+    if (addedFrames) return `Add ${plural(addedFrames, 'frame')}`;
+    if (removedFrames) return `Delete ${plural(removedFrames, 'frame')}`;
+    if (addedNodes) return `Add ${plural(addedNodes, 'node')}`;
+    if (removedNodes) return `Delete ${plural(removedNodes, 'node')}`;
+    if (addedConns && removedConns) return 'Rewire connection';
+    if (addedConns) return `Connect ${plural(addedConns, 'wire')}`;
+    if (removedConns) return `Remove ${plural(removedConns, 'wire')}`;
+
+    const updates = patches.filter(isUpdate);
+    const fields = new Set(updates.flatMap(p => Object.keys(JSON.parse(p.after))));
+    const nodeUpdates = count('node', isUpdate);
+    const frameUpdates = count('frame', isUpdate);
+    if (count('nodeType', isUpdate) && !nodeUpdates && !frameUpdates) return 'Edit node type';
+    if (count('property', isUpdate)) return 'Edit property field';
+    if ((nodeUpdates || frameUpdates) && [...fields].every(f => f === 'x' || f === 'y')) {
+      return frameUpdates ? `Move ${plural(frameUpdates, 'frame')}` : `Move ${plural(nodeUpdates, 'node')}`;
+    }
+    if (fields.size === 1) {
+      const [field] = fields;
+      if (field === 'text') return 'Edit text';
+      if (field === 'properties') return 'Edit properties';
+      return `Set ${field}`;
+    }
+    if (nodeUpdates) return `Edit ${plural(nodeUpdates, 'node')}`;
+    return frameUpdates ? `Edit ${plural(frameUpdates, 'frame')}` : 'Edit connection';
+  }
 }
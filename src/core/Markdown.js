@@ -0,0 +1,43 @@
+/**
+ * Markdown — Renders user-authored markdown (node notes) to safe HTML.
+ *
+ * Uses its own `marked` instance so note rendering never changes the global
+ * options the agent chat relies on. Task-list checkboxes become inert glyphs
+ * because sanitizeHtml() strips <input> elements.
+ */
+
+import { Marked } from 'marked';
+import { sanitizeHtml } from './Sanitize.js';
+
+const notesMarked = new Marked({
+  gfm: true,
+  breaks: true,
+  renderer: {
+    checkbox({ checked }) {
+      return `<span class="md-check${checked ? ' checked' : ''}">${checked ? '☑' : '☐'}</span> `;
+    },
+  },
+});
+
+/**
+ * Render markdown to sanitized HTML, safe for innerHTML.
+ *
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function renderMarkdown(markdown) {
+  if (!markdown) return '';
+  return sanitizeHtml(notesMarked.parse(markdown));
+}
+
+/**
+ * Count task-list items in a markdown body.
+ *
+ * @param {string} markdown
+ * @returns {{done: number, total: number}}
+ */
+export function countChecklist(markdown) {
+  const items = (markdown || '').match(/^\s*[-*+]\s+\[[ xX]\]/gm) || [];
+  const done = items.filter(item => /\[[xX]\]/.test(item)).length;
+  return { done, total: items.length };
+}
@@ -0,0 +1,24 @@
+/**
+ * Pointer — Routes touch input to the canvas's mouse handlers.
+ *
+ * Mouse and pen keep the mouse event handlers (browsers send pens through
+ * them as well). Touch drags send no mouse events, so they arrive as pointer
+ * events and call the same handlers (PointerEvent extends MouseEvent, so
+ * clientX/Y, button and modifier keys read the same). Viewport releases the
+ * implicit touch capture, so `e.target` is whatever is under the finger.
+ * A touch pointerdown is cancelled, so the browser does not follow the tap
+ * with compatibility mouse events that would run the handler a second time
+ * (clicks still fire).
+ *
+ *   el.addEventListener('mousedown', onDown);
+ *   el.addEventListener('pointerdown', touchOnly(onDown));
+ */
+
+/** Wrap a handler so it only runs for touch pointer events */
+export function touchOnly(handler) {
+  return (e) => {
+    if (e.pointerType !== 'touch') return;
+    if (e.type === 'pointerdown') e.preventDefault();
+    handler(e);
+  };
+}
@@ -7,10 +7,27 @@
  * 
  * It reads nodes + connections from the managers and produces a clean
  * data structure organized by node type, with dependency relationships
- * derived from directed connections and topological ordering.
+ * and topological ordering derived from typed connections: only
+ * depends-on and blocks wires order the plan — plain links give the map its
+ * shape (root detection) and relates-to wires are listed as context. Group frames
+ * drawn on the canvas become groups / epics that the prompt generator and
+ * COO plan use as milestones. Project-defined node types are planned as
+ * their built-in base type and listed in a glossary; custom property values
+ * (estimates, owners, acceptance criteria, …) and #tags travel with each entry.
+ *
+ * Sub-maps: the nodes passed in are the top of the project. options.subMap
+ * plans one nested sub-map instead (one sub-system at a time), and
+ * options.flattenSubMaps pulls every sub-map below the planned level into
+ * it; otherwise owners are listed with their node counts only.
  */
 
-import { NODE_TYPES, COMMERCE_NODE_TYPES } from '../nodes/NodeManager.js';
+import {
+  COMMERCE_NODE_TYPES, resolveNodeTypes, normalizePropertyDef, getConnectionType, connectionTypeOf,
+  dependencyEdge,
+} from '../model/NodeSchema.js';
+import { collectTags, selectByTags } from '../model/TagQuery.js';
+import { resolveSubMap, flattenSubMaps, listSubMaps, countSubMapNodes } from '../model/SubMaps.js';
+import { buildDependencyGraph, findDependencyCycles } from '../model/DependencyGraph.js';
 
 /**
  * @typedef {Object} SerializedMindMap
@@ -22,9 +39,28 @@ import { NODE_TYPES, COMMERCE_NODE_TYPES } from '../nodes/NodeManager.js';
  * @property {Object[]} references - Reference/research nodes
  * @property {Object[]} techNotes - Technical note nodes
  * @property {Object[]} general - General/uncategorized nodes
+ *   (every categorized entry carries `spec` — its markdown notes body, or '';
+ *   custom-typed nodes land in their base type's list with `type` = custom id;
+ *   `properties` maps field label → value and `tags` lists its tags, when present;
+ *   owners of a sub-map carry `subMap: {nodeCount}` and nodes pulled up from
+ *   one carry `subsystem`, e.g. 'Payments › Stripe')
  * @property {Object[]} integrations - Commerce/integration nodes (Phase 8)
- * @property {Object[]} dependencies - Connection-based dependency graph
+ * @property {Object[]} dependencies - Typed relationships (depends-on, blocks, relates-to),
+ *   read `from` → `to` as drawn; `blocking` marks the ones that order the plan
  * @property {Object[]} executionOrder - Topologically sorted node sequence
+ *   (each with its `type` and the built-in `base` it is planned as); nodes
+ *   caught in or behind a dependency cycle come last, marked `unordered`
+ * @property {Object[]} cycles - Dependency cycles, each `{ nodes: [{id, text}] }`
+ *   in execution-order direction (the validator rejects maps that have any)
+ * @property {Object[]} groups - Every group frame, outermost first, with its direct members
+ * @property {Object[]} epics - Top-level group frames with all nested members
+ * @property {Object[]} nodeTypes - Glossary of every node type in use
+ * @property {Object} byType - Node type id → entries of that exact type
+ * @property {Object[]} propertySchema - The project's property fields
+ * @property {Object[]} tags - Tags in use with node counts, most used first
+ * @property {Object|null} scope - Set when only the nodes matching a tag expression were serialized
+ * @property {Object|null} subMap - The sub-map planned instead of the main map: { id, path }
+ * @property {Object[]} subMaps - Sub-maps below the planned level, depth-first, and whether they were expanded
  * @property {Object} stats - Summary statistics
  */
 
@@ -36,10 +72,39 @@ import { NODE_TYPES, COMMERCE_NODE_TYPES } from '../nodes/NodeManager.js';
  * @param {object} options - Additional context
  * @param {string} [options.projectName] - User-provided project name
  * @param {string} [options.ceoVision] - User-provided concept description
+ * @param {object[]} [options.frames] - Serialized group frames (GraphModel.serializeFrames())
+ * @param {object[]} [options.nodeTypes] - Project-defined node types (GraphModel.serializeNodeTypes())
+ * @param {object[]} [options.propertySchema] - Property fields (GraphModel.serializePropertySchema())
+ * @param {string} [options.tags] - Tag expression; only matching nodes are planned
+ * @param {string[]} [options.subMap] - Owner node ids down to the sub-map to plan, outermost first
+ * @param {boolean} [options.flattenSubMaps] - Plan the nested sub-maps too
  * @returns {SerializedMindMap}
+ * @throws {Error} on a malformed tag expression or a sub-map path that does not exist
  */
 export function serializeMindMap(nodes, connections, options = {}) {
+  // ─── Pick the part of the project to plan ──────────────────────────
+  let frames = options.frames || [];
+  let subMap = null;
+  if (options.subMap?.length) {
+    const { level, trail } = resolveSubMap({ nodes, connections, frames }, options.subMap);
+    ({ nodes, connections, frames } = level);
+    subMap = { id: trail.at(-1).id, path: trail.map(t => t.text) };
+  }
+  const subMaps = listSubMaps(nodes).map(s => ({ ...s, expanded: !!options.flattenSubMaps }));
+  if (options.flattenSubMaps) {
+    ({ nodes, connections, frames } = flattenSubMaps({ nodes, connections, frames }));
+  }
+  let scope = null;
+  if (options.tags) {
+    const totalNodes = nodes.length;
+    ({ nodes, connections } = selectByTags(nodes, connections, options.tags));
+    scope = { tags: options.tags, totalNodes };
+  }
+
   const nodeMap = new Map(nodes.map(n => [n.id, n]));
+  const groupPaths = _groupPaths(frames);
+  const typeDefs = new Map(resolveNodeTypes(options.nodeTypes || []).map(t => [t.id, t]));
+  const propertySchema = (options.propertySchema || []).filter(f => f?.id).map(normalizePropertyDef);
   
   // ─── Categorize nodes by type ──────────────────────────────────────
   const categories = {
@@ -51,25 +116,47 @@ export function serializeMindMap(nodes, connections, options = {}) {
     general:    [],
   };
 
+  const byType = {};
+
   nodes.forEach(node => {
-    const type = node.nodeType || 'general';
+    // Unknown types (e.g. a deleted custom type) are planned as general
+    const typeDef = typeDefs.get(node.nodeType) || typeDefs.get('general');
     const entry = {
       id: node.id,
       text: (node.text || '').trim(),
-      type,
+      type: typeDef.id,
       priority: node.priority || 'medium',
       assignedAgent: node.assignedAgent || null,
       agentNotes: node.agentNotes || '',
+      // Markdown notes body — the node's detailed spec
+      spec: (node.body || '').trim(),
       shape: node.shape || 'rectangle',
     };
+    const groupPath = groupPaths.get(node.frameId);
+    if (groupPath) entry.group = groupPath.join(' › ');
+    if (typeDef.custom) entry.typeLabel = typeDef.label;
+    const properties = _propertiesOf(node, propertySchema);
+    if (properties) entry.properties = properties;
+    if (node.tags?.length) entry.tags = [...node.tags];
+    if (node.subMap) entry.subMap = { nodeCount: countSubMapNodes(node.subMap) };
+    if (node.subMapPath) entry.subsystem = node.subMapPath.join(' › ');
 
-    if (categories[type]) {
-      categories[type].push(entry);
-    } else {
-      categories.general.push(entry);
-    }
+    (categories[typeDef.base] || categories.general).push(entry);
+    (byType[typeDef.id] ||= []).push(entry);
   });
 
+  const nodeTypes = [...typeDefs.values()]
+    .filter(t => byType[t.id])
+    .map(t => ({
+      id: t.id,
+      label: t.label,
+      icon: t.icon,
+      meaning: t.meaning,
+      base: t.base,
+      custom: t.custom,
+      count: byType[t.id].length,
+    }));
+
   // ─── Extract integration/commerce nodes (Phase 8) ──────────────────
   const integrations = [];
   nodes.forEach(node => {
@@ -98,47 +185,48 @@ export function serializeMindMap(nodes, connections, options = {}) {
     arr.sort((a, b) => (priorityWeight[a.priority] ?? 2) - (priorityWeight[b.priority] ?? 2));
   });
 
-  // ─── Build dependency graph from connections ───────────────────────
+  // ─── Build dependency graph from typed connections ─────────────────
   const dependencies = [];
-  const adjList = new Map(); // nodeId → [dependentNodeIds]
-  const inDegree = new Map();
-
-  nodes.forEach(n => {
-    adjList.set(n.id, []);
-    inDegree.set(n.id, 0);
-  });
+  const { adjList, inDegree } = buildDependencyGraph(nodes, connections); // nodeId → [dependentNodeIds]
+  const hasParent = new Set(); // targets of directed wires of any type
 
   connections.forEach(conn => {
     const from = nodeMap.get(conn.sourceId);
     const to = nodeMap.get(conn.targetId);
     if (!from || !to) return;
 
-    const isDirected = conn.directed === 'forward' || conn.directed === 'both';
+    if (conn.directed === 'forward' || conn.directed === 'both') hasParent.add(to.id);
+    if (conn.directed === 'both') hasParent.add(from.id);
+
+    const relation = getConnectionType(connectionTypeOf(conn));
+    if (!relation.wireLabel) return; // plain link — structure only
 
     dependencies.push({
       from: { id: from.id, text: (from.text || '').trim() },
       to:   { id: to.id, text: (to.text || '').trim() },
-      directed: isDirected,
-      type: isDirected ? 'depends-on' : 'related-to',
+      directed: conn.directed === 'forward' || conn.directed === 'both',
+      type: relation.id,
+      label: conn.label || relation.wireLabel,
+      blocking: !!dependencyEdge(conn),
     });
-
-    if (isDirected) {
-      // Source → Target means Target depends on Source
-      adjList.get(conn.sourceId)?.push(conn.targetId);
-      inDegree.set(conn.targetId, (inDegree.get(conn.targetId) || 0) + 1);
-    }
-
-    if (conn.directed === 'both') {
-      adjList.get(conn.targetId)?.push(conn.sourceId);
-      inDegree.set(conn.sourceId, (inDegree.get(conn.sourceId) || 0) + 1);
-    }
   });
 
   // ─── Topological sort for execution order ──────────────────────────
   const executionOrder = _topoSort(nodes, adjList, inDegree, priorityWeight);
+  const cycles = findDependencyCycles(nodes, connections).map(cycle => ({
+    nodes: cycle.nodeIds.map(id => ({ id, text: (nodeMap.get(id).text || '').trim() })),
+  }));
+  executionOrder.forEach(n => {
+    const typeDef = typeDefs.get(n.type) || typeDefs.get('general');
+    n.type = typeDef.id;
+    n.base = typeDef.base;
+  });
+
+  // ─── Group frames → groups / epics ──────────────────────────────────
+  const { groups, epics } = _buildGroups(frames, groupPaths, nodes, executionOrder, priorityWeight);
 
   // ─── Detect root nodes (no incoming directed connections) ──────────
-  const rootNodes = nodes.filter(n => (inDegree.get(n.id) || 0) === 0 && (n.text || '').trim().length > 0);
+  const rootNodes = nodes.filter(n => !hasParent.has(n.id) && (n.text || '').trim().length > 0);
 
   // ─── Derive project name ───────────────────────────────────────────
   let projectName = options.projectName || '';
@@ -149,12 +237,16 @@ export function serializeMindMap(nodes, connections, options = {}) {
   }
   if (!projectName) projectName = 'Untitled Project';
 
+  const tags = collectTags(nodes);
+
   // ─── Stats ─────────────────────────────────────────────────────────
   const stats = {
     totalNodes: nodes.length,
     totalConnections: connections.length,
     directedConnections: connections.filter(c => c.directed === 'forward' || c.directed === 'both').length,
     undirectedConnections: connections.filter(c => c.directed === 'none' || !c.directed).length,
+    dependencyConnections: dependencies.filter(d => d.blocking).length,
+    cycleCount: cycles.length,
     featureCount: categories.feature.length,
     constraintCount: categories.constraint.length,
     riskCount: categories.risk.length,
@@ -164,6 +256,12 @@ export function serializeMindMap(nodes, connections, options = {}) {
     criticalCount: nodes.filter(n => n.priority === 'critical').length,
     highCount: nodes.filter(n => n.priority === 'high').length,
     integrationCount: integrations.length,
+    groupCount: groups.length,
+    specCount: nodes.filter(n => (n.body || '').trim()).length,
+    customTypeCount: nodeTypes.filter(t => t.custom).length,
+    propertyCount: nodes.filter(n => _propertiesOf(n, propertySchema)).length,
+    tagCount: tags.length,
+    subMapCount: subMaps.length,
   };
 
   return {
@@ -173,11 +271,110 @@ export function serializeMindMap(nodes, connections, options = {}) {
     integrations,
     dependencies,
     executionOrder,
+    cycles,
+    groups,
+    epics,
+    nodeTypes,
+    byType,
+    propertySchema: propertySchema.map(({ id, label, kind, options }) => ({
+      id, label, kind, ...(kind === 'enum' ? { options } : {}),
+    })),
+    tags,
+    scope,
+    subMap,
+    subMaps,
     rootNodes: rootNodes.map(n => ({ id: n.id, text: (n.text || '').trim() })),
     stats,
   };
 }
 
+/**
+ * A node's property values as field label → value, in schema order,
+ * or null when it has none
+ */
+function _propertiesOf(node, schema) {
+  const values = node.properties || {};
+  const entries = schema
+    .filter(f => values[f.id] !== undefined && values[f.id] !== null && values[f.id] !== '')
+    .map(f => [f.label, values[f.id]]);
+  return entries.length ? Object.fromEntries(entries) : null;
+}
+
+/**
+ * Label path of every frame from its outermost ancestor down,
+ * e.g. frame id → ['Auth', 'Login']
+ */
+function _groupPaths(frames) {
+  const byId = new Map(frames.map(f => [f.id, f]));
+  const paths = new Map();
+  const pathOf = (id, seen = new Set()) => {
+    if (paths.has(id)) return paths.get(id);
+    const frame = byId.get(id);
+    if (!frame || seen.has(id)) return [];
+    seen.add(id);
+    const path = [...pathOf(frame.parentId, seen), (frame.label || 'Group').trim()];
+    paths.set(id, path);
+    return path;
+  };
+  frames.forEach(f => pathOf(f.id));
+  return paths;
+}
+
+/**
+ * Flatten frames into groups (depth-first, direct members) and roll the
+ * top-level ones up into epics (all nested members, in execution order).
+ */
+function _buildGroups(frames, groupPaths, nodes, executionOrder, priorityWeight) {
+  const frameOf = new Map(nodes.map(n => [n.id, n.frameId || null]));
+  const childFrames = new Map();
+  frames.forEach(f => {
+    const parent = groupPaths.has(f.parentId) ? f.parentId : null;
+    if (!childFrames.has(parent)) childFrames.set(parent, []);
+    childFrames.get(parent).push(f);
+  });
+
+  const groups = [];
+  const walk = (parentId, depth) => {
+    (childFrames.get(parentId) || []).forEach(frame => {
+      groups.push({
+        id: frame.id,
+        label: groupPaths.get(frame.id).at(-1),
+        parentId,
+        depth,
+        path: groupPaths.get(frame.id),
+        nodes: executionOrder.filter(n => frameOf.get(n.id) === frame.id),
+      });
+      walk(frame.id, depth + 1);
+    });
+  };
+  walk(null, 0);
+
+  // Depth-first order keeps each epic's nested groups contiguous after it
+  const order = new Map(executionOrder.map((n, i) => [n.id, i]));
+  const epics = groups.filter(g => g.depth === 0).map(epic => {
+    const start = groups.indexOf(epic);
+    const end = groups.findIndex((g, i) => i > start && g.depth === 0);
+    const members = groups.slice(start, end === -1 ? undefined : end).flatMap(g =>
+      g === epic ? g.nodes : g.nodes.map(n => ({ ...n, group: g.path.slice(1).join(' › ') }))
+    );
+    members.sort((a, b) => order.get(a.id) - order.get(b.id));
+
+    const priority = members.reduce(
+      (best, n) => (priorityWeight[n.priority] ?? 2) < (priorityWeight[best] ?? 2) ? n.priority : best,
+      'low'
+    );
+    return {
+      id: epic.id,
+      label: epic.label,
+      priority: members.length ? priority : 'medium',
+      subgroups: groups.filter(g => g.parentId === epic.id).map(g => g.label),
+      nodes: members,
+    };
+  });
+
+  return { groups, epics };
+}
+
 /**
  * Kahn's algorithm topological sort with priority-aware tie-breaking
  */
@@ -214,7 +411,8 @@ function _topoSort(nodes, adjList, inDegree, priorityWeight) {
     queue.push(...newReady);
   }
 
-  // Add any remaining nodes not in the sorted list (cycles or disconnected)
+  // Add any remaining nodes not in the sorted list: a dependency cycle
+  // (or a node waiting on one) never reaches in-degree 0
   const sortedIds = new Set(sorted.map(s => s.id));
   nodes.forEach(n => {
     if (!sortedIds.has(n.id)) {
@@ -223,6 +421,7 @@ function _topoSort(nodes, adjList, inDegree, priorityWeight) {
         text: (n.text || '').trim(),
         type: n.nodeType || 'general',
         priority: n.priority || 'medium',
+        unordered: true,
       });
     }
   });
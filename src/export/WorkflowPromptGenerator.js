@@ -11,7 +11,8 @@
  * execute in planning/agent mode with a virtual team.
  */
 
-import { AGENT_ROLES } from '../nodes/NodeManager.js';
+import { AGENT_ROLES } from '../model/NodeSchema.js';
+import { formatTag } from '../model/TagQuery.js';
 import { generateModelRoutingPrompt, MODEL_TIERS } from '../ai/ModelTierConfig.js';
 
 /**
@@ -144,6 +145,12 @@ function _truncateDescription(text) {
   return text.substring(0, MAX_DESCRIPTION_LENGTH).replace(/\s+\S*$/, '') + '…';
 }
 
+/** Truncate the text values of a properties object (numbers pass through) */
+function _truncateValues(properties) {
+  return Object.fromEntries(Object.entries(properties).map(([label, value]) =>
+    [label, typeof value === 'string' ? _truncateDescription(value) : value]));
+}
+
 // ─── Virtual Team Builder ──────────────────────────────────────────────
 // Full roster mirrors AGENT_ROLES in NodeManager.js.
 // Each role carries internal routing hints consumed by the executing agent;
@@ -691,6 +698,24 @@ function _buildProjectContext(data, options = {}) {
     product_name: data.projectName,
   };
 
+  // Tag-scoped prompt — the team should know the rest of the map exists
+  if (data.scope) {
+    context.scope = {
+      tag_expression: data.scope.tags,
+      nodes_in_scope: data.stats.totalNodes,
+      nodes_in_map: data.scope.totalNodes,
+      note: 'Only the nodes matching this tag expression are included. Build just this slice; do not invent the out-of-scope parts.',
+    };
+  }
+
+  // Sub-map prompt — one sub-system of a larger project
+  if (data.subMap) {
+    context.sub_system = {
+      path: data.subMap.path.join(' › '),
+      note: 'This map details one sub-system of a larger project. Build it so it plugs into the rest; do not rebuild the parent map.',
+    };
+  }
+
   if (data.ceoVision) {
     context.ceo_vision = data.ceoVision;
   }
@@ -700,6 +725,9 @@ function _buildProjectContext(data, options = {}) {
     context.features = data.feature.map(f => ({
       name: compact ? _truncateDescription(f.text) : f.text,
       priority: f.priority,
+      ...(f.typeLabel ? { kind: f.typeLabel } : {}),
+      ...(f.tags ? { tags: f.tags.map(formatTag) } : {}),
+      ...(f.subsystem ? { sub_system: f.subsystem } : {}),
       ...(f.agentNotes ? { notes: compact ? _truncateDescription(f.agentNotes) : f.agentNotes } : {}),
     }));
   }
@@ -717,12 +745,61 @@ function _buildProjectContext(data, options = {}) {
     context.technical_notes = data.techNote.map(t => compact ? _truncateDescription(t.text) : t.text);
   }
 
+  // Custom properties — estimates, owners, due dates, acceptance criteria, …
+  const propNodes = _nodesWithProperties(data);
+  if (propNodes.length > 0) {
+    context.node_properties = propNodes.map(n => ({
+      node: compact ? _truncateDescription(n.text) : n.text,
+      type: n.typeLabel || n.type,
+      properties: compact ? _truncateValues(n.properties) : n.properties,
+    }));
+  }
+
+  // Project-defined node types — what the CEO's own vocabulary means
+  const customTypes = (data.nodeTypes || []).filter(t => t.custom);
+  if (customTypes.length > 0) {
+    context.node_types = customTypes.map(t => ({
+      type: t.label,
+      meaning: t.meaning || `Planned as ${t.base}`,
+      planned_as: t.base,
+      count: t.count,
+    }));
+  }
+
+  // Detailed specs — markdown notes bodies, in execution order
+  const specNodes = _nodesWithSpecs(data);
+  if (specNodes.length > 0) {
+    context.node_specs = specNodes.map(n => ({
+      node: n.text,
+      type: n.type,
+      spec: compact ? _truncateDescription(n.spec) : n.spec,
+    }));
+  }
+
+  // Nested sub-maps — planned here when expanded, separately otherwise
+  if (data.subMaps?.length > 0) {
+    context.sub_maps = data.subMaps.map(m => ({
+      sub_system: m.path.join(' › '),
+      nodes: m.nodeCount,
+      included: m.expanded,
+    }));
+  }
+
+  // Group frames — the CEO's own epics and their nested groups
+  if (data.groups?.length > 0) {
+    context.groupings = data.groups.map(g => ({
+      group: g.path.join(' › '),
+      items: g.nodes.filter(n => n.text).map(n => compact ? _truncateDescription(n.text) : n.text),
+    }));
+  }
+
   // Dependency graph
   if (data.dependencies.length > 0) {
     context.dependency_graph = data.dependencies.map(d => ({
       from: d.from.text,
       to: d.to.text,
       relationship: d.type,
+      label: d.label,
     }));
   }
 
@@ -793,8 +870,18 @@ function _buildExecutionStrategy(data) {
   };
 }
 
+/** Model routing for an epic milestone, by its highest member priority */
+const EPIC_ROUTING = {
+  critical: { _routing: 'opus', _rationale: 'Contains critical work — foundational decisions need deep reasoning.' },
+  high:     { _routing: 'standard', _rationale: 'Grouped feature work with clear requirements.' },
+  medium:   { _routing: 'standard', _rationale: 'Grouped feature work with clear requirements.' },
+  low:      { _routing: 'flash', _rationale: 'Grouped polish work — mostly mechanical.' },
+};
+
 /**
- * Derive milestones from the execution order and node types
+ * Derive milestones from the execution order and node types.
+ * Group frames on the canvas become one milestone each (in plan order);
+ * only ungrouped features fall back to the priority buckets.
  */
 function _deriveMilestones(data) {
   const milestones = [];
@@ -812,11 +899,27 @@ function _deriveMilestones(data) {
     ]
   });
 
-  // Group features into logical milestones based on execution order
-  const criticalFeatures = data.feature.filter(f => f.priority === 'critical');
-  const highFeatures = data.feature.filter(f => f.priority === 'high');
-  const mediumFeatures = data.feature.filter(f => f.priority === 'medium');
-  const lowFeatures = data.feature.filter(f => f.priority === 'low');
+  // One milestone per epic the CEO framed on the canvas
+  (data.epics || []).forEach(epic => {
+    const tasks = epic.nodes
+      .filter(n => n.text && (n.base === 'feature' || n.base === 'general'))
+      .map(n => n.group ? `${n.group}: ${n.text}` : n.text);
+    if (tasks.length === 0) return;
+    milestones.push({
+      phase: milestones.length + 1,
+      name: epic.label,
+      ...EPIC_ROUTING[epic.priority] || EPIC_ROUTING.medium,
+      tasks,
+      priority: epic.priority,
+    });
+  });
+
+  // Group the remaining features into logical milestones by priority
+  const ungrouped = data.feature.filter(f => !f.group);
+  const criticalFeatures = ungrouped.filter(f => f.priority === 'critical');
+  const highFeatures = ungrouped.filter(f => f.priority === 'high');
+  const mediumFeatures = ungrouped.filter(f => f.priority === 'medium');
+  const lowFeatures = ungrouped.filter(f => f.priority === 'low');
 
   // Phase 2: Core/Critical features
   if (criticalFeatures.length > 0) {
@@ -975,7 +1078,14 @@ function _formatAsMarkdown(taskDef, data, options = {}) {
   let md = '';
   md += `# ${data.projectName} — Workflow Prompt\n\n`;
   md += `> Generated by MindMapper on ${timestamp}\n`;
-  md += `> Mind map: ${data.stats.totalNodes} nodes, ${data.stats.totalConnections} connections\n\n`;
+  md += `> Mind map: ${data.stats.totalNodes} nodes, ${data.stats.totalConnections} connections\n`;
+  if (data.scope) {
+    md += `> Scope: nodes matching \`${data.scope.tags}\` (${data.stats.totalNodes} of ${data.scope.totalNodes})\n`;
+  }
+  if (data.subMap) {
+    md += `> Sub-system: ${data.subMap.path.join(' › ')} (one sub-map of the project)\n`;
+  }
+  md += '\n';
 
   if (data.ceoVision) {
     md += `## CEO Vision\n\n`;
@@ -996,7 +1106,10 @@ function _formatAsMarkdown(taskDef, data, options = {}) {
     data.feature.forEach(f => {
       const pri = f.priority !== 'medium' ? ` [${f.priority.toUpperCase()}]` : '';
       const text = compact ? _truncateDescription(f.text) : f.text;
-      md += `- ${text}${pri}\n`;
+      const kind = f.typeLabel ? ` *(${f.typeLabel})*` : '';
+      const tags = f.tags ? ` ${f.tags.map(t => `\`${formatTag(t)}\``).join(' ')}` : '';
+      const subsystem = f.subsystem ? ` — _${f.subsystem}_` : '';
+      md += `- ${text}${kind}${pri}${tags}${subsystem}\n`;
     });
     md += '\n';
   }
@@ -1027,11 +1140,50 @@ function _formatAsMarkdown(taskDef, data, options = {}) {
     md += '\n';
   }
 
+  const propNodes = _nodesWithProperties(data);
+  if (propNodes.length > 0) {
+    md += `### Node Properties\n\n`;
+    propNodes.forEach(n => {
+      const props = compact ? _truncateValues(n.properties) : n.properties;
+      const fields = Object.entries(props).map(([label, value]) => `${label}: ${value}`).join(' · ');
+      md += `- **${n.text || 'Untitled'}** — ${fields}\n`;
+    });
+    md += '\n';
+  }
+
+  if (data.subMaps?.length > 0) {
+    md += `### Sub-Maps\n\n`;
+    data.subMaps.forEach(m => {
+      const where = m.expanded ? 'planned above' : 'plan separately';
+      md += `${'  '.repeat(m.depth)}- ⊞ **${m.text}** — ${m.nodeCount} node${m.nodeCount === 1 ? '' : 's'} (${where})\n`;
+    });
+    md += '\n';
+  }
+
+  const customTypes = (data.nodeTypes || []).filter(t => t.custom);
+  if (customTypes.length > 0) {
+    md += `### Custom Node Types\n\n`;
+    customTypes.forEach(t => {
+      const meaning = t.meaning ? ` — ${t.meaning}` : '';
+      md += `- ${t.icon} **${t.label}** (${t.count}, planned as ${t.base})${meaning}\n`;
+    });
+    md += '\n';
+  }
+
+  // Full specs only in the non-compact prompt — compact keeps the truncated JSON copy
+  const specNodes = compact ? [] : _nodesWithSpecs(data);
+  if (specNodes.length > 0) {
+    md += `### Detailed Specs\n\n`;
+    specNodes.forEach(n => {
+      md += `#### ${n.text || 'Untitled'} *(${n.typeLabel || n.type})*\n\n`;
+      md += `${_nestMarkdown(n.spec, 4)}\n\n`;
+    });
+  }
+
   if (data.dependencies.length > 0) {
     md += `### Dependency Graph\n\n`;
     data.dependencies.forEach(d => {
-      const arrow = d.directed ? '→' : '↔';
-      md += `- ${d.from.text} ${arrow} ${d.to.text}\n`;
+      md += `- ${d.from.text} **${d.label}** ${d.to.text}\n`;
     });
     md += '\n';
   }
@@ -1093,6 +1245,43 @@ function _formatAsMarkdown(taskDef, data, options = {}) {
   return md;
 }
 
+/**
+ * Nodes that carry a markdown spec, in execution order
+ */
+function _nodesWithSpecs(data) {
+  return _entriesInOrder(data, n => n.spec);
+}
+
+/**
+ * Nodes with custom property values, in execution order
+ */
+function _nodesWithProperties(data) {
+  return _entriesInOrder(data, n => n.properties);
+}
+
+function _entriesInOrder(data, test) {
+  const byId = new Map();
+  ['feature', 'constraint', 'risk', 'reference', 'techNote', 'general'].forEach(type => {
+    (data[type] || []).forEach(n => { if (test(n)) byId.set(n.id, n); });
+  });
+  const ordered = data.executionOrder.map(n => byId.get(n.id)).filter(Boolean);
+  return ordered.length === byId.size ? ordered : [...byId.values()];
+}
+
+/**
+ * Demote a markdown body's headings so they sit under the given level
+ * (fenced code blocks are left untouched).
+ */
+function _nestMarkdown(markdown, level) {
+  let inFence = false;
+  return markdown.split('\n').map(line => {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    if (inFence) return line;
+    return line.replace(/^(#{1,6})(\s)/, (_, hashes, space) =>
+      '#'.repeat(Math.min(6, hashes.length + level)) + space);
+  }).join('\n');
+}
+
 /**
  * Generate ONLY the raw JSON task definition (no markdown wrapping)
  * Useful for direct API integration or clipboard copy of just the JSON
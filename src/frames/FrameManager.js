@@ -0,0 +1,400 @@
+/**
+ * FrameManager — Labeled group frames drawn behind nodes ("Auth epic",
+ * "Phase 2", …).
+ *
+ * Frames live in the GraphModel next to nodes and connections. Dragging a
+ * frame by its header moves its member nodes and nested frames with it; the
+ * corner handle resizes it. Membership follows geometry — whatever sits
+ * inside a frame belongs to it — and is re-derived after every frame or node
+ * move so the saved file carries it for the headless pipeline.
+ */
+
+import { FRAME_DEFAULTS } from '../model/NodeSchema.js';
+
+export class FrameManager {
+  /**
+   * @param {import('../core/EventBus.js').EventBus} bus
+   * @param {import('../viewport/Viewport.js').Viewport} viewport
+   * @param {import('../nodes/NodeManager.js').NodeManager} nodeManager
+   */
+  constructor(bus, viewport, nodeManager) {
+    this.bus = bus;
+    this.viewport = viewport;
+    this.nodeManager = nodeManager;
+    this.model = nodeManager.model;
+    this.layer = document.getElementById('frames-layer');
+    this.container = document.getElementById('canvas-container');
+
+    /** @type {Map<string, HTMLElement>} frame id → rendered element */
+    this._els = new Map();
+    this.selectedFrame = null;
+
+    // Header drag / corner resize in progress
+    this._drag = null;
+
+    this.commands = null; // set via setCommands()
+
+    this._bindEvents();
+  }
+
+  /** Frame records from the model (pure data — no DOM) */
+  get frames() {
+    return this.model.frames;
+  }
+
+  /** Attach the CommandDispatcher that user-initiated mutations go through */
+  setCommands(commands) {
+    this.commands = commands;
+  }
+
+  /** Dispatch a user-initiated mutation as a command */
+  _command(type, payload) {
+    return this.commands.dispatch({ type, payload });
+  }
+
+  _bindEvents() {
+    window.addEventListener('mousemove', (e) => this._onDragMove(e));
+    window.addEventListener('mouseup', () => this._onDragEnd());
+
+    // Clicking anything other than a frame header drops the frame selection
+    this.container.addEventListener('mousedown', (e) => {
+      if (!e.target.closest('.group-frame-header') && !e.target.closest('.context-menu')) {
+        this.deselect();
+      }
+    });
+    this.bus.on('selection:changed', (ids) => {
+      if (ids?.length > 0) this.deselect();
+    });
+    this.bus.on('connection:selected', () => this.deselect());
+
+    this.bus.on('state:changed', () => this._scheduleRefresh());
+    this.bus.on('state:loaded', () => {
+      this._restack();
+      this._scheduleRefresh();
+    });
+  }
+
+  // ─── CRUD ────────────────────────────────────────────────────────────
+
+  /**
+   * Create a frame and render it.
+   * @param {object} [opts] - label, color, id, parentId
+   */
+  createFrame(x, y, width, height, opts = {}) {
+    const frame = this.model.addFrame(x, y, width, height, opts);
+
+    const el = document.createElement('div');
+    el.className = 'group-frame';
+    el.dataset.frameId = frame.id;
+    el.innerHTML = `
+      <div class="group-frame-header">
+        <span class="group-frame-label" spellcheck="false"></span>
+        <span class="group-frame-count"></span>
+      </div>
+      <div class="group-frame-resize" title="Resize frame"></div>
+    `;
+
+    const header = el.querySelector('.group-frame-header');
+    header.addEventListener('mousedown', (e) => {
+      if (e.button !== 0 || this.viewport.isSpaceDown) return;
+      if (e.target.isContentEditable) return;
+      e.stopPropagation();
+      this.select(frame.id);
+      this._startDrag(e, frame.id, 'move');
+    });
+    header.addEventListener('dblclick', (e) => {
+      e.stopPropagation();
+      this._startEditing(frame.id);
+    });
+    el.querySelector('.group-frame-resize').addEventListener('mousedown', (e) => {
+      if (e.button !== 0) return;
+      e.stopPropagation();
+      this.select(frame.id);
+      this._startDrag(e, frame.id, 'resize');
+    });
+
+    this.layer.appendChild(el);
+    this._els.set(frame.id, el);
+    this._renderFrame(frame.id);
+    this._restack();
+
+    this.bus.emit('frame:created', frame);
+    this.bus.emit('state:changed');
+    return frame;
+  }
+
+  /**
+   * Frame a set of nodes: the new frame wraps their bounds with padding.
+   * @returns {object|null} The new frame
+   */
+  createFrameAround(nodeIds, opts = {}) {
+    const ids = new Set(nodeIds);
+    const bounds = this.model.getBounds(n => ids.has(n.id));
+    if (!bounds) return null;
+    const pad = FRAME_DEFAULTS.padding;
+    return this.createFrame(
+      bounds.minX - pad,
+      bounds.minY - pad - FRAME_DEFAULTS.headerHeight,
+      bounds.width + pad * 2,
+      bounds.height + pad * 2 + FRAME_DEFAULTS.headerHeight,
+      opts
+    );
+  }
+
+  /** Remove a frame. Members stay put and are re-assigned by syncMembership(). */
+  deleteFrame(id) {
+    if (!this.frames.has(id)) return;
+    this._els.get(id)?.remove();
+    this._els.delete(id);
+    this.model.removeFrame(id);
+    if (this.selectedFrame === id) this.selectedFrame = null;
+    this.bus.emit('frame:deleted', { id });
+  }
+
+  deleteSelected() {
+    if (this.selectedFrame) this._command('frame.delete', { frameId: this.selectedFrame });
+  }
+
+  /**
+   * Apply a set of serialized fields to an existing frame in place
+   * (used by undo/redo — does not emit state:changed).
+   */
+  updateFrame(id, fields) {
+    if (!this.model.updateFrame(id, fields)) return;
+    this._renderFrame(id);
+    this._restack();
+    this.bus.emit('frame:updated', this.frames.get(id));
+  }
+
+  setLabel(id, label) {
+    const frame = this.frames.get(id);
+    if (!frame) return;
+    frame.label = label;
+    this._renderFrame(id);
+    this.bus.emit('frame:updated', frame);
+    this.bus.emit('state:changed');
+  }
+
+  setColor(id, color) {
+    const frame = this.frames.get(id);
+    if (!frame) return;
+    frame.color = color;
+    this._renderFrame(id);
+    this.bus.emit('frame:updated', frame);
+    this.bus.emit('state:changed');
+  }
+
+  /** Move a frame by an offset, carrying its nested frames and every member node */
+  moveFrame(id, dx, dy) {
+    if (!this.frames.has(id)) return;
+    this._translate(id, dx, dy);
+    this.syncMembership();
+    this.bus.emit('state:changed');
+  }
+
+  resizeFrame(id, width, height) {
+    const frame = this.frames.get(id);
+    if (!frame) return;
+    frame.width = Math.max(FRAME_DEFAULTS.minWidth, width);
+    frame.height = Math.max(FRAME_DEFAULTS.minHeight, height);
+    this._renderFrame(id);
+    this.syncMembership();
+    this.bus.emit('frame:updated', frame);
+    this.bus.emit('state:changed');
+  }
+
+  /** Re-derive frame nesting and node membership from the current geometry */
+  syncMembership() {
+    if (!this.model.syncFrameMembership()) return;
+    this._restack();
+    this._els.forEach((_, id) => this._renderFrame(id));
+    this.bus.emit('frames:membership-changed');
+  }
+
+  // ─── Rendering ───────────────────────────────────────────────────────
+
+  /** Sync a frame element with its model record */
+  _renderFrame(id) {
+    const frame = this.frames.get(id);
+    const el = this._els.get(id);
+    if (!frame || !el) return;
+    el.style.left = `${frame.x}px`;
+    el.style.top = `${frame.y}px`;
+    el.style.width = `${frame.width}px`;
+    el.style.height = `${frame.height}px`;
+    el.style.setProperty('--frame-color', frame.color);
+
+    const labelEl = el.querySelector('.group-frame-label');
+    if (!labelEl.isContentEditable) labelEl.textContent = frame.label || FRAME_DEFAULTS.label;
+    const count = this.model.getFrameMemberIds(id, true).length;
+    el.querySelector('.group-frame-count').textContent = count > 0 ? `${count}` : '';
+  }
+
+  /** Member counts change with any node edit — refresh them once per frame */
+  _scheduleRefresh() {
+    cancelAnimationFrame(this._refreshFrame);
+    this._refreshFrame = requestAnimationFrame(() => {
+      this._els.forEach((_, id) => this._renderFrame(id));
+    });
+  }
+
+  /** Nested frames paint above the frames that contain them */
+  _restack() {
+    this._els.forEach((el, id) => {
+      el.style.zIndex = `${this.model.getFrameDepth(id) + 1}`;
+    });
+  }
+
+  /** Shift a frame subtree and its members without recording a step */
+  _translate(id, dx, dy) {
+    this.model.getFrameSubtreeIds(id).forEach(frameId => {
+      const f = this.frames.get(frameId);
+      f.x += dx;
+      f.y += dy;
+      this._renderFrame(frameId);
+    });
+    this.model.getFrameMemberIds(id, true).forEach(nodeId => {
+      const node = this.nodeManager.getNode(nodeId);
+      node.x += dx;
+      node.y += dy;
+      this.nodeManager._positionElement(nodeId);
+      this.bus.emit('node:moved', node);
+    });
+  }
+
+  // ─── Selection ───────────────────────────────────────────────────────
+
+  select(id) {
+    if (this.selectedFrame === id) return;
+    this.deselect();
+    this.selectedFrame = id;
+    this._els.get(id)?.classList.add('selected');
+    this.nodeManager.deselectAll();
+    this.bus.emit('selection:changed', []);
+    this.bus.emit('frame:selected', this.frames.get(id));
+  }
+
+  deselect() {
+    if (!this.selectedFrame) return;
+    this._els.get(this.selectedFrame)?.classList.remove('selected');
+    this.selectedFrame = null;
+  }
+
+  // ─── Drag / Resize ───────────────────────────────────────────────────
+
+  _startDrag(e, id, mode) {
+    const frame = this.frames.get(id);
+    this._drag = {
+      id, mode,
+      start: this.viewport.screenToWorld(e.clientX, e.clientY),
+      width: frame.width,
+      height: frame.height,
+      dx: 0, dy: 0,
+    };
+    this._els.get(id)?.classList.add('dragging');
+  }
+
+  _onDragMove(e) {
+    const drag = this._drag;
+    if (!drag) return;
+    const world = this.viewport.screenToWorld(e.clientX, e.clientY);
+    const dx = world.x - drag.start.x;
+    const dy = world.y - drag.start.y;
+
+    if (drag.mode === 'move') {
+      // Live preview — the final offset is recorded as one command on drop
+      this._translate(drag.id, dx - drag.dx, dy - drag.dy);
+    } else {
+      const frame = this.frames.get(drag.id);
+      frame.width = Math.max(FRAME_DEFAULTS.minWidth, drag.width + dx);
+      frame.height = Math.max(FRAME_DEFAULTS.minHeight, drag.height + dy);
+      this._renderFrame(drag.id);
+    }
+    drag.dx = dx;
+    drag.dy = dy;
+  }
+
+  _onDragEnd() {
+    const drag = this._drag;
+    if (!drag) return;
+    this._drag = null;
+    this._els.get(drag.id)?.classList.remove('dragging');
+    if (drag.dx === 0 && drag.dy === 0) return;
+
+    // Rewind the preview, then replay it as a command (logged, undoable, recordable)
+    if (drag.mode === 'move') {
+      this._translate(drag.id, -drag.dx, -drag.dy);
+      this._command('frame.move', { frameId: drag.id, dx: drag.dx, dy: drag.dy });
+    } else {
+      const frame = this.frames.get(drag.id);
+      const { width, height } = frame;
+      frame.width = drag.width;
+      frame.height = drag.height;
+      this._command('frame.resize', { frameId: drag.id, width, height });
+    }
+  }
+
+  // ─── Label Editing ───────────────────────────────────────────────────
+
+  _startEditing(id) {
+    const labelEl = this._els.get(id)?.querySelector('.group-frame-label');
+    if (!labelEl) return;
+    labelEl.contentEditable = 'true';
+    labelEl.focus();
+
+    const range = document.createRange();
+    range.selectNodeContents(labelEl);
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+
+    const finish = () => {
+      labelEl.contentEditable = 'false';
+      const frame = this.frames.get(id);
+      const label = labelEl.textContent.trim();
+      if (frame && label && label !== frame.label) {
+        this._command('frame.setLabel', { frameId: id, label });
+      } else {
+        this._renderFrame(id);
+      }
+      labelEl.removeEventListener('blur', finish);
+      labelEl.removeEventListener('keydown', onKey);
+    };
+
+    const onKey = (e) => {
+      if (e.key === 'Enter' || e.key === 'Escape') {
+        e.preventDefault();
+        labelEl.blur();
+      }
+      e.stopPropagation(); // prevent global shortcuts while editing
+    };
+
+    labelEl.addEventListener('blur', finish);
+    labelEl.addEventListener('keydown', onKey);
+  }
+
+  /** Public entry for renaming (context menu) */
+  rename(id) {
+    this._startEditing(id);
+  }
+
+  // ─── Serialization ───────────────────────────────────────────────────
+
+  serialize() {
+    return this.model.serializeFrames();
+  }
+
+  deserialize(data) {
+    this._els.forEach(el => el.remove());
+    this._els.clear();
+    this.frames.clear();
+    this.selectedFrame = null;
+
+    if (!data) return;
+    data.forEach(d => {
+      this.createFrame(d.x, d.y, d.width, d.height, {
+        id: d.id, label: d.label, color: d.color, parentId: d.parentId || null,
+      });
+    });
+  }
+}
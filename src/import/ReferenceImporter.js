@@ -6,6 +6,8 @@
  *   .txt  → Indentation-based hierarchy
  *   .png/.jpg/.jpeg → Single reference node with image metadata
  *   .doc/.docx      → Extracts text lines (best-effort)
+ *
+ * importOutline() runs the same parsers on pasted text.
  */
 
 // ── Color/shape palette by depth ────────────────
@@ -59,6 +61,18 @@ export async function importReferenceFile(file) {
   }
 }
 
+/**
+ * Build a connected subtree from outline text — markdown headings and
+ * bullets, or indentation-based plain text.
+ * @param {string} text
+ * @returns {{ nodes: Array, connections: Array }}
+ */
+export function importOutline(text) {
+  return /^\s*(#{1,6}\s|[-*]\s|\d+\.\s)/m.test(text)
+    ? importMarkdown(text)
+    : importPlainText(text);
+}
+
 // ═══════════════════════════════════════════
 //  Markdown Import
 // ═══════════════════════════════════════════
@@ -173,10 +187,10 @@ async function importImage(file) {
       { id: 'n_img_note', text: 'Add analysis notes here', x: 350, y: 300, color: '#e6edf3', shape: 'rectangle' },
     ],
     connections: [
-      { id: 'c_img_1', sourceId: 'n_img_root', sourcePort: 'bottom', targetId: 'n_img_type', targetPort: 'top', directed: 'forward' },
-      { id: 'c_img_2', sourceId: 'n_img_root', sourcePort: 'bottom', targetId: 'n_img_size', targetPort: 'top', directed: 'forward' },
-      { id: 'c_img_3', sourceId: 'n_img_root', sourcePort: 'bottom', targetId: 'n_img_ref', targetPort: 'top', directed: 'forward' },
-      { id: 'c_img_4', sourceId: 'n_img_size', sourcePort: 'bottom', targetId: 'n_img_note', targetPort: 'top', directed: 'forward' },
+      { id: 'c_img_1', sourceId: 'n_img_root', sourcePort: 'bottom', targetId: 'n_img_type', targetPort: 'top', directed: 'forward', type: 'blocks' },
+      { id: 'c_img_2', sourceId: 'n_img_root', sourcePort: 'bottom', targetId: 'n_img_size', targetPort: 'top', directed: 'forward', type: 'blocks' },
+      { id: 'c_img_3', sourceId: 'n_img_root', sourcePort: 'bottom', targetId: 'n_img_ref', targetPort: 'top', directed: 'forward', type: 'blocks' },
+      { id: 'c_img_4', sourceId: 'n_img_size', sourcePort: 'bottom', targetId: 'n_img_note', targetPort: 'top', directed: 'forward', type: 'blocks' },
     ],
   };
 }
@@ -206,7 +220,7 @@ async function importDocument(file) {
       { id: 'n_doc_note', text: 'Export as .txt or .md for full import', x: 350, y: 150, color: '#ffc107', shape: 'rectangle' },
     ],
     connections: [
-      { id: 'c_doc_1', sourceId: 'n_doc_root', sourcePort: 'bottom', targetId: 'n_doc_note', targetPort: 'top', directed: 'forward' },
+      { id: 'c_doc_1', sourceId: 'n_doc_root', sourcePort: 'bottom', targetId: 'n_doc_note', targetPort: 'top', directed: 'forward', type: 'blocks' },
     ],
   };
 }
@@ -286,6 +300,7 @@ function flattenTree(node, nodes, connections) {
         targetId: child.id,
         targetPort: 'top',
         directed: 'forward',
+        type: 'blocks',
       });
       flattenTree(child, nodes, connections);
     }
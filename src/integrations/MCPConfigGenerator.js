@@ -17,11 +17,12 @@
  *
  * Usage:
  *   const generator = new MCPConfigGenerator(nodeManager, credentialVault);
+ *   // Headless (no vault): new MCPConfigGenerator(GraphModel.fromJSON(mindmapFile))
  *   const config = await generator.generate();  // { mcpServers: { ... } }
  *   const json   = generator.toJSON(config);     // prettified JSON string
  */
 
-import { COMMERCE_NODE_TYPES, getCredentialStatus } from '../nodes/NodeManager.js';
+import { COMMERCE_NODE_TYPES, getCredentialStatus } from '../model/NodeSchema.js';
 
 // ─── Service → MCP server mapping ──────────────────────────────────────
 
@@ -78,12 +79,12 @@ const MCP_MAPPINGS = {
 export class MCPConfigGenerator {
 
   /**
-   * @param {import('../nodes/NodeManager.js').NodeManager} nodeManager
-   * @param {import('../security/CredentialVault.js').CredentialVault} credentialVault
+   * @param {{nodes: Map<string, object>}} nodeManager - NodeManager or GraphModel
+   * @param {import('../security/CredentialVault.js').CredentialVault} [credentialVault] - Omit to use plain node credentials
    */
   constructor(nodeManager, credentialVault) {
     this._nodeManager = nodeManager;
-    this._vault = credentialVault;
+    this._vault = credentialVault || null;
   }
 
   /**
@@ -106,7 +107,8 @@ export class MCPConfigGenerator {
 
     // Bulk decrypt credentials if vault is unlocked
     let decryptedMap = new Map();
-    if (this._vault.isUnlocked()) {
+    const vaultUnlocked = !!this._vault?.isUnlocked;
+    if (vaultUnlocked) {
       try {
         decryptedMap = await this._vault.retrieveAll();
       } catch (err) {
@@ -116,7 +118,7 @@ export class MCPConfigGenerator {
 
     for (const node of commerceNodes) {
       try {
-        const status = getCredentialStatus(node, this._vault.isUnlocked());
+        const status = getCredentialStatus(node, vaultUnlocked);
 
         // Only include nodes with all fields configured
         if (status.status !== 'ready' && status.status !== 'vault-secured') {
@@ -8,23 +8,43 @@
 import { EventBus } from './core/EventBus.js';
 import { History } from './core/History.js';
 import { Viewport } from './viewport/Viewport.js';
+import { GraphModel } from './model/GraphModel.js';
 import { NodeManager } from './nodes/NodeManager.js';
 import { ConnectionManager } from './connections/ConnectionManager.js';
+import { FrameManager } from './frames/FrameManager.js';
 import { ContextMenu } from './ui/ContextMenu.js';
 import { PropertyPanel } from './ui/PropertyPanel.js';
+import { NotesDrawer } from './ui/NotesDrawer.js';
+import { NodeTypesDialog } from './ui/NodeTypesDialog.js';
+import { PropertySchemaDialog } from './ui/PropertySchemaDialog.js';
+import { TagBar } from './ui/TagBar.js';
+import { SubMapBreadcrumb } from './ui/SubMapBreadcrumb.js';
+import { SearchOverlay } from './ui/SearchOverlay.js';
+import { AnalysisOverlay } from './ui/AnalysisOverlay.js';
+import { PresentationMode } from './ui/PresentationMode.js';
 import { MiniMap } from './ui/MiniMap.js';
 import { Storage } from './storage/Storage.js';
 import { PresetManager } from './presets/PresetManager.js';
 import { PresetModal } from './ui/PresetModal.js';
 import { FileManager } from './storage/FileManager.js';
 import { FileMenu } from './ui/FileMenu.js';
+import { HistoryMenu } from './ui/HistoryMenu.js';
+import { ClipboardManager } from './storage/ClipboardManager.js';
+import { CommandDispatcher } from './commands/CommandDispatcher.js';
+import { registerCanvasCommands } from './commands/CanvasCommands.js';
+import { ActionRegistry } from './commands/ActionRegistry.js';
+import { Keymap } from './commands/Keymap.js';
+import { registerAppActions } from './commands/AppActions.js';
+import { CommandPalette } from './ui/CommandPalette.js';
+import { KeybindingsDialog } from './ui/KeybindingsDialog.js';
 
 // Phase 3 — Agent Orchestration
 import { AgentPanel } from './ui/AgentPanel.js';
 import { validateMindMap } from './validation/MindMapValidator.js';
+import { findDependencyCycles, cycleNodeIds, cycleConnectionIds } from './model/DependencyGraph.js';
 import { PromptExportModal } from './ui/PromptExportModal.js';
 import { IdeaInputModal } from './ui/IdeaInputModal.js';
-import { computeLayout } from './ai/IdeaGenerator.js';
+import { layoutGraph } from './ai/IdeaGenerator.js';
 import { WorkspaceSettingsModal } from './ui/WorkspaceSettingsModal.js';
 
 // Phase 8 — Commerce Nodes
@@ -55,32 +75,79 @@ class MindMapperApp {
     this.viewport = new Viewport(this.bus);
     this.storage = new Storage(this.bus);
 
-    // Domain managers
-    this.nodeManager = new NodeManager(this.bus, this.viewport);
+    /** @type {{nodeId: string, text: string, level: object, viewport: object, history: object}[]} sub-map levels above the canvas, outermost first */
+    this._subMapStack = [];
+
+    // Domain managers — render from one DOM-free graph model
+    this.model = new GraphModel();
+    this.nodeManager = new NodeManager(this.bus, this.viewport, this.model);
     this.connectionManager = new ConnectionManager(this.bus, this.nodeManager);
+    this.frameManager = new FrameManager(this.bus, this.viewport, this.nodeManager);
     this.nodeManager.setConnectionManager(this.connectionManager);
 
+    // Command layer — every canvas mutation goes through one audited dispatcher
+    this.commands = new CommandDispatcher(this.bus);
+    registerCanvasCommands(this.commands, {
+      nodeManager: this.nodeManager,
+      connectionManager: this.connectionManager,
+      frameManager: this.frameManager,
+      bus: this.bus,
+    });
+    this.nodeManager.setCommands(this.commands);
+    this.connectionManager.setCommands(this.commands);
+    this.connectionManager.setTransaction((label, run) => this._transaction(label, run));
+    this.frameManager.setCommands(this.commands);
+
+    // App actions — one list behind the palette and the rebindable shortcuts
+    this.actions = new ActionRegistry(this.bus);
+    this.keymap = new Keymap(this.actions);
+
     // UI components
-    this.contextMenu = new ContextMenu(this.bus, this.nodeManager, this.connectionManager, this.viewport);
-    this.propertyPanel = new PropertyPanel(this.bus, this.nodeManager);
+    this.contextMenu = new ContextMenu(this.bus, this.nodeManager, this.connectionManager, this.viewport, this.commands);
+    this.contextMenu.setFrameManager(this.frameManager);
+    this.propertyPanel = new PropertyPanel(this.bus, this.nodeManager, this.commands, {
+      transaction: (label, run) => this._transaction(label, run),
+    });
+    this.notesDrawer = new NotesDrawer(this.bus, this.nodeManager, this.commands);
+    this.nodeTypesDialog = new NodeTypesDialog(this.bus, this.nodeManager, this.commands);
+    this.propertySchemaDialog = new PropertySchemaDialog(this.bus, this.nodeManager, this.commands);
+    this.tagBar = new TagBar(this.bus, this.nodeManager);
+    this.subMapBreadcrumb = new SubMapBreadcrumb(this.bus);
     this.miniMap = new MiniMap(this.bus, this.nodeManager, this.viewport);
+    this.searchOverlay = new SearchOverlay(this.bus, this.nodeManager, this.viewport, this.commands, {
+      transaction: (label, run) => this._transaction(label, run),
+    });
+    this.analysisOverlay = new AnalysisOverlay(this.bus, this.nodeManager, this.connectionManager);
+    this.presentation = new PresentationMode(this.bus, this.nodeManager, this.viewport, {
+      plan: () => serializeMindMap(this.nodeManager.serialize(), this.connectionManager.serialize(), this._pipelineOptions()),
+    });
 
     // Preset system
     this.presetManager = new PresetManager();
     this.presetModal = new PresetModal(
       this.presetManager,
       (data) => this._loadPreset(data),
-      () => ({ nodes: this.nodeManager.serialize(), connections: this.connectionManager.serialize() })
+      () => ({
+        nodes: this.nodeManager.serialize(),
+        connections: this.connectionManager.serialize(),
+        frames: this.frameManager.serialize(),
+        nodeTypes: this.model.serializeNodeTypes(),
+        propertySchema: this.model.serializePropertySchema(),
+      })
     );
 
     // File management
     this.fileManager = new FileManager({
-      getState: () => this._getState(),
+      getState: () => this._getDocumentState(),
       loadState: (data) => this._loadPreset(data),
       clearState: () => {
+        this._closeSubMaps(0);
         this.history.pause();
         this.nodeManager.deserialize([]);
         this.connectionManager.deserialize([]);
+        this.frameManager.deserialize([]);
+        this.nodeManager.deserializeNodeTypes([]);
+        this.nodeManager.deserializePropertySchema([]);
         this.history.resume();
         this.bus.emit('state:loaded');
         this.bus.emit('state:changed');
@@ -88,9 +155,20 @@ class MindMapperApp {
       fitToContent: () => this._fitToContent(),
       getNodeManager: () => this.nodeManager,
       getConnectionManager: () => this.connectionManager,
+      commands: this.commands,
+      replayMacro: (macro) => this._replayMacro(macro),
       bus: this.bus,
     });
-    this.fileMenu = new FileMenu(this.fileManager);
+    this.fileMenu = new FileMenu(this.fileManager, this.keymap);
+
+    // System clipboard — Ctrl+C / Ctrl+X / Ctrl+V for nodes and outlines
+    this.clipboard = new ClipboardManager(this.bus, {
+      nodeManager: this.nodeManager,
+      connectionManager: this.connectionManager,
+      commands: this.commands,
+      viewport: this.viewport,
+      transaction: (label, run) => this._transaction(label, run),
+    });
 
     // ─── Orchestration Engine (session lifecycle + bridge management) ───
     // Owns the session state machine, bridge selection (Tauri vs browser),
@@ -123,18 +201,24 @@ class MindMapperApp {
     this.commerceNodeConfig = new CommerceNodeConfig(this.bus, this.nodeManager, this.credentialVault, this.connectionTester);
 
     // Phase 3 — Prompt Export Modal (core feature)
+    // Sees the whole project; the serializer scopes it to the open sub-map
     this.promptExportModal = new PromptExportModal(
       this.bus,
-      () => this.nodeManager.serialize(),
-      () => this.connectionManager.serialize(),
-      this.workspaceSettingsModal
+      () => this._getDocumentState().nodes,
+      () => this._getDocumentState().connections,
+      this.workspaceSettingsModal,
+      () => this._pipelineOptions({
+        frames: this._getDocumentState().frames,
+        subMap: this._subMapStack.map(entry => entry.nodeId),
+      })
     );
 
     // Phase 3 — AI Idea Input Modal
     this.ideaInputModal = new IdeaInputModal(
       this.bus,
       this.nodeManager,
-      this.connectionManager
+      this.connectionManager,
+      this.commands
     );
 
     // Toolbar: Templates button
@@ -149,6 +233,29 @@ class MindMapperApp {
     // Toolbar: Clean Layout button
     document.getElementById('btn-clean-layout')?.addEventListener('click', () => this._cleanLayout());
 
+    // Toolbar: Snap to Grid toggle (remembered per browser)
+    this._setSnapToGrid(localStorage.getItem('mm_snap_grid') === '1');
+    document.getElementById('btn-snap-grid')?.addEventListener('click', () => this._setSnapToGrid(!this.nodeManager.snapToGrid));
+
+    // Toolbar: Undo / Redo buttons (tooltips name the step they would revert)
+    const undoBtn = document.getElementById('btn-undo');
+    const redoBtn = document.getElementById('btn-redo');
+    undoBtn?.addEventListener('click', () => this.undo());
+    redoBtn?.addEventListener('click', () => this.redo());
+    this.historyMenu = new HistoryMenu(this.bus, this.history, (index) => this.jumpToHistory(index));
+    this.bus.on('history:changed', ({ canUndo, canRedo, undoLabel, redoLabel }) => {
+      const undoKey = this.keymap.label('edit.undo');
+      const redoKey = this.keymap.label('edit.redo');
+      if (undoBtn) {
+        undoBtn.disabled = !canUndo;
+        undoBtn.title = `Undo${canUndo ? ` ${undoLabel}` : ''}${undoKey ? ` (${undoKey})` : ''}`;
+      }
+      if (redoBtn) {
+        redoBtn.disabled = !canRedo;
+        redoBtn.title = `Redo${canRedo ? ` ${redoLabel}` : ''}${redoKey ? ` (${redoKey})` : ''}`;
+      }
+    });
+
     // Agent Panel bus events — Generate Prompt & Agent Config (moved from toolbar)
     this.bus.on('ceo:generate-prompt-request', () => this.promptExportModal.show());
     this.bus.on('ceo:agent-config-request', () => this._generateAgentConfig());
@@ -193,7 +300,7 @@ class MindMapperApp {
       try {
         const nodes = this.nodeManager.serialize();
         const connections = this.connectionManager.serialize();
-        const serialized = serializeMindMap(nodes, connections, {});
+        const serialized = serializeMindMap(nodes, connections, this._pipelineOptions());
         const prompt = generateWorkflowPrompt(serialized, {});
         navigator.clipboard.writeText(prompt);
       } catch (err) {
@@ -221,7 +328,7 @@ class MindMapperApp {
 
         const nodes = this.nodeManager.serialize();
         const connections = this.connectionManager.serialize();
-        const serialized = serializeMindMap(nodes, connections, {});
+        const serialized = serializeMindMap(nodes, connections, this._pipelineOptions());
 
         const reportPrompt = this._buildReportPrompt(type, label, serialized);
         if (!reportPrompt) {
@@ -245,88 +352,30 @@ class MindMapperApp {
     });
 
     // ─── Implement Recommendations — Create nodes from AI audit actions ───
-    this.bus.on('ceo:implement-recommendations', ({ actions, mode }) => {
+    this.bus.on('ceo:implement-recommendations', async ({ actions, mode }) => {
       if (!actions || actions.length === 0) return;
 
       const isAll = mode === 'all';
       const toImplement = isAll ? actions : [actions[0]];
-      const existingNodes = this.nodeManager.serialize();
 
-      // Find rightmost edge for new node placement
-      let maxX = 0;
-      let baseY = 200;
-      for (const n of existingNodes) {
-        if (n.x > maxX) { maxX = n.x; baseY = n.y; }
-      }
-      const startX = maxX + 300;
-
-      const created = [];
-      const PRIORITY_COLORS = {
-        critical: '#ff2d78',
-        high: '#ff6e40',
-        medium: '#ffc107',
-        low: '#00ff88',
-      };
-
-      // Create nodes for each recommendation
-      for (let i = 0; i < toImplement.length; i++) {
-        const action = toImplement[i];
-        const y = baseY + (i * 140) - ((toImplement.length - 1) * 70);
-        const color = PRIORITY_COLORS[action.priority] || '#00e5ff';
-
-        const nodeData = this.nodeManager.createNode(startX, y, {
-          text: action.title,
-          color,
-          nodeType: action.nodeType || 'feature',
-          priority: action.priority || 'medium',
-          phase: action.phase ?? null,
-          agentNotes: action.description || '',
-        });
-        created.push({ nodeData, action });
-      }
-
-      // Connect to parent nodes (match by text, case-insensitive)
-      for (const { nodeData, action } of created) {
-        if (!action.parent) continue;
-        const parentText = action.parent.toLowerCase().trim();
-
-        // Search existing nodes for a text match
-        let parentNode = null;
-        this.nodeManager.nodes.forEach(n => {
-          if (n.text && n.text.toLowerCase().trim() === parentText) {
-            parentNode = n;
-          }
-        });
-
-        if (parentNode) {
-          // Find best ports for the connection
-          try {
-            this.connectionManager.createConnection(
-              parentNode.id, 'right',
-              nodeData.id, 'left',
-              { directed: 'forward' }
-            );
-          } catch (e) {
-            console.warn(`Could not connect ${action.title} to ${action.parent}:`, e.message);
-          }
-        }
-      }
-
-      // Auto-layout after adding nodes
-      setTimeout(() => {
-        this._cleanLayout();
+      // Node creation, wiring and the follow-up layout form one undo step
+      this.history.push(this._getState());
+      this.history.begin(`Implement ${toImplement.length} recommendation${toImplement.length === 1 ? '' : 's'}`);
+      try {
+        await this._implementRecommendations(toImplement);
+      } catch (err) {
+        console.error('Implementing recommendations failed:', err);
+        alert(`Failed to implement recommendations: ${err.message}`);
+      } finally {
+        this.history.end(this._getState());
         this.bus.emit('state:changed');
-      }, 200);
-
-      // Notify the agent panel
-      this.bus.emit('orchestration:progress', {
-        type: 'text',
-        content: `\n\n✅ **${created.length} node(s) implemented on canvas.**\n`,
-      });
+      }
     });
 
-    // Bind global shortcuts
-    this._bindKeyboard();
+    // Command palette and shortcut editor over every app action
+    registerAppActions(this.actions, this);
+    this.commandPalette = new CommandPalette(this.bus, this.actions, this.keymap);
+    this.keybindingsDialog = new KeybindingsDialog(this.bus, this.actions, this.keymap);
 
     // Save/load coordination
     this._bindSaveLoad();
@@ -334,8 +383,13 @@ class MindMapperApp {
     // Viewport fit
     this.bus.on('viewport:fit-request', () => this._fitToContent());
 
+    // Sub-maps — one level on the canvas at a time
+    this.bus.on('submap:open-request', ({ nodeId }) => this._openSubMap(nodeId));
+    this.bus.on('submap:navigate', ({ depth }) => this._closeSubMaps(depth));
+
     // Phase 3 — Readiness validation on state changes
     this._bindReadinessValidation();
+    this._bindCycleHighlight();
 
     // Load saved state
     this._loadState();
@@ -343,62 +397,11 @@ class MindMapperApp {
     // App initialized
   }
 
-  _bindKeyboard() {
-    window.addEventListener('keydown', (e) => {
-      // Ignore when editing text
-      if (document.activeElement?.isContentEditable || document.activeElement?.tagName === 'TEXTAREA' || document.activeElement?.tagName === 'INPUT') {
-        return;
-      }
-
-      // Ctrl+Z — Undo
-      if (e.ctrlKey && e.key === 'z') {
-        e.preventDefault();
-        const state = this.history.undo();
-        if (state) this._restoreState(state);
-      }
-
-      // Ctrl+Y — Redo
-      if (e.ctrlKey && e.key === 'y') {
-        e.preventDefault();
-        const state = this.history.redo();
-        if (state) this._restoreState(state);
-      }
-
-      // Ctrl+S — Auto-save to localStorage
-      if (e.ctrlKey && !e.shiftKey && e.key === 's') {
-        e.preventDefault();
-        this.storage.save(this._getState());
-      }
-
-      // Delete/Backspace — Delete selected
-      if (e.key === 'Delete' || e.key === 'Backspace') {
-        e.preventDefault();
-        if (this.connectionManager.selectedConnection) {
-          this.connectionManager.deleteSelectedConnection();
-        } else {
-          this.nodeManager.deleteSelected();
-        }
-      }
-
-      // Ctrl+Shift+G — Generate Prompt
-      if (e.ctrlKey && e.shiftKey && e.key === 'G') {
-        e.preventDefault();
-        this.promptExportModal.show();
-      }
-
-      // Ctrl+Shift+I — AI Generate Mind Map
-      if (e.ctrlKey && e.shiftKey && e.key === 'I') {
-        e.preventDefault();
-        this.ideaInputModal.show();
-      }
-
-      // Escape — Deselect all
-      if (e.key === 'Escape') {
-        this.nodeManager.deselectAll();
-        this.connectionManager.deselectConnection();
-        this.bus.emit('selection:changed', []);
-      }
-    });
+  /** Toggle grid snapping for drags (remembered per browser) */
+  _setSnapToGrid(on) {
+    this.nodeManager.snapToGrid = on;
+    document.getElementById('btn-snap-grid')?.classList.toggle('toggled', on);
+    localStorage.setItem('mm_snap_grid', on ? '1' : '0');
   }
 
   _bindSaveLoad() {
@@ -414,7 +417,7 @@ class MindMapperApp {
 
     // Save request from Storage's debounce
     this.bus.on('state:save-request', () => {
-      this.storage.save(this._getState());
+      this.storage.save(this._getDocumentState());
     });
   }
 
@@ -429,7 +432,9 @@ class MindMapperApp {
         const nodes = this.nodeManager.serialize();
         const result = validateMindMap(
           nodes,
-          this.connectionManager.serialize()
+          this.connectionManager.serialize(),
+          {},
+          this._pipelineOptions()
         );
         result.nodeCount = nodes.length;
         this.bus.emit('agent:readiness', result);
@@ -439,21 +444,314 @@ class MindMapperApp {
     this.bus.on('state:loaded', check);
   }
 
+  /** Outline dependency cycles on the canvas as soon as a wire closes one */
+  _bindCycleHighlight() {
+    let frame = null;
+    const check = () => {
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(() => {
+        const cycles = findDependencyCycles([...this.model.nodes.values()], this.model.connections.values());
+        this.nodeManager.setCycleHighlight(cycleNodeIds(cycles));
+        this.connectionManager.setCycleHighlight(cycleConnectionIds(cycles));
+      });
+    };
+    this.bus.on('state:changed', check);
+    this.bus.on('state:loaded', check);
+  }
+
+  /** Project structure the export pipeline needs besides nodes and wires */
+  _pipelineOptions(extra = {}) {
+    return {
+      frames: this.frameManager.serialize(),
+      nodeTypes: this.model.serializeNodeTypes(),
+      propertySchema: this.model.serializePropertySchema(),
+      ...extra,
+    };
+  }
+
   _getState() {
     return {
       nodes: this.nodeManager.serialize(),
       connections: this.connectionManager.serialize(),
+      frames: this.frameManager.serialize(),
+      nodeTypes: this.model.serializeNodeTypes(),
+      propertySchema: this.model.serializePropertySchema(),
       viewport: this.viewport.getState(),
       projectMeta: this.fileManager ? this.fileManager.getProjectMeta() : undefined,
     };
   }
 
-  _restoreState(state) {
+  /**
+   * The whole project for saving: the level on the canvas folded back into
+   * the sub-maps it was opened from, with the main map's viewport.
+   */
+  _getDocumentState() {
+    const state = this._getState();
+    if (this._subMapStack.length === 0) return state;
+    let level = { nodes: state.nodes, connections: state.connections, frames: state.frames };
+    for (let i = this._subMapStack.length - 1; i >= 0; i--) {
+      level = this._foldSubMap(this._subMapStack[i], level);
+    }
+    return { ...state, ...level, viewport: this._subMapStack[0].viewport };
+  }
+
+  // ─── Sub-Maps ──────────────────────────────────────────────────────
+
+  /**
+   * Drill into a node's child map (an empty one if it has none yet). The
+   * outer level waits on the stack with its viewport and undo history;
+   * the sub-map starts a history of its own.
+   */
+  _openSubMap(nodeId) {
+    const node = this.nodeManager.getNode(nodeId);
+    if (!node || this.history.inTransaction) return;
+
+    // Record edits still waiting on the state:changed debounce first
+    this.history.push(this._getState());
+    const { nodes, connections, frames } = this._getState();
+    this._subMapStack.push({
+      nodeId,
+      text: (node.text || '').trim() || 'Untitled',
+      level: { nodes, connections, frames },
+      viewport: this.viewport.getState(),
+      history: this.history.stash(),
+    });
+
+    const subMap = node.subMap || { nodes: [], connections: [], frames: [] };
+    this._showLevel(subMap);
+    this.history.reset(this._getState());
+    if (subMap.nodes.length > 0) requestAnimationFrame(() => this._fitToContent());
+    this._emitSubMapTrail();
+  }
+
+  /**
+   * Return to an outer level (0 = the main map). Each sub-map left is
+   * stored on its owner node, and everything edited below becomes one
+   * undo step there.
+   */
+  _closeSubMaps(depth = 0) {
+    if (depth >= this._subMapStack.length || this.history.inTransaction) return;
+
+    const { nodes, connections, frames } = this._getState();
+    let level = { nodes, connections, frames };
+    let entry;
+    while (this._subMapStack.length > depth) {
+      entry = this._subMapStack.pop();
+      level = this._foldSubMap(entry, level);
+    }
+
+    this._showLevel(level);
+    this.history.restore(entry.history);
+    this.history.push(this._getState(), `Edit sub-map "${entry.text}"`);
+    this.viewport.setState(entry.viewport);
+    this.bus.emit('viewport:changed', this.viewport.getState());
+    this._emitSubMapTrail();
+  }
+
+  /** A parent level with `child` stored as its owner's sub-map (an empty child removes it) */
+  _foldSubMap(entry, child) {
+    const nodes = entry.level.nodes.map(n => {
+      if (n.id !== entry.nodeId) return n;
+      const { subMap: _previous, ...owner } = n;
+      return child.nodes.length > 0 ? { ...owner, subMap: child } : owner;
+    });
+    return { ...entry.level, nodes };
+  }
+
+  /** Put one map level on the canvas; node types and property fields stay */
+  _showLevel(level) {
     this.history.pause();
-    this.nodeManager.deserialize(state.nodes);
-    this.connectionManager.deserialize(state.connections);
-    this.viewport.setState(state.viewport);
+    this.nodeManager.deserialize([]);
+    this.connectionManager.deserialize([]);
+    this.frameManager.deserialize([]);
+    this.frameManager.deserialize(level.frames || []);
+    this.nodeManager.deserialize(level.nodes || []);
+    this.connectionManager.deserialize(level.connections || []);
     this.history.resume();
+    this.bus.emit('selection:changed', []);
+    this.bus.emit('state:loaded');
+  }
+
+  _emitSubMapTrail() {
+    this.bus.emit('submap:changed', {
+      trail: this._subMapStack.map(({ nodeId, text }) => ({ nodeId, text })),
+    });
+  }
+
+  // ─── Undo / Redo ───────────────────────────────────────────────────
+
+  undo() {
+    // Wait while a step is still being recorded (an async layout or batch)
+    if (this.history.inTransaction) return;
+    // Record any edit still waiting on the state:changed debounce first
+    this.history.push(this._getState());
+    const step = this.history.undo();
+    if (step) this._applyHistoryPatches(step.patches);
+  }
+
+  redo() {
+    if (this.history.inTransaction) return;
+    this.history.push(this._getState());
+    const step = this.history.redo();
+    if (step) this._applyHistoryPatches(step.patches);
+  }
+
+  /** Jump to any labeled step from history.list() (-1 = before the first step) */
+  jumpToHistory(index) {
+    if (this.history.inTransaction) return;
+    // A pending edit becomes a step of its own and drops the redo steps, so the picked index is stale
+    if (this.history.push(this._getState())) return;
+    const step = this.history.jumpTo(index);
+    if (step) this._applyHistoryPatches(step.patches);
+  }
+
+  /**
+   * Create nodes for audit recommendations, wire them to the parents they
+   * name and lay the map out. Runs inside the caller's history transaction.
+   * @returns {Promise<void>} resolves once the layout has finished
+   */
+  async _implementRecommendations(toImplement) {
+    const existingNodes = this.nodeManager.serialize();
+
+    // Find rightmost edge for new node placement
+    let maxX = 0;
+    let baseY = 200;
+    for (const n of existingNodes) {
+      if (n.x > maxX) { maxX = n.x; baseY = n.y; }
+    }
+    const startX = maxX + 300;
+
+    const created = [];
+    const PRIORITY_COLORS = {
+      critical: '#ff2d78',
+      high: '#ff6e40',
+      medium: '#ffc107',
+      low: '#00ff88',
+    };
+
+    // Create nodes for each recommendation
+    for (let i = 0; i < toImplement.length; i++) {
+      const action = toImplement[i];
+      const y = baseY + (i * 140) - ((toImplement.length - 1) * 70);
+      const color = PRIORITY_COLORS[action.priority] || '#00e5ff';
+
+      const nodeData = this.commands.dispatch({
+        type: 'node.create',
+        payload: {
+          x: startX, y,
+          text: action.title,
+          color,
+          nodeType: action.nodeType || 'feature',
+          priority: action.priority || 'medium',
+          phase: action.phase ?? null,
+          agentNotes: action.description || '',
+        },
+      }, { source: 'agent' });
+      created.push({ nodeData, action });
+    }
+
+    // Connect to parent nodes (match by text, case-insensitive)
+    for (const { nodeData, action } of created) {
+      if (!action.parent) continue;
+      const parentText = action.parent.toLowerCase().trim();
+
+      // Search existing nodes for a text match
+      let parentNode = null;
+      this.nodeManager.nodes.forEach(n => {
+        if (n.text && n.text.toLowerCase().trim() === parentText) {
+          parentNode = n;
+        }
+      });
+
+      if (parentNode) {
+        // Find best ports for the connection
+        try {
+          this.commands.dispatch({
+            type: 'connection.create',
+            payload: {
+              sourceId: parentNode.id, sourcePort: 'right',
+              targetId: nodeData.id, targetPort: 'left',
+              directed: 'forward', type: 'blocks',
+            },
+          }, { source: 'agent' });
+        } catch (e) {
+          console.warn(`Could not connect ${action.title} to ${action.parent}:`, e.message);
+        }
+      }
+    }
+
+    // Notify the agent panel
+    this.bus.emit('orchestration:progress', {
+      type: 'text',
+      content: `\n\n✅ **${created.length} node(s) implemented on canvas.**\n`,
+    });
+
+    // Auto-layout once the new nodes have rendered
+    await new Promise(resolve => setTimeout(resolve, 200));
+    await this._cleanLayout();
+  }
+
+  /** Run `run` as one labeled undo step */
+  _transaction(label, run) {
+    // Earlier edits still waiting on the state:changed debounce get their own step
+    this.history.push(this._getState());
+    this.history.begin(label);
+    try {
+      return run();
+    } finally {
+      this.history.end(this._getState());
+    }
+  }
+
+  /**
+   * Replay a recorded macro on the current map as a single undo step.
+   * @returns {{executed: number, failed: object[]}}
+   */
+  _replayMacro(macro) {
+    this.history.push(this._getState());
+    this.history.begin(`Replay macro "${macro.name || 'Untitled'}"`);
+    try {
+      return this.commands.replay(macro);
+    } finally {
+      this.history.end(this._getState());
+    }
+  }
+
+  /**
+   * Apply undo/redo patches to the canvas in place — only the nodes and
+   * wires touched by the step are rebuilt.
+   */
+  _applyHistoryPatches(patches) {
+    this.history.pause();
+    for (const { kind, op, id, data } of patches) {
+      if (kind === 'node') {
+        if (op === 'remove') this.nodeManager.deleteNode(id);
+        else if (op === 'add') this.nodeManager.createNode(data.x, data.y, data);
+        else this.nodeManager.updateNode(id, data);
+      } else if (kind === 'nodeType') {
+        if (op === 'remove') this.nodeManager.removeNodeType(id);
+        else if (op === 'add') this.nodeManager.defineNodeType(data);
+        else this.nodeManager.updateNodeType(id, data);
+      } else if (kind === 'property') {
+        if (op === 'remove') this.nodeManager.removePropertyField(id);
+        else if (op === 'add') this.nodeManager.definePropertyField(data);
+        else this.nodeManager.updatePropertyField(id, data);
+      } else if (kind === 'frame') {
+        if (op === 'remove') this.frameManager.deleteFrame(id);
+        else if (op === 'add') this.frameManager.createFrame(data.x, data.y, data.width, data.height, data);
+        else this.frameManager.updateFrame(id, data);
+      } else {
+        if (op === 'remove') this.connectionManager.deleteConnection(id);
+        else if (op === 'add') {
+          this.connectionManager.createConnection(data.sourceId, data.sourcePort, data.targetId, data.targetPort, data);
+        } else this.connectionManager.updateConnection(id, data);
+      }
+    }
+    this.nodeManager.deselectAll();
+    this.frameManager.deselect();
+    this.connectionManager._renderAll();
+    this.history.resume();
+    this.bus.emit('selection:changed', []);
     this.bus.emit('state:loaded');
   }
 
@@ -461,6 +759,9 @@ class MindMapperApp {
     const saved = this.storage.load();
     if (saved) {
       this.history.pause();
+      this.nodeManager.deserializeNodeTypes(saved.nodeTypes);
+      this.nodeManager.deserializePropertySchema(saved.propertySchema);
+      this.frameManager.deserialize(saved.frames);
       this.nodeManager.deserialize(saved.nodes);
       this.connectionManager.deserialize(saved.connections);
       this.viewport.setState(saved.viewport);
@@ -476,6 +777,7 @@ class MindMapperApp {
         if (hint) hint.classList.add('hidden');
       }
     }
+    this.history.reset(this._getState());
   }
 
   _fitToContent() {
@@ -505,11 +807,16 @@ class MindMapperApp {
    * Clears current state, deserializes preset data, fits viewport.
    */
   _loadPreset(data) {
+    this._closeSubMaps(0);
     this.history.pause();
     // Clear existing
     this.nodeManager.deserialize([]);
     this.connectionManager.deserialize([]);
+    this.frameManager.deserialize([]);
     // Load preset
+    this.nodeManager.deserializeNodeTypes(data.nodeTypes || []);
+    this.nodeManager.deserializePropertySchema(data.propertySchema || []);
+    this.frameManager.deserialize(data.frames || []);
     this.nodeManager.deserialize(data.nodes || []);
     this.connectionManager.deserialize(data.connections || []);
     this.history.resume();
@@ -518,7 +825,7 @@ class MindMapperApp {
     // Fit viewport after a tick so DOM has laid out
     requestAnimationFrame(() => {
       this._fitToContent();
-      this.history.push(this._getState());
+      this.history.push(this._getState(), 'Load template');
       this.bus.emit('state:changed');
     });
 
@@ -553,7 +860,7 @@ class MindMapperApp {
     // ── Pre-flight: mind map readiness ─────────────────────────────────
     const nodes = this.nodeManager.serialize();
     const connections = this.connectionManager.serialize();
-    const validation = validateMindMap(nodes, connections);
+    const validation = validateMindMap(nodes, connections, {}, this._pipelineOptions());
 
     if (!validation.valid) {
       const issues = validation.errors.map(e => `• ${e}`).join('\n');
@@ -563,7 +870,7 @@ class MindMapperApp {
 
     // ── Serialize the mind map ─────────────────────────────────────────
     const projectName = this.fileManager?.currentFileName || 'Untitled';
-    const serialized = serializeMindMap(nodes, connections, { projectName });
+    const serialized = serializeMindMap(nodes, connections, this._pipelineOptions({ projectName }));
 
     // Build project context for the COO
     const projectContext = {
@@ -711,9 +1018,9 @@ class MindMapperApp {
     // Serialize the mind map
     const nodes = this.nodeManager.serialize();
     const connections = this.connectionManager.serialize();
-    const serialized = serializeMindMap(nodes, connections, {
+    const serialized = serializeMindMap(nodes, connections, this._pipelineOptions({
       projectName: this.fileManager?.currentFileName || 'Untitled',
-    });
+    }));
 
     // Create a COO agent (no bridge needed for local planning)
     const cooAgent = new COOAgent({
@@ -933,6 +1240,8 @@ class MindMapperApp {
   /**
    * Clean Layout — re-arrange all existing nodes using the balanced tree layout.
    * Works on human-made or AI-generated mind maps.
+   * Recorded as a single "Clean layout" history step.
+   * @returns {Promise<void>} resolves once the layout animation has finished
    */
   _cleanLayout() {
     const nodeData = this.nodeManager.serialize();
@@ -940,75 +1249,38 @@ class MindMapperApp {
 
     if (nodeData.length === 0) {
       alert('No nodes on the canvas to arrange.');
-      return;
+      return Promise.resolve();
     }
 
-    // Build index-based arrays for computeLayout
-    const idToIndex = new Map();
-    const layoutNodes = nodeData.map((n, i) => {
-      idToIndex.set(n.id, i);
-      return { text: n.text, type: n.nodeType || 'general', priority: n.priority || 'medium' };
-    });
-
-    const layoutConns = [];
-    connData.forEach(c => {
-      const fromIdx = idToIndex.get(c.sourceId);
-      const toIdx = idToIndex.get(c.targetId);
-      if (fromIdx !== undefined && toIdx !== undefined) {
-        layoutConns.push({
-          from: fromIdx,
-          to: toIdx,
-          directed: c.directed === 'forward',
-        });
-      }
-    });
+    this.history.push(this._getState());
+    this.history.begin('Clean layout');
 
     // Compute viewport center
     const container = document.getElementById('canvas-container');
     const rect = container?.getBoundingClientRect() || { width: 1200, height: 800 };
     const center = this.viewport.screenToWorld(rect.width / 2, rect.height / 2);
 
-    // Run the balanced tree layout
-    const positioned = computeLayout(layoutNodes, layoutConns, center.x, center.y);
-
-    // Move each node and re-assign optimal connection ports FIRST (before animation)
-    // so the wires render correctly from the start
-    connData.forEach(c => {
-      const conn = this.connectionManager.connections.get(c.id);
-      if (!conn) return;
+    // Run the balanced tree layout on the plain map data
+    const { positions, ports } = layoutGraph(nodeData, connData, center.x, center.y);
 
-      const srcIdx = idToIndex.get(c.sourceId);
-      const tgtIdx = idToIndex.get(c.targetId);
-      if (srcIdx === undefined || tgtIdx === undefined) return;
-
-      const dx = positioned[tgtIdx].x - positioned[srcIdx].x;
-      const dy = positioned[tgtIdx].y - positioned[srcIdx].y;
-
-      if (Math.abs(dx) > Math.abs(dy)) {
-        conn.sourcePort = dx > 0 ? 'right' : 'left';
-        conn.targetPort = dx > 0 ? 'left' : 'right';
-      } else {
-        conn.sourcePort = dy > 0 ? 'bottom' : 'top';
-        conn.targetPort = dy > 0 ? 'top' : 'bottom';
-      }
-    });
+    // Re-assign optimal connection ports FIRST (before animation)
+    // so the wires render correctly from the start; manual bends no longer fit
+    ports.forEach((p, connId) => this.model.updateConnection(connId, { ...p, waypoints: [] }));
 
     // Animate nodes to new positions
-    nodeData.forEach((nData, i) => {
-      const node = this.nodeManager.getNode(nData.id);
-      if (!node) return;
-
-      const newX = Math.round(positioned[i].x - 70);
-      const newY = Math.round(positioned[i].y - 20);
+    positions.forEach(({ x, y }, nodeId) => {
+      const node = this.nodeManager.getNode(nodeId);
+      const el = this.nodeManager.getElement(nodeId);
+      if (!node || !el) return;
 
       // Smooth CSS transition
-      node.el.style.transition = 'left 0.5s cubic-bezier(0.4, 0, 0.2, 1), top 0.5s cubic-bezier(0.4, 0, 0.2, 1)';
-      node.x = newX;
-      node.y = newY;
-      node.el.style.left = `${newX}px`;
-      node.el.style.top = `${newY}px`;
+      el.style.transition = 'left 0.5s cubic-bezier(0.4, 0, 0.2, 1), top 0.5s cubic-bezier(0.4, 0, 0.2, 1)';
+      node.x = x;
+      node.y = y;
+      el.style.left = `${x}px`;
+      el.style.top = `${y}px`;
 
-      setTimeout(() => { node.el.style.transition = ''; }, 550);
+      setTimeout(() => { el.style.transition = ''; }, 550);
     });
 
     // Re-render all connection wires during the animation
@@ -1016,11 +1288,15 @@ class MindMapperApp {
     [0, 50, 100, 200, 300, 400, 500, 550].forEach(ms => setTimeout(renderWires, ms));
 
     // Final cleanup
-    setTimeout(() => {
-      renderWires();
-      this.bus.emit('state:changed');
-      this.bus.emit('viewport:fit-request');
-    }, 560);
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        renderWires();
+        this.history.end(this._getState());
+        this.bus.emit('state:changed');
+        this.bus.emit('viewport:fit-request');
+        resolve();
+      }, 560);
+    });
   }
 }
 
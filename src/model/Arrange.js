@@ -0,0 +1,136 @@
+/**
+ * Arrange — Align, distribute and grid-snap a selection of nodes, and the
+ * smart guides shown while dragging.
+ *
+ * Works on plain rects ({ id, x, y, width, height }) so it runs without a
+ * DOM; each function returns the positions to apply instead of mutating.
+ */
+
+import { GRID } from './NodeSchema.js';
+
+export const ALIGN_EDGES = [
+  { id: 'left',   label: 'Align Left',   icon: '⇤' },
+  { id: 'center', label: 'Align Center', icon: '⇹' },
+  { id: 'right',  label: 'Align Right',  icon: '⇥' },
+  { id: 'top',    label: 'Align Top',    icon: '⤒' },
+  { id: 'middle', label: 'Align Middle', icon: '⇳' },
+  { id: 'bottom', label: 'Align Bottom', icon: '⤓' },
+];
+
+export const DISTRIBUTE_AXES = [
+  { id: 'horizontal', label: 'Distribute Horizontally', icon: '⋯' },
+  { id: 'vertical',   label: 'Distribute Vertically',   icon: '⋮' },
+];
+
+/** Nearest grid line to a coordinate */
+export function snapToGrid(value, size = GRID.size) {
+  return Math.round(value / size) * size;
+}
+
+/**
+ * Line the rects up on one edge (or center line) of their bounding box.
+ * @param {{id: string, x: number, y: number, width: number, height: number}[]} rects
+ * @param {string} edge - An ALIGN_EDGES id
+ * @returns {{id: string, x: number, y: number}[]} Rects whose position changes
+ */
+export function alignRects(rects, edge) {
+  if (rects.length < 2) return [];
+  const minX = Math.min(...rects.map(r => r.x));
+  const maxX = Math.max(...rects.map(r => r.x + r.width));
+  const minY = Math.min(...rects.map(r => r.y));
+  const maxY = Math.max(...rects.map(r => r.y + r.height));
+
+  const place = {
+    left:   () => ({ x: minX }),
+    center: r => ({ x: (minX + maxX) / 2 - r.width / 2 }),
+    right:  r => ({ x: maxX - r.width }),
+    top:    () => ({ y: minY }),
+    middle: r => ({ y: (minY + maxY) / 2 - r.height / 2 }),
+    bottom: r => ({ y: maxY - r.height }),
+  }[edge];
+  if (!place) throw new Error(`Unknown align edge: ${edge}`);
+
+  return changed(rects, r => ({ x: r.x, y: r.y, ...place(r) }));
+}
+
+/**
+ * Space the rects evenly between the outermost two along an axis, so the
+ * gaps between neighbours are equal. Needs at least three rects.
+ * @param {string} axis - 'horizontal' | 'vertical'
+ * @returns {{id: string, x: number, y: number}[]} Rects whose position changes
+ */
+export function distributeRects(rects, axis) {
+  if (axis !== 'horizontal' && axis !== 'vertical') throw new Error(`Unknown distribute axis: ${axis}`);
+  if (rects.length < 3) return [];
+  const [pos, size] = axis === 'vertical' ? ['y', 'height'] : ['x', 'width'];
+
+  const sorted = [...rects].sort((a, b) => a[pos] - b[pos]);
+  const first = sorted[0];
+  const last = sorted.at(-1);
+  const span = last[pos] + last[size] - first[pos];
+  const gap = (span - sorted.reduce((sum, r) => sum + r[size], 0)) / (sorted.length - 1);
+
+  const next = new Map();
+  let cursor = first[pos];
+  sorted.forEach(r => {
+    next.set(r.id, cursor);
+    cursor += r[size] + gap;
+  });
+  return changed(rects, r => ({ x: r.x, y: r.y, [pos]: next.get(r.id) }));
+}
+
+/** Move each rect's top-left corner onto the grid */
+export function snapRects(rects, size = GRID.size) {
+  return changed(rects, r => ({ x: snapToGrid(r.x, size), y: snapToGrid(r.y, size) }));
+}
+
+/**
+ * Smart guides for a rect being dragged: when one of its edges or center
+ * lines comes within `threshold` of another rect's, pull it in line.
+ * @param {{x: number, y: number, width: number, height: number}} rect - Proposed position
+ * @param {object[]} others - Rects to line up with
+ * @param {number} threshold - Snap distance in the rects' units
+ * @returns {{dx: number|null, dy: number|null, guides: {axis: 'x'|'y', pos: number, start: number, end: number}[]}}
+ *   dx / dy are null on an axis with nothing to line up with
+ */
+export function findGuides(rect, others, threshold) {
+  const result = { dx: null, dy: null, guides: [] };
+  [['x', 'width', 'y', 'height'], ['y', 'height', 'x', 'width']].forEach(([pos, size, cross, crossSize]) => {
+    const lines = (r) => [r[pos], r[pos] + r[size] / 2, r[pos] + r[size]];
+
+    // Closest line-up on this axis
+    let best = null;
+    others.forEach(o => lines(o).forEach(target => lines(rect).forEach(own => {
+      const delta = target - own;
+      if (Math.abs(delta) <= threshold && (best === null || Math.abs(delta) < Math.abs(best))) best = delta;
+    })));
+    if (best === null) return;
+    result[pos === 'x' ? 'dx' : 'dy'] = best;
+
+    // One guide per line now shared with another rect, spanning all of them
+    const placed = { ...rect, [pos]: rect[pos] + best };
+    lines(placed).forEach(line => {
+      const matches = others.filter(o => lines(o).some(l => Math.abs(l - line) < 0.5));
+      if (matches.length === 0) return;
+      const all = [placed, ...matches];
+      result.guides.push({
+        axis: pos,
+        pos: line,
+        start: Math.min(...all.map(r => r[cross])),
+        end: Math.max(...all.map(r => r[cross] + r[crossSize])),
+      });
+    });
+  });
+  return result;
+}
+
+/** New whole-pixel positions, keeping only the rects that actually move */
+function changed(rects, placeOf) {
+  const moves = [];
+  rects.forEach(r => {
+    const { x, y } = placeOf(r);
+    const next = { id: r.id, x: Math.round(x), y: Math.round(y) };
+    if (next.x !== r.x || next.y !== r.y) moves.push(next);
+  });
+  return moves;
+}
@@ -0,0 +1,290 @@
+/**
+ * DependencyGraph — The graph of wires that order the plan, and the
+ * analyses run on it: cycles, the critical path, and a node's impact.
+ *
+ * Only dependency wires count (depends-on, blocks — see dependencyEdge in
+ * NodeSchema.js): each gives an edge "before → after". buildDependencyGraph
+ * is the adjacency serializeMindMap sorts the execution order from; the
+ * analyses below share it.
+ *
+ * Cycles: a cycle means no execution order exists, so the validator reports
+ * it as a blocking error and the canvas highlights it.
+ *
+ *   const cycles = findDependencyCycles(nodes, connections);
+ *   // [{ nodeIds: ['a', 'b', 'c'], connectionIds: ['c1', 'c2', 'c3'] }]
+ *   formatCycle(cycles[0], nodes); // '"Auth" → "Payments" → "Checkout" → "Auth"'
+ *
+ * Each strongly connected component of the dependency graph yields one
+ * cycle — the shortest one through its first node — in execution-order
+ * direction (each node must run before the next). Breaking it may leave
+ * another cycle in the same component; that one is reported next time.
+ *
+ * Critical path: the chain of dependencies with the largest total estimate
+ * (a number property — see estimateField), i.e. the soonest the whole plan
+ * can finish. Impact: every node that transitively waits on a given one.
+ *
+ * Everything here is linear in nodes + wires, so it stays quick on large
+ * maps.
+ */
+
+import { dependencyEdge } from './NodeSchema.js';
+
+/**
+ * @typedef {Object} DependencyGraph
+ * @property {Map<string, string[]>} adjList - before → the nodes waiting on it
+ * @property {Map<string, number>} inDegree - How many nodes each one waits on
+ * @property {{before: string, after: string, connId: string}[]} edges - One per dependency wire
+ */
+
+/**
+ * Build the dependency adjacency of a map. Wires to nodes outside `nodes`
+ * are ignored.
+ *
+ * @param {object[]} nodes - Anything with an `id`
+ * @param {Iterable<object>} connections - Connection records or serialized connections
+ * @returns {DependencyGraph}
+ */
+export function buildDependencyGraph(nodes, connections) {
+  const adjList = new Map();
+  const inDegree = new Map();
+  nodes.forEach(n => {
+    adjList.set(n.id, []);
+    inDegree.set(n.id, 0);
+  });
+
+  const edges = [];
+  for (const conn of connections) {
+    const edge = dependencyEdge(conn);
+    if (!edge || !adjList.has(edge.before) || !adjList.has(edge.after)) continue;
+    // edge.after waits for edge.before
+    adjList.get(edge.before).push(edge.after);
+    inDegree.set(edge.after, inDegree.get(edge.after) + 1);
+    edges.push({ ...edge, connId: conn.id });
+  }
+  return { adjList, inDegree, edges };
+}
+
+/**
+ * @typedef {Object} DependencyCycle
+ * @property {string[]} nodeIds - Nodes around the cycle, first not repeated
+ * @property {string[]} connectionIds - The wire from each node to the next
+ */
+
+/**
+ * Find the dependency cycles in a map.
+ *
+ * @param {object[]} nodes - Anything with an `id`
+ * @param {Iterable<object>} connections - Connection records or serialized connections
+ * @returns {DependencyCycle[]}
+ */
+export function findDependencyCycles(nodes, connections) {
+  const out = outgoing(buildDependencyGraph(nodes, connections));
+  return stronglyConnected(nodes.map(n => n.id), out)
+    .filter(component => component.length > 1)
+    .map(component => shortestCycle(component, out));
+}
+
+/** Node ids of every cycle, for highlighting */
+export function cycleNodeIds(cycles) {
+  return new Set(cycles.flatMap(c => c.nodeIds));
+}
+
+/** Wire ids of every cycle, for highlighting and quick fixes */
+export function cycleConnectionIds(cycles) {
+  return new Set(cycles.flatMap(c => c.connectionIds));
+}
+
+/** '"A" → "B" → "A"', naming nodes by their text */
+export function formatCycle(cycle, nodes) {
+  const text = new Map(nodes.map(n => [n.id, (n.text || '').trim() || 'Untitled']));
+  return [...cycle.nodeIds, cycle.nodeIds[0]].map(id => `"${text.get(id) || id}"`).join(' → ');
+}
+
+// ─── Critical Path & Impact ──────────────────────────────────────────
+
+/**
+ * The number property to weight nodes by: the first number field named like
+ * an estimate (estimate, effort, points, hours, days), else the first number
+ * field, else null (every node weighs 1).
+ *
+ * @param {object[]} schema - Property field definitions
+ * @returns {object|null}
+ */
+export function estimateField(schema) {
+  const numbers = (schema || []).filter(f => f.kind === 'number');
+  return numbers.find(f => /estimate|effort|points?|hours?|days?/i.test(`${f.id} ${f.label}`))
+    || numbers[0] || null;
+}
+
+/** A node's weight: its estimate when set and non-negative, otherwise 1 */
+export function nodeEstimate(node, field) {
+  const raw = field ? node.properties?.[field.id] : null;
+  const value = raw === null || raw === undefined || raw === '' ? NaN : Number(raw);
+  return Number.isFinite(value) && value >= 0 ? value : 1;
+}
+
+/**
+ * The heaviest chain of dependencies, first to last. Nodes caught in (or
+ * waiting on) a cycle have no order and are left out.
+ *
+ * @param {object[]} nodes
+ * @param {DependencyGraph} graph
+ * @param {(node: object) => number} weightOf
+ * @returns {{nodeIds: string[], connectionIds: string[], total: number}}
+ */
+export function findCriticalPath(nodes, graph, weightOf) {
+  const byId = new Map(nodes.map(n => [n.id, n]));
+  const inDeg = new Map(graph.inDegree);
+  const total = new Map();   // heaviest chain ending at each node
+  const prev = new Map();
+
+  const queue = nodes.filter(n => inDeg.get(n.id) === 0).map(n => n.id);
+  queue.forEach(id => total.set(id, weightOf(byId.get(id))));
+  for (let i = 0; i < queue.length; i++) {
+    const id = queue[i];
+    for (const next of graph.adjList.get(id)) {
+      const through = total.get(id) + weightOf(byId.get(next));
+      if (!total.has(next) || through > total.get(next)) {
+        total.set(next, through);
+        prev.set(next, id);
+      }
+      inDeg.set(next, inDeg.get(next) - 1);
+      if (inDeg.get(next) === 0) queue.push(next);
+    }
+  }
+
+  // Only nodes that came off the queue have a final total
+  let end = null;
+  queue.forEach(id => {
+    if (end === null || total.get(id) > total.get(end)) end = id;
+  });
+  if (end === null) return { nodeIds: [], connectionIds: [], total: 0 };
+
+  const nodeIds = [];
+  for (let at = end; at !== undefined; at = prev.get(at)) nodeIds.push(at);
+  nodeIds.reverse();
+
+  const wireFor = new Map(graph.edges.map(e => [`${e.before}\n${e.after}`, e.connId]));
+  const connectionIds = nodeIds.slice(1).map((id, i) => wireFor.get(`${nodeIds[i]}\n${id}`));
+  return { nodeIds, connectionIds, total: total.get(end) };
+}
+
+/**
+ * Everything that transitively waits on a node, with how many dependency
+ * steps away it is.
+ *
+ * @param {DependencyGraph} graph
+ * @param {string} nodeId
+ * @returns {{dependents: Map<string, number>, connectionIds: string[]}}
+ */
+export function findDependents(graph, nodeId) {
+  const dependents = new Map();
+  const queue = [nodeId];
+  const seen = new Set(queue);
+  for (let i = 0; i < queue.length; i++) {
+    const id = queue[i];
+    for (const next of graph.adjList.get(id) || []) {
+      if (seen.has(next)) continue;
+      seen.add(next);
+      dependents.set(next, (dependents.get(id) || 0) + 1);
+      queue.push(next);
+    }
+  }
+  const connectionIds = graph.edges.filter(e => seen.has(e.before) && seen.has(e.after)).map(e => e.connId);
+  return { dependents, connectionIds };
+}
+
+// ─── Graph Search ────────────────────────────────────────────────────
+
+/** Outgoing edges per node as { to, connId } */
+function outgoing(graph) {
+  const out = new Map();
+  graph.edges.forEach(({ before, after, connId }) => {
+    if (!out.has(before)) out.set(before, []);
+    out.get(before).push({ to: after, connId });
+  });
+  return out;
+}
+
+/** Tarjan's strongly connected components (iterative, so deep chains cannot overflow the stack) */
+function stronglyConnected(ids, out) {
+  const index = new Map();
+  const low = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let counter = 0;
+
+  ids.forEach(root => {
+    if (index.has(root)) return;
+    const work = [{ id: root, next: 0 }];
+    index.set(root, counter);
+    low.set(root, counter++);
+    stack.push(root);
+    onStack.add(root);
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      const edges = out.get(frame.id) || [];
+      if (frame.next < edges.length) {
+        const { to } = edges[frame.next++];
+        if (!index.has(to)) {
+          index.set(to, counter);
+          low.set(to, counter++);
+          stack.push(to);
+          onStack.add(to);
+          work.push({ id: to, next: 0 });
+        } else if (onStack.has(to)) {
+          low.set(frame.id, Math.min(low.get(frame.id), index.get(to)));
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1].id;
+        low.set(parent, Math.min(low.get(parent), low.get(frame.id)));
+      }
+      if (low.get(frame.id) === index.get(frame.id)) {
+        const component = [];
+        let id;
+        do {
+          id = stack.pop();
+          onStack.delete(id);
+          component.push(id);
+        } while (id !== frame.id);
+        components.push(component.reverse());
+      }
+    }
+  });
+  return components;
+}
+
+/** Breadth-first search inside a component back to its first node */
+function shortestCycle(component, out) {
+  const members = new Set(component);
+  const start = component[0];
+  const via = new Map(); // node → { from, connId }
+  const queue = [start];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    for (const { to, connId } of out.get(id) || []) {
+      if (!members.has(to)) continue;
+      if (to === start) {
+        const nodeIds = [];
+        const connectionIds = [connId];
+        for (let at = id; at !== start; at = via.get(at).from) {
+          nodeIds.push(at);
+          connectionIds.push(via.get(at).connId);
+        }
+        nodeIds.push(start);
+        return { nodeIds: nodeIds.reverse(), connectionIds: connectionIds.reverse() };
+      }
+      if (!via.has(to)) {
+        via.set(to, { from: id, connId });
+        queue.push(to);
+      }
+    }
+  }
+  return { nodeIds: component, connectionIds: [] }; // unreachable for a true component
+}
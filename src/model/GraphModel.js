@@ -0,0 +1,721 @@
+/**
+ * GraphModel — DOM-free data model for a mind map: nodes, connections,
+ * group frames, metadata and geometry.
+ *
+ * NodeManager and ConnectionManager render from this model and keep their
+ * DOM elements on the side, so everything downstream of the canvas
+ * (serializer, validator, prompt generator, layout, MCP config) can run
+ * headless — e.g. in Node on a saved .mindmap file:
+ *
+ *   const model = GraphModel.fromJSON(JSON.parse(readFileSync(file, 'utf8')));
+ *   const data  = serializeMindMap(model.serializeNodes(), model.serializeConnections(),
+ *                                  { frames: model.serializeFrames() });
+ *
+ * Node geometry: the canvas reports measured sizes via setNodeSize();
+ * nodes that were never rendered fall back to a text-based estimate.
+ *
+ * Frames: a node belongs to at most one frame (node.frameId — the innermost
+ * one); frames nest through frame.parentId. Both are derived from geometry
+ * by syncFrameMembership() and saved so headless consumers need no layout.
+ *
+ * Node types: the built-in NODE_TYPES plus the project's own definitions
+ * (`nodeTypes` in the file); getNodeTypes() returns both.
+ *
+ * Properties: the project's typed fields (`propertySchema` in the file);
+ * each node keeps its values in node.properties, keyed by field id.
+ *
+ * Sub-maps: a node can own a child map (node.subMap — see SubMaps.js). The
+ * model holds one level; the nested maps are carried along as plain data.
+ *
+ * Connections: besides ports and the `directed` arrow state, a wire carries a
+ * relationship `type` (CONNECTION_TYPES — see connectionTypeOf for wires
+ * saved without one), an
+ * optional `label` drawn at its midpoint instead of the type's wording, a
+ * `routing` style (CONNECTION_ROUTINGS) and manual bend points (`waypoints`,
+ * world coordinates; empty lets the router choose the path).
+ */
+
+import {
+  NODE_COLORS, COMMERCE_NODE_TYPES, NODE_SIZE, FRAME_COLORS, FRAME_DEFAULTS,
+  normalizeNodeType, resolveNodeTypes, nodeTypeIdFor, NODE_TYPE_BASES,
+  normalizePropertyDef, propertyIdFor, coercePropertyValue,
+  CONNECTION_TYPES, DEFAULT_CONNECTION_TYPE, connectionTypeOf, CONNECTION_ROUTINGS, DEFAULT_CONNECTION_ROUTING,
+} from './NodeSchema.js';
+import { normalizeTags, collectTags } from './TagQuery.js';
+import { normalizeSubMap } from './SubMaps.js';
+
+let _nodeIdCounter = 0;
+function generateNodeId() {
+  return `node_${Date.now().toString(36)}_${(++_nodeIdCounter).toString(36)}`;
+}
+
+let _connIdCounter = 0;
+function generateConnId() {
+  return `conn_${Date.now().toString(36)}_${(++_connIdCounter).toString(36)}`;
+}
+
+let _frameIdCounter = 0;
+function generateFrameId() {
+  return `frame_${Date.now().toString(36)}_${(++_frameIdCounter).toString(36)}`;
+}
+
+export class GraphModel {
+  /**
+   * @param {{nodes?: object[], connections?: object[], frames?: object[], nodeTypes?: object[], propertySchema?: object[]}} [data] - Serialized state to load
+   */
+  constructor(data) {
+    /** @type {Map<string, object>} */
+    this.nodes = new Map();
+    /** @type {Map<string, {id,sourceId,sourcePort,targetId,targetPort,directed}>} */
+    this.connections = new Map();
+    /** @type {Map<string, {id,label,x,y,width,height,color,parentId}>} */
+    this.frames = new Map();
+    /** @type {Map<string, {id,label,icon,color,meaning,base}>} project-defined node types */
+    this.nodeTypes = new Map();
+    /** @type {Map<string, {id,label,kind,options,showOnNode}>} project property fields, in display order */
+    this.propertySchema = new Map();
+
+    if (data) this.load(data);
+  }
+
+  /** Build a model from a parsed .mindmap file (or any { nodes, connections, frames } state) */
+  static fromJSON(data) {
+    return new GraphModel(data);
+  }
+
+  // ─── Nodes ───────────────────────────────────────────────────────────
+
+  /**
+   * Add a node with defaults applied — same options as NodeManager.createNode().
+   * @returns {object} The stored node record
+   */
+  addNode(x, y, opts = {}) {
+    const id = opts.id || generateNodeId();
+    const commerceType = opts.commerceType || null;
+    const commerceDef = commerceType ? COMMERCE_NODE_TYPES.find(c => c.id === commerceType) : null;
+    const color = opts.color || NODE_COLORS[this.nodes.size % NODE_COLORS.length];
+
+    const node = {
+      id,
+      text: opts.text || (commerceDef?.label || ''),
+      x, y,
+      // Commerce nodes always wear their integration's color
+      color: commerceType ? (commerceDef?.color || color) : color,
+      shape: opts.shape || 'rectangle',
+      // Phase 3.2 metadata
+      nodeType: opts.nodeType || 'general',
+      priority: opts.priority || 'medium',
+      phase: opts.phase ?? null,
+      assignedAgent: opts.assignedAgent || null,
+      agentStatus: opts.agentStatus || 'unassigned',
+      agentNotes: opts.agentNotes || null,
+      // Markdown notes body — the node's detailed spec
+      body: opts.body || '',
+      // Custom property values by field id
+      properties: { ...opts.properties },
+      // Free-form tags, lowercase without '#'
+      tags: normalizeTags(opts.tags || []),
+      // Phase 8 commerce
+      commerceType,
+      credentials: opts.credentials || {},
+      customFields: opts.customFields || null, // for custom-integration
+      // P2.1 connection test status: verified|failed|untested
+      connectionStatus: opts.connectionStatus || 'untested',
+      // Folded subtree — descendants are hidden on the canvas
+      collapsed: !!opts.collapsed,
+      // Innermost group frame containing the node
+      frameId: opts.frameId || null,
+      // Child mind map { nodes, connections, frames }, or null
+      subMap: normalizeSubMap(opts.subMap),
+    };
+    this.nodes.set(id, node);
+    return node;
+  }
+
+  getNode(id) {
+    return this.nodes.get(id);
+  }
+
+  /** Merge fields into a node record (the id is never changed) */
+  updateNode(id, fields) {
+    const node = this.nodes.get(id);
+    if (!node) return null;
+    const { id: _ignored, ...data } = fields;
+    if ('subMap' in data) data.subMap = normalizeSubMap(data.subMap);
+    Object.assign(node, data);
+    return node;
+  }
+
+  /** Every tag in use with its node count, most used first */
+  getAllTags() {
+    return collectTags([...this.nodes.values()]);
+  }
+
+  /** Remove a node record. Attached connections are left to the caller. */
+  removeNode(id) {
+    const node = this.nodes.get(id);
+    this.nodes.delete(id);
+    return node || null;
+  }
+
+  // ─── Geometry ────────────────────────────────────────────────────────
+
+  /** Record the rendered size of a node (reported by the canvas) */
+  setNodeSize(id, width, height) {
+    const node = this.nodes.get(id);
+    if (!node || !width || !height) return;
+    node.width = width;
+    node.height = height;
+  }
+
+  /** Measured size when rendered, otherwise an estimate from the node's text */
+  getNodeSize(idOrNode) {
+    const node = typeof idOrNode === 'string' ? this.nodes.get(idOrNode) : idOrNode;
+    if (!node) return { width: 0, height: 0 };
+    if (node.width && node.height) return { width: node.width, height: node.height };
+    return estimateNodeSize(node);
+  }
+
+  /** Center of a port (top/right/bottom/left) in world coordinates */
+  getPortPosition(id, port) {
+    const node = this.nodes.get(id);
+    if (!node) return null;
+    const { width: w, height: h } = this.getNodeSize(node);
+    switch (port) {
+      case 'top':    return { x: node.x + w / 2, y: node.y };
+      case 'right':  return { x: node.x + w,     y: node.y + h / 2 };
+      case 'bottom': return { x: node.x + w / 2, y: node.y + h };
+      case 'left':   return { x: node.x,         y: node.y + h / 2 };
+      default:       return { x: node.x + w / 2, y: node.y + h / 2 };
+    }
+  }
+
+  /**
+   * Bounding box of nodes in world coords.
+   * @param {(node: object) => boolean} [filter] - Only include matching nodes
+   */
+  getBounds(filter = null) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    let count = 0;
+    this.nodes.forEach(n => {
+      if (filter && !filter(n)) return;
+      const { width: w, height: h } = this.getNodeSize(n);
+      if (n.x < minX) minX = n.x;
+      if (n.y < minY) minY = n.y;
+      if (n.x + w > maxX) maxX = n.x + w;
+      if (n.y + h > maxY) maxY = n.y + h;
+      count++;
+    });
+    if (count === 0) return null;
+    return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+  }
+
+  // ─── Connections ─────────────────────────────────────────────────────
+
+  /**
+   * Add a connection between two node ports.
+   * @param {object} [opts]
+   * @param {string} [opts.id]
+   * @param {boolean|'none'|'forward'|'both'} [opts.directed]
+   * @param {string} [opts.type] - Relationship type id (CONNECTION_TYPES)
+   * @param {string} [opts.label] - Midpoint label; empty shows the type's wording
+   * @param {string} [opts.routing] - 'orthogonal' | 'straight' | 'curved'
+   * @param {{x: number, y: number}[]} [opts.waypoints] - Manual bend points
+   * @returns {object} The stored connection record
+   */
+  addConnection(sourceId, sourcePort, targetId, targetPort, opts = {}) {
+    const id = opts.id || generateConnId();
+    const conn = {
+      id, sourceId, sourcePort, targetId, targetPort,
+      directed: normalizeDirected(opts.directed),
+      type: connectionTypeOf(opts),
+      label: normalizeConnectionLabel(opts.label),
+      routing: normalizeRouting(opts.routing),
+      waypoints: normalizeWaypoints(opts.waypoints),
+    };
+    this.connections.set(id, conn);
+    return conn;
+  }
+
+  getConnection(id) {
+    return this.connections.get(id);
+  }
+
+  updateConnection(id, fields) {
+    const conn = this.connections.get(id);
+    if (!conn) return null;
+    const { id: _ignored, ...data } = fields;
+    Object.assign(conn, data);
+    if ('directed' in data) conn.directed = normalizeDirected(data.directed);
+    if ('type' in data) conn.type = normalizeConnectionType(data.type);
+    if ('label' in data) conn.label = normalizeConnectionLabel(data.label);
+    if ('routing' in data) conn.routing = normalizeRouting(data.routing);
+    if ('waypoints' in data) conn.waypoints = normalizeWaypoints(data.waypoints);
+    return conn;
+  }
+
+  removeConnection(id) {
+    const conn = this.connections.get(id);
+    this.connections.delete(id);
+    return conn || null;
+  }
+
+  /** All connections attached to a node */
+  getConnectionsForNode(nodeId) {
+    const result = [];
+    this.connections.forEach(conn => {
+      if (conn.sourceId === nodeId || conn.targetId === nodeId) result.push(conn);
+    });
+    return result;
+  }
+
+  /** True if the two ports are already wired (in either direction) */
+  hasConnection(srcId, srcPort, tgtId, tgtPort) {
+    for (const conn of this.connections.values()) {
+      if (
+        (conn.sourceId === srcId && conn.sourcePort === srcPort && conn.targetId === tgtId && conn.targetPort === tgtPort) ||
+        (conn.sourceId === tgtId && conn.sourcePort === tgtPort && conn.targetId === srcId && conn.targetPort === srcPort)
+      ) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // ─── Subtrees ────────────────────────────────────────────────────────
+
+  /** Ids of a node's children — targets of its outgoing directed connections */
+  getChildIds(nodeId) {
+    return this.getChildMap().get(nodeId) || [];
+  }
+
+  /** All nodes reachable through outgoing directed connections (cycle-safe) */
+  getDescendantIds(nodeId, children = this.getChildMap()) {
+    const seen = new Set([nodeId]);
+    const queue = [nodeId];
+    while (queue.length > 0) {
+      (children.get(queue.shift()) || []).forEach(childId => {
+        if (seen.has(childId)) return;
+        seen.add(childId);
+        queue.push(childId);
+      });
+    }
+    seen.delete(nodeId);
+    return seen;
+  }
+
+  /** Nodes hidden because an ancestor is collapsed */
+  getHiddenNodeIds() {
+    const children = this.getChildMap();
+    const hidden = new Set();
+    this.nodes.forEach(node => {
+      if (node.collapsed) this.getDescendantIds(node.id, children).forEach(id => hidden.add(id));
+    });
+    return hidden;
+  }
+
+  /** parent id → child ids, following forward-directed connections */
+  getChildMap() {
+    const children = new Map();
+    this.connections.forEach(conn => {
+      if (conn.directed !== 'forward' || conn.sourceId === conn.targetId) return;
+      if (!children.has(conn.sourceId)) children.set(conn.sourceId, []);
+      children.get(conn.sourceId).push(conn.targetId);
+    });
+    return children;
+  }
+
+  // ─── Frames ──────────────────────────────────────────────────────────
+
+  /**
+   * Add a labeled group frame.
+   * @param {object} [opts]
+   * @param {string} [opts.id]
+   * @param {string} [opts.label]
+   * @param {string} [opts.color]
+   * @param {string|null} [opts.parentId] - Enclosing frame
+   * @returns {object} The stored frame record
+   */
+  addFrame(x, y, width, height, opts = {}) {
+    const id = opts.id || generateFrameId();
+    const frame = {
+      id,
+      label: opts.label ?? FRAME_DEFAULTS.label,
+      x, y,
+      width: Math.max(FRAME_DEFAULTS.minWidth, width || FRAME_DEFAULTS.width),
+      height: Math.max(FRAME_DEFAULTS.minHeight, height || FRAME_DEFAULTS.height),
+      color: opts.color || FRAME_COLORS[this.frames.size % FRAME_COLORS.length],
+      parentId: opts.parentId || null,
+    };
+    this.frames.set(id, frame);
+    return frame;
+  }
+
+  getFrame(id) {
+    return this.frames.get(id);
+  }
+
+  updateFrame(id, fields) {
+    const frame = this.frames.get(id);
+    if (!frame) return null;
+    const { id: _ignored, ...data } = fields;
+    Object.assign(frame, data);
+    return frame;
+  }
+
+  /** Remove a frame record. Members and nested frames are left to the caller. */
+  removeFrame(id) {
+    const frame = this.frames.get(id);
+    this.frames.delete(id);
+    return frame || null;
+  }
+
+  /** Nesting depth of a frame (0 = top level) */
+  getFrameDepth(id) {
+    let depth = 0;
+    const seen = new Set([id]);
+    let parentId = this.frames.get(id)?.parentId;
+    while (parentId && this.frames.has(parentId) && !seen.has(parentId)) {
+      seen.add(parentId);
+      depth++;
+      parentId = this.frames.get(parentId).parentId;
+    }
+    return depth;
+  }
+
+  /** Frames directly inside a frame (null → top-level frames) */
+  getChildFrameIds(frameId) {
+    const ids = [];
+    this.frames.forEach(f => {
+      if ((f.parentId || null) === frameId) ids.push(f.id);
+    });
+    return ids;
+  }
+
+  /** A frame and every frame nested inside it */
+  getFrameSubtreeIds(frameId) {
+    const ids = [];
+    const queue = [frameId];
+    while (queue.length > 0) {
+      const id = queue.shift();
+      if (ids.includes(id)) continue;
+      ids.push(id);
+      queue.push(...this.getChildFrameIds(id));
+    }
+    return ids;
+  }
+
+  /**
+   * Nodes in a frame.
+   * @param {boolean} [deep] - Include members of nested frames
+   */
+  getFrameMemberIds(frameId, deep = false) {
+    const frameIds = new Set(deep ? this.getFrameSubtreeIds(frameId) : [frameId]);
+    const ids = [];
+    this.nodes.forEach(n => {
+      if (n.frameId && frameIds.has(n.frameId)) ids.push(n.id);
+    });
+    return ids;
+  }
+
+  /**
+   * Innermost (smallest) frame containing a world point.
+   * @param {Set<string>} [exclude] - Frame ids to ignore
+   * @param {number} [minArea] - Only consider frames larger than this
+   */
+  frameAt(x, y, exclude = null, minArea = 0) {
+    let best = null;
+    this.frames.forEach(f => {
+      if (exclude?.has(f.id)) return;
+      if (x < f.x || x > f.x + f.width || y < f.y || y > f.y + f.height) return;
+      const area = f.width * f.height;
+      if (area <= minArea) return;
+      if (!best || area < best.width * best.height) best = f;
+    });
+    return best;
+  }
+
+  /**
+   * Re-derive membership from geometry: a frame's parent is the smallest
+   * larger frame around its center; a node belongs to the smallest frame
+   * around its center.
+   * @returns {boolean} True if any parentId / frameId changed
+   */
+  syncFrameMembership() {
+    let changed = false;
+    this.frames.forEach(f => {
+      const parent = this.frameAt(f.x + f.width / 2, f.y + f.height / 2, new Set([f.id]), f.width * f.height);
+      const parentId = parent?.id || null;
+      if (f.parentId !== parentId) {
+        f.parentId = parentId;
+        changed = true;
+      }
+    });
+    this.nodes.forEach(n => {
+      const { x, y } = this.getNodeCenter(n);
+      const frameId = this.frameAt(x, y)?.id || null;
+      if ((n.frameId || null) !== frameId) {
+        n.frameId = frameId;
+        changed = true;
+      }
+    });
+    return changed;
+  }
+
+  /** Center of a node in world coordinates */
+  getNodeCenter(idOrNode) {
+    const node = typeof idOrNode === 'string' ? this.nodes.get(idOrNode) : idOrNode;
+    if (!node) return null;
+    const { width, height } = this.getNodeSize(node);
+    return { x: node.x + width / 2, y: node.y + height / 2 };
+  }
+
+  // ─── Node Types ──────────────────────────────────────────────────────
+
+  /** Built-in types followed by the project's custom types */
+  getNodeTypes() {
+    return resolveNodeTypes([...this.nodeTypes.values()]);
+  }
+
+  /** Type definition for an id, or null if the type is not defined */
+  getNodeType(id) {
+    return this.getNodeTypes().find(t => t.id === id) || null;
+  }
+
+  /**
+   * Define a custom node type. A missing id is derived from the label.
+   * @returns {object} The stored definition
+   */
+  addNodeType(def) {
+    const id = def.id || nodeTypeIdFor(def.label, [...this.nodeTypes.keys()]);
+    if (NODE_TYPE_BASES.includes(id)) throw new Error(`"${id}" is a built-in node type`);
+    const type = normalizeNodeType({ ...def, id });
+    this.nodeTypes.set(id, type);
+    return type;
+  }
+
+  updateNodeType(id, fields) {
+    const type = this.nodeTypes.get(id);
+    if (!type) return null;
+    const { id: _ignored, ...data } = fields;
+    const next = normalizeNodeType({ ...type, ...data, id });
+    this.nodeTypes.set(id, next);
+    return next;
+  }
+
+  /** Remove a custom type definition (nodes using it are left to the caller) */
+  removeNodeType(id) {
+    return this.nodeTypes.delete(id);
+  }
+
+  serializeNodeTypes() {
+    return [...this.nodeTypes.values()].map(t => ({ ...t }));
+  }
+
+  // ─── Property Schema ─────────────────────────────────────────────────
+
+  /** Property field definitions in display order */
+  getPropertySchema() {
+    return [...this.propertySchema.values()];
+  }
+
+  getPropertyDef(id) {
+    return this.propertySchema.get(id) || null;
+  }
+
+  /**
+   * Add a property field. A missing id is derived from the label.
+   * @returns {object} The stored definition
+   */
+  addPropertyDef(def) {
+    const id = def.id || propertyIdFor(def.label, [...this.propertySchema.keys()]);
+    const field = normalizePropertyDef({ ...def, id });
+    this.propertySchema.set(id, field);
+    return field;
+  }
+
+  updatePropertyDef(id, fields) {
+    const field = this.propertySchema.get(id);
+    if (!field) return null;
+    const { id: _ignored, ...data } = fields;
+    const next = normalizePropertyDef({ ...field, ...data, id });
+    this.propertySchema.set(id, next);
+    return next;
+  }
+
+  /** Remove a property field (values stored on nodes are left to the caller) */
+  removePropertyDef(id) {
+    return this.propertySchema.delete(id);
+  }
+
+  /**
+   * Set (or clear, with an empty value) one property on a node. The value
+   * is coerced to the field's kind; invalid values clear the property.
+   * @returns {object|null} The node, or null if the node or field is unknown
+   */
+  setNodeProperty(nodeId, fieldId, value) {
+    const node = this.nodes.get(nodeId);
+    const field = this.propertySchema.get(fieldId);
+    if (!node || !field) return null;
+    const next = { ...node.properties };
+    const coerced = coercePropertyValue(field, value);
+    if (coerced === null) delete next[fieldId];
+    else next[fieldId] = coerced;
+    node.properties = next;
+    return node;
+  }
+
+  serializePropertySchema() {
+    return this.getPropertySchema().map(f => ({ ...f, options: [...f.options] }));
+  }
+
+  // ─── Serialization ───────────────────────────────────────────────────
+
+  /** Serialize all nodes — includes Phase 3.2 + Phase 8 metadata (measured sizes are not saved) */
+  serializeNodes() {
+    const arr = [];
+    this.nodes.forEach(n => {
+      const entry = {
+        id: n.id, text: n.text, x: n.x, y: n.y, color: n.color,
+        shape: n.shape || 'rectangle',
+        // Phase 3.2 metadata
+        nodeType: n.nodeType || 'general',
+        priority: n.priority || 'medium',
+        phase: n.phase ?? null,
+        assignedAgent: n.assignedAgent || null,
+        agentStatus: n.agentStatus || 'unassigned',
+        agentNotes: n.agentNotes || null,
+      };
+      if (n.body) entry.body = n.body;
+      if (n.properties && Object.keys(n.properties).length) entry.properties = { ...n.properties };
+      if (n.tags?.length) entry.tags = [...n.tags];
+      if (n.collapsed) entry.collapsed = true;
+      if (n.frameId) entry.frameId = n.frameId;
+      if (n.subMap) entry.subMap = structuredClone(n.subMap);
+      // Phase 8: Commerce fields (only if present)
+      if (n.commerceType) {
+        entry.commerceType = n.commerceType;
+        entry.credentials = n.credentials || {};
+        if (n.customFields) entry.customFields = n.customFields;
+        if (n.connectionStatus && n.connectionStatus !== 'untested') {
+          entry.connectionStatus = n.connectionStatus;
+        }
+      }
+      arr.push(entry);
+    });
+    return arr;
+  }
+
+  serializeConnections() {
+    const arr = [];
+    this.connections.forEach(c => {
+      arr.push({
+        id: c.id, sourceId: c.sourceId, sourcePort: c.sourcePort, targetId: c.targetId, targetPort: c.targetPort,
+        directed: c.directed || 'none', type: c.type || DEFAULT_CONNECTION_TYPE, label: c.label || '',
+        routing: c.routing || DEFAULT_CONNECTION_ROUTING, waypoints: (c.waypoints || []).map(p => ({ ...p })),
+      });
+    });
+    return arr;
+  }
+
+  /** Serialize frames, enclosing frames before the frames nested in them */
+  serializeFrames() {
+    return [...this.frames.values()]
+      .map(f => ({ frame: f, depth: this.getFrameDepth(f.id) }))
+      .sort((a, b) => a.depth - b.depth)
+      .map(({ frame: f }) => ({
+        id: f.id, label: f.label, x: f.x, y: f.y, width: f.width, height: f.height,
+        color: f.color, parentId: f.parentId || null,
+      }));
+  }
+
+  toJSON() {
+    return {
+      nodes: this.serializeNodes(),
+      connections: this.serializeConnections(),
+      frames: this.serializeFrames(),
+      nodeTypes: this.serializeNodeTypes(),
+      propertySchema: this.serializePropertySchema(),
+    };
+  }
+
+  /** Replace the model contents with serialized state (backward compatible) */
+  load(data) {
+    this.clear();
+    (data?.nodeTypes || []).forEach(d => {
+      if (d?.id && !NODE_TYPE_BASES.includes(d.id)) this.addNodeType(d);
+    });
+    (data?.propertySchema || []).forEach(d => { if (d?.id) this.addPropertyDef(d); });
+    (data?.frames || []).forEach(d => this.addFrame(d.x, d.y, d.width, d.height, d));
+    // Drop references to frames that were not saved
+    this.frames.forEach(f => {
+      if (f.parentId && !this.frames.has(f.parentId)) f.parentId = null;
+    });
+    (data?.nodes || []).forEach(d => {
+      this.addNode(d.x, d.y, { ...d, frameId: this.frames.has(d.frameId) ? d.frameId : null });
+    });
+    (data?.connections || []).forEach(d => {
+      // Only keep wires whose endpoints both exist
+      if (this.nodes.has(d.sourceId) && this.nodes.has(d.targetId)) {
+        this.addConnection(d.sourceId, d.sourcePort, d.targetId, d.targetPort, d);
+      }
+    });
+  }
+
+  clear() {
+    this.nodes.clear();
+    this.connections.clear();
+    this.frames.clear();
+    this.nodeTypes.clear();
+    this.propertySchema.clear();
+  }
+}
+
+/** Normalize directed: boolean → string tri-state ('none' | 'forward' | 'both') */
+function normalizeDirected(directed) {
+  if (directed === true) return 'forward';
+  if (directed === 'forward' || directed === 'both') return directed;
+  return 'none';
+}
+
+/** Unknown relationship types read as plain links */
+function normalizeConnectionType(type) {
+  return CONNECTION_TYPES.some(t => t.id === type) ? type : DEFAULT_CONNECTION_TYPE;
+}
+
+function normalizeConnectionLabel(label) {
+  return typeof label === 'string' ? label.trim().slice(0, 80) : '';
+}
+
+function normalizeRouting(routing) {
+  return CONNECTION_ROUTINGS.some(r => r.id === routing) ? routing : DEFAULT_CONNECTION_ROUTING;
+}
+
+/** Keep finite points only, rounded to whole pixels */
+function normalizeWaypoints(waypoints) {
+  if (!Array.isArray(waypoints)) return [];
+  return waypoints
+    .filter(p => Number.isFinite(p?.x) && Number.isFinite(p?.y))
+    .slice(0, 50)
+    .map(p => ({ x: Math.round(p.x), y: Math.round(p.y) }));
+}
+
+/** Approximate the rendered size of a node from its text and metadata line */
+export function estimateNodeSize(node) {
+  const S = NODE_SIZE;
+  const text = node.text || '';
+  const longest = Math.max(1, ...text.split('\n').map(line => line.length));
+  const width = Math.min(S.maxWidth, Math.max(S.minWidth, longest * S.charWidth + S.paddingX));
+
+  const charsPerLine = Math.max(1, Math.floor((width - S.paddingX) / S.charWidth));
+  const lines = text.split('\n')
+    .reduce((sum, line) => sum + Math.max(1, Math.ceil(line.length / charsPerLine)), 0);
+
+  const hasMeta = node.phase != null || (node.nodeType && node.nodeType !== 'general') ||
+    !!node.assignedAgent || !!node.commerceType;
+
+  return {
+    width: Math.round(width),
+    height: Math.round(S.paddingY + lines * S.lineHeight + (hasMeta ? S.metaHeight : 0)),
+  };
+}
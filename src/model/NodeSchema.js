@@ -0,0 +1,561 @@
+/**
+ * NodeSchema — Node vocabulary shared by the canvas and the headless pipeline:
+ * shapes, types, priorities, agent roles/statuses, connection relationships,
+ * commerce integrations, default node geometry, and group-frame defaults.
+ *
+ * NODE_TYPES are the built-in types; projects can add their own (saved in the
+ * .mindmap file as `nodeTypes`). Use resolveNodeTypes() to get the full list.
+ * PROPERTY_KINDS type the project's custom node properties.
+ *
+ * Pure data — no DOM access — so it can be imported from Node.
+ */
+
+export const NODE_COLORS = ['#00e5ff', '#ff2d78', '#00ff88', '#ffc107', '#7c4dff', '#ff6e40', '#e6edf3'];
+
+export const NODE_SHAPES = [
+  { id: 'rectangle',     icon: '▬', label: 'Rectangle',     meaning: 'Process / Task' },
+  { id: 'rounded',       icon: '▢', label: 'Rounded',       meaning: 'Start / End' },
+  { id: 'diamond',       icon: '◇', label: 'Diamond',       meaning: 'Decision' },
+  { id: 'parallelogram', icon: '▱', label: 'Parallelogram', meaning: 'Input / Output' },
+  { id: 'hexagon',       icon: '⬡', label: 'Hexagon',       meaning: 'Preparation' },
+  { id: 'circle',        icon: '●', label: 'Circle',        meaning: 'Event / Trigger' },
+  { id: 'pill',          icon: '▭', label: 'Pill',          meaning: 'Terminal' },
+];
+
+// Phase 3.2: Node type definitions for the agentic system
+// `meaning` tells the executing agent how to read nodes of the type.
+export const NODE_TYPES = [
+  { id: 'general',    icon: '📄', label: 'General',    color: '#7d8590', meaning: 'General context or an idea that is not yet categorized' },
+  { id: 'feature',    icon: '⚡', label: 'Feature',    color: '#00e5ff', meaning: 'A capability the product must deliver' },
+  { id: 'constraint', icon: '🔒', label: 'Constraint', color: '#ffc107', meaning: 'A hard requirement or limit every implementation must respect' },
+  { id: 'reference',  icon: '📎', label: 'Reference',  color: '#7c4dff', meaning: 'Research, prior art or a resource to consult' },
+  { id: 'risk',       icon: '⚠️', label: 'Risk',       color: '#ff2d78', meaning: 'Something that could go wrong and needs mitigation' },
+  { id: 'techNote',   icon: '🔧', label: 'Tech Note',  color: '#00ff88', meaning: 'A technical decision or implementation detail' },
+];
+
+/**
+ * Built-in type a custom type is planned as — custom "User Story" nodes can
+ * be scheduled like features, "Compliance Rule" nodes like constraints, …
+ */
+export const NODE_TYPE_BASES = NODE_TYPES.map(t => t.id);
+
+const MAX_TYPE_ICON_LENGTH = 4;
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Normalize a custom node type definition.
+ * @param {object} def - { id?, label, icon?, color?, meaning?, base? }
+ * @returns {{id: string, label: string, icon: string, color: string, meaning: string, base: string}}
+ */
+export function normalizeNodeType(def) {
+  const label = (def.label || '').trim() || 'Custom Type';
+  return {
+    id: def.id || nodeTypeIdFor(label),
+    label,
+    // An emoji or a few letters; project files are not trusted
+    icon: Array.from((def.icon || '').trim()).slice(0, MAX_TYPE_ICON_LENGTH).join('') || '🏷️',
+    color: HEX_COLOR.test(def.color || '') ? def.color : '#7d8590',
+    meaning: (def.meaning || '').trim(),
+    base: NODE_TYPE_BASES.includes(def.base) ? def.base : 'general',
+  };
+}
+
+/**
+ * Derive a type id from its label ("API Endpoint" → "apiEndpoint"),
+ * suffixed until it is not in `taken`.
+ */
+export function nodeTypeIdFor(label, taken = []) {
+  return camelIdFor(label, [...NODE_TYPE_BASES, ...taken], 'custom');
+}
+
+/** camelCase id from a label, suffixed with 2, 3, … until it is not in `taken` */
+function camelIdFor(label, taken, fallback) {
+  const words = (label || '').toLowerCase().match(/[a-z0-9]+/g) || [fallback];
+  const base = words.map((w, i) => i === 0 ? w : w[0].toUpperCase() + w.slice(1)).join('');
+  const used = new Set(taken);
+  let id = base;
+  for (let n = 2; used.has(id); n++) id = `${base}${n}`;
+  return id;
+}
+
+/**
+ * Built-in types followed by a project's custom types. Custom definitions
+ * can never shadow a built-in id.
+ * @param {object[]} [custom]
+ * @returns {object[]}
+ */
+export function resolveNodeTypes(custom = []) {
+  const builtIn = NODE_TYPES.map(t => ({ ...t, base: t.id, custom: false }));
+  const extra = custom
+    .filter(t => t?.id && !NODE_TYPE_BASES.includes(t.id))
+    .map(t => ({ ...normalizeNodeType(t), custom: true }));
+  return [...builtIn, ...extra];
+}
+
+/**
+ * Value kinds for project-defined node properties (estimates, owners, due
+ * dates, acceptance criteria, …). The schema lives in the file as
+ * `propertySchema`; each node stores its values in `properties` by field id.
+ */
+export const PROPERTY_KINDS = [
+  { id: 'text',   icon: '✎', label: 'Text' },
+  { id: 'number', icon: '#', label: 'Number' },
+  { id: 'date',   icon: '📅', label: 'Date' },
+  { id: 'enum',   icon: '☰', label: 'Choice' },
+  { id: 'url',    icon: '🔗', label: 'URL' },
+];
+
+/**
+ * Normalize a property field definition.
+ * @param {object} def - { id?, label, kind?, options?, showOnNode? }
+ * @returns {{id: string, label: string, kind: string, options: string[], showOnNode: boolean}}
+ */
+export function normalizePropertyDef(def) {
+  const label = (def.label || '').trim() || 'Field';
+  const kind = PROPERTY_KINDS.some(k => k.id === def.kind) ? def.kind : 'text';
+  const options = kind === 'enum'
+    ? [...new Set((def.options || []).map(o => String(o).trim()).filter(Boolean))]
+    : [];
+  return {
+    id: def.id || camelIdFor(label, [], 'field'),
+    label,
+    kind,
+    options,
+    showOnNode: def.showOnNode !== false,
+  };
+}
+
+/** Derive a property field id from its label ("Due date" → "dueDate") */
+export function propertyIdFor(label, taken = []) {
+  return camelIdFor(label, taken, 'field');
+}
+
+/**
+ * Coerce a raw (e.g. form) value to the field's kind.
+ * @returns {string|number|null} null when the value is empty or invalid
+ */
+export function coercePropertyValue(def, value) {
+  if (value === null || value === undefined) return null;
+  const raw = String(value).trim();
+  if (!raw) return null;
+
+  switch (def.kind) {
+    case 'number': {
+      const num = Number(raw);
+      return Number.isFinite(num) ? num : null;
+    }
+    case 'date':
+      return /^\d{4}-\d{2}-\d{2}$/.test(raw) && !isNaN(Date.parse(raw)) ? raw : null;
+    case 'enum':
+      return def.options.includes(raw) ? raw : null;
+    case 'url': {
+      const href = /^[a-z][\w+.-]*:/i.test(raw) ? raw : `https://${raw}`;
+      try {
+        const url = new URL(href);
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+      } catch {
+        return null;
+      }
+    }
+    default:
+      return raw;
+  }
+}
+
+/** Short display form of a property value for chips and prompts */
+export function formatPropertyValue(def, value) {
+  if (value === null || value === undefined || value === '') return '';
+  if (def.kind === 'url') return String(value).replace(/^https?:\/\//, '').replace(/\/$/, '');
+  return String(value);
+}
+
+export const PRIORITY_LEVELS = [
+  { id: 'critical', icon: '🔴', label: 'Critical', color: '#ff2d78', ring: '#ff2d78' },
+  { id: 'high',     icon: '🟠', label: 'High',     color: '#ff6e40', ring: '#ff6e40' },
+  { id: 'medium',   icon: '🟡', label: 'Medium',   color: '#ffc107', ring: '#ffc107' },
+  { id: 'low',      icon: '🟢', label: 'Low',      color: '#00ff88', ring: '#00ff88' },
+];
+
+export const AGENT_STATUS_MAP = {
+  unassigned:  { icon: '⚪', label: 'Unassigned', color: '#7d8590' },
+  planning:    { icon: '🔵', label: 'Planning',   color: '#00e5ff' },
+  'in-review': { icon: '🟡', label: 'In Review',  color: '#ffc107' },
+  approved:    { icon: '🟢', label: 'Approved',   color: '#00ff88' },
+  blocked:     { icon: '🔴', label: 'Blocked',    color: '#ff2d78' },
+};
+
+export const AGENT_ROLES = [
+  { id: 'coo',       icon: '👔', label: 'COO' },
+  { id: 'cto',       icon: '🏗️', label: 'CTO' },
+  { id: 'cfo',       icon: '💰', label: 'CFO' },
+  { id: 'frontend',  icon: '🎨', label: 'Frontend UI/UX' },
+  { id: 'backend',   icon: '⚙️', label: 'Backend' },
+  { id: 'devops',    icon: '🚀', label: 'DevOps' },
+  { id: 'qa-tester', icon: '🧪', label: 'QA / Test' },
+  { id: 'deep-researcher', icon: '📚', label: 'Deep Researcher' },
+  { id: 'devils-advocate', icon: '😈', label: "Devil's Advocate" },
+  { id: 'sentinel',  icon: '🛡️', label: 'Sentinel' },
+  { id: 'documenter', icon: '📝', label: 'Documenter' },
+  { id: 'token-auditor', icon: '🔢', label: 'Token Auditor' },
+  { id: 'api-cost-auditor', icon: '💵', label: 'API Cost Auditor' },
+  { id: 'project-auditor', icon: '📊', label: 'Project Auditor' },
+];
+
+// ─── Connection Relationships ────────────────────────────────────────────
+// What a wire means, read source → target ("Checkout depends on Payments").
+// `order` marks the relationships the build plan is sequenced by:
+//   'target-first' — the target must be done before the source
+//   'source-first' — the source must be done before the target
+// Plain links (the default, e.g. generated parent → child wires) only give
+// the map its shape.
+export const CONNECTION_TYPES = [
+  { id: 'link',       icon: '—', label: 'Link',       wireLabel: '',           order: null },
+  { id: 'depends-on', icon: '⤺', label: 'Depends on', wireLabel: 'depends on', order: 'target-first' },
+  { id: 'blocks',     icon: '⛔', label: 'Blocks',     wireLabel: 'blocks',     order: 'source-first' },
+  { id: 'relates-to', icon: '⋯', label: 'Relates to', wireLabel: 'relates to', order: null },
+];
+
+export const DEFAULT_CONNECTION_TYPE = 'link';
+
+// How a wire is drawn between its ports (and through its manual waypoints)
+export const CONNECTION_ROUTINGS = [
+  { id: 'orthogonal', icon: '⌐', label: 'Orthogonal' },
+  { id: 'straight',   icon: '╱', label: 'Straight' },
+  { id: 'curved',     icon: '∿', label: 'Curved' },
+];
+
+export const DEFAULT_CONNECTION_ROUTING = 'orthogonal';
+
+/** Relationship type definition by id (unknown ids read as a plain link) */
+export function getConnectionType(id) {
+  return CONNECTION_TYPES.find(t => t.id === id) || CONNECTION_TYPES[0];
+}
+
+/**
+ * A wire's relationship type id. Wires saved before types existed (and
+ * generated ones that leave it out) carry no `type`: an arrow on them meant
+ * "source before target", so they read as `blocks`; plain lines as links.
+ * @param {{type?: string, directed?: boolean|string}} conn
+ */
+export function connectionTypeOf(conn) {
+  if (conn.type === undefined || conn.type === null || conn.type === '') {
+    const arrowed = conn.directed === true || conn.directed === 'forward' || conn.directed === 'both';
+    return arrowed ? 'blocks' : DEFAULT_CONNECTION_TYPE;
+  }
+  return getConnectionType(conn.type).id;
+}
+
+/**
+ * The ordering a wire imposes on the plan, or null when it does not mean a
+ * dependency: { before, after } node ids.
+ * @param {{sourceId: string, targetId: string, type?: string}} conn
+ */
+export function dependencyEdge(conn) {
+  const { order } = getConnectionType(connectionTypeOf(conn));
+  if (!order || conn.sourceId === conn.targetId) return null;
+  return order === 'source-first'
+    ? { before: conn.sourceId, after: conn.targetId }
+    : { before: conn.targetId, after: conn.sourceId };
+}
+
+// ─── Phase 8: Commerce & Integration Node Types ──────────────────────────
+export const COMMERCE_NODE_TYPES = [
+  // E-Commerce
+  { id: 'shopify', icon: '🛍️', label: 'Shopify', category: 'e-commerce', color: '#96bf48', displayKey: 'storeUrl',
+    fields: [
+      { key: 'storeUrl', label: 'Store URL', type: 'text', helpHint: 'Your myshopify.com URL (e.g. my-store.myshopify.com)', helpUrl: 'https://admin.shopify.com/' },
+      { key: 'apiKey', label: 'API Key', type: 'password', helpHint: 'Found in Settings → Apps → Develop apps → API credentials', helpUrl: 'https://admin.shopify.com/settings/apps/development' },
+      { key: 'accessToken', label: 'Access Token', type: 'password', helpHint: 'Admin API access token from your custom app', helpUrl: 'https://shopify.dev/docs/apps/auth/admin-app-access-tokens' },
+    ] },
+  { id: 'woocommerce', icon: '🛒', label: 'WooCommerce', category: 'e-commerce', color: '#9b5c8f', displayKey: 'siteUrl',
+    fields: [
+      { key: 'siteUrl', label: 'Site URL', type: 'text', helpHint: 'Your WordPress site URL' },
+      { key: 'consumerKey', label: 'Consumer Key', type: 'password', helpHint: 'WooCommerce → Settings → Advanced → REST API', helpUrl: 'https://woocommerce.com/document/woocommerce-rest-api/' },
+      { key: 'consumerSecret', label: 'Consumer Secret', type: 'password', helpHint: 'Generated with the Consumer Key above' },
+    ] },
+  { id: 'etsy', icon: '🧶', label: 'Etsy', category: 'e-commerce', color: '#f1641e', displayKey: 'shopId',
+    fields: [
+      { key: 'shopId', label: 'Shop ID', type: 'text', helpHint: 'Your Etsy shop name or numeric ID' },
+      { key: 'apiKey', label: 'API Key', type: 'password', helpHint: 'Create an app at etsy.com/developers', helpUrl: 'https://www.etsy.com/developers/' },
+    ] },
+  { id: 'facebook-mp', icon: '📘', label: 'Facebook Marketplace', category: 'e-commerce', color: '#1877f2', displayKey: 'pageId',
+    fields: [
+      { key: 'pageId', label: 'Page ID', type: 'text', helpHint: 'Facebook Page ID for your marketplace listing' },
+      { key: 'accessToken', label: 'Access Token', type: 'password', helpHint: 'Graph API token from developers.facebook.com', helpUrl: 'https://developers.facebook.com/tools/explorer/' },
+    ] },
+  { id: 'ebay', icon: '🏷️', label: 'eBay', category: 'e-commerce', color: '#e53238', displayKey: 'appId',
+    fields: [
+      { key: 'appId', label: 'App ID', type: 'text', helpHint: 'eBay Developer Program App ID (Client ID)' },
+      { key: 'certId', label: 'Cert ID', type: 'password', helpHint: 'App certificate from eBay Developer Portal', helpUrl: 'https://developer.ebay.com/my/keys' },
+      { key: 'authToken', label: 'Auth Token', type: 'password', helpHint: 'User auth token or OAuth token' },
+    ] },
+  // Payments
+  { id: 'lemonsqueezy', icon: '🍋', label: 'LemonSqueezy', category: 'payments', color: '#ffc233', displayKey: 'storeId',
+    fields: [
+      { key: 'apiKey', label: 'API Key', type: 'password', helpHint: 'Settings → API → Create API key', helpUrl: 'https://app.lemonsqueezy.com/settings/api' },
+      { key: 'storeId', label: 'Store ID', type: 'text', helpHint: 'Found in your store settings' },
+      { key: 'webhookSecret', label: 'Webhook Secret', type: 'password', helpHint: 'Settings → Webhooks → Signing secret' },
+    ] },
+  { id: 'stripe', icon: '💳', label: 'Stripe', category: 'payments', color: '#635bff', displayKey: 'publishableKey',
+    fields: [
+      { key: 'publishableKey', label: 'Publishable Key', type: 'text', helpHint: 'Starts with pk_test_ or pk_live_', helpUrl: 'https://dashboard.stripe.com/apikeys' },
+      { key: 'secretKey', label: 'Secret Key', type: 'password', helpHint: 'Starts with sk_test_ or sk_live_ — keep this safe!', helpUrl: 'https://dashboard.stripe.com/apikeys' },
+    ] },
+  { id: 'paypal', icon: '🅿️', label: 'PayPal', category: 'payments', color: '#003087', displayKey: 'clientId',
+    fields: [
+      { key: 'clientId', label: 'Client ID', type: 'text', helpHint: 'PayPal Developer Dashboard → My Apps', helpUrl: 'https://developer.paypal.com/dashboard/applications' },
+      { key: 'secret', label: 'Secret', type: 'password', helpHint: 'App secret from your PayPal REST app' },
+    ] },
+  // Advertising
+  { id: 'meta-ads', icon: '📢', label: 'Meta Ads', category: 'advertising', color: '#1877f2', displayKey: 'adAccountId',
+    fields: [
+      { key: 'appId', label: 'App ID', type: 'text', helpHint: 'Meta for Developers → My Apps', helpUrl: 'https://developers.facebook.com/apps/' },
+      { key: 'appSecret', label: 'App Secret', type: 'password', helpHint: 'App Settings → Basic → App Secret' },
+      { key: 'adAccountId', label: 'Ad Account ID', type: 'text', helpHint: 'Starts with act_ — found in Ads Manager', helpUrl: 'https://adsmanager.facebook.com/' },
+    ] },
+  { id: 'google-ads', icon: '📊', label: 'Google Ads', category: 'advertising', color: '#4285f4', displayKey: 'customerId',
+    fields: [
+      { key: 'customerId', label: 'Customer ID', type: 'text', helpHint: '10-digit ID (xxx-xxx-xxxx) from Google Ads dashboard', helpUrl: 'https://ads.google.com/' },
+      { key: 'developerToken', label: 'Developer Token', type: 'password', helpHint: 'API Centre → Developer Token', helpUrl: 'https://developers.google.com/google-ads/api/docs/first-call/dev-token' },
+      { key: 'clientId', label: 'OAuth Client ID', type: 'text', helpHint: 'Google Cloud Console → APIs & Services → Credentials', helpUrl: 'https://console.cloud.google.com/apis/credentials' },
+      { key: 'clientSecret', label: 'OAuth Client Secret', type: 'password', helpHint: 'OAuth 2.0 Client Secret from Cloud Console' },
+      { key: 'refreshToken', label: 'Refresh Token', type: 'password', helpHint: 'OAuth refresh token for offline access' },
+    ] },
+  // Email & Marketing
+  { id: 'email-marketing', icon: '📧', label: 'Email Marketing', category: 'marketing', color: '#ffe01b', displayKey: 'platform',
+    fields: [
+      { key: 'platform', label: 'Platform (Mailchimp/Klaviyo/SendGrid)', type: 'text', helpHint: 'Which email service are you using?' },
+      { key: 'apiKey', label: 'API Key', type: 'password', helpHint: 'Find in your email platform\'s API settings' },
+      { key: 'audienceId', label: 'List / Audience ID', type: 'text', helpHint: 'The specific mailing list or audience to target' },
+    ] },
+  // Analytics
+  { id: 'google-analytics', icon: '📈', label: 'Google Analytics', category: 'analytics', color: '#e37400', displayKey: 'measurementId',
+    fields: [
+      { key: 'measurementId', label: 'Measurement ID', type: 'text', helpHint: 'Starts with G- (GA4). Admin → Data Streams', helpUrl: 'https://analytics.google.com/' },
+      { key: 'apiSecret', label: 'API Secret', type: 'password', helpHint: 'Admin → Data Streams → Measurement Protocol API secrets' },
+    ] },
+  { id: 'mixpanel', icon: '📉', label: 'Mixpanel', category: 'analytics', color: '#7856ff', displayKey: 'projectToken',
+    fields: [
+      { key: 'projectToken', label: 'Project Token', type: 'text', helpHint: 'Settings → Project Settings → Project Token', helpUrl: 'https://mixpanel.com/' },
+      { key: 'apiSecret', label: 'API Secret', type: 'password', helpHint: 'Used for server-side API access' },
+    ] },
+  // CRM
+  { id: 'hubspot', icon: '🗂️', label: 'HubSpot', category: 'crm', color: '#ff7a59', displayKey: 'portalId',
+    fields: [
+      { key: 'apiKey', label: 'API Key', type: 'password', helpHint: 'Settings → Integrations → Private Apps', helpUrl: 'https://app.hubspot.com/' },
+      { key: 'portalId', label: 'Portal ID', type: 'text', helpHint: 'Your HubSpot account ID (numeric)' },
+    ] },
+  { id: 'salesforce', icon: '☁️', label: 'Salesforce', category: 'crm', color: '#00a1e0', displayKey: 'instanceUrl',
+    fields: [
+      { key: 'instanceUrl', label: 'Instance URL', type: 'text', helpHint: 'e.g. https://yourorg.my.salesforce.com', helpUrl: 'https://login.salesforce.com/' },
+      { key: 'clientId', label: 'Consumer Key', type: 'text', helpHint: 'Connected App → Consumer Key' },
+      { key: 'clientSecret', label: 'Consumer Secret', type: 'password', helpHint: 'Connected App → Consumer Secret' },
+      { key: 'accessToken', label: 'Access Token', type: 'password', helpHint: 'OAuth bearer token or session ID' },
+    ] },
+  // Artist & Creator Marketplaces
+  { id: 'gumroad', icon: '🎁', label: 'Gumroad', category: 'creator', color: '#ff90e8', displayKey: 'productId',
+    fields: [
+      { key: 'accessToken', label: 'Access Token', type: 'password', helpHint: 'Settings → Advanced → Application API', helpUrl: 'https://app.gumroad.com/settings/advanced' },
+      { key: 'productId', label: 'Product ID', type: 'text', helpHint: 'Found in the product URL or settings' },
+    ] },
+  { id: 'superhive', icon: '🐝', label: 'Superhive', category: 'creator', color: '#f5a623', displayKey: 'shopId',
+    fields: [
+      { key: 'apiKey', label: 'API Key', type: 'password', helpHint: 'From your Superhive dashboard settings' },
+      { key: 'shopId', label: 'Shop ID', type: 'text', helpHint: 'Your Superhive shop identifier' },
+    ] },
+  { id: 'blender-market', icon: '🎨', label: 'Blender Market', category: 'creator', color: '#ea7600', displayKey: 'shopUrl',
+    fields: [
+      { key: 'apiKey', label: 'API Key', type: 'password', helpHint: 'From your Blender Market seller account' },
+      { key: 'shopUrl', label: 'Shop URL', type: 'text', helpHint: 'Your Blender Market shop page URL' },
+    ] },
+  { id: 'fab', icon: '🎮', label: 'Fab', category: 'creator', color: '#00c7ff', displayKey: 'sellerId',
+    fields: [
+      { key: 'sellerId', label: 'Seller ID', type: 'text', helpHint: 'Your Fab seller account identifier' },
+      { key: 'apiKey', label: 'API Key', type: 'password', helpHint: 'API key from Fab seller dashboard' },
+    ] },
+  { id: 'unreal-marketplace', icon: '🎯', label: 'Unreal Marketplace', category: 'creator', color: '#2f2f2f', displayKey: 'epicAccount',
+    fields: [
+      { key: 'epicAccount', label: 'Epic Account', type: 'text', helpHint: 'Your Epic Games account email or ID' },
+      { key: 'sellerId', label: 'Seller ID', type: 'text', helpHint: 'From Unreal Marketplace seller portal' },
+    ] },
+  { id: 'artstation', icon: '🖌️', label: 'ArtStation Market', category: 'creator', color: '#13aff0', displayKey: 'sellerProfile',
+    fields: [
+      { key: 'apiKey', label: 'API Key', type: 'password', helpHint: 'From your ArtStation account settings' },
+      { key: 'sellerProfile', label: 'Seller Profile', type: 'text', helpHint: 'Your ArtStation profile URL or username' },
+    ] },
+  // Cloud & Storage
+  { id: 'google-drive', icon: '📁', label: 'Google Drive', category: 'cloud', color: '#4285f4', displayKey: 'folderId',
+    fields: [
+      { key: 'oauthToken', label: 'OAuth Token', type: 'password', helpHint: 'OAuth 2.0 token from Google Cloud Console', helpUrl: 'https://console.cloud.google.com/apis/credentials' },
+      { key: 'folderId', label: 'Folder ID', type: 'text', helpHint: 'The folder ID from the Google Drive URL' },
+    ] },
+  { id: 'firebase', icon: '🔥', label: 'Firebase', category: 'cloud', color: '#ffca28', displayKey: 'projectId',
+    fields: [
+      { key: 'projectId', label: 'Project ID', type: 'text', helpHint: 'Firebase Console → Project Settings → General', helpUrl: 'https://console.firebase.google.com/' },
+      { key: 'serviceAccountKey', label: 'Service Account Key', type: 'password', helpHint: 'JSON key from Project Settings → Service accounts', helpUrl: 'https://console.firebase.google.com/project/_/settings/serviceaccounts/adminsdk' },
+    ] },
+  { id: 'cloud-hosting', icon: '☁️', label: 'Cloud Hosting', category: 'cloud', color: '#00bcd4', displayKey: 'provider',
+    fields: [
+      { key: 'provider', label: 'Provider (AWS/Vercel/Supabase)', type: 'text', helpHint: 'Which hosting platform are you using?' },
+      { key: 'accessKey', label: 'Access Key', type: 'password', helpHint: 'API key or access key from your provider' },
+      { key: 'projectUrl', label: 'Project URL', type: 'text', helpHint: 'Your deployed project URL' },
+    ] },
+  // Data & Productivity
+  { id: 'google-sheets', icon: '📊', label: 'Google Sheets', category: 'data', color: '#0f9d58', displayKey: 'spreadsheetId',
+    fields: [
+      { key: 'spreadsheetId', label: 'Spreadsheet ID', type: 'text', helpHint: 'Found in the Google Sheets URL between /d/ and /edit', helpUrl: 'https://sheets.google.com/' },
+      { key: 'serviceAccountJson', label: 'Service Account JSON', type: 'password', helpHint: 'JSON key from Google Cloud Console — share the sheet with the service account email', helpUrl: 'https://console.cloud.google.com/iam-admin/serviceaccounts' },
+    ] },
+  // Social & Community Platforms
+  { id: 'x-twitter', icon: '𝕏', label: 'X (Twitter)', category: 'social', color: '#000000', displayKey: 'handle',
+    fields: [
+      { key: 'handle', label: 'Handle (@)', type: 'text', helpHint: 'Your X/Twitter username without the @' },
+      { key: 'apiKey', label: 'API Key', type: 'password', helpHint: 'Developer Portal → Projects → Keys & Tokens', helpUrl: 'https://developer.x.com/en/portal/dashboard' },
+      { key: 'apiSecret', label: 'API Secret', type: 'password', helpHint: 'Generated alongside your API Key' },
+      { key: 'bearerToken', label: 'Bearer Token', type: 'password', helpHint: 'App-level auth token for read-only endpoints' },
+    ] },
+  { id: 'discord', icon: '🎮', label: 'Discord', category: 'social', color: '#5865f2', displayKey: 'serverId',
+    fields: [
+      { key: 'botToken', label: 'Bot Token', type: 'password', helpHint: 'Developer Portal → Bot → Token', helpUrl: 'https://discord.com/developers/applications' },
+      { key: 'serverId', label: 'Server (Guild) ID', type: 'text', helpHint: 'Right-click your server → Copy Server ID (enable Developer Mode)' },
+      { key: 'webhookUrl', label: 'Webhook URL', type: 'text', helpHint: 'Server Settings → Integrations → Webhooks (optional)' },
+    ] },
+  { id: 'tiktok', icon: '🎵', label: 'TikTok', category: 'social', color: '#010101', displayKey: 'appId',
+    fields: [
+      { key: 'appId', label: 'App ID', type: 'text', helpHint: 'TikTok for Developers → Manage Apps', helpUrl: 'https://developers.tiktok.com/' },
+      { key: 'appSecret', label: 'App Secret', type: 'password', helpHint: 'Found in your TikTok app settings' },
+      { key: 'accessToken', label: 'Access Token', type: 'password', helpHint: 'OAuth access token from your app' },
+    ] },
+  { id: 'youtube', icon: '▶️', label: 'YouTube', category: 'social', color: '#ff0000', displayKey: 'channelId',
+    fields: [
+      { key: 'apiKey', label: 'API Key', type: 'password', helpHint: 'Google Cloud Console → APIs & Services → Credentials', helpUrl: 'https://console.cloud.google.com/apis/credentials' },
+      { key: 'channelId', label: 'Channel ID', type: 'text', helpHint: 'Your YouTube channel ID (starts with UC)' },
+      { key: 'oauthToken', label: 'OAuth Token', type: 'password', helpHint: 'Required for upload/manage operations — optional for read-only' },
+    ] },
+  { id: 'whatsapp', icon: '💬', label: 'WhatsApp Business', category: 'social', color: '#25d366', displayKey: 'phoneNumberId',
+    fields: [
+      { key: 'phoneNumberId', label: 'Phone Number ID', type: 'text', helpHint: 'Meta Developer Dashboard → WhatsApp → Getting Started', helpUrl: 'https://developers.facebook.com/apps/' },
+      { key: 'accessToken', label: 'Access Token', type: 'password', helpHint: 'Permanent token from your System User in Business Manager' },
+      { key: 'businessAccountId', label: 'Business Account ID', type: 'text', helpHint: 'WhatsApp Business Account ID from Meta Business Suite' },
+    ] },
+  { id: 'facebook-pages', icon: '📘', label: 'Facebook Pages', category: 'social', color: '#1877f2', displayKey: 'pageName',
+    fields: [
+      { key: 'pageName', label: 'Page Name', type: 'text', helpHint: 'Your Facebook Page name or URL slug' },
+      { key: 'pageId', label: 'Page ID', type: 'text', helpHint: 'Found in Page Settings → About', helpUrl: 'https://www.facebook.com/pages/' },
+      { key: 'pageAccessToken', label: 'Page Access Token', type: 'password', helpHint: 'Long-lived page token from Graph API Explorer', helpUrl: 'https://developers.facebook.com/tools/explorer/' },
+    ] },
+  // MCP Server
+  { id: 'mcp-server', icon: '🔌', label: 'MCP Server', category: 'developer', color: '#00e5ff', displayKey: 'serverName',
+    fields: [
+      { key: 'serverName', label: 'Server Name', type: 'text', helpHint: 'A unique name for this MCP server' },
+      { key: 'command', label: 'Command', type: 'text', helpHint: 'e.g. npx, node, python' },
+      { key: 'args', label: 'Arguments (JSON)', type: 'textarea', helpHint: 'JSON array of command arguments, e.g. ["-y", "@anthropic/mcp-server"]' },
+      { key: 'envVars', label: 'Env Variables (JSON)', type: 'textarea', helpHint: 'JSON object of environment variables, e.g. {"API_KEY": "..."}' },
+    ] },
+  // API Credential
+  { id: 'api-credential', icon: '🔑', label: 'API Credential', category: 'developer', color: '#ff6e40', displayKey: 'name',
+    fields: [
+      { key: 'name', label: 'Service Name', type: 'text', helpHint: 'Descriptive name for this API' },
+      { key: 'baseUrl', label: 'Base URL', type: 'text', helpHint: 'API base URL, e.g. https://api.example.com/v1' },
+      { key: 'apiKey', label: 'API Key', type: 'password', helpHint: 'Authentication key or bearer token' },
+      { key: 'headers', label: 'Custom Headers (JSON)', type: 'textarea', helpHint: 'JSON object of additional HTTP headers' },
+    ] },
+  // GitHub
+  { id: 'github-repo', icon: '🐙', label: 'GitHub Repo', category: 'developer', color: '#8b949e', displayKey: 'repo',
+    fields: [
+      { key: 'owner', label: 'Owner', type: 'text', helpHint: 'GitHub username or organization' },
+      { key: 'repo', label: 'Repository', type: 'text', helpHint: 'Repository name (not the full URL)' },
+      { key: 'pat', label: 'Personal Access Token', type: 'password', helpHint: 'Settings → Developer settings → Personal access tokens', helpUrl: 'https://github.com/settings/tokens' },
+    ] },
+  // Custom Integration (user-defined fields)
+  { id: 'custom-integration', icon: '🔧', label: 'Custom Integration', category: 'custom', color: '#7c4dff', displayKey: null,
+    fields: [] }, // fields defined by user at runtime
+];
+
+/**
+ * Compute the credential status for a commerce node.
+ * @param {object} node — node data with .commerceType and .credentials
+ * @param {boolean} [vaultSecured] — whether vault is unlocked and credentials stored there
+ * @returns {{ status: string, label: string, color: string, icon: string }}
+ */
+export function getCredentialStatus(node, vaultSecured = false) {
+  const commerceDef = COMMERCE_NODE_TYPES.find(c => c.id === node?.commerceType);
+  if (!commerceDef) return { status: 'none', label: '', color: 'transparent', icon: '' };
+
+  const fields = commerceDef.fields;
+  if (fields.length === 0) {
+    // Custom integration — always "ready" if it exists
+    return { status: 'ready', label: 'Custom integration', color: '#00ff88', icon: '🟢' };
+  }
+
+  const creds = node.credentials || {};
+  const filled = fields.filter(f => creds[f.key]?.length > 0).length;
+  const total = fields.length;
+
+  if (filled === 0) {
+    return { status: 'unconfigured', label: 'Not configured', color: '#ff4444', icon: '🔴' };
+  }
+  if (filled < total) {
+    return { status: 'partial', label: `${filled}/${total} fields`, color: '#ffaa00', icon: '🟡' };
+  }
+  // Connection verified overrides vault-secured / ready
+  if (node.connectionStatus === 'verified') {
+    return { status: 'verified', label: 'Verified ✔', color: '#00ff88', icon: '✅' };
+  }
+  if (node.connectionStatus === 'failed') {
+    return { status: 'failed', label: 'Test failed', color: '#ff4444', icon: '❌' };
+  }
+  if (vaultSecured) {
+    return { status: 'vault-secured', label: 'Vault-secured', color: '#448aff', icon: '🔵' };
+  }
+  return { status: 'ready', label: 'All configured', color: '#00ff88', icon: '🟢' };
+}
+
+export const COMMERCE_CATEGORIES = [
+  { id: 'e-commerce',   label: '🛒 E-Commerce' },
+  { id: 'payments',     label: '💳 Payments' },
+  { id: 'advertising',  label: '📢 Advertising' },
+  { id: 'marketing',    label: '📧 Marketing' },
+  { id: 'analytics',    label: '📈 Analytics' },
+  { id: 'crm',          label: '🗂️ CRM' },
+  { id: 'creator',      label: '🎨 Creator' },
+  { id: 'cloud',        label: '📁 Cloud' },
+  { id: 'data',         label: '📊 Data' },
+  { id: 'social',       label: '💬 Social' },
+  { id: 'developer',    label: '🔌 Developer' },
+  { id: 'custom',       label: '🔧 Custom' },
+];
+
+// ─── Geometry ────────────────────────────────────────────────────────────
+// Mirrors the .mind-node CSS (min/max width, padding, 13px mono text) so
+// layouts computed without a DOM land close to what the canvas renders.
+export const NODE_SIZE = {
+  minWidth: 140,
+  maxWidth: 320,
+  paddingX: 36,
+  paddingY: 28,
+  charWidth: 7.8,
+  lineHeight: 19.5,
+  metaHeight: 20,
+};
+
+// The canvas background grid (the PCB look) — snap-to-grid uses the same pitch.
+// Mirrors --grid-size / --grid-major-every in main.css.
+export const GRID = {
+  size: 24,
+  majorEvery: 6,
+};
+
+// ─── Group Frames ────────────────────────────────────────────────────────
+// Labeled containers drawn behind nodes (epics, phases, areas of the map).
+export const FRAME_COLORS = ['#7c4dff', '#00e5ff', '#00ff88', '#ffc107', '#ff2d78', '#ff6e40'];
+
+export const FRAME_DEFAULTS = {
+  label: 'Group',
+  width: 360,
+  height: 240,
+  minWidth: 160,
+  minHeight: 100,
+  padding: 32,       // space around members when framing a selection
+  headerHeight: 28,
+};
@@ -0,0 +1,135 @@
+/**
+ * NodeSearch — Fuzzy node search and find-and-replace over node labels.
+ *
+ * A query matches a field when its characters appear in order; runs of
+ * consecutive characters, word starts and plain substrings score higher.
+ * Each node is scored on its best field:
+ *
+ *   text (label) > notes body > node type > agent > priority
+ */
+
+import { PRIORITY_LEVELS, AGENT_ROLES } from './NodeSchema.js';
+
+/** Searchable fields, best first; weight scales the field's match score */
+export const SEARCH_FIELDS = [
+  { id: 'text',     label: 'Label',    weight: 1 },
+  { id: 'body',     label: 'Notes',    weight: 0.7 },
+  { id: 'type',     label: 'Type',     weight: 0.6 },
+  { id: 'agent',    label: 'Agent',    weight: 0.6 },
+  { id: 'priority', label: 'Priority', weight: 0.5 },
+];
+
+/**
+ * Fuzzy-match a query against text.
+ * @param {string} query
+ * @param {string} text
+ * @returns {{score: number, indices: number[]}|null} matched character positions, or null
+ */
+export function fuzzyMatch(query, text) {
+  const q = String(query || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  const t = String(text || '').toLowerCase();
+  if (!q || !t) return null;
+
+  // A plain substring beats any scattered match
+  const at = t.indexOf(q);
+  if (at !== -1) {
+    const wordStart = at === 0 || /[\s\-_/.:]/.test(t[at - 1]);
+    return {
+      score: 100 + (wordStart ? 20 : 0) - Math.min(at, 20) + (q.length === t.length ? 30 : 0),
+      indices: [...Array(q.length).keys()].map(i => at + i),
+    };
+  }
+
+  const indices = [];
+  let score = 0;
+  let ti = 0;
+  for (const ch of q) {
+    if (ch === ' ') continue;
+    while (ti < t.length && t[ti] !== ch) ti++;
+    if (ti === t.length) return null;
+    const prev = indices[indices.length - 1];
+    if (prev === ti - 1) score += 5;
+    if (ti === 0 || /[\s\-_/.:]/.test(t[ti - 1])) score += 8;
+    score += 1;
+    indices.push(ti++);
+  }
+  // Penalize matches spread over long text
+  score -= Math.min((indices[indices.length - 1] - indices[0]) / 4, 20);
+  return { score, indices };
+}
+
+/**
+ * Values a node is searched on, keyed by SEARCH_FIELDS id.
+ * @param {object} node
+ * @param {object[]} [nodeTypes] - Resolved node types (built-in + custom)
+ */
+export function searchableFields(node, nodeTypes = []) {
+  const type = nodeTypes.find(t => t.id === node.nodeType);
+  const agent = AGENT_ROLES.find(a => a.id === node.assignedAgent);
+  const priority = PRIORITY_LEVELS.find(p => p.id === node.priority);
+  return {
+    text: node.text || '',
+    body: node.body || '',
+    type: type ? type.label : (node.nodeType || ''),
+    agent: agent ? agent.label : (node.assignedAgent || ''),
+    priority: priority ? priority.label : (node.priority || ''),
+  };
+}
+
+/**
+ * Rank nodes against a query.
+ * @param {object[]} nodes
+ * @param {string} query
+ * @param {{nodeTypes?: object[], limit?: number}} [opts]
+ * @returns {{node: object, field: string, score: number, indices: number[], value: string}[]}
+ */
+export function searchNodes(nodes, query, opts = {}) {
+  if (!String(query || '').trim()) return [];
+  const results = [];
+  nodes.forEach(node => {
+    const values = searchableFields(node, opts.nodeTypes);
+    let best = null;
+    SEARCH_FIELDS.forEach(({ id, weight }) => {
+      const match = fuzzyMatch(query, values[id]);
+      if (!match) return;
+      const score = match.score * weight;
+      if (!best || score > best.score) best = { node, field: id, score, indices: match.indices, value: values[id] };
+    });
+    if (best) results.push(best);
+  });
+  results.sort((a, b) => b.score - a.score || (a.node.text || '').localeCompare(b.node.text || ''));
+  return opts.limit ? results.slice(0, opts.limit) : results;
+}
+
+// ─── Replace ─────────────────────────────────────────────────────────
+
+function findPattern(find, matchCase) {
+  const escaped = String(find).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(escaped, matchCase ? 'g' : 'gi');
+}
+
+/**
+ * Replace every literal occurrence of `find` in a label.
+ * @returns {{text: string, count: number}}
+ */
+export function replaceInText(text, find, replace, matchCase = false) {
+  if (!find) return { text, count: 0 };
+  let count = 0;
+  const next = String(text || '').replace(findPattern(find, matchCase), () => {
+    count++;
+    return replace;
+  });
+  return { text: next, count };
+}
+
+/**
+ * Label changes for a find-and-replace across nodes.
+ * @param {object[]} nodes
+ * @returns {{nodeId: string, text: string, count: number}[]} only nodes that change
+ */
+export function planReplace(nodes, find, replace, matchCase = false) {
+  return nodes.flatMap(node => {
+    const { text, count } = replaceInText(node.text, find, replace, matchCase);
+    return count > 0 && text !== node.text ? [{ nodeId: node.id, text, count }] : [];
+  });
+}
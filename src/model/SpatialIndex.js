@@ -0,0 +1,91 @@
+/**
+ * SpatialIndex — Uniform-grid bucket index of axis-aligned rectangles.
+ *
+ * Items are filed under every cell their rectangle touches, so a query only
+ * looks at the items sharing a cell with the query rectangle instead of all
+ * of them. Used for wire-routing obstacles and wire-crossing detection.
+ *
+ *   const index = new SpatialIndex(128);
+ *   index.insert('n1', { left: 0, top: 0, right: 140, bottom: 40 });
+ *   index.query({ left: 100, top: 10, right: 300, bottom: 20 }); // Set { 'n1' }
+ *
+ * Query results are candidates: items whose rectangle overlaps the query's
+ * cells. Callers test the exact geometry themselves.
+ */
+
+export class SpatialIndex {
+  /** @param {number} [cellSize] - Cell edge in world units */
+  constructor(cellSize = 128) {
+    this.cellSize = cellSize;
+    /** @type {Map<string, Set<any>>} cell key → items */
+    this._cells = new Map();
+    /** @type {Map<any, {rect: object, keys: string[]}>} */
+    this._items = new Map();
+  }
+
+  get size() {
+    return this._items.size;
+  }
+
+  /**
+   * Add or replace an item.
+   * @param {any} item
+   * @param {{left: number, top: number, right: number, bottom: number}} rect
+   */
+  insert(item, rect) {
+    if (this._items.has(item)) this.remove(item);
+    const keys = this._keysFor(rect);
+    keys.forEach(key => {
+      if (!this._cells.has(key)) this._cells.set(key, new Set());
+      this._cells.get(key).add(item);
+    });
+    this._items.set(item, { rect, keys });
+  }
+
+  remove(item) {
+    const entry = this._items.get(item);
+    if (!entry) return;
+    entry.keys.forEach(key => {
+      const cell = this._cells.get(key);
+      cell.delete(item);
+      if (cell.size === 0) this._cells.delete(key);
+    });
+    this._items.delete(item);
+  }
+
+  /** The rectangle an item was filed with */
+  rectOf(item) {
+    return this._items.get(item)?.rect || null;
+  }
+
+  /** Items whose cells overlap the rectangle */
+  query(rect) {
+    const found = new Set();
+    this._keysFor(rect).forEach(key => this._cells.get(key)?.forEach(item => found.add(item)));
+    return found;
+  }
+
+  clear() {
+    this._cells.clear();
+    this._items.clear();
+  }
+
+  _keysFor(rect) {
+    const s = this.cellSize;
+    const x0 = Math.floor(rect.left / s), x1 = Math.floor(rect.right / s);
+    const y0 = Math.floor(rect.top / s), y1 = Math.floor(rect.bottom / s);
+    const keys = [];
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) keys.push(`${x},${y}`);
+    }
+    return keys;
+  }
+}
+
+/** Bounding rectangle of a segment */
+export function segmentRect(a, b) {
+  return {
+    left: Math.min(a.x, b.x), top: Math.min(a.y, b.y),
+    right: Math.max(a.x, b.x), bottom: Math.max(a.y, b.y),
+  };
+}
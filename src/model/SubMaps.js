@@ -0,0 +1,153 @@
+/**
+ * SubMaps — Child mind maps owned by nodes.
+ *
+ * Any node can own a sub-map, stored inside the same .mindmap file:
+ *
+ *   node.subMap = { nodes: [...], connections: [...], frames: [...] }
+ *
+ * and the sub-map's nodes can own sub-maps in turn. Node types and property
+ * fields are project-wide and stay at the top of the file. The canvas shows
+ * one level at a time (main.js drills in and out); these pure functions let
+ * the serializer, the CLI and the prompt modal reach into the tree headlessly.
+ */
+
+/**
+ * Clean copy of a sub-map, or null when there is nothing in it
+ * @param {object} subMap
+ * @returns {{nodes: object[], connections: object[], frames: object[]}|null}
+ */
+export function normalizeSubMap(subMap) {
+  if (!subMap || !Array.isArray(subMap.nodes) || subMap.nodes.length === 0) return null;
+  return structuredClone({
+    nodes: subMap.nodes,
+    connections: subMap.connections || [],
+    frames: subMap.frames || [],
+  });
+}
+
+/** Number of nodes in a sub-map, including its own nested sub-maps */
+export function countSubMapNodes(subMap) {
+  return (subMap?.nodes || []).reduce((sum, n) => sum + 1 + countSubMapNodes(n.subMap), 0);
+}
+
+/**
+ * Every sub-map below a level, depth-first.
+ * @param {object[]} nodes - The level's nodes
+ * @returns {{id: string, text: string, path: string[], depth: number, nodeCount: number}[]}
+ */
+export function listSubMaps(nodes, trail = []) {
+  return nodes.filter(n => n.subMap).flatMap(n => {
+    const path = [...trail, ownerLabel(n)];
+    return [
+      { id: n.id, text: ownerLabel(n), path, depth: trail.length, nodeCount: countSubMapNodes(n.subMap) },
+      ...listSubMaps(n.subMap.nodes || [], path),
+    ];
+  });
+}
+
+/**
+ * Walk down a path of owner node ids.
+ * @param {{nodes: object[], connections: object[], frames?: object[]}} level - Where the path starts
+ * @param {string[]} path - Owner node ids, outermost first
+ * @returns {{level: {nodes: object[], connections: object[], frames: object[]}, trail: {id: string, text: string}[]}}
+ * @throws {Error} if a node on the path does not exist or owns no sub-map
+ */
+export function resolveSubMap(level, path) {
+  const trail = [];
+  let current = { nodes: level.nodes, connections: level.connections, frames: level.frames || [] };
+  for (const id of path) {
+    const owner = current.nodes.find(n => n.id === id);
+    if (!owner?.subMap) throw new Error(`Node "${owner ? ownerLabel(owner) : id}" has no sub-map`);
+    trail.push({ id, text: ownerLabel(owner) });
+    current = {
+      nodes: owner.subMap.nodes || [],
+      connections: owner.subMap.connections || [],
+      frames: owner.subMap.frames || [],
+    };
+  }
+  return { level: current, trail };
+}
+
+/**
+ * Turn a human path like "Payments/Stripe" into owner node ids. Each
+ * segment matches an owner's id or its text (case-insensitive).
+ * @param {object[]} nodes - The top-level nodes
+ * @param {string} spec
+ * @returns {string[]}
+ * @throws {Error} if a segment matches no sub-map
+ */
+export function findSubMapPath(nodes, spec) {
+  const ids = [];
+  let level = nodes;
+  for (const segment of String(spec).split('/').map(s => s.trim()).filter(Boolean)) {
+    const wanted = segment.toLowerCase();
+    const owner = level.find(n => n.subMap && n.id === segment)
+      || level.find(n => n.subMap && (n.text || '').trim().toLowerCase() === wanted);
+    if (!owner) throw new Error(`No sub-map named "${segment}"`);
+    ids.push(owner.id);
+    level = owner.subMap.nodes || [];
+  }
+  return ids;
+}
+
+/**
+ * Pull every nested sub-map up into one level. Nodes that came from a
+ * sub-map carry `subMapPath` (owner labels, outermost first); no node in
+ * the result keeps its subMap.
+ * @returns {{nodes: object[], connections: object[], frames: object[]}}
+ */
+export function flattenSubMaps(level, trail = []) {
+  const nodes = [];
+  const connections = [...(level.connections || [])];
+  const frames = [...(level.frames || [])];
+  (level.nodes || []).forEach(node => {
+    const { subMap, ...rest } = node;
+    nodes.push(trail.length ? { ...rest, subMapPath: trail } : rest);
+    if (!subMap) return;
+    const inner = flattenSubMaps(subMap, [...trail, ownerLabel(node)]);
+    nodes.push(...inner.nodes);
+    connections.push(...inner.connections);
+    frames.push(...inner.frames);
+  });
+  return { nodes, connections, frames };
+}
+
+function ownerLabel(node) {
+  return (node.text || '').trim() || 'Untitled';
+}
+
+let _copyCounter = 0;
+function copyId(prefix) {
+  return `${prefix}_${Date.now().toString(36)}_c${(++_copyCounter).toString(36)}`;
+}
+
+/**
+ * Deep copy of a sub-map with fresh node, connection and frame ids all the
+ * way down, so the copy can live next to the original (paste, duplicate).
+ * @returns {{nodes: object[], connections: object[], frames: object[]}|null}
+ */
+export function copySubMap(subMap) {
+  const source = normalizeSubMap(subMap);
+  if (!source) return null;
+
+  const ids = new Map();
+  const fresh = (id, prefix) => {
+    if (!ids.has(id)) ids.set(id, copyId(prefix));
+    return ids.get(id);
+  };
+  source.frames.forEach(f => fresh(f.id, 'frame'));
+  return {
+    frames: source.frames.map(f => ({
+      ...f, id: ids.get(f.id), parentId: ids.get(f.parentId) || null,
+    })),
+    nodes: source.nodes.map(n => ({
+      ...n,
+      id: fresh(n.id, 'node'),
+      frameId: ids.get(n.frameId) || null,
+      subMap: copySubMap(n.subMap),
+    })),
+    connections: source.connections
+      .filter(c => ids.has(c.sourceId) && ids.has(c.targetId))
+      .map(c => ({ ...c, id: copyId('conn'), sourceId: ids.get(c.sourceId), targetId: ids.get(c.targetId) })),
+  };
+}
@@ -0,0 +1,155 @@
+/**
+ * TagQuery — Free-form node tags and boolean tag expressions.
+ *
+ * Tags are stored lowercase without the leading '#'. Expressions combine
+ * them with and / or / not and parentheses:
+ *
+ *   #mvp                      nodes tagged mvp
+ *   #mvp #mobile              both (juxtaposition means and)
+ *   #mvp or #v2, #mvp | #v2   either
+ *   #mvp and not #v2          mvp but not v2 (also `!#v2`, `-#v2`)
+ *   (#web | #mobile) & #mvp
+ */
+
+/** Normalize one tag: '#MVP ' → 'mvp'; returns '' when nothing is left */
+export function normalizeTag(tag) {
+  return String(tag ?? '')
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^\p{L}\p{N}_\-/.:]/gu, '');
+}
+
+/**
+ * Normalize a tag list, or split free text ("#mvp, #v2 mobile") into tags.
+ * Duplicates and empties are dropped; order is kept.
+ * @param {string|string[]} input
+ * @returns {string[]}
+ */
+export function normalizeTags(input) {
+  const raw = Array.isArray(input) ? input : String(input ?? '').split(/[\s,]+/);
+  return [...new Set(raw.map(normalizeTag).filter(Boolean))];
+}
+
+/** Display form of a tag */
+export function formatTag(tag) {
+  return `#${tag}`;
+}
+
+/**
+ * Every tag in use with its node count, most used first.
+ * @param {object[]} nodes
+ * @returns {{tag: string, count: number}[]}
+ */
+export function collectTags(nodes) {
+  const counts = new Map();
+  nodes.forEach(n => (n.tags || []).forEach(t => counts.set(t, (counts.get(t) || 0) + 1)));
+  return [...counts.entries()]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+// ─── Expressions ─────────────────────────────────────────────────────
+
+const OPERATORS = {
+  and: 'and', '&': 'and', '&&': 'and',
+  or: 'or', '|': 'or', '||': 'or', ',': 'or',
+  not: 'not', '!': 'not',
+};
+
+function tokenize(expression) {
+  const tokens = [];
+  const re = /\s*(\(|\)|&&|\|\||[&|!,]|-(?=#|\w)|[^\s()&|!,]+)/gy;
+  let end = 0;
+  let match;
+  while ((match = re.exec(expression)) !== null) {
+    end = re.lastIndex;
+    const text = match[1];
+    if (text === '(' || text === ')') tokens.push({ type: text });
+    else if (text === '-') tokens.push({ type: 'not' });
+    else if (OPERATORS[text.toLowerCase()]) tokens.push({ type: OPERATORS[text.toLowerCase()] });
+    else {
+      const tag = normalizeTag(text);
+      if (!tag) throw new Error(`"${text}" is not a valid tag`);
+      tokens.push({ type: 'tag', tag });
+    }
+  }
+  const rest = expression.slice(end).trim();
+  if (rest) throw new Error(`Unexpected "${rest}" in tag expression`);
+  return tokens;
+}
+
+/**
+ * Compile a tag expression into a predicate over a node's tags.
+ * An empty expression matches every node.
+ * @param {string} expression
+ * @returns {(tags: string[]) => boolean}
+ * @throws {Error} on a malformed expression
+ */
+export function compileTagExpression(expression) {
+  const tokens = tokenize(expression || '');
+  if (tokens.length === 0) return () => true;
+
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const startsOperand = (t) => t && (t.type === 'tag' || t.type === 'not' || t.type === '(');
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (peek()?.type === 'or') {
+      pos++;
+      const a = left, b = parseAnd();
+      left = (tags) => a(tags) || b(tags);
+    }
+    return left;
+  };
+  const parseAnd = () => {
+    let left = parseNot();
+    while (peek()?.type === 'and' || startsOperand(peek())) {
+      if (peek().type === 'and') pos++;
+      const a = left, b = parseNot();
+      left = (tags) => a(tags) && b(tags);
+    }
+    return left;
+  };
+  const parseNot = () => {
+    if (peek()?.type === 'not') {
+      pos++;
+      const inner = parseNot();
+      return (tags) => !inner(tags);
+    }
+    return parsePrimary();
+  };
+  const parsePrimary = () => {
+    const token = tokens[pos++];
+    if (token?.type === 'tag') return (tags) => tags.includes(token.tag);
+    if (token?.type === '(') {
+      const inner = parseOr();
+      if (tokens[pos++]?.type !== ')') throw new Error('Missing ")" in tag expression');
+      return inner;
+    }
+    throw new Error(token ? `Unexpected "${token.type}" in tag expression` : 'Tag expression ends too early');
+  };
+
+  const predicate = parseOr();
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].type}" in tag expression`);
+  return (tags) => predicate(tags || []);
+}
+
+/**
+ * Nodes matching a tag expression and the wires between them.
+ * @param {object[]} nodes
+ * @param {object[]} connections
+ * @param {string} expression
+ * @returns {{nodes: object[], connections: object[]}}
+ */
+export function selectByTags(nodes, connections, expression) {
+  const matches = compileTagExpression(expression);
+  const kept = nodes.filter(n => matches(n.tags));
+  const ids = new Set(kept.map(n => n.id));
+  return {
+    nodes: kept,
+    connections: connections.filter(c => ids.has(c.sourceId) && ids.has(c.targetId)),
+  };
+}
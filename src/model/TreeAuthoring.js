@@ -0,0 +1,148 @@
+/**
+ * TreeAuthoring — Where keyboard-created nodes go and where arrow keys lead.
+ *
+ * Connections read as a tree: a connection's source is the parent of its
+ * target (a forward arrow wins when a node has several incoming wires).
+ *
+ *   Tab    → child, placed right of its parent below the existing children
+ *   Enter  → sibling, placed below the node under the same parent
+ *   ←  →   → parent / first child
+ *   ↑  ↓   → previous / next sibling (nearest node that way for roots)
+ */
+
+import { estimateNodeSize } from './GraphModel.js';
+
+/** Horizontal gap between a parent and its children */
+export const CHILD_GAP = 80;
+/** Vertical gap between stacked siblings */
+export const SIBLING_GAP = 24;
+
+const DIRECTIONS = ['up', 'down', 'left', 'right'];
+
+// ─── Structure ───────────────────────────────────────────────────────
+
+/** The node's parent id, or null for a root */
+export function parentOf(model, nodeId) {
+  const incoming = [...model.connections.values()]
+    .filter(c => c.targetId === nodeId && c.sourceId !== nodeId);
+  const best = incoming.find(c => c.directed === 'forward') || incoming[0];
+  return best ? best.sourceId : null;
+}
+
+/** Child ids, top to bottom */
+export function childrenOf(model, nodeId) {
+  const ids = new Set([...model.connections.values()]
+    .filter(c => c.sourceId === nodeId && c.targetId !== nodeId && parentOf(model, c.targetId) === nodeId)
+    .map(c => c.targetId));
+  return byPosition(model, [...ids]);
+}
+
+/** The node and its siblings under the same parent, top to bottom */
+export function siblingsOf(model, nodeId) {
+  const parentId = parentOf(model, nodeId);
+  return parentId ? childrenOf(model, parentId) : [nodeId];
+}
+
+function byPosition(model, ids) {
+  return ids
+    .filter(id => model.nodes.has(id))
+    .sort((a, b) => model.nodes.get(a).y - model.nodes.get(b).y || model.nodes.get(a).x - model.nodes.get(b).x);
+}
+
+// ─── Navigation ──────────────────────────────────────────────────────
+
+/**
+ * The node an arrow key moves the selection to.
+ * @param {import('./GraphModel.js').GraphModel} model
+ * @param {string} nodeId
+ * @param {'up'|'down'|'left'|'right'} direction
+ * @param {(id: string) => boolean} [isVisible] - Skips nodes that are not shown
+ * @returns {string|null}
+ */
+export function navigate(model, nodeId, direction, isVisible = () => true) {
+  if (!model.nodes.has(nodeId) || !DIRECTIONS.includes(direction)) return null;
+
+  let next = null;
+  if (direction === 'left') next = parentOf(model, nodeId);
+  if (direction === 'right') next = childrenOf(model, nodeId).find(isVisible) || null;
+  if (direction === 'up' || direction === 'down') {
+    const siblings = siblingsOf(model, nodeId).filter(id => id === nodeId || isVisible(id));
+    const at = siblings.indexOf(nodeId) + (direction === 'down' ? 1 : -1);
+    next = siblings[at] || null;
+  }
+  if (next && isVisible(next)) return next;
+  return nearestInDirection(model, nodeId, direction, isVisible);
+}
+
+/** Closest visible node whose center lies within 45° of the direction */
+function nearestInDirection(model, nodeId, direction, isVisible) {
+  const from = center(model, model.nodes.get(nodeId));
+  let best = null;
+  model.nodes.forEach(node => {
+    if (node.id === nodeId || !isVisible(node.id)) return;
+    const to = center(model, node);
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const along = { right: dx, left: -dx, down: dy, up: -dy }[direction];
+    const across = direction === 'left' || direction === 'right' ? Math.abs(dy) : Math.abs(dx);
+    if (along <= 0 || across > along) return;
+    const distance = along + across * 2;
+    if (!best || distance < best.distance) best = { id: node.id, distance };
+  });
+  return best ? best.id : null;
+}
+
+function center(model, node) {
+  const { width, height } = model.getNodeSize(node);
+  return { x: node.x + width / 2, y: node.y + height / 2 };
+}
+
+// ─── Placement ───────────────────────────────────────────────────────
+
+/**
+ * Position for a new child: right of the parent, below its lowest child.
+ * @returns {{x: number, y: number}}
+ */
+export function placeChild(model, parentId, newNode = {}) {
+  const parent = model.nodes.get(parentId);
+  const parentSize = model.getNodeSize(parent);
+  const size = estimateNodeSize(newNode);
+  const children = childrenOf(model, parentId).map(id => model.nodes.get(id));
+
+  const x = children.length
+    ? Math.min(...children.map(c => c.x))
+    : parent.x + parentSize.width + CHILD_GAP;
+  const y = children.length
+    ? Math.max(...children.map(c => c.y + model.getNodeSize(c).height)) + SIBLING_GAP
+    : parent.y + (parentSize.height - size.height) / 2;
+  return findFreeSpot(model, { x, y, ...size });
+}
+
+/**
+ * Position for a new sibling: directly below the node.
+ * @returns {{x: number, y: number, parentId: string|null}}
+ */
+export function placeSibling(model, nodeId, newNode = {}) {
+  const node = model.nodes.get(nodeId);
+  const size = estimateNodeSize(newNode);
+  const spot = findFreeSpot(model, {
+    x: node.x,
+    y: node.y + model.getNodeSize(node).height + SIBLING_GAP,
+    ...size,
+  });
+  return { ...spot, parentId: parentOf(model, nodeId) };
+}
+
+/** Move a rect down until it overlaps no node */
+export function findFreeSpot(model, rect) {
+  const nodes = [...model.nodes.values()].map(n => ({ ...model.getNodeSize(n), x: n.x, y: n.y }));
+  let y = rect.y;
+  for (let guard = 0; guard < 500; guard++) {
+    const hit = nodes.find(n =>
+      rect.x < n.x + n.width && rect.x + rect.width > n.x &&
+      y < n.y + n.height + SIBLING_GAP / 2 && y + rect.height + SIBLING_GAP / 2 > n.y);
+    if (!hit) break;
+    y = hit.y + hit.height + SIBLING_GAP;
+  }
+  return { x: Math.round(rect.x), y: Math.round(y) };
+}
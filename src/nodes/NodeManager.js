@@ -4,360 +4,157 @@
  * Phase 3.2 Enhancement: Nodes now carry orchestration metadata —
  * nodeType, priority, phase, assignedAgent, agentStatus, and agentNotes.
  * Visual overlays include status badges, priority rings, and agent chips.
+ *
+ * Node data lives in a DOM-free GraphModel; this class renders it and keeps
+ * each node's element in a side map, reporting measured sizes back to the model.
+ *
+ * Collapsible subtrees: a node with outgoing directed connections gets a fold
+ * toggle; collapsing it hides its descendants (and their wires) and shows a
+ * count of hidden nodes. The collapsed flag is saved with the node.
+ *
+ * Notes body: a node can carry a markdown body (its detailed spec), edited in
+ * the NotesDrawer. Nodes with a body get a 📝 toggle that opens a rendered
+ * preview card under the node; which previews are open is view state only.
+ *
+ * Custom properties: values of the project's property fields that are marked
+ * "show on node" render as chips under the label.
+ *
+ * Tags: free-form #tags render under the label. A tag filter expression dims
+ * every node that does not match (and, via ConnectionManager, their wires);
+ * like collapsed state for previews, the filter is view state only.
+ *
+ * Sub-maps: a node that owns a child map shows a ⊞ badge with its node
+ * count; the badge or a double-click asks main.js (submap:open-request) to
+ * drill into it.
+ *
+ * Search: the search overlay marks its matches (.search-match) and the
+ * current result (.search-active); MiniMap draws the same set.
+ *
+ * Cycles: nodes caught in a dependency cycle are outlined (.in-cycle) until
+ * the cycle is broken; main.js re-checks after every change.
+ *
+ * Dragging: the grabbed node shows smart guides and lines up with the
+ * edges and centers of nearby nodes; with snapToGrid on, it otherwise
+ * lands on the canvas grid. The rest of the selection follows it, and
+ * holding Alt drags freely. Touch drags work the same way (see Pointer.js);
+ * a second finger hands the gesture to the viewport's pinch.
+ *
+ * Large maps: past VIRTUALIZE_MIN_NODES nodes, only the nodes inside the
+ * visible world rect (plus a margin) stay mounted in the nodes layer; the
+ * rest keep their element detached, so every setter still works on them.
+ * Below LOD_ZOOM nodes render as plain colored blocks. ConnectionManager
+ * culls wires against the same rect in the same pass.
  */
 
 import { escapeHtml, escapeAttr } from '../core/Sanitize.js';
-
-let _idCounter = 0;
-function generateId() {
-  return `node_${Date.now().toString(36)}_${(++_idCounter).toString(36)}`;
-}
-
-const NODE_COLORS = ['#00e5ff', '#ff2d78', '#00ff88', '#ffc107', '#7c4dff', '#ff6e40', '#e6edf3'];
-
-export const NODE_SHAPES = [
-  { id: 'rectangle',     icon: '▬', label: 'Rectangle',     meaning: 'Process / Task' },
-  { id: 'rounded',       icon: '▢', label: 'Rounded',       meaning: 'Start / End' },
-  { id: 'diamond',       icon: '◇', label: 'Diamond',       meaning: 'Decision' },
-  { id: 'parallelogram', icon: '▱', label: 'Parallelogram', meaning: 'Input / Output' },
-  { id: 'hexagon',       icon: '⬡', label: 'Hexagon',       meaning: 'Preparation' },
-  { id: 'circle',        icon: '●', label: 'Circle',        meaning: 'Event / Trigger' },
-  { id: 'pill',          icon: '▭', label: 'Pill',          meaning: 'Terminal' },
-];
-
-// Phase 3.2: Node type definitions for the agentic system
-export const NODE_TYPES = [
-  { id: 'general',    icon: '📄', label: 'General',    color: '#7d8590' },
-  { id: 'feature',    icon: '⚡', label: 'Feature',    color: '#00e5ff' },
-  { id: 'constraint', icon: '🔒', label: 'Constraint', color: '#ffc107' },
-  { id: 'reference',  icon: '📎', label: 'Reference',  color: '#7c4dff' },
-  { id: 'risk',       icon: '⚠️', label: 'Risk',       color: '#ff2d78' },
-  { id: 'techNote',   icon: '🔧', label: 'Tech Note',  color: '#00ff88' },
-];
-
-export const PRIORITY_LEVELS = [
-  { id: 'critical', icon: '🔴', label: 'Critical', color: '#ff2d78', ring: '#ff2d78' },
-  { id: 'high',     icon: '🟠', label: 'High',     color: '#ff6e40', ring: '#ff6e40' },
-  { id: 'medium',   icon: '🟡', label: 'Medium',   color: '#ffc107', ring: '#ffc107' },
-  { id: 'low',      icon: '🟢', label: 'Low',      color: '#00ff88', ring: '#00ff88' },
-];
-
-export const AGENT_STATUS_MAP = {
-  unassigned:  { icon: '⚪', label: 'Unassigned', color: '#7d8590' },
-  planning:    { icon: '🔵', label: 'Planning',   color: '#00e5ff' },
-  'in-review': { icon: '🟡', label: 'In Review',  color: '#ffc107' },
-  approved:    { icon: '🟢', label: 'Approved',   color: '#00ff88' },
-  blocked:     { icon: '🔴', label: 'Blocked',    color: '#ff2d78' },
-};
-
-export const AGENT_ROLES = [
-  { id: 'coo',       icon: '👔', label: 'COO' },
-  { id: 'cto',       icon: '🏗️', label: 'CTO' },
-  { id: 'cfo',       icon: '💰', label: 'CFO' },
-  { id: 'frontend',  icon: '🎨', label: 'Frontend UI/UX' },
-  { id: 'backend',   icon: '⚙️', label: 'Backend' },
-  { id: 'devops',    icon: '🚀', label: 'DevOps' },
-  { id: 'qa-tester', icon: '🧪', label: 'QA / Test' },
-  { id: 'deep-researcher', icon: '📚', label: 'Deep Researcher' },
-  { id: 'devils-advocate', icon: '😈', label: "Devil's Advocate" },
-  { id: 'sentinel',  icon: '🛡️', label: 'Sentinel' },
-  { id: 'documenter', icon: '📝', label: 'Documenter' },
-  { id: 'token-auditor', icon: '🔢', label: 'Token Auditor' },
-  { id: 'api-cost-auditor', icon: '💵', label: 'API Cost Auditor' },
-  { id: 'project-auditor', icon: '📊', label: 'Project Auditor' },
-];
-
-// ─── Phase 8: Commerce & Integration Node Types ──────────────────────────
-export const COMMERCE_NODE_TYPES = [
-  // E-Commerce
-  { id: 'shopify', icon: '🛍️', label: 'Shopify', category: 'e-commerce', color: '#96bf48', displayKey: 'storeUrl',
-    fields: [
-      { key: 'storeUrl', label: 'Store URL', type: 'text', helpHint: 'Your myshopify.com URL (e.g. my-store.myshopify.com)', helpUrl: 'https://admin.shopify.com/' },
-      { key: 'apiKey', label: 'API Key', type: 'password', helpHint: 'Found in Settings → Apps → Develop apps → API credentials', helpUrl: 'https://admin.shopify.com/settings/apps/development' },
-      { key: 'accessToken', label: 'Access Token', type: 'password', helpHint: 'Admin API access token from your custom app', helpUrl: 'https://shopify.dev/docs/apps/auth/admin-app-access-tokens' },
-    ] },
-  { id: 'woocommerce', icon: '🛒', label: 'WooCommerce', category: 'e-commerce', color: '#9b5c8f', displayKey: 'siteUrl',
-    fields: [
-      { key: 'siteUrl', label: 'Site URL', type: 'text', helpHint: 'Your WordPress site URL' },
-      { key: 'consumerKey', label: 'Consumer Key', type: 'password', helpHint: 'WooCommerce → Settings → Advanced → REST API', helpUrl: 'https://woocommerce.com/document/woocommerce-rest-api/' },
-      { key: 'consumerSecret', label: 'Consumer Secret', type: 'password', helpHint: 'Generated with the Consumer Key above' },
-    ] },
-  { id: 'etsy', icon: '🧶', label: 'Etsy', category: 'e-commerce', color: '#f1641e', displayKey: 'shopId',
-    fields: [
-      { key: 'shopId', label: 'Shop ID', type: 'text', helpHint: 'Your Etsy shop name or numeric ID' },
-      { key: 'apiKey', label: 'API Key', type: 'password', helpHint: 'Create an app at etsy.com/developers', helpUrl: 'https://www.etsy.com/developers/' },
-    ] },
-  { id: 'facebook-mp', icon: '📘', label: 'Facebook Marketplace', category: 'e-commerce', color: '#1877f2', displayKey: 'pageId',
-    fields: [
-      { key: 'pageId', label: 'Page ID', type: 'text', helpHint: 'Facebook Page ID for your marketplace listing' },
-      { key: 'accessToken', label: 'Access Token', type: 'password', helpHint: 'Graph API token from developers.facebook.com', helpUrl: 'https://developers.facebook.com/tools/explorer/' },
-    ] },
-  { id: 'ebay', icon: '🏷️', label: 'eBay', category: 'e-commerce', color: '#e53238', displayKey: 'appId',
-    fields: [
-      { key: 'appId', label: 'App ID', type: 'text', helpHint: 'eBay Developer Program App ID (Client ID)' },
-      { key: 'certId', label: 'Cert ID', type: 'password', helpHint: 'App certificate from eBay Developer Portal', helpUrl: 'https://developer.ebay.com/my/keys' },
-      { key: 'authToken', label: 'Auth Token', type: 'password', helpHint: 'User auth token or OAuth token' },
-    ] },
-  // Payments
-  { id: 'lemonsqueezy', icon: '🍋', label: 'LemonSqueezy', category: 'payments', color: '#ffc233', displayKey: 'storeId',
-    fields: [
-      { key: 'apiKey', label: 'API Key', type: 'password', helpHint: 'Settings → API → Create API key', helpUrl: 'https://app.lemonsqueezy.com/settings/api' },
-      { key: 'storeId', label: 'Store ID', type: 'text', helpHint: 'Found in your store settings' },
-      { key: 'webhookSecret', label: 'Webhook Secret', type: 'password', helpHint: 'Settings → Webhooks → Signing secret' },
-    ] },
-  { id: 'stripe', icon: '💳', label: 'Stripe', category: 'payments', color: '#635bff', displayKey: 'publishableKey',
-    fields: [
-      { key: 'publishableKey', label: 'Publishable Key', type: 'text', helpHint: 'Starts with pk_test_ or pk_live_', helpUrl: 'https://dashboard.stripe.com/apikeys' },
-      { key: 'secretKey', label: 'Secret Key', type: 'password', helpHint: 'Starts with sk_test_ or sk_live_ — keep this safe!', helpUrl: 'https://dashboard.stripe.com/apikeys' },
-    ] },
-  { id: 'paypal', icon: '🅿️', label: 'PayPal', category: 'payments', color: '#003087', displayKey: 'clientId',
-    fields: [
-      { key: 'clientId', label: 'Client ID', type: 'text', helpHint: 'PayPal Developer Dashboard → My Apps', helpUrl: 'https://developer.paypal.com/dashboard/applications' },
-      { key: 'secret', label: 'Secret', type: 'password', helpHint: 'App secret from your PayPal REST app' },
-    ] },
-  // Advertising
-  { id: 'meta-ads', icon: '📢', label: 'Meta Ads', category: 'advertising', color: '#1877f2', displayKey: 'adAccountId',
-    fields: [
-      { key: 'appId', label: 'App ID', type: 'text', helpHint: 'Meta for Developers → My Apps', helpUrl: 'https://developers.facebook.com/apps/' },
-      { key: 'appSecret', label: 'App Secret', type: 'password', helpHint: 'App Settings → Basic → App Secret' },
-      { key: 'adAccountId', label: 'Ad Account ID', type: 'text', helpHint: 'Starts with act_ — found in Ads Manager', helpUrl: 'https://adsmanager.facebook.com/' },
-    ] },
-  { id: 'google-ads', icon: '📊', label: 'Google Ads', category: 'advertising', color: '#4285f4', displayKey: 'customerId',
-    fields: [
-      { key: 'customerId', label: 'Customer ID', type: 'text', helpHint: '10-digit ID (xxx-xxx-xxxx) from Google Ads dashboard', helpUrl: 'https://ads.google.com/' },
-      { key: 'developerToken', label: 'Developer Token', type: 'password', helpHint: 'API Centre → Developer Token', helpUrl: 'https://developers.google.com/google-ads/api/docs/first-call/dev-token' },
-      { key: 'clientId', label: 'OAuth Client ID', type: 'text', helpHint: 'Google Cloud Console → APIs & Services → Credentials', helpUrl: 'https://console.cloud.google.com/apis/credentials' },
-      { key: 'clientSecret', label: 'OAuth Client Secret', type: 'password', helpHint: 'OAuth 2.0 Client Secret from Cloud Console' },
-      { key: 'refreshToken', label: 'Refresh Token', type: 'password', helpHint: 'OAuth refresh token for offline access' },
-    ] },
-  // Email & Marketing
-  { id: 'email-marketing', icon: '📧', label: 'Email Marketing', category: 'marketing', color: '#ffe01b', displayKey: 'platform',
-    fields: [
-      { key: 'platform', label: 'Platform (Mailchimp/Klaviyo/SendGrid)', type: 'text', helpHint: 'Which email service are you using?' },
-      { key: 'apiKey', label: 'API Key', type: 'password', helpHint: 'Find in your email platform\'s API settings' },
-      { key: 'audienceId', label: 'List / Audience ID', type: 'text', helpHint: 'The specific mailing list or audience to target' },
-    ] },
-  // Analytics
-  { id: 'google-analytics', icon: '📈', label: 'Google Analytics', category: 'analytics', color: '#e37400', displayKey: 'measurementId',
-    fields: [
-      { key: 'measurementId', label: 'Measurement ID', type: 'text', helpHint: 'Starts with G- (GA4). Admin → Data Streams', helpUrl: 'https://analytics.google.com/' },
-      { key: 'apiSecret', label: 'API Secret', type: 'password', helpHint: 'Admin → Data Streams → Measurement Protocol API secrets' },
-    ] },
-  { id: 'mixpanel', icon: '📉', label: 'Mixpanel', category: 'analytics', color: '#7856ff', displayKey: 'projectToken',
-    fields: [
-      { key: 'projectToken', label: 'Project Token', type: 'text', helpHint: 'Settings → Project Settings → Project Token', helpUrl: 'https://mixpanel.com/' },
-      { key: 'apiSecret', label: 'API Secret', type: 'password', helpHint: 'Used for server-side API access' },
-    ] },
-  // CRM
-  { id: 'hubspot', icon: '🗂️', label: 'HubSpot', category: 'crm', color: '#ff7a59', displayKey: 'portalId',
-    fields: [
-      { key: 'apiKey', label: 'API Key', type: 'password', helpHint: 'Settings → Integrations → Private Apps', helpUrl: 'https://app.hubspot.com/' },
-      { key: 'portalId', label: 'Portal ID', type: 'text', helpHint: 'Your HubSpot account ID (numeric)' },
-    ] },
-  { id: 'salesforce', icon: '☁️', label: 'Salesforce', category: 'crm', color: '#00a1e0', displayKey: 'instanceUrl',
-    fields: [
-      { key: 'instanceUrl', label: 'Instance URL', type: 'text', helpHint: 'e.g. https://yourorg.my.salesforce.com', helpUrl: 'https://login.salesforce.com/' },
-      { key: 'clientId', label: 'Consumer Key', type: 'text', helpHint: 'Connected App → Consumer Key' },
-      { key: 'clientSecret', label: 'Consumer Secret', type: 'password', helpHint: 'Connected App → Consumer Secret' },
-      { key: 'accessToken', label: 'Access Token', type: 'password', helpHint: 'OAuth bearer token or session ID' },
-    ] },
-  // Artist & Creator Marketplaces
-  { id: 'gumroad', icon: '🎁', label: 'Gumroad', category: 'creator', color: '#ff90e8', displayKey: 'productId',
-    fields: [
-      { key: 'accessToken', label: 'Access Token', type: 'password', helpHint: 'Settings → Advanced → Application API', helpUrl: 'https://app.gumroad.com/settings/advanced' },
-      { key: 'productId', label: 'Product ID', type: 'text', helpHint: 'Found in the product URL or settings' },
-    ] },
-  { id: 'superhive', icon: '🐝', label: 'Superhive', category: 'creator', color: '#f5a623', displayKey: 'shopId',
-    fields: [
-      { key: 'apiKey', label: 'API Key', type: 'password', helpHint: 'From your Superhive dashboard settings' },
-      { key: 'shopId', label: 'Shop ID', type: 'text', helpHint: 'Your Superhive shop identifier' },
-    ] },
-  { id: 'blender-market', icon: '🎨', label: 'Blender Market', category: 'creator', color: '#ea7600', displayKey: 'shopUrl',
-    fields: [
-      { key: 'apiKey', label: 'API Key', type: 'password', helpHint: 'From your Blender Market seller account' },
-      { key: 'shopUrl', label: 'Shop URL', type: 'text', helpHint: 'Your Blender Market shop page URL' },
-    ] },
-  { id: 'fab', icon: '🎮', label: 'Fab', category: 'creator', color: '#00c7ff', displayKey: 'sellerId',
-    fields: [
-      { key: 'sellerId', label: 'Seller ID', type: 'text', helpHint: 'Your Fab seller account identifier' },
-      { key: 'apiKey', label: 'API Key', type: 'password', helpHint: 'API key from Fab seller dashboard' },
-    ] },
-  { id: 'unreal-marketplace', icon: '🎯', label: 'Unreal Marketplace', category: 'creator', color: '#2f2f2f', displayKey: 'epicAccount',
-    fields: [
-      { key: 'epicAccount', label: 'Epic Account', type: 'text', helpHint: 'Your Epic Games account email or ID' },
-      { key: 'sellerId', label: 'Seller ID', type: 'text', helpHint: 'From Unreal Marketplace seller portal' },
-    ] },
-  { id: 'artstation', icon: '🖌️', label: 'ArtStation Market', category: 'creator', color: '#13aff0', displayKey: 'sellerProfile',
-    fields: [
-      { key: 'apiKey', label: 'API Key', type: 'password', helpHint: 'From your ArtStation account settings' },
-      { key: 'sellerProfile', label: 'Seller Profile', type: 'text', helpHint: 'Your ArtStation profile URL or username' },
-    ] },
-  // Cloud & Storage
-  { id: 'google-drive', icon: '📁', label: 'Google Drive', category: 'cloud', color: '#4285f4', displayKey: 'folderId',
-    fields: [
-      { key: 'oauthToken', label: 'OAuth Token', type: 'password', helpHint: 'OAuth 2.0 token from Google Cloud Console', helpUrl: 'https://console.cloud.google.com/apis/credentials' },
-      { key: 'folderId', label: 'Folder ID', type: 'text', helpHint: 'The folder ID from the Google Drive URL' },
-    ] },
-  { id: 'firebase', icon: '🔥', label: 'Firebase', category: 'cloud', color: '#ffca28', displayKey: 'projectId',
-    fields: [
-      { key: 'projectId', label: 'Project ID', type: 'text', helpHint: 'Firebase Console → Project Settings → General', helpUrl: 'https://console.firebase.google.com/' },
-      { key: 'serviceAccountKey', label: 'Service Account Key', type: 'password', helpHint: 'JSON key from Project Settings → Service accounts', helpUrl: 'https://console.firebase.google.com/project/_/settings/serviceaccounts/adminsdk' },
-    ] },
-  { id: 'cloud-hosting', icon: '☁️', label: 'Cloud Hosting', category: 'cloud', color: '#00bcd4', displayKey: 'provider',
-    fields: [
-      { key: 'provider', label: 'Provider (AWS/Vercel/Supabase)', type: 'text', helpHint: 'Which hosting platform are you using?' },
-      { key: 'accessKey', label: 'Access Key', type: 'password', helpHint: 'API key or access key from your provider' },
-      { key: 'projectUrl', label: 'Project URL', type: 'text', helpHint: 'Your deployed project URL' },
-    ] },
-  // Data & Productivity
-  { id: 'google-sheets', icon: '📊', label: 'Google Sheets', category: 'data', color: '#0f9d58', displayKey: 'spreadsheetId',
-    fields: [
-      { key: 'spreadsheetId', label: 'Spreadsheet ID', type: 'text', helpHint: 'Found in the Google Sheets URL between /d/ and /edit', helpUrl: 'https://sheets.google.com/' },
-      { key: 'serviceAccountJson', label: 'Service Account JSON', type: 'password', helpHint: 'JSON key from Google Cloud Console — share the sheet with the service account email', helpUrl: 'https://console.cloud.google.com/iam-admin/serviceaccounts' },
-    ] },
-  // Social & Community Platforms
-  { id: 'x-twitter', icon: '𝕏', label: 'X (Twitter)', category: 'social', color: '#000000', displayKey: 'handle',
-    fields: [
-      { key: 'handle', label: 'Handle (@)', type: 'text', helpHint: 'Your X/Twitter username without the @' },
-      { key: 'apiKey', label: 'API Key', type: 'password', helpHint: 'Developer Portal → Projects → Keys & Tokens', helpUrl: 'https://developer.x.com/en/portal/dashboard' },
-      { key: 'apiSecret', label: 'API Secret', type: 'password', helpHint: 'Generated alongside your API Key' },
-      { key: 'bearerToken', label: 'Bearer Token', type: 'password', helpHint: 'App-level auth token for read-only endpoints' },
-    ] },
-  { id: 'discord', icon: '🎮', label: 'Discord', category: 'social', color: '#5865f2', displayKey: 'serverId',
-    fields: [
-      { key: 'botToken', label: 'Bot Token', type: 'password', helpHint: 'Developer Portal → Bot → Token', helpUrl: 'https://discord.com/developers/applications' },
-      { key: 'serverId', label: 'Server (Guild) ID', type: 'text', helpHint: 'Right-click your server → Copy Server ID (enable Developer Mode)' },
-      { key: 'webhookUrl', label: 'Webhook URL', type: 'text', helpHint: 'Server Settings → Integrations → Webhooks (optional)' },
-    ] },
-  { id: 'tiktok', icon: '🎵', label: 'TikTok', category: 'social', color: '#010101', displayKey: 'appId',
-    fields: [
-      { key: 'appId', label: 'App ID', type: 'text', helpHint: 'TikTok for Developers → Manage Apps', helpUrl: 'https://developers.tiktok.com/' },
-      { key: 'appSecret', label: 'App Secret', type: 'password', helpHint: 'Found in your TikTok app settings' },
-      { key: 'accessToken', label: 'Access Token', type: 'password', helpHint: 'OAuth access token from your app' },
-    ] },
-  { id: 'youtube', icon: '▶️', label: 'YouTube', category: 'social', color: '#ff0000', displayKey: 'channelId',
-    fields: [
-      { key: 'apiKey', label: 'API Key', type: 'password', helpHint: 'Google Cloud Console → APIs & Services → Credentials', helpUrl: 'https://console.cloud.google.com/apis/credentials' },
-      { key: 'channelId', label: 'Channel ID', type: 'text', helpHint: 'Your YouTube channel ID (starts with UC)' },
-      { key: 'oauthToken', label: 'OAuth Token', type: 'password', helpHint: 'Required for upload/manage operations — optional for read-only' },
-    ] },
-  { id: 'whatsapp', icon: '💬', label: 'WhatsApp Business', category: 'social', color: '#25d366', displayKey: 'phoneNumberId',
-    fields: [
-      { key: 'phoneNumberId', label: 'Phone Number ID', type: 'text', helpHint: 'Meta Developer Dashboard → WhatsApp → Getting Started', helpUrl: 'https://developers.facebook.com/apps/' },
-      { key: 'accessToken', label: 'Access Token', type: 'password', helpHint: 'Permanent token from your System User in Business Manager' },
-      { key: 'businessAccountId', label: 'Business Account ID', type: 'text', helpHint: 'WhatsApp Business Account ID from Meta Business Suite' },
-    ] },
-  { id: 'facebook-pages', icon: '📘', label: 'Facebook Pages', category: 'social', color: '#1877f2', displayKey: 'pageName',
-    fields: [
-      { key: 'pageName', label: 'Page Name', type: 'text', helpHint: 'Your Facebook Page name or URL slug' },
-      { key: 'pageId', label: 'Page ID', type: 'text', helpHint: 'Found in Page Settings → About', helpUrl: 'https://www.facebook.com/pages/' },
-      { key: 'pageAccessToken', label: 'Page Access Token', type: 'password', helpHint: 'Long-lived page token from Graph API Explorer', helpUrl: 'https://developers.facebook.com/tools/explorer/' },
-    ] },
-  // MCP Server
-  { id: 'mcp-server', icon: '🔌', label: 'MCP Server', category: 'developer', color: '#00e5ff', displayKey: 'serverName',
-    fields: [
-      { key: 'serverName', label: 'Server Name', type: 'text', helpHint: 'A unique name for this MCP server' },
-      { key: 'command', label: 'Command', type: 'text', helpHint: 'e.g. npx, node, python' },
-      { key: 'args', label: 'Arguments (JSON)', type: 'textarea', helpHint: 'JSON array of command arguments, e.g. ["-y", "@anthropic/mcp-server"]' },
-      { key: 'envVars', label: 'Env Variables (JSON)', type: 'textarea', helpHint: 'JSON object of environment variables, e.g. {"API_KEY": "..."}' },
-    ] },
-  // API Credential
-  { id: 'api-credential', icon: '🔑', label: 'API Credential', category: 'developer', color: '#ff6e40', displayKey: 'name',
-    fields: [
-      { key: 'name', label: 'Service Name', type: 'text', helpHint: 'Descriptive name for this API' },
-      { key: 'baseUrl', label: 'Base URL', type: 'text', helpHint: 'API base URL, e.g. https://api.example.com/v1' },
-      { key: 'apiKey', label: 'API Key', type: 'password', helpHint: 'Authentication key or bearer token' },
-      { key: 'headers', label: 'Custom Headers (JSON)', type: 'textarea', helpHint: 'JSON object of additional HTTP headers' },
-    ] },
-  // GitHub
-  { id: 'github-repo', icon: '🐙', label: 'GitHub Repo', category: 'developer', color: '#8b949e', displayKey: 'repo',
-    fields: [
-      { key: 'owner', label: 'Owner', type: 'text', helpHint: 'GitHub username or organization' },
-      { key: 'repo', label: 'Repository', type: 'text', helpHint: 'Repository name (not the full URL)' },
-      { key: 'pat', label: 'Personal Access Token', type: 'password', helpHint: 'Settings → Developer settings → Personal access tokens', helpUrl: 'https://github.com/settings/tokens' },
-    ] },
-  // Custom Integration (user-defined fields)
-  { id: 'custom-integration', icon: '🔧', label: 'Custom Integration', category: 'custom', color: '#7c4dff', displayKey: null,
-    fields: [] }, // fields defined by user at runtime
-];
-
-/**
- * Compute the credential status for a commerce node.
- * @param {object} node — node data with .commerceType and .credentials
- * @param {boolean} [vaultSecured] — whether vault is unlocked and credentials stored there
- * @returns {{ status: string, label: string, color: string, icon: string }}
- */
-export function getCredentialStatus(node, vaultSecured = false) {
-  const commerceDef = COMMERCE_NODE_TYPES.find(c => c.id === node?.commerceType);
-  if (!commerceDef) return { status: 'none', label: '', color: 'transparent', icon: '' };
-
-  const fields = commerceDef.fields;
-  if (fields.length === 0) {
-    // Custom integration — always "ready" if it exists
-    return { status: 'ready', label: 'Custom integration', color: '#00ff88', icon: '🟢' };
-  }
-
-  const creds = node.credentials || {};
-  const filled = fields.filter(f => creds[f.key]?.length > 0).length;
-  const total = fields.length;
-
-  if (filled === 0) {
-    return { status: 'unconfigured', label: 'Not configured', color: '#ff4444', icon: '🔴' };
-  }
-  if (filled < total) {
-    return { status: 'partial', label: `${filled}/${total} fields`, color: '#ffaa00', icon: '🟡' };
-  }
-  // Connection verified overrides vault-secured / ready
-  if (node.connectionStatus === 'verified') {
-    return { status: 'verified', label: 'Verified ✔', color: '#00ff88', icon: '✅' };
-  }
-  if (node.connectionStatus === 'failed') {
-    return { status: 'failed', label: 'Test failed', color: '#ff4444', icon: '❌' };
-  }
-  if (vaultSecured) {
-    return { status: 'vault-secured', label: 'Vault-secured', color: '#448aff', icon: '🔵' };
-  }
-  return { status: 'ready', label: 'All configured', color: '#00ff88', icon: '🟢' };
-}
-
-export const COMMERCE_CATEGORIES = [
-  { id: 'e-commerce',   label: '🛒 E-Commerce' },
-  { id: 'payments',     label: '💳 Payments' },
-  { id: 'advertising',  label: '📢 Advertising' },
-  { id: 'marketing',    label: '📧 Marketing' },
-  { id: 'analytics',    label: '📈 Analytics' },
-  { id: 'crm',          label: '🗂️ CRM' },
-  { id: 'creator',      label: '🎨 Creator' },
-  { id: 'cloud',        label: '📁 Cloud' },
-  { id: 'data',         label: '📊 Data' },
-  { id: 'social',       label: '💬 Social' },
-  { id: 'developer',    label: '🔌 Developer' },
-  { id: 'custom',       label: '🔧 Custom' },
-];
+import { touchOnly } from '../core/Pointer.js';
+import { renderMarkdown, countChecklist } from '../core/Markdown.js';
+import { GraphModel } from '../model/GraphModel.js';
+import { normalizeTags, compileTagExpression, formatTag } from '../model/TagQuery.js';
+import { countSubMapNodes } from '../model/SubMaps.js';
+import { snapToGrid, findGuides } from '../model/Arrange.js';
+import {
+  NODE_SHAPES, PRIORITY_LEVELS, AGENT_STATUS_MAP, AGENT_ROLES,
+  COMMERCE_NODE_TYPES, getCredentialStatus, PROPERTY_KINDS, formatPropertyValue,
+} from '../model/NodeSchema.js';
+
+// Node vocabulary lives in the DOM-free model; re-exported for existing importers
+export {
+  NODE_SHAPES, NODE_TYPES, PRIORITY_LEVELS, AGENT_STATUS_MAP, AGENT_ROLES,
+  COMMERCE_NODE_TYPES, COMMERCE_CATEGORIES, getCredentialStatus,
+} from '../model/NodeSchema.js';
+
+const VIRTUALIZE_MIN_NODES = 300; // smaller maps keep every node mounted
+const CULL_MARGIN = 200;          // screen px mounted beyond each edge of the view
+const LOD_ZOOM = 0.4;             // below this zoom nodes render as colored blocks
 
 export class NodeManager {
-  constructor(bus, viewport) {
+  /**
+   * @param {import('../core/EventBus.js').EventBus} bus
+   * @param {import('../viewport/Viewport.js').Viewport} viewport
+   * @param {GraphModel} [model] - Data model to render (shared with ConnectionManager)
+   */
+  constructor(bus, viewport, model = new GraphModel()) {
     this.bus = bus;
     this.viewport = viewport;
+    this.model = model;
     this.nodesLayer = document.getElementById('nodes-layer');
     this.container = document.getElementById('canvas-container');
 
-    /** @type {Map<string, object>} */
-    this.nodes = new Map();
+    /** @type {Map<string, HTMLElement>} node id → rendered element */
+    this._els = new Map();
     this.selected = new Set();
+    /** @type {Set<string>} nodes hidden under a collapsed ancestor */
+    this.hidden = new Set();
+    this._visibilityQueued = false;
+    /** @type {Map<string, HTMLElement>} node id → open notes preview card */
+    this._notePreviews = new Map();
+    /** @type {Set<string>} nodes dimmed by the tag filter */
+    this.dimmed = new Set();
+    this._tagFilter = { expression: '', matches: null };
+    /** @type {Set<string>} nodes matched by the search overlay */
+    this.searchMatches = new Set();
+    this.searchActive = null;
+    this.cycleNodes = new Set();
+    this._cullFrame = null;
+    /** @type {Set<string>} nodes mounted by culling before they were ever measured */
+    this._unmeasured = new Set();
+    /** View rect shared by every node of a deserialize (undefined otherwise) */
+    this._loadRect = undefined;
+
+    // Feed rendered sizes back into the model (text edits, overlays, fonts loading)
+    this._resizeObserver = new ResizeObserver(entries => {
+      entries.forEach(entry => {
+        const el = entry.target;
+        if (!el.isConnected) return; // unmounted by culling — keep the last measured size
+        const node = this.nodes.get(el.dataset.nodeId);
+        if (!node) return;
+        const measured = node.width && node.height;
+        const changed = node.width !== el.offsetWidth || node.height !== el.offsetHeight;
+        this.model.setNodeSize(node.id, el.offsetWidth, el.offsetHeight);
+        this._positionNotesPreview(node.id);
+        // Wires drawn against the old (or estimated) size follow the new one
+        if (changed && (measured || this._unmeasured.delete(node.id))) this.bus.emit('node:resized', node);
+      });
+    });
 
     this._dragging = null;
+    this._dragPointer = null;
     this._dragOffsets = new Map();
+    /** Snap dragged nodes to the canvas grid (toolbar toggle) */
+    this.snapToGrid = false;
+    this.guidesLayer = document.getElementById('guides-layer');
     this.connectionManager = null; // set via setConnectionManager()
+    this.commands = null;          // set via setCommands()
 
     this._bindEvents();
   }
 
+  /** Node records from the model (pure data — no DOM) */
+  get nodes() {
+    return this.model.nodes;
+  }
+
+  /** Rendered element for a node, or null */
+  getElement(id) {
+    return this._els.get(id) || null;
+  }
+
   /** Allow NodeManager to reference ConnectionManager for splice-on-drop */
   setConnectionManager(cm) {
     this.connectionManager = cm;
   }
 
+  /** Attach the CommandDispatcher that user-initiated mutations go through */
+  setCommands(commands) {
+    this.commands = commands;
+  }
+
+  /** Dispatch a user-initiated mutation as a command */
+  _command(type, payload) {
+    return this.commands.dispatch({ type, payload });
+  }
+
   _bindEvents() {
     // Double-click canvas → create node
     this.container.addEventListener('dblclick', (e) => {
@@ -367,7 +164,7 @@ export class NodeManager {
 
       const rect = this.container.getBoundingClientRect();
       const world = this.viewport.screenToWorld(e.clientX - rect.left, e.clientY - rect.top);
-      this.createNode(world.x - 70, world.y - 20);
+      this._command('node.create', { x: world.x - 70, y: world.y - 20 });
     });
 
     // Click canvas → deselect all
@@ -380,46 +177,48 @@ export class NodeManager {
       }
     });
 
-    // Global mouse events for dragging
+    // Global mouse events for dragging (touch and pen via pointer events)
     window.addEventListener('mousemove', (e) => this._onDragMove(e));
     window.addEventListener('mouseup', (e) => this._onDragEnd(e));
+    window.addEventListener('pointermove', touchOnly((e) => this._onDragMove(e)));
+    window.addEventListener('pointerup', touchOnly((e) => this._onDragEnd(e)));
+    window.addEventListener('pointercancel', touchOnly((e) => this._onDragEnd(e)));
 
     // Toolbar add button
     document.getElementById('btn-add-node')?.addEventListener('click', () => {
       const rect = this.container.getBoundingClientRect();
       const world = this.viewport.screenToWorld(rect.width / 2, rect.height / 2);
-      this.createNode(world.x - 70, world.y - 20);
+      this._command('node.create', { x: world.x - 70, y: world.y - 20 });
     });
 
     // Toolbar delete button
     document.getElementById('btn-delete')?.addEventListener('click', () => {
       this.deleteSelected();
     });
+
+    // Subtree membership follows the directed wiring
+    const refresh = () => this._scheduleVisibilityRefresh();
+    this.bus.on('connection:created', refresh);
+    this.bus.on('connection:deleted', refresh);
+    this.bus.on('connection:updated', refresh);
+    this.bus.on('node:deleted', refresh);
+    this.bus.on('state:loaded', () => {
+      this.refreshVisibility();
+      this._applyTagFilter();
+      this._scheduleCulling();
+    });
+
+    // Mount what scrolls into view
+    const cull = () => this._scheduleCulling();
+    this.bus.on('viewport:changed', cull);
+    this.bus.on('node:created', cull);
+    this.bus.on('node:moved', cull);
+    window.addEventListener('resize', cull);
   }
 
   createNode(x, y, opts = {}) {
-    const id = opts.id || generateId();
-    const text = opts.text || '';
-    const color = opts.color || NODE_COLORS[this.nodes.size % NODE_COLORS.length];
-    const shape = opts.shape || 'rectangle';
-
-    // Phase 3.2 metadata defaults
-    const nodeType = opts.nodeType || 'general';
-    const priority = opts.priority || 'medium';
-    const phase = opts.phase ?? null;
-    const assignedAgent = opts.assignedAgent || null;
-    const agentStatus = opts.agentStatus || 'unassigned';
-    const agentNotes = opts.agentNotes || null;
-
-    // Phase 8: Commerce node fields
-    const commerceType = opts.commerceType || null;
-    const credentials = opts.credentials || {};
-    const customFields = opts.customFields || null; // for custom-integration
-    const connectionStatus = opts.connectionStatus || 'untested'; // P2.1: verified|failed|untested
-
-    // Override color for commerce nodes
-    const commerceDef = commerceType ? COMMERCE_NODE_TYPES.find(c => c.id === commerceType) : null;
-    const finalColor = commerceType ? (commerceDef?.color || color) : color;
+    const nodeData = this.model.addNode(x, y, opts);
+    const { id, text, color, shape, nodeType, priority, phase, assignedAgent, agentStatus, commerceType } = nodeData;
 
     const el = document.createElement('div');
     el.className = `mind-node appearing shape-${shape}`;
@@ -433,16 +232,21 @@ export class NodeManager {
     el.dataset.nodeId = id;
     el.style.left = `${x}px`;
     el.style.top = `${y}px`;
+    el.style.setProperty('--node-color', color);
 
     // Build inner HTML with Phase 3.2 overlays
-    el.innerHTML = this._buildNodeHTML(id, text || (commerceDef?.label || ''), finalColor, nodeType, priority, phase, assignedAgent, agentStatus, commerceType);
+    el.innerHTML = this._buildNodeHTML(id, text, color, nodeType, priority, phase, assignedAgent, agentStatus, commerceType);
 
     // Remove animation class after it plays
     el.addEventListener('animationend', () => el.classList.remove('appearing'), { once: true });
 
-    // Click to select
-    el.addEventListener('mousedown', (e) => {
+    // Click (or touch) to select
+    const onDown = (e) => {
       if (e.target.classList.contains('node-port')) return;
+      if (e.target.closest('.node-collapse-toggle, .node-notes-toggle, .node-submap-toggle')) {
+        e.stopPropagation();
+        return;
+      }
       if (e.button !== 0) return;
       if (this.viewport.isSpaceDown) return;
       e.stopPropagation();
@@ -455,31 +259,46 @@ export class NodeManager {
       }
 
       this._startDrag(e, id);
+    };
+    el.addEventListener('mousedown', onDown);
+    el.addEventListener('pointerdown', touchOnly(onDown));
+
+    // Fold / unfold the subtree, show / hide the notes preview
+    // (toggles are re-rendered with the overlays)
+    el.addEventListener('click', (e) => {
+      if (e.target.closest('.node-collapse-toggle')) {
+        e.stopPropagation();
+        this._command('node.setCollapsed', { nodeId: id, collapsed: !this.nodes.get(id)?.collapsed });
+      } else if (e.target.closest('.node-notes-toggle')) {
+        e.stopPropagation();
+        this.toggleNotesPreview(id);
+      } else if (e.target.closest('.node-submap-toggle')) {
+        e.stopPropagation();
+        this.bus.emit('submap:open-request', { nodeId: id });
+      }
     });
 
-    // Double-click: edit text (normal) or open config (commerce)
+    // Double-click: label per _onTextDoubleClick; anywhere else drills into a sub-map
     const textEl = el.querySelector('.node-text');
     textEl.addEventListener('dblclick', (e) => {
       e.stopPropagation();
-      if (commerceType) {
-        this.bus.emit('commerce:config-request', { nodeId: id });
-      } else {
-        this._startEditing(id, textEl);
-      }
+      this._onTextDoubleClick(id, textEl);
+    });
+    el.addEventListener('dblclick', (e) => {
+      if (!this.nodes.get(id)?.subMap || e.target.closest('.node-port')) return;
+      e.stopPropagation();
+      this.bus.emit('submap:open-request', { nodeId: id });
     });
 
-    this.nodesLayer.appendChild(el);
-
-    const nodeData = { 
-      id, text: text || (commerceDef?.label || ''), x, y, color: finalColor, shape, el,
-      // Phase 3.2 metadata
-      nodeType, priority, phase, assignedAgent, agentStatus, agentNotes,
-      // Phase 8 commerce
-      commerceType, credentials, customFields,
-      // P2.1 connection test status
-      connectionStatus,
-    };
-    this.nodes.set(id, nodeData);
+    // On large maps only nodes in view are built into the layer; the rest
+    // mount as they scroll into view (updateCulling)
+    this._els.set(id, el);
+    const rect = this._loadRect !== undefined ? this._loadRect : this.visibleWorldRect();
+    if (!rect || this._intersects(id, rect)) this.nodesLayer.appendChild(el);
+    this._resizeObserver.observe(el);
+    this._renderNotes(id);
+    this._renderSubMapToggle(id);
+    this._applyTagFilter(id);
 
     this.deselectAll();
     this._select(id);
@@ -496,7 +315,7 @@ export class NodeManager {
 
   _buildNodeHTML(id, text, color, nodeType, priority, phase, assignedAgent, agentStatus, commerceType = null) {
     const statusInfo = AGENT_STATUS_MAP[agentStatus] || AGENT_STATUS_MAP.unassigned;
-    const typeInfo = NODE_TYPES.find(t => t.id === nodeType);
+    const typeInfo = this.model.getNodeType(nodeType);
     const agentInfo = assignedAgent ? AGENT_ROLES.find(a => a.id === assignedAgent) : null;
     const commerceDef = commerceType ? COMMERCE_NODE_TYPES.find(c => c.id === commerceType) : null;
     
@@ -522,7 +341,7 @@ export class NodeManager {
     // Phase & priority meta line
     const metaParts = [];
     if (phase !== null && phase !== undefined) metaParts.push(`Phase ${phase}`);
-    if (nodeType !== 'general') metaParts.push(`${typeInfo?.icon || ''} ${escapeHtml(typeInfo?.label || nodeType)}`);
+    if (nodeType !== 'general') metaParts.push(`${escapeHtml(typeInfo?.icon || '')} ${escapeHtml(typeInfo?.label || nodeType)}`);
     if (commerceDef) metaParts.push(`${commerceDef.icon} ${escapeHtml(commerceDef.label)}`);
     const metaLine = metaParts.length > 0 || agentChip
       ? `<div class="node-meta">${agentChip}${metaParts.length > 0 ? `<span class="node-meta-text">${metaParts.join(' · ')}</span>` : ''}</div>`
@@ -534,6 +353,8 @@ export class NodeManager {
       ${commerceBadge}
       <div class="node-text" spellcheck="false">${escapeHtml(text || '')}</div>
       ${metaLine}
+      ${this._propertyChipsHTML(id)}
+      ${this._tagsHTML(id)}
       <div class="node-port port-top" data-port="top" data-node-id="${id}"></div>
       <div class="node-port port-right" data-port="right" data-node-id="${id}"></div>
       <div class="node-port port-bottom" data-port="bottom" data-node-id="${id}"></div>
@@ -541,6 +362,28 @@ export class NodeManager {
     `;
   }
 
+  /** Chips for the node's property values that are shown on the canvas */
+  _propertyChipsHTML(nodeId) {
+    const values = this.nodes.get(nodeId)?.properties || {};
+    const chips = this.model.getPropertySchema()
+      .filter(f => f.showOnNode && values[f.id] !== undefined)
+      .map(f => {
+        const kind = PROPERTY_KINDS.find(k => k.id === f.kind);
+        const text = formatPropertyValue(f, values[f.id]);
+        const short = text.length > 24 ? text.slice(0, 22) + '…' : text;
+        return `<span class="node-prop-chip prop-${f.kind}" title="${escapeAttr(`${f.label}: ${text}`)}">`
+          + `${kind.icon} ${escapeHtml(short)}</span>`;
+      });
+    return chips.length ? `<div class="node-props">${chips.join('')}</div>` : '';
+  }
+
+  _tagsHTML(nodeId) {
+    const tags = this.nodes.get(nodeId)?.tags || [];
+    if (tags.length === 0) return '';
+    return `<div class="node-tags">${tags.map(t =>
+      `<span class="node-tag">${escapeHtml(formatTag(t))}</span>`).join('')}</div>`;
+  }
+
   /**
    * Update the visual overlays on a node to reflect metadata changes
    */
@@ -548,7 +391,7 @@ export class NodeManager {
     const node = this.nodes.get(nodeId);
     if (!node) return;
     
-    const el = node.el;
+    const el = this._els.get(nodeId);
     const textEl = el.querySelector('.node-text');
     const currentText = textEl?.textContent || node.text;
 
@@ -569,12 +412,326 @@ export class NodeManager {
     const newTextEl = el.querySelector('.node-text');
     newTextEl.addEventListener('dblclick', (e) => {
       e.stopPropagation();
-      if (node.commerceType) {
-        this.bus.emit('commerce:config-request', { nodeId: node.id });
-      } else {
-        this._startEditing(node.id, newTextEl);
-      }
+      this._onTextDoubleClick(node.id, newTextEl);
+    });
+
+    this._renderCollapseToggle(nodeId);
+    this._renderNotes(nodeId);
+    this._renderSubMapToggle(nodeId);
+  }
+
+  /** Double-click on a label: open the sub-map, configure an integration, or edit the text */
+  _onTextDoubleClick(nodeId, textEl) {
+    const node = this.nodes.get(nodeId);
+    if (node?.subMap) this.bus.emit('submap:open-request', { nodeId });
+    else if (node?.commerceType) this.bus.emit('commerce:config-request', { nodeId });
+    else this._startEditing(nodeId, textEl);
+  }
+
+  /** Add, update or remove the fold toggle depending on the node's children */
+  _renderCollapseToggle(nodeId, children = this.model.getChildMap()) {
+    const node = this.nodes.get(nodeId);
+    const el = this._els.get(nodeId);
+    if (!node || !el) return;
+
+    el.querySelector('.node-collapse-toggle')?.remove();
+    if (!children.get(nodeId)?.length) return;
+
+    const toggle = document.createElement('button');
+    toggle.className = 'node-collapse-toggle';
+    if (node.collapsed) {
+      const count = this.model.getDescendantIds(nodeId, children).size;
+      toggle.classList.add('collapsed');
+      toggle.title = `Expand (${count} hidden node${count === 1 ? '' : 's'})`;
+      toggle.innerHTML = `+<span class="node-child-count">${count}</span>`;
+    } else {
+      toggle.title = 'Collapse subtree';
+      toggle.textContent = '−';
+    }
+    el.appendChild(toggle);
+  }
+
+  /** Add, update or remove the ⊞ badge of a node that owns a sub-map */
+  _renderSubMapToggle(nodeId) {
+    const node = this.nodes.get(nodeId);
+    const el = this._els.get(nodeId);
+    if (!node || !el) return;
+
+    el.querySelector('.node-submap-toggle')?.remove();
+    if (!node.subMap) return;
+
+    const count = countSubMapNodes(node.subMap);
+    const toggle = document.createElement('button');
+    toggle.className = 'node-submap-toggle';
+    toggle.title = `Open sub-map (${count} node${count === 1 ? '' : 's'})`;
+    toggle.innerHTML = `⊞<span class="node-child-count">${count}</span>`;
+    el.appendChild(toggle);
+  }
+
+  /** Replace (or with null, remove) the child map a node owns */
+  setSubMap(nodeId, subMap) {
+    const node = this.model.updateNode(nodeId, { subMap });
+    if (!node) return;
+    this._renderSubMapToggle(nodeId);
+    this.bus.emit('node:updated', node);
+    this.bus.emit('state:changed');
+  }
+
+  // ─── Notes Body ──────────────────────────────────────────────────────────
+
+  /** Render the 📝 toggle and, if open, the preview card for a node's notes */
+  _renderNotes(nodeId) {
+    const node = this.nodes.get(nodeId);
+    const el = this._els.get(nodeId);
+    if (!node || !el) return;
+
+    el.querySelector('.node-notes-toggle')?.remove();
+    if (!node.body) {
+      this._closeNotesPreview(nodeId);
+      return;
+    }
+
+    const { done, total } = countChecklist(node.body);
+    const toggle = document.createElement('button');
+    toggle.className = 'node-notes-toggle';
+    toggle.classList.toggle('open', this._notePreviews.has(nodeId));
+    toggle.title = this._notePreviews.has(nodeId) ? 'Hide notes' : 'Show notes';
+    toggle.innerHTML = `📝${total > 0 ? `<span class="node-notes-progress">${done}/${total}</span>` : ''}`;
+    el.appendChild(toggle);
+
+    const preview = this._notePreviews.get(nodeId);
+    if (preview) {
+      preview.innerHTML = renderMarkdown(node.body);
+      this._positionNotesPreview(nodeId);
+    }
+  }
+
+  /** Open or close the rendered notes preview under a node */
+  toggleNotesPreview(nodeId, open = !this._notePreviews.has(nodeId)) {
+    const node = this.nodes.get(nodeId);
+    if (!node) return;
+
+    if (!open || !node.body) {
+      this._closeNotesPreview(nodeId);
+    } else if (!this._notePreviews.has(nodeId)) {
+      const preview = document.createElement('div');
+      preview.className = 'node-notes-preview md-body';
+      preview.dataset.nodeId = nodeId;
+      preview.title = 'Click to edit notes';
+      preview.classList.toggle('collapsed-hidden', this.hidden.has(nodeId));
+      preview.classList.toggle('tag-dimmed', this.dimmed.has(nodeId));
+      // Keep clicks in the card from starting a canvas drag or deselecting
+      preview.addEventListener('mousedown', (e) => e.stopPropagation());
+      preview.addEventListener('click', (e) => {
+        if (e.target.closest('a')) return;
+        this.bus.emit('notes:edit-request', { nodeId });
+      });
+      if (this._els.get(nodeId)?.isConnected) this.nodesLayer.appendChild(preview);
+      this._notePreviews.set(nodeId, preview);
+    }
+    this._renderNotes(nodeId);
+  }
+
+  isNotesPreviewOpen(nodeId) {
+    return this._notePreviews.has(nodeId);
+  }
+
+  _closeNotesPreview(nodeId) {
+    this._notePreviews.get(nodeId)?.remove();
+    this._notePreviews.delete(nodeId);
+  }
+
+  /** Pin an open preview card just below its node */
+  _positionNotesPreview(nodeId) {
+    const preview = this._notePreviews.get(nodeId);
+    const node = this.nodes.get(nodeId);
+    if (!preview || !node) return;
+    const { width, height } = this.model.getNodeSize(node);
+    preview.style.left = `${node.x}px`;
+    preview.style.top = `${node.y + height + 8}px`;
+    preview.style.minWidth = `${width}px`;
+  }
+
+  /**
+   * Set the markdown notes body
+   */
+  setBody(nodeId, body) {
+    const node = this.nodes.get(nodeId);
+    if (!node) return;
+    node.body = body || '';
+    this._renderNotes(nodeId);
+    this.bus.emit('node:updated', node);
+    this.bus.emit('state:changed');
+  }
+
+  // ─── Custom Node Types ───────────────────────────────────────────────────
+
+  /** Built-in and project-defined node types */
+  getNodeTypes() {
+    return this.model.getNodeTypes();
+  }
+
+  /** Define a project node type (id derived from the label if missing) */
+  defineNodeType(def) {
+    const type = this.model.addNodeType(def);
+    this._nodeTypesChanged();
+    return type;
+  }
+
+  updateNodeType(typeId, fields) {
+    if (!this.model.updateNodeType(typeId, fields)) return;
+    this._nodeTypesChanged();
+  }
+
+  /** Remove a type definition — nodes still using it fall back to a plain label */
+  removeNodeType(typeId) {
+    if (!this.model.removeNodeType(typeId)) return;
+    this._nodeTypesChanged();
+  }
+
+  /** Replace all project node types (file load / template) */
+  deserializeNodeTypes(data) {
+    this.model.nodeTypes.clear();
+    (data || []).forEach(d => this.model.addNodeType(d));
+    this._nodeTypesChanged(false);
+  }
+
+  _nodeTypesChanged(recordStep = true) {
+    this._els.forEach((_, id) => this._refreshNodeOverlays(id));
+    this.bus.emit('nodetypes:changed', this.getNodeTypes());
+    if (recordStep) this.bus.emit('state:changed');
+  }
+
+  // ─── Property Schema ─────────────────────────────────────────────────────
+
+  /** The project's property field definitions, in display order */
+  getPropertySchema() {
+    return this.model.getPropertySchema();
+  }
+
+  /** Add a property field (id derived from the label if missing) */
+  definePropertyField(def) {
+    const field = this.model.addPropertyDef(def);
+    this._propertySchemaChanged();
+    return field;
+  }
+
+  updatePropertyField(fieldId, fields) {
+    if (!this.model.updatePropertyDef(fieldId, fields)) return;
+    this._propertySchemaChanged();
+  }
+
+  /** Remove a field definition — values stored on nodes are left to the caller */
+  removePropertyField(fieldId) {
+    if (!this.model.removePropertyDef(fieldId)) return;
+    this._propertySchemaChanged();
+  }
+
+  /** Replace the property schema (file load / template) */
+  deserializePropertySchema(data) {
+    this.model.propertySchema.clear();
+    (data || []).forEach(d => { if (d?.id) this.model.addPropertyDef(d); });
+    this._propertySchemaChanged(false);
+  }
+
+  _propertySchemaChanged(recordStep = true) {
+    this._els.forEach((_, id) => this._refreshNodeOverlays(id));
+    this.bus.emit('properties:changed', this.getPropertySchema());
+    if (recordStep) this.bus.emit('state:changed');
+  }
+
+  /** Set one custom property on a node — an empty or invalid value clears it */
+  setProperty(nodeId, fieldId, value) {
+    const node = this.model.setNodeProperty(nodeId, fieldId, value);
+    if (!node) return;
+    this._refreshNodeOverlays(nodeId);
+    this.bus.emit('node:updated', node);
+    this.bus.emit('state:changed');
+  }
+
+  // ─── Tags ────────────────────────────────────────────────────────────────
+
+  /** Replace a node's tags (free text like "#mvp, #v2" or a list) */
+  setTags(nodeId, tags) {
+    const node = this.nodes.get(nodeId);
+    if (!node) return;
+    node.tags = normalizeTags(tags);
+    this._refreshNodeOverlays(nodeId);
+    this._applyTagFilter(nodeId);
+    this.bus.emit('node:updated', node);
+    this.bus.emit('state:changed');
+  }
+
+  /** Every tag in use with its node count */
+  getAllTags() {
+    return this.model.getAllTags();
+  }
+
+  get tagFilter() {
+    return this._tagFilter.expression;
+  }
+
+  /**
+   * Dim every node that does not match a tag expression; an empty
+   * expression clears the filter.
+   * @throws {Error} if the expression is malformed (the filter is unchanged)
+   */
+  setTagFilter(expression) {
+    const trimmed = (expression || '').trim();
+    const matches = trimmed ? compileTagExpression(trimmed) : null;
+    this._tagFilter = { expression: trimmed, matches };
+    this._applyTagFilter();
+  }
+
+  isDimmed(nodeId) {
+    return this.dimmed.has(nodeId);
+  }
+
+  /** Re-evaluate the tag filter for one node, or all of them */
+  _applyTagFilter(nodeId = null) {
+    const { matches } = this._tagFilter;
+    const ids = nodeId ? [nodeId] : [...this._els.keys()];
+    let changed = !nodeId; // a new filter always re-announces itself
+    ids.forEach(id => {
+      const node = this.nodes.get(id);
+      const dim = !!(matches && node && !matches(node.tags));
+      if (dim !== this.dimmed.has(id)) changed = true;
+      if (dim) this.dimmed.add(id);
+      else this.dimmed.delete(id);
+      this._els.get(id)?.classList.toggle('tag-dimmed', dim);
+      this._notePreviews.get(id)?.classList.toggle('tag-dimmed', dim);
     });
+    if (changed) {
+      this.bus.emit('tagfilter:changed', { expression: this._tagFilter.expression, dimmed: this.dimmed });
+    }
+  }
+
+  // ─── Search Highlight ────────────────────────────────────────────────────
+
+  /**
+   * Mark search matches and the current result; pass an empty list to clear.
+   * @param {string[]} nodeIds
+   * @param {string|null} [activeId]
+   */
+  setSearchHighlight(nodeIds, activeId = null) {
+    this.searchMatches.forEach(id => this._els.get(id)?.classList.remove('search-match', 'search-active'));
+    this.searchMatches = new Set(nodeIds.filter(id => this._els.has(id)));
+    this.searchActive = this.searchMatches.has(activeId) ? activeId : null;
+    this.searchMatches.forEach(id => {
+      const el = this._els.get(id);
+      el.classList.add('search-match');
+      el.classList.toggle('search-active', id === this.searchActive);
+    });
+    this.bus.emit('search:changed', { matches: this.searchMatches, active: this.searchActive });
+  }
+
+  // ─── Cycle Highlight ─────────────────────────────────────────────────────
+
+  /** Outline the nodes caught in dependency cycles; pass an empty list to clear */
+  setCycleHighlight(nodeIds) {
+    this.cycleNodes.forEach(id => this._els.get(id)?.classList.remove('in-cycle'));
+    this.cycleNodes = new Set([...nodeIds].filter(id => this._els.has(id)));
+    this.cycleNodes.forEach(id => this._els.get(id).classList.add('in-cycle'));
   }
 
   // ─── Phase 3.2 Metadata Setters ──────────────────────────────────────────
@@ -653,8 +810,138 @@ export class NodeManager {
     this.bus.emit('state:changed');
   }
 
+  /**
+   * Fold or unfold the subtree below a node
+   */
+  setCollapsed(nodeId, collapsed) {
+    const node = this.nodes.get(nodeId);
+    if (!node) return;
+    node.collapsed = !!collapsed;
+    this.refreshVisibility();
+    this.bus.emit('node:updated', node);
+    this.bus.emit('state:changed');
+  }
+
+  /** True if the node is hidden under a collapsed ancestor */
+  isHidden(nodeId) {
+    return this.hidden.has(nodeId);
+  }
+
+  /**
+   * Recompute which nodes are hidden under collapsed ancestors, update node
+   * elements and fold toggles, and drop hidden nodes from the selection.
+   */
+  refreshVisibility() {
+    this._visibilityQueued = false;
+    this.hidden = this.model.getHiddenNodeIds();
+    const children = this.model.getChildMap();
+
+    let selectionChanged = false;
+    this._els.forEach((el, id) => {
+      const isHidden = this.hidden.has(id);
+      el.classList.toggle('collapsed-hidden', isHidden);
+      this._notePreviews.get(id)?.classList.toggle('collapsed-hidden', isHidden);
+      if (isHidden && this.selected.delete(id)) {
+        el.classList.remove('selected');
+        selectionChanged = true;
+      }
+      this._renderCollapseToggle(id, children);
+    });
+
+    this.bus.emit('visibility:changed', this.hidden);
+    if (selectionChanged) this.bus.emit('selection:changed', [...this.selected]);
+  }
+
+  /** Batch visibility updates while many wires change at once (load, undo) */
+  _scheduleVisibilityRefresh() {
+    if (this._visibilityQueued) return;
+    this._visibilityQueued = true;
+    queueMicrotask(() => {
+      if (this._visibilityQueued) this.refreshVisibility();
+    });
+  }
+
+  /**
+   * Set the node label
+   */
+  setText(nodeId, text) {
+    const node = this.nodes.get(nodeId);
+    if (!node) return;
+    node.text = text;
+    const textEl = this._els.get(nodeId).querySelector('.node-text');
+    if (textEl) textEl.textContent = text;
+    this.bus.emit('node:updated', node);
+    this.bus.emit('state:changed');
+  }
+
+  /**
+   * Set the node accent color
+   */
+  setColor(nodeId, color) {
+    const node = this.nodes.get(nodeId);
+    if (!node) return;
+    node.color = color;
+    const el = this._els.get(nodeId);
+    el.querySelector('.node-color-bar').style.background = color;
+    el.style.setProperty('--node-color', color);
+    this.bus.emit('node:updated', node);
+    this.bus.emit('state:changed');
+  }
+
+  /**
+   * Move a node to a world position
+   */
+  moveNode(nodeId, x, y) {
+    const node = this.nodes.get(nodeId);
+    if (!node) return;
+    node.x = x;
+    node.y = y;
+    this._positionElement(nodeId);
+    this.bus.emit('node:moved', node);
+    this.bus.emit('state:changed');
+  }
+
+  /**
+   * Apply a set of serialized fields to an existing node in place
+   * (used by undo/redo — does not emit state:changed).
+   */
+  updateNode(nodeId, fields) {
+    const node = this.model.updateNode(nodeId, fields);
+    if (!node) return;
+    const el = this._els.get(nodeId);
+
+    this._positionElement(nodeId);
+    NODE_SHAPES.forEach(s => el.classList.remove(`shape-${s.id}`));
+    el.classList.add(`shape-${node.shape || 'rectangle'}`);
+    el.style.setProperty('--node-color', node.color);
+
+    const textEl = el.querySelector('.node-text');
+    if (textEl) textEl.textContent = node.text || '';
+    this._refreshNodeOverlays(nodeId);
+
+    this.bus.emit('node:updated', node);
+    this.bus.emit('node:moved', node);
+  }
+
+  /** Sync a node element's position with its model record */
+  _positionElement(nodeId) {
+    const node = this.nodes.get(nodeId);
+    const el = this._els.get(nodeId);
+    if (!node || !el) return;
+    el.style.left = `${node.x}px`;
+    el.style.top = `${node.y}px`;
+    this._positionNotesPreview(nodeId);
+  }
+
   // ─── Original methods (unchanged) ────────────────────────────────────────
 
+  /** Put a node's label into edit mode (F2, new keyboard-created nodes) */
+  startEditing(id) {
+    if (this._els.has(id)) this._setMounted(id, true);
+    const textEl = this._els.get(id)?.querySelector('.node-text');
+    if (textEl) this._startEditing(id, textEl);
+  }
+
   _startEditing(id, textEl) {
     textEl.contentEditable = 'true';
     textEl.focus();
@@ -669,10 +956,9 @@ export class NodeManager {
     const finish = () => {
       textEl.contentEditable = 'false';
       const node = this.nodes.get(id);
-      if (node) {
-        node.text = textEl.textContent.trim();
-        this.bus.emit('node:updated', node);
-        this.bus.emit('state:changed');
+      const text = textEl.textContent.trim();
+      if (node && text !== node.text) {
+        this._command('node.setText', { nodeId: id, text });
       }
       textEl.removeEventListener('blur', finish);
       textEl.removeEventListener('keydown', onKey);
@@ -686,6 +972,10 @@ export class NodeManager {
       if (e.key === 'Escape') {
         textEl.blur();
       }
+      if (e.key === 'Tab') {
+        e.preventDefault(); // commit instead of moving focus away
+        textEl.blur();
+      }
       e.stopPropagation(); // prevent global shortcuts while editing
     };
 
@@ -695,32 +985,41 @@ export class NodeManager {
 
   _select(id) {
     this.selected.add(id);
-    const node = this.nodes.get(id);
-    if (node) node.el.classList.add('selected');
+    this._els.get(id)?.classList.add('selected');
     this.bus.emit('selection:changed', [...this.selected]);
   }
 
   _toggleSelect(id) {
     if (this.selected.has(id)) {
       this.selected.delete(id);
-      const node = this.nodes.get(id);
-      if (node) node.el.classList.remove('selected');
+      this._els.get(id)?.classList.remove('selected');
     } else {
       this._select(id);
     }
     this.bus.emit('selection:changed', [...this.selected]);
   }
 
+  /** Replace the selection with the given nodes */
+  selectNodes(ids) {
+    this.deselectAll();
+    ids.forEach(id => {
+      if (!this._els.has(id)) return;
+      this.selected.add(id);
+      this._els.get(id).classList.add('selected');
+    });
+    this.bus.emit('selection:changed', [...this.selected]);
+  }
+
   deselectAll() {
     this.selected.forEach(id => {
-      const node = this.nodes.get(id);
-      if (node) node.el.classList.remove('selected');
+      this._els.get(id)?.classList.remove('selected');
     });
     this.selected.clear();
   }
 
   _startDrag(e, clickedId) {
     this._dragging = clickedId;
+    this._dragPointer = e.pointerId ?? null; // null for mouse events
     this._dragOffsets.clear();
 
     const startWorld = this.viewport.screenToWorld(e.clientX, e.clientY);
@@ -728,28 +1027,43 @@ export class NodeManager {
     this.selected.forEach(id => {
       const node = this.nodes.get(id);
       if (node) {
-        node.el.classList.add('dragging');
+        this._els.get(id).classList.add('dragging');
         this._dragOffsets.set(id, {
           dx: node.x - startWorld.x,
-          dy: node.y - startWorld.y
+          dy: node.y - startWorld.y,
+          startX: node.x,
+          startY: node.y,
         });
       }
     });
   }
 
+  /** True if the event comes from the pointer that started the drag */
+  _isDragPointer(e) {
+    return (e.pointerId ?? null) === this._dragPointer;
+  }
+
   _onDragMove(e) {
-    if (!this._dragging) return;
+    if (!this._dragging || !this._isDragPointer(e) || this.viewport.isPinching) return;
 
     const world = this.viewport.screenToWorld(e.clientX, e.clientY);
 
+    // Line up / snap the grabbed node; the rest of the selection keeps its offset
+    let shift = { dx: 0, dy: 0 };
+    const grabbed = this._dragOffsets.get(this._dragging);
+    if (grabbed && !e.altKey) {
+      shift = this._snapDrag(this._dragging, world.x + grabbed.dx, world.y + grabbed.dy);
+    } else {
+      this._renderGuides([]);
+    }
+
     this.selected.forEach(id => {
       const node = this.nodes.get(id);
       const offset = this._dragOffsets.get(id);
       if (node && offset) {
-        node.x = world.x + offset.dx;
-        node.y = world.y + offset.dy;
-        node.el.style.left = `${node.x}px`;
-        node.el.style.top = `${node.y}px`;
+        node.x = world.x + offset.dx + shift.dx;
+        node.y = world.y + offset.dy + shift.dy;
+        this._positionElement(id);
         this.bus.emit('node:moved', node);
       }
     });
@@ -759,54 +1073,93 @@ export class NodeManager {
       const nodeId = [...this.selected][0];
       const node = this.nodes.get(nodeId);
       if (node) {
-        const cx = node.x + node.el.offsetWidth / 2;
-        const cy = node.y + node.el.offsetHeight / 2;
+        const { width, height } = this.model.getNodeSize(node);
+        const cx = node.x + width / 2;
+        const cy = node.y + height / 2;
         this.connectionManager.highlightSpliceTarget(cx, cy, nodeId);
       }
     }
   }
 
   _onDragEnd(e) {
-    if (!this._dragging) return;
+    if (!this._dragging || !this._isDragPointer(e)) return;
+
+    // Record the drag as one move command (positions are already live on screen)
+    const moves = [];
+    this._dragOffsets.forEach((offset, id) => {
+      const node = this.nodes.get(id);
+      if (node && (node.x !== offset.startX || node.y !== offset.startY)) {
+        moves.push({ nodeId: id, x: node.x, y: node.y });
+      }
+    });
+    if (moves.length > 0) this._command('node.move', { moves });
 
     // Check for wire splice (single node dropped on a wire)
     if (this.selected.size === 1 && this.connectionManager) {
       const nodeId = [...this.selected][0];
       const node = this.nodes.get(nodeId);
       if (node) {
-        const cx = node.x + node.el.offsetWidth / 2;
-        const cy = node.y + node.el.offsetHeight / 2;
+        const { width, height } = this.model.getNodeSize(node);
+        const cx = node.x + width / 2;
+        const cy = node.y + height / 2;
         const conn = this.connectionManager.findConnectionAtPoint(cx, cy, nodeId);
         if (conn) {
           this.connectionManager.clearSpliceHighlight();
-          this.connectionManager.spliceNodeIntoConnection(conn.id, nodeId);
+          this._command('connection.splice', { connId: conn.id, nodeId });
         }
       }
       this.connectionManager.clearSpliceHighlight();
     }
 
     this.selected.forEach(id => {
-      const node = this.nodes.get(id);
-      if (node) node.el.classList.remove('dragging');
+      this._els.get(id)?.classList.remove('dragging');
     });
 
+    this._renderGuides([]);
     this._dragging = null;
     this._dragOffsets.clear();
-    this.bus.emit('state:changed');
+  }
+
+  // ─── Smart Guides & Grid Snap ────────────────────────────────────────────
+
+  /**
+   * Offset that lines the grabbed node at (x, y) up with other nodes
+   * (smart guides win) or, per axis, drops it on the grid.
+   */
+  _snapDrag(nodeId, x, y) {
+    const { width, height } = this.model.getNodeSize(nodeId);
+    const others = [];
+    this.nodes.forEach(n => {
+      if (this.selected.has(n.id) || this.hidden.has(n.id)) return;
+      others.push({ x: n.x, y: n.y, ...this.model.getNodeSize(n) });
+    });
+
+    // Pull distance stays ~6 screen pixels at any zoom
+    const { dx, dy, guides } = findGuides({ x, y, width, height }, others, 6 / this.viewport.zoom);
+    this._renderGuides(guides);
+    return {
+      dx: dx ?? (this.snapToGrid ? snapToGrid(x) - x : 0),
+      dy: dy ?? (this.snapToGrid ? snapToGrid(y) - y : 0),
+    };
+  }
+
+  _renderGuides(guides) {
+    if (!this.guidesLayer) return;
+    this.guidesLayer.innerHTML = guides.map(g => g.axis === 'x'
+      ? `<div class="smart-guide vertical" style="left:${g.pos}px;top:${g.start}px;height:${g.end - g.start}px"></div>`
+      : `<div class="smart-guide horizontal" style="top:${g.pos}px;left:${g.start}px;width:${g.end - g.start}px"></div>`
+    ).join('');
   }
 
   deleteSelected() {
     if (this.selected.size === 0) return;
-    const ids = [...this.selected];
-    ids.forEach(id => this.deleteNode(id));
-    this.bus.emit('state:changed');
+    this._command('node.delete', { nodeIds: [...this.selected] });
   }
 
   deleteNode(id) {
-    const node = this.nodes.get(id);
-    if (!node) return;
-    node.el.remove();
-    this.nodes.delete(id);
+    if (!this.nodes.has(id)) return;
+    this._removeElement(id);
+    this.model.removeNode(id);
     this.selected.delete(id);
     this.bus.emit('node:deleted', { id });
     this.bus.emit('selection:changed', [...this.selected]);
@@ -816,13 +1169,27 @@ export class NodeManager {
     return this.nodes.get(id);
   }
 
+  _removeElement(id) {
+    const el = this._els.get(id);
+    if (!el) return;
+    this._resizeObserver.unobserve(el);
+    el.remove();
+    this._els.delete(id);
+    this.dimmed.delete(id);
+    this.searchMatches.delete(id);
+    this._unmeasured.delete(id);
+    if (this.searchActive === id) this.searchActive = null;
+    this._closeNotesPreview(id);
+  }
+
   /** Change the shape of a node */
   setShape(nodeId, shapeId) {
     const node = this.nodes.get(nodeId);
     if (!node) return;
     // Remove old shape class, add new one
-    NODE_SHAPES.forEach(s => node.el.classList.remove(`shape-${s.id}`));
-    node.el.classList.add(`shape-${shapeId}`);
+    const el = this._els.get(nodeId);
+    NODE_SHAPES.forEach(s => el.classList.remove(`shape-${s.id}`));
+    el.classList.add(`shape-${shapeId}`);
     node.shape = shapeId;
     this.bus.emit('node:updated', node);
     this.bus.emit('state:changed');
@@ -834,7 +1201,8 @@ export class NodeManager {
     if (!node) return null;
 
     // ── DOM-based position (most accurate, handles all CSS quirks) ────
-    const portEl = node.el.querySelector(`.port-${port}`);
+    const el = this._els.get(nodeId);
+    const portEl = el?.isConnected ? el.querySelector(`.port-${port}`) : null;
     if (portEl) {
       const containerRect = this.viewport.container.getBoundingClientRect();
       const portRect = portEl.getBoundingClientRect();
@@ -847,88 +1215,111 @@ export class NodeManager {
       return this.viewport.screenToWorld(sx, sy);
     }
 
-    // ── Fallback: math-based (if port element not found) ─────────────
-    const w = node.el.offsetWidth;
-    const h = node.el.offsetHeight;
-    switch (port) {
-      case 'top':    return { x: node.x + w / 2, y: node.y };
-      case 'right':  return { x: node.x + w,     y: node.y + h / 2 };
-      case 'bottom': return { x: node.x + w / 2, y: node.y + h };
-      case 'left':   return { x: node.x,         y: node.y + h / 2 };
-      default:       return { x: node.x + w / 2, y: node.y + h / 2 };
-    }
+    // ── Fallback: model geometry (port element not found or not mounted) ─
+    return this.model.getPortPosition(nodeId, port);
   }
 
   /** Serialize all nodes — includes Phase 3.2 + Phase 8 metadata */
   serialize() {
-    const arr = [];
-    this.nodes.forEach(n => {
-      const entry = {
-        id: n.id, text: n.text, x: n.x, y: n.y, color: n.color,
-        shape: n.shape || 'rectangle',
-        // Phase 3.2 metadata
-        nodeType: n.nodeType || 'general',
-        priority: n.priority || 'medium',
-        phase: n.phase ?? null,
-        assignedAgent: n.assignedAgent || null,
-        agentStatus: n.agentStatus || 'unassigned',
-        agentNotes: n.agentNotes || null,
-      };
-      // Phase 8: Commerce fields (only if present)
-      if (n.commerceType) {
-        entry.commerceType = n.commerceType;
-        entry.credentials = n.credentials || {};
-        if (n.customFields) entry.customFields = n.customFields;
-        if (n.connectionStatus && n.connectionStatus !== 'untested') {
-          entry.connectionStatus = n.connectionStatus;
-        }
-      }
-      arr.push(entry);
-    });
-    return arr;
+    return this.model.serializeNodes();
   }
 
   /** Load nodes from serialized data — handles Phase 3.2 + Phase 8 metadata */
   deserialize(data) {
     // Clear existing
-    this.nodes.forEach(n => n.el.remove());
+    [...this._els.keys()].forEach(id => this._removeElement(id));
     this.nodes.clear();
     this.selected.clear();
 
     if (!data) return;
-    data.forEach(d => {
-      this.createNode(d.x, d.y, {
-        id: d.id, text: d.text, color: d.color,
-        shape: d.shape || 'rectangle',
-        // Phase 3.2 metadata (backward compatible)
-        nodeType: d.nodeType || 'general',
-        priority: d.priority || 'medium',
-        phase: d.phase ?? null,
-        assignedAgent: d.assignedAgent || null,
-        agentStatus: d.agentStatus || 'unassigned',
-        agentNotes: d.agentNotes || null,
-        // Phase 8: Commerce (backward compatible)
-        commerceType: d.commerceType || null,
-        credentials: d.credentials || {},
-        customFields: d.customFields || null,
-        connectionStatus: d.connectionStatus || 'untested',
-      });
-    });
+    // One view rect for the whole load (the map is still empty, and reading
+    // it per node would force a layout each time)
+    this._loadRect = data.length >= VIRTUALIZE_MIN_NODES ? this._viewRect() : null;
+    try {
+      // The whole saved record goes through; GraphModel.addNode fills in defaults
+      data.forEach(d => this.createNode(d.x, d.y, { ...d }));
+    } finally {
+      this._loadRect = undefined;
+    }
     this.deselectAll();
   }
 
-  /** Get bounding box of all nodes in world coords */
-  getBounds() {
-    if (this.nodes.size === 0) return null;
-    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-    this.nodes.forEach(n => {
-      const w = n.el.offsetWidth;
-      const h = n.el.offsetHeight;
-      if (n.x < minX) minX = n.x;
-      if (n.y < minY) minY = n.y;
-      if (n.x + w > maxX) maxX = n.x + w;
-      if (n.y + h > maxY) maxY = n.y + h;
+  // ─── Viewport Culling ────────────────────────────────────────────────────
+
+  /**
+   * The world rect to keep mounted — the visible area plus a margin — or
+   * null while the map is small enough to keep everything mounted.
+   */
+  visibleWorldRect() {
+    return this.nodes.size < VIRTUALIZE_MIN_NODES ? null : this._viewRect();
+  }
+
+  /** The visible area plus the cull margin, in world coords */
+  _viewRect() {
+    const topLeft = this.viewport.screenToWorld(-CULL_MARGIN, -CULL_MARGIN);
+    const bottomRight = this.viewport.screenToWorld(
+      this.container.clientWidth + CULL_MARGIN,
+      this.container.clientHeight + CULL_MARGIN
+    );
+    return { left: topLeft.x, top: topLeft.y, right: bottomRight.x, bottom: bottomRight.y };
+  }
+
+  /** True if the node's element is in the nodes layer */
+  isMounted(nodeId) {
+    return !!this._els.get(nodeId)?.isConnected;
+  }
+
+  /** Batch culling to one pass per frame (pans and drags emit per mouse move) */
+  _scheduleCulling() {
+    if (this._cullFrame) return;
+    this._cullFrame = requestAnimationFrame(() => {
+      this._cullFrame = null;
+      this.updateCulling();
     });
-    return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+  }
+
+  /**
+   * Mount the nodes inside the visible rect and unmount the rest, pick the
+   * level of detail for the zoom, then let ConnectionManager cull its wires.
+   * The node being edited always stays mounted.
+   */
+  updateCulling() {
+    this.viewport.viewport.classList.toggle('lod-blocks', this.viewport.zoom < LOD_ZOOM);
+
+    const rect = this.visibleWorldRect();
+    const editing = document.activeElement?.closest?.('.mind-node');
+    this._els.forEach((el, id) => {
+      const keep = !rect || el === editing || this._intersects(id, rect);
+      this._setMounted(id, keep);
+    });
+    this.connectionManager?.updateCulling(rect);
+  }
+
+  _intersects(nodeId, rect) {
+    const node = this.nodes.get(nodeId);
+    if (!node) return false;
+    const { width, height } = this.model.getNodeSize(node);
+    return node.x <= rect.right && node.x + width >= rect.left
+      && node.y <= rect.bottom && node.y + height >= rect.top;
+  }
+
+  /** Attach or detach a node's element (and its open notes preview) */
+  _setMounted(nodeId, mounted) {
+    const el = this._els.get(nodeId);
+    if (el.isConnected === mounted) return;
+    const preview = this._notePreviews.get(nodeId);
+    if (mounted) {
+      if (!this.nodes.get(nodeId)?.width) this._unmeasured.add(nodeId);
+      this.nodesLayer.appendChild(el);
+      if (preview) this.nodesLayer.appendChild(preview);
+    } else {
+      el.remove();
+      preview?.remove();
+    }
+  }
+
+  /** Get bounding box of all visible nodes in world coords */
+  getBounds() {
+    return this.model.getBounds(n => !this.hidden.has(n.id));
   }
 }
@@ -146,6 +146,9 @@ export class OrchestrationEngine {
         const serialized = serializeMindMap(nodes, connections, {
           projectName: options.projectName,
           ceoVision: options.ceoVision,
+          frames: this._nodeManager.model.serializeFrames(),
+          nodeTypes: this._nodeManager.model.serializeNodeTypes(),
+          propertySchema: this._nodeManager.model.serializePropertySchema(),
         });
 
         this._metrics.nodeCount = serialized.stats.totalNodes;
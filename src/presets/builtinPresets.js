@@ -42,17 +42,17 @@ function iosApp() {
         { id: n.store,  text: 'App Store',            x: 300,  y: 580, color: '#00ff88', shape: 'pill' },
       ],
       connections: [
-        { id: cid(), sourceId: n.core, sourcePort: 'bottom', targetId: n.ui,    targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.core, sourcePort: 'bottom', targetId: n.logic, targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.core, sourcePort: 'bottom', targetId: n.data,  targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.ui,   sourcePort: 'bottom', targetId: n.nav,   targetPort: 'top', directed: 'forward' },
+        { id: cid(), sourceId: n.core, sourcePort: 'bottom', targetId: n.ui,    targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.core, sourcePort: 'bottom', targetId: n.logic, targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.core, sourcePort: 'bottom', targetId: n.data,  targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.ui,   sourcePort: 'bottom', targetId: n.nav,   targetPort: 'top', directed: 'forward', type: 'blocks' },
         { id: cid(), sourceId: n.logic, sourcePort: 'bottom', targetId: n.auth, targetPort: 'top', directed: 'both' },
         { id: cid(), sourceId: n.logic, sourcePort: 'bottom', targetId: n.api,  targetPort: 'top', directed: 'both' },
-        { id: cid(), sourceId: n.data,  sourcePort: 'bottom', targetId: n.push, targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.nav,   sourcePort: 'bottom', targetId: n.test, targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.api,   sourcePort: 'bottom', targetId: n.analytics, targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.test,  sourcePort: 'bottom', targetId: n.store, targetPort: 'left', directed: 'forward' },
-        { id: cid(), sourceId: n.analytics, sourcePort: 'bottom', targetId: n.store, targetPort: 'right', directed: 'forward' },
+        { id: cid(), sourceId: n.data,  sourcePort: 'bottom', targetId: n.push, targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.nav,   sourcePort: 'bottom', targetId: n.test, targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.api,   sourcePort: 'bottom', targetId: n.analytics, targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.test,  sourcePort: 'bottom', targetId: n.store, targetPort: 'left', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.analytics, sourcePort: 'bottom', targetId: n.store, targetPort: 'right', directed: 'forward', type: 'blocks' },
       ],
     },
   };
@@ -89,17 +89,17 @@ function androidApp() {
         { id: n.play,   text: 'Play Store',           x: 300,  y: 580, color: '#00ff88', shape: 'pill' },
       ],
       connections: [
-        { id: cid(), sourceId: n.core, sourcePort: 'bottom', targetId: n.ui,    targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.core, sourcePort: 'bottom', targetId: n.logic, targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.core, sourcePort: 'bottom', targetId: n.data,  targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.ui,   sourcePort: 'bottom', targetId: n.nav,   targetPort: 'top', directed: 'forward' },
+        { id: cid(), sourceId: n.core, sourcePort: 'bottom', targetId: n.ui,    targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.core, sourcePort: 'bottom', targetId: n.logic, targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.core, sourcePort: 'bottom', targetId: n.data,  targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.ui,   sourcePort: 'bottom', targetId: n.nav,   targetPort: 'top', directed: 'forward', type: 'blocks' },
         { id: cid(), sourceId: n.logic, sourcePort: 'bottom', targetId: n.auth, targetPort: 'top', directed: 'both' },
         { id: cid(), sourceId: n.logic, sourcePort: 'bottom', targetId: n.api,  targetPort: 'top', directed: 'both' },
         { id: cid(), sourceId: n.data,  sourcePort: 'bottom', targetId: n.firebase, targetPort: 'top', directed: 'both' },
-        { id: cid(), sourceId: n.nav,   sourcePort: 'bottom', targetId: n.permissions, targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.api,   sourcePort: 'bottom', targetId: n.test, targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.permissions, sourcePort: 'bottom', targetId: n.play, targetPort: 'left', directed: 'forward' },
-        { id: cid(), sourceId: n.test,  sourcePort: 'bottom', targetId: n.play, targetPort: 'right', directed: 'forward' },
+        { id: cid(), sourceId: n.nav,   sourcePort: 'bottom', targetId: n.permissions, targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.api,   sourcePort: 'bottom', targetId: n.test, targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.permissions, sourcePort: 'bottom', targetId: n.play, targetPort: 'left', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.test,  sourcePort: 'bottom', targetId: n.play, targetPort: 'right', directed: 'forward', type: 'blocks' },
       ],
     },
   };
@@ -135,15 +135,15 @@ function localExe() {
         { id: n.pkg,    text: 'Installer / Package', x: 450,  y: 470, color: '#00ff88', shape: 'pill' },
       ],
       connections: [
-        { id: cid(), sourceId: n.app,  sourcePort: 'bottom', targetId: n.ui,    targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.app,  sourcePort: 'bottom', targetId: n.core,  targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.app,  sourcePort: 'bottom', targetId: n.files, targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.ui,   sourcePort: 'bottom', targetId: n.config, targetPort: 'top', directed: 'forward' },
+        { id: cid(), sourceId: n.app,  sourcePort: 'bottom', targetId: n.ui,    targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.app,  sourcePort: 'bottom', targetId: n.core,  targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.app,  sourcePort: 'bottom', targetId: n.files, targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.ui,   sourcePort: 'bottom', targetId: n.config, targetPort: 'top', directed: 'forward', type: 'blocks' },
         { id: cid(), sourceId: n.core, sourcePort: 'bottom', targetId: n.cli,   targetPort: 'top', directed: 'both' },
         { id: cid(), sourceId: n.core, sourcePort: 'bottom', targetId: n.db,    targetPort: 'top', directed: 'both' },
-        { id: cid(), sourceId: n.files, sourcePort: 'bottom', targetId: n.logs, targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.cli,  sourcePort: 'bottom', targetId: n.test,  targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.db,   sourcePort: 'bottom', targetId: n.pkg,   targetPort: 'top', directed: 'forward' },
+        { id: cid(), sourceId: n.files, sourcePort: 'bottom', targetId: n.logs, targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.cli,  sourcePort: 'bottom', targetId: n.test,  targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.db,   sourcePort: 'bottom', targetId: n.pkg,   targetPort: 'top', directed: 'forward', type: 'blocks' },
       ],
     },
   };
@@ -180,16 +180,16 @@ function saasApp() {
         { id: n.marketing, text: 'Marketing Site',    x: 600,  y: 470, color: '#7c4dff', shape: 'rounded' },
       ],
       connections: [
-        { id: cid(), sourceId: n.product,  sourcePort: 'bottom', targetId: n.frontend, targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.product,  sourcePort: 'bottom', targetId: n.backend,  targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.product,  sourcePort: 'bottom', targetId: n.db,       targetPort: 'top', directed: 'forward' },
+        { id: cid(), sourceId: n.product,  sourcePort: 'bottom', targetId: n.frontend, targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.product,  sourcePort: 'bottom', targetId: n.backend,  targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.product,  sourcePort: 'bottom', targetId: n.db,       targetPort: 'top', directed: 'forward', type: 'blocks' },
         { id: cid(), sourceId: n.frontend, sourcePort: 'bottom', targetId: n.auth,     targetPort: 'top', directed: 'both' },
         { id: cid(), sourceId: n.backend,  sourcePort: 'bottom', targetId: n.billing,  targetPort: 'top', directed: 'both' },
-        { id: cid(), sourceId: n.backend,  sourcePort: 'bottom', targetId: n.onboard,  targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.db,       sourcePort: 'bottom', targetId: n.hosting,  targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.auth,     sourcePort: 'bottom', targetId: n.ci,       targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.billing,  sourcePort: 'bottom', targetId: n.monitor,  targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.hosting,  sourcePort: 'bottom', targetId: n.marketing, targetPort: 'top', directed: 'forward' },
+        { id: cid(), sourceId: n.backend,  sourcePort: 'bottom', targetId: n.onboard,  targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.db,       sourcePort: 'bottom', targetId: n.hosting,  targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.auth,     sourcePort: 'bottom', targetId: n.ci,       targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.billing,  sourcePort: 'bottom', targetId: n.monitor,  targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.hosting,  sourcePort: 'bottom', targetId: n.marketing, targetPort: 'top', directed: 'forward', type: 'blocks' },
         { id: cid(), sourceId: n.frontend, sourcePort: 'right',  targetId: n.backend,  targetPort: 'left', directed: 'both' },
       ],
     },
@@ -226,14 +226,14 @@ function websiteWireframe() {
         { id: n.contact,  text: 'Contact Page',       x: 680,  y: 390, color: '#ffc107', shape: 'rounded' },
       ],
       connections: [
-        { id: cid(), sourceId: n.page,   sourcePort: 'bottom', targetId: n.header,   targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.header, sourcePort: 'bottom', targetId: n.hero,     targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.hero,   sourcePort: 'bottom', targetId: n.features, targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.hero,   sourcePort: 'bottom', targetId: n.cta,      targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.features, sourcePort: 'bottom', targetId: n.social, targetPort: 'left', directed: 'forward' },
-        { id: cid(), sourceId: n.cta,    sourcePort: 'bottom', targetId: n.social,   targetPort: 'right', directed: 'forward' },
-        { id: cid(), sourceId: n.social, sourcePort: 'bottom', targetId: n.footer,   targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.header, sourcePort: 'right',  targetId: n.about,    targetPort: 'left', directed: 'forward' },
+        { id: cid(), sourceId: n.page,   sourcePort: 'bottom', targetId: n.header,   targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.header, sourcePort: 'bottom', targetId: n.hero,     targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.hero,   sourcePort: 'bottom', targetId: n.features, targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.hero,   sourcePort: 'bottom', targetId: n.cta,      targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.features, sourcePort: 'bottom', targetId: n.social, targetPort: 'left', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.cta,    sourcePort: 'bottom', targetId: n.social,   targetPort: 'right', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.social, sourcePort: 'bottom', targetId: n.footer,   targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.header, sourcePort: 'right',  targetId: n.about,    targetPort: 'left', directed: 'forward', type: 'blocks' },
         { id: cid(), sourceId: n.about,  sourcePort: 'bottom', targetId: n.pricing,  targetPort: 'top', directed: 'none' },
         { id: cid(), sourceId: n.pricing, sourcePort: 'bottom', targetId: n.contact, targetPort: 'top', directed: 'none' },
       ],
@@ -272,16 +272,16 @@ function websiteMap() {
         { id: n.terms,     text: 'Terms & Privacy',   x: 0,    y: 310, color: '#e6edf3', shape: 'pill' },
       ],
       connections: [
-        { id: cid(), sourceId: n.home,     sourcePort: 'bottom', targetId: n.about,    targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.home,     sourcePort: 'bottom', targetId: n.products, targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.home,     sourcePort: 'bottom', targetId: n.blog,     targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.home,     sourcePort: 'bottom', targetId: n.contact,  targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.home,     sourcePort: 'bottom', targetId: n.login,    targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.products, sourcePort: 'bottom', targetId: n.detail,   targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.blog,     sourcePort: 'bottom', targetId: n.post,     targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.login,    sourcePort: 'bottom', targetId: n.dashboard, targetPort: 'top', directed: 'forward' },
+        { id: cid(), sourceId: n.home,     sourcePort: 'bottom', targetId: n.about,    targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.home,     sourcePort: 'bottom', targetId: n.products, targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.home,     sourcePort: 'bottom', targetId: n.blog,     targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.home,     sourcePort: 'bottom', targetId: n.contact,  targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.home,     sourcePort: 'bottom', targetId: n.login,    targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.products, sourcePort: 'bottom', targetId: n.detail,   targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.blog,     sourcePort: 'bottom', targetId: n.post,     targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.login,    sourcePort: 'bottom', targetId: n.dashboard, targetPort: 'top', directed: 'forward', type: 'blocks' },
         { id: cid(), sourceId: n.contact,  sourcePort: 'bottom', targetId: n.error,    targetPort: 'top', directed: 'none' },
-        { id: cid(), sourceId: n.about,    sourcePort: 'bottom', targetId: n.terms,    targetPort: 'top', directed: 'forward' },
+        { id: cid(), sourceId: n.about,    sourcePort: 'bottom', targetId: n.terms,    targetPort: 'top', directed: 'forward', type: 'blocks' },
       ],
     },
   };
@@ -317,15 +317,15 @@ function ecommerceStarter() {
         { id: n.domain,    text: 'Custom Domain',       x: 650,  y: 470, color: '#e6edf3', shape: 'hexagon' },
       ],
       connections: [
-        { id: cid(), sourceId: n.store,    sourcePort: 'bottom', targetId: n.shopify,   targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.store,    sourcePort: 'bottom', targetId: n.stripe,    targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.shopify,  sourcePort: 'bottom', targetId: n.products,  targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.shopify,  sourcePort: 'bottom', targetId: n.orders,    targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.stripe,   sourcePort: 'bottom', targetId: n.email,     targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.stripe,   sourcePort: 'bottom', targetId: n.analytics, targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.products, sourcePort: 'bottom', targetId: n.social,    targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.email,    sourcePort: 'bottom', targetId: n.hosting,   targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.analytics, sourcePort: 'bottom', targetId: n.domain,   targetPort: 'top', directed: 'forward' },
+        { id: cid(), sourceId: n.store,    sourcePort: 'bottom', targetId: n.shopify,   targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.store,    sourcePort: 'bottom', targetId: n.stripe,    targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.shopify,  sourcePort: 'bottom', targetId: n.products,  targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.shopify,  sourcePort: 'bottom', targetId: n.orders,    targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.stripe,   sourcePort: 'bottom', targetId: n.email,     targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.stripe,   sourcePort: 'bottom', targetId: n.analytics, targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.products, sourcePort: 'bottom', targetId: n.social,    targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.email,    sourcePort: 'bottom', targetId: n.hosting,   targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.analytics, sourcePort: 'bottom', targetId: n.domain,   targetPort: 'top', directed: 'forward', type: 'blocks' },
         { id: cid(), sourceId: n.shopify,  sourcePort: 'right',  targetId: n.stripe,    targetPort: 'left', directed: 'both' },
       ],
     },
@@ -362,15 +362,15 @@ function creatorStorefront() {
         { id: n.email,     text: 'Email Marketing',     x: 500,  y: 470, color: '#ffe01b', shape: 'rounded',   commerceType: 'email-marketing' },
       ],
       connections: [
-        { id: cid(), sourceId: n.brand,   sourcePort: 'bottom', targetId: n.gumroad,   targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.brand,   sourcePort: 'bottom', targetId: n.github,    targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.brand,   sourcePort: 'bottom', targetId: n.social,    targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.gumroad, sourcePort: 'bottom', targetId: n.content,   targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.gumroad, sourcePort: 'bottom', targetId: n.merch,     targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.github,  sourcePort: 'bottom', targetId: n.portfolio, targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.social,  sourcePort: 'bottom', targetId: n.community, targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.content, sourcePort: 'bottom', targetId: n.analytics, targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.community, sourcePort: 'bottom', targetId: n.email,   targetPort: 'top', directed: 'forward' },
+        { id: cid(), sourceId: n.brand,   sourcePort: 'bottom', targetId: n.gumroad,   targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.brand,   sourcePort: 'bottom', targetId: n.github,    targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.brand,   sourcePort: 'bottom', targetId: n.social,    targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.gumroad, sourcePort: 'bottom', targetId: n.content,   targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.gumroad, sourcePort: 'bottom', targetId: n.merch,     targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.github,  sourcePort: 'bottom', targetId: n.portfolio, targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.social,  sourcePort: 'bottom', targetId: n.community, targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.content, sourcePort: 'bottom', targetId: n.analytics, targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.community, sourcePort: 'bottom', targetId: n.email,   targetPort: 'top', directed: 'forward', type: 'blocks' },
         { id: cid(), sourceId: n.gumroad, sourcePort: 'right',  targetId: n.github,    targetPort: 'left', directed: 'none' },
       ],
     },
@@ -409,17 +409,17 @@ function fullStackCommerce() {
         { id: n.deploy,    text: 'Cloud Hosting',       x: 600,  y: 490, color: '#00bcd4', shape: 'rounded',   commerceType: 'cloud-hosting' },
       ],
       connections: [
-        { id: cid(), sourceId: n.platform, sourcePort: 'bottom', targetId: n.shopify,   targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.platform, sourcePort: 'bottom', targetId: n.stripe,    targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.platform, sourcePort: 'bottom', targetId: n.firebase,  targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.platform, sourcePort: 'bottom', targetId: n.mcp,       targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.shopify,  sourcePort: 'bottom', targetId: n.email,     targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.shopify,  sourcePort: 'bottom', targetId: n.ads,       targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.stripe,   sourcePort: 'bottom', targetId: n.analytics, targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.firebase, sourcePort: 'bottom', targetId: n.crm,       targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.email,    sourcePort: 'bottom', targetId: n.social,    targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.ads,      sourcePort: 'bottom', targetId: n.support,   targetPort: 'top', directed: 'forward' },
-        { id: cid(), sourceId: n.crm,      sourcePort: 'bottom', targetId: n.deploy,    targetPort: 'top', directed: 'forward' },
+        { id: cid(), sourceId: n.platform, sourcePort: 'bottom', targetId: n.shopify,   targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.platform, sourcePort: 'bottom', targetId: n.stripe,    targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.platform, sourcePort: 'bottom', targetId: n.firebase,  targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.platform, sourcePort: 'bottom', targetId: n.mcp,       targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.shopify,  sourcePort: 'bottom', targetId: n.email,     targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.shopify,  sourcePort: 'bottom', targetId: n.ads,       targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.stripe,   sourcePort: 'bottom', targetId: n.analytics, targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.firebase, sourcePort: 'bottom', targetId: n.crm,       targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.email,    sourcePort: 'bottom', targetId: n.social,    targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.ads,      sourcePort: 'bottom', targetId: n.support,   targetPort: 'top', directed: 'forward', type: 'blocks' },
+        { id: cid(), sourceId: n.crm,      sourcePort: 'bottom', targetId: n.deploy,    targetPort: 'top', directed: 'forward', type: 'blocks' },
         { id: cid(), sourceId: n.shopify,  sourcePort: 'right',  targetId: n.stripe,    targetPort: 'left', directed: 'both' },
       ],
     },
@@ -5,8 +5,18 @@
  * Provides:
  *   - buildReportPrompt(type, label, serialized) → prompt string
  *   - summarizeMap(serialized) → factual data block string
+ *   - REPORT_TYPES → report type keys with their display labels
  */
 
+/** Report types offered in the Agent Panel and the CLI */
+export const REPORT_TYPES = [
+  { type: 'bug-audit',     label: 'Bug Audit & Report' },
+  { type: 'project-audit', label: 'Project Audit' },
+  { type: 'cfo-report',    label: 'CFO Report' },
+  { type: 'coo-report',    label: 'COO Report' },
+  { type: 'cto-report',    label: 'CTO Report' },
+];
+
 // ─── Map Summary Builder ─────────────────────────────────────────────
 
 /**
@@ -0,0 +1,249 @@
+/**
+ * ClipboardManager — Copy, cut and paste nodes through the system clipboard.
+ *
+ * Copy writes the selected nodes and the wires between them twice: as
+ * MindMapper JSON under its own MIME type (read back by any MindMapper tab)
+ * and as a markdown bullet outline under text/plain for other apps.
+ * Paste takes the JSON when present, otherwise parses plain text or markdown
+ * with the reference importer and builds a connected subtree. Pasted nodes
+ * get fresh ids, land at the pointer and become the selection; every paste
+ * or cut is a single undo step.
+ */
+
+import { importOutline } from '../import/ReferenceImporter.js';
+import { copySubMap } from '../model/SubMaps.js';
+import { GRID } from '../model/NodeSchema.js';
+
+export const CLIPBOARD_MIME = 'application/x-mindmapper+json';
+
+/** Commerce connection details that never leave this browser */
+const SECRET_FIELDS = ['credentials', 'connectionStatus'];
+
+/** Node fields that stay behind on paste: identity, layout and secrets */
+const LOCAL_FIELDS = ['id', 'x', 'y', 'frameId', ...SECRET_FIELDS];
+
+export class ClipboardManager {
+  /**
+   * @param {import('../core/EventBus.js').EventBus} bus
+   * @param {object} opts
+   * @param {import('../nodes/NodeManager.js').NodeManager} opts.nodeManager
+   * @param {import('../connections/ConnectionManager.js').ConnectionManager} opts.connectionManager
+   * @param {import('../commands/CommandDispatcher.js').CommandDispatcher} opts.commands
+   * @param {import('../viewport/Viewport.js').Viewport} opts.viewport
+   * @param {(label: string, run: Function) => any} opts.transaction — runs `run` as one undo step
+   */
+  constructor(bus, opts) {
+    this.bus = bus;
+    this.nodeManager = opts.nodeManager;
+    this.connectionManager = opts.connectionManager;
+    this.commands = opts.commands;
+    this.viewport = opts.viewport;
+    this.transaction = opts.transaction;
+
+    /** Last pointer position over the canvas, in container pixels */
+    this._pointer = null;
+    /** Where the last paste landed, so repeated pastes fan out */
+    this._lastPaste = null;
+
+    this._bindEvents();
+  }
+
+  // ─── Event Binding ─────────────────────────────────────────────────
+
+  _bindEvents() {
+    const container = this.viewport.container;
+    container.addEventListener('mousemove', (e) => {
+      const rect = container.getBoundingClientRect();
+      this._pointer = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    });
+    container.addEventListener('mouseleave', () => { this._pointer = null; });
+
+    document.addEventListener('copy', (e) => {
+      if (this._isTextContext(e) || !this._copy(e.clipboardData)) return;
+      e.preventDefault();
+    });
+    document.addEventListener('cut', (e) => {
+      if (this._isTextContext(e) || !this._copy(e.clipboardData)) return;
+      e.preventDefault();
+      this._deleteSelection();
+    });
+    document.addEventListener('paste', (e) => {
+      if (this._isTextContext(e)) return;
+      if (this._paste(e.clipboardData)) e.preventDefault();
+    });
+
+    this.bus.on('clipboard:copy-request', () => this.copySelection());
+    this.bus.on('clipboard:cut-request', () => this.cutSelection());
+  }
+
+  /** Leave the clipboard to the browser in text fields and text selections */
+  _isTextContext(e) {
+    const target = e.target;
+    if (target?.isContentEditable || target?.tagName === 'INPUT' || target?.tagName === 'TEXTAREA') return true;
+    const selection = window.getSelection();
+    return !!selection && !selection.isCollapsed && selection.toString().trim() !== '';
+  }
+
+  // ─── Copy / Cut ────────────────────────────────────────────────────
+
+  /** Copy the selected nodes (menu entry; keyboard copy goes through the copy event) */
+  copySelection() {
+    document.execCommand('copy');
+  }
+
+  cutSelection() {
+    document.execCommand('cut');
+  }
+
+  /** @returns {boolean} false when nothing is selected */
+  _copy(clipboardData) {
+    const payload = this._selectionPayload();
+    if (!payload || !clipboardData) return false;
+    clipboardData.setData(CLIPBOARD_MIME, JSON.stringify(payload));
+    clipboardData.setData('text/plain', toOutline(payload));
+    return true;
+  }
+
+  _selectionPayload() {
+    const ids = new Set(this.nodeManager.selected);
+    if (ids.size === 0) return null;
+    // Other apps read the clipboard too, so API keys are left out of it
+    const nodes = this.nodeManager.serialize().filter(n => ids.has(n.id)).map(withoutSecrets);
+    const connections = this.connectionManager.serialize()
+      .filter(c => ids.has(c.sourceId) && ids.has(c.targetId));
+    return { mindmapper: 1, nodes, connections };
+  }
+
+  _deleteSelection() {
+    const nodeIds = [...this.nodeManager.selected];
+    this.transaction(`Cut ${plural(nodeIds.length, 'node')}`, () => {
+      this.commands.dispatch({ type: 'node.delete', payload: { nodeIds } });
+    });
+  }
+
+  // ─── Paste ─────────────────────────────────────────────────────────
+
+  /** @returns {boolean} true when the clipboard held something to paste */
+  _paste(clipboardData) {
+    if (!clipboardData) return false;
+    const data = parsePayload(clipboardData.getData(CLIPBOARD_MIME));
+    if (data) {
+      this._insert(data);
+      return true;
+    }
+
+    const text = clipboardData.getData('text/plain');
+    if (!text.trim()) return false;
+    this._insert(importOutline(text));
+    return true;
+  }
+
+  /** Create the nodes and wires with fresh ids, anchored at the pointer */
+  _insert({ nodes, connections }) {
+    if (nodes.length === 0) return;
+    const minX = Math.min(...nodes.map(n => n.x || 0));
+    const minY = Math.min(...nodes.map(n => n.y || 0));
+    const at = this._pasteOrigin();
+
+    const ids = new Map();
+    this.transaction(`Paste ${plural(nodes.length, 'node')}`, () => {
+      nodes.forEach(source => {
+        const opts = { ...source };
+        LOCAL_FIELDS.forEach(field => delete opts[field]);
+        if (opts.subMap) opts.subMap = copySubMap(opts.subMap);
+        const node = this.commands.dispatch({
+          type: 'node.create',
+          payload: { ...opts, x: at.x + (source.x || 0) - minX, y: at.y + (source.y || 0) - minY },
+        });
+        if (node) ids.set(source.id, node.id);
+      });
+
+      connections.forEach(c => {
+        if (!ids.has(c.sourceId) || !ids.has(c.targetId)) return;
+        this.commands.dispatch({
+          type: 'connection.create',
+          payload: {
+            sourceId: ids.get(c.sourceId), sourcePort: c.sourcePort,
+            targetId: ids.get(c.targetId), targetPort: c.targetPort,
+            directed: c.directed || 'none',
+            type: c.type, label: c.label, routing: c.routing,
+            waypoints: (c.waypoints || []).map(p => ({ x: at.x + p.x - minX, y: at.y + p.y - minY })),
+          },
+        });
+      });
+    });
+
+    this.nodeManager.selectNodes([...ids.values()]);
+  }
+
+  /** The pointer's world position (or the view center), nudged on repeats */
+  _pasteOrigin() {
+    const rect = this.viewport.container.getBoundingClientRect();
+    const screen = this._pointer || { x: rect.width / 2, y: rect.height / 2 };
+    const world = this.viewport.screenToWorld(screen.x, screen.y);
+    const key = `${Math.round(world.x)},${Math.round(world.y)}`;
+
+    const repeat = this._lastPaste?.key === key ? this._lastPaste.count + 1 : 0;
+    this._lastPaste = { key, count: repeat };
+    return { x: world.x + repeat * GRID.size, y: world.y + repeat * GRID.size };
+  }
+}
+
+// ─── Helpers ───────────────────────────────────────────────────────────
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/** A serialized node without its secrets, down through its sub-maps */
+function withoutSecrets(node) {
+  const copy = { ...node };
+  SECRET_FIELDS.forEach(field => delete copy[field]);
+  if (copy.subMap) copy.subMap = { ...copy.subMap, nodes: (copy.subMap.nodes || []).map(withoutSecrets) };
+  return copy;
+}
+
+/** MindMapper clipboard JSON, or null when absent or not ours */
+function parsePayload(json) {
+  if (!json) return null;
+  try {
+    const data = JSON.parse(json);
+    if (data?.mindmapper !== 1 || !Array.isArray(data.nodes)) return null;
+    return { nodes: data.nodes, connections: Array.isArray(data.connections) ? data.connections : [] };
+  } catch (err) {
+    console.warn('[Clipboard] Ignoring malformed MindMapper data:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Markdown bullet outline of copied nodes, following forward wires from
+ * parent to child. Nodes without a copied parent start their own list.
+ */
+export function toOutline({ nodes, connections }) {
+  const byId = new Map(nodes.map(n => [n.id, n]));
+  const children = new Map();
+  const hasParent = new Set();
+  connections.forEach(c => {
+    if (c.directed !== 'forward' || c.sourceId === c.targetId) return;
+    if (!children.has(c.sourceId)) children.set(c.sourceId, []);
+    children.get(c.sourceId).push(c.targetId);
+    hasParent.add(c.targetId);
+  });
+
+  const byPosition = (a, b) => (byId.get(a).y - byId.get(b).y) || (byId.get(a).x - byId.get(b).x);
+  const lines = [];
+  const seen = new Set();
+  const visit = (id, depth) => {
+    if (seen.has(id)) return;
+    seen.add(id);
+    const text = (byId.get(id).text || 'Untitled').replace(/\s*\n\s*/g, ' ').trim();
+    lines.push(`${'  '.repeat(depth)}- ${text}`);
+    (children.get(id) || []).sort(byPosition).forEach(child => visit(child, depth + 1));
+  };
+
+  const ids = nodes.map(n => n.id).sort(byPosition);
+  ids.filter(id => !hasParent.has(id)).forEach(id => visit(id, 0));
+  ids.forEach(id => visit(id, 0)); // cycles with no root
+  return lines.join('\n');
+}
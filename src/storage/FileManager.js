@@ -2,12 +2,13 @@
  * FileManager — Handles New / Open / Save / Export / Import operations
  *
  * Manages project name, file I/O via download links and file pickers,
- * PNG/JSON/SVG export, and reference file import.
+ * PNG/JSON/SVG export, reference file import, and macro record/replay.
  */
 
 import { importReferenceFile } from '../import/ReferenceImporter.js';
 
 const FILE_EXT = '.mindmap';
+const MACRO_EXT = '.mmacro';
 const MIME_JSON = 'application/json';
 
 export class FileManager {
@@ -19,6 +20,8 @@ export class FileManager {
    * @param {Function} opts.fitToContent — fits viewport to nodes
    * @param {Function} opts.getNodeManager  — returns NodeManager (for export rendering)
    * @param {Function} opts.getConnectionManager — returns ConnectionManager
+   * @param {import('../commands/CommandDispatcher.js').CommandDispatcher} [opts.commands] — for macro recording
+   * @param {Function} [opts.replayMacro] — receives a parsed macro to run on the canvas
    */
   constructor(opts) {
     this.getState = opts.getState;
@@ -27,6 +30,8 @@ export class FileManager {
     this.fitToContent = opts.fitToContent;
     this.getNodeManager = opts.getNodeManager;
     this.getConnectionManager = opts.getConnectionManager;
+    this.commands = opts.commands || null;
+    this.replayMacro = opts.replayMacro || null;
     this.bus = opts.bus || null;
 
     this.currentFileName = 'Untitled';
@@ -39,6 +44,7 @@ export class FileManager {
     // Hidden file inputs
     this._openInput = this._createInput(FILE_EXT, '.json');
     this._importInput = this._createInput('.md,.txt,.png,.jpg,.jpeg,.gif,.webp,.doc,.docx');
+    this._macroInput = this._createInput(MACRO_EXT);
   }
 
   // ═════════════════════════════════════
@@ -91,7 +97,7 @@ export class FileManager {
   exportPNG() {
     const nm = this.getNodeManager();
     const cm = this.getConnectionManager();
-    const bounds = nm.getBounds();
+    const bounds = this._exportBounds(nm);
     if (!bounds) { alert('Canvas is empty.'); return; }
 
     const pad = 60;
@@ -111,14 +117,34 @@ export class FileManager {
     ctx.fillStyle = '#06060f';
     ctx.fillRect(0, 0, w, h);
 
+    // Draw group frames (outermost first so nested frames sit on top)
+    nm.model.serializeFrames().forEach(frame => {
+      const fx = frame.x - ox;
+      const fy = frame.y - oy;
+      ctx.fillStyle = this._withAlpha(frame.color, 0.06);
+      ctx.strokeStyle = this._withAlpha(frame.color, 0.6);
+      ctx.lineWidth = 1.5;
+      ctx.setLineDash([6, 4]);
+      this._drawRoundedRect(ctx, fx, fy, frame.width, frame.height, 12);
+      ctx.fill();
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      ctx.fillStyle = frame.color;
+      ctx.font = '600 12px Inter, sans-serif';
+      ctx.textBaseline = 'middle';
+      ctx.textAlign = 'left';
+      ctx.fillText(frame.label, fx + 12, fy + 14);
+    });
+
     // Draw connections
     ctx.strokeStyle = '#00e5ff';
     ctx.lineWidth = 2;
     ctx.lineCap = 'round';
     ctx.lineJoin = 'round';
     cm.connections.forEach(conn => {
-      const pathD = conn.pathEl?.getAttribute('d') || conn._basePathD;
-      if (!pathD) return;
+      const pathD = cm.getPathData(conn.id);
+      if (!pathD || cm.isHidden(conn)) return;
       try {
         const path = new Path2D(this._translatePath(pathD, -ox, -oy));
         ctx.stroke(path);
@@ -127,11 +153,10 @@ export class FileManager {
 
     // Draw nodes
     nm.nodes.forEach(node => {
+      if (nm.isHidden(node.id)) return;
       const nx = node.x - ox;
       const ny = node.y - oy;
-      const el = node.el;
-      const nw = el.offsetWidth || 140;
-      const nh = el.offsetHeight || 40;
+      const { width: nw, height: nh } = nm.model.getNodeSize(node);
 
       // Node body
       ctx.fillStyle = '#0d1117';
@@ -168,7 +193,7 @@ export class FileManager {
   exportSVG() {
     const nm = this.getNodeManager();
     const cm = this.getConnectionManager();
-    const bounds = nm.getBounds();
+    const bounds = this._exportBounds(nm);
     if (!bounds) { alert('Canvas is empty.'); return; }
 
     const pad = 60;
@@ -180,20 +205,29 @@ export class FileManager {
     let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}">\n`;
     svg += `  <rect width="${w}" height="${h}" fill="#06060f"/>\n`;
 
+    // Group frames
+    nm.model.serializeFrames().forEach(frame => {
+      const fx = frame.x - ox;
+      const fy = frame.y - oy;
+      const label = frame.label.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+      svg += `  <rect x="${fx}" y="${fy}" width="${frame.width}" height="${frame.height}" rx="12" fill="${frame.color}" fill-opacity="0.06" stroke="${frame.color}" stroke-opacity="0.6" stroke-width="1.5" stroke-dasharray="6 4"/>\n`;
+      svg += `  <text x="${fx + 12}" y="${fy + 18}" fill="${frame.color}" font-family="Inter, sans-serif" font-size="12" font-weight="600">${label}</text>\n`;
+    });
+
     // Connections
     cm.connections.forEach(conn => {
-      const pathD = conn.pathEl?.getAttribute('d') || conn._basePathD;
-      if (!pathD) return;
+      const pathD = cm.getPathData(conn.id);
+      if (!pathD || cm.isHidden(conn)) return;
       const translated = this._translatePath(pathD, -ox, -oy);
       svg += `  <path d="${translated}" fill="none" stroke="#00e5ff" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>\n`;
     });
 
     // Nodes
     nm.nodes.forEach(node => {
+      if (nm.isHidden(node.id)) return;
       const nx = node.x - ox;
       const ny = node.y - oy;
-      const nw = node.el.offsetWidth || 140;
-      const nh = node.el.offsetHeight || 40;
+      const { width: nw, height: nh } = nm.model.getNodeSize(node);
       svg += `  <rect x="${nx}" y="${ny}" width="${nw}" height="${nh}" rx="8" fill="#0d1117" stroke="rgba(255,255,255,0.08)"/>\n`;
       svg += `  <rect x="${nx}" y="${ny}" width="${nw}" height="3" rx="1.5" fill="${node.color || '#00e5ff'}"/>\n`;
       const escaped = (node.text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;');
@@ -236,6 +270,59 @@ export class FileManager {
     }
   }
 
+  // ═════════════════════════════════════
+  //  Macros
+  // ═════════════════════════════════════
+
+  get isRecordingMacro() {
+    return !!this.commands?.isRecording;
+  }
+
+  /** Start recording commands, or stop and download the recorded macro */
+  toggleMacroRecording() {
+    if (!this.commands) return;
+
+    if (!this.commands.isRecording) {
+      const name = prompt('Macro name:', 'Untitled macro');
+      if (name === null) return;
+      this.commands.startRecording(name.trim() || 'Untitled macro');
+      return;
+    }
+
+    const macro = this.commands.stopRecording();
+    if (!macro.commands.length) {
+      alert('Macro recording stopped — no canvas changes were recorded.');
+      return;
+    }
+    const blob = new Blob([JSON.stringify(macro, null, 2)], { type: MIME_JSON });
+    this._downloadBlob(blob, `${macro.name}${MACRO_EXT}`);
+  }
+
+  replayMacroFile() {
+    if (!this.replayMacro) return;
+    document.body.appendChild(this._macroInput);
+    this._macroInput.click();
+  }
+
+  async _handleMacro(file) {
+    try {
+      const macro = JSON.parse(await file.text());
+      if (!Array.isArray(macro.commands)) {
+        alert('Invalid macro file — missing commands array.');
+        return;
+      }
+
+      const { executed, failed } = this.replayMacro(macro);
+      if (failed.length > 0) {
+        const details = failed.slice(0, 5).map(f => `• ${f.type}: ${f.error}`).join('\n');
+        alert(`Macro "${macro.name || file.name}" ran ${executed} command(s); ${failed.length} failed:\n\n${details}`);
+      }
+    } catch (err) {
+      console.error('Macro error:', err);
+      alert(`Failed to replay macro: ${err.message}`);
+    }
+  }
+
   // ═════════════════════════════════════
   //  Private helpers
   // ═════════════════════════════════════
@@ -278,14 +365,16 @@ export class FileManager {
     input.type = 'file';
     input.accept = accepts.join(',');
     input.style.display = 'none';
-    // Not appended to body here — appended temporarily in openFile()/importReference()
+    // Not appended to body here — appended temporarily in openFile()/importReference()/replayMacroFile()
     input.addEventListener('change', () => {
       const file = input.files?.[0];
       input.remove(); // remove from DOM after use
       if (!file) return;
       input.value = ''; // reset for re-use
 
-      if (accepts.includes(FILE_EXT) || accepts.includes('.json')) {
+      if (accepts.includes(MACRO_EXT)) {
+        this._handleMacro(file);
+      } else if (accepts.includes(FILE_EXT) || accepts.includes('.json')) {
         this._handleOpen(file);
       } else {
         this._handleImport(file);
@@ -316,6 +405,9 @@ export class FileManager {
       this.loadState({
         nodes: data.nodes,
         connections: data.connections || [],
+        frames: data.frames || [],
+        nodeTypes: data.nodeTypes || [],
+        propertySchema: data.propertySchema || [],
       });
     } catch (err) {
       console.error('Open error:', err);
@@ -469,6 +561,28 @@ export class FileManager {
     return result;
   }
 
+  /** Union of the visible node bounds and every group frame */
+  _exportBounds(nm) {
+    const rects = nm.model.serializeFrames().map(f => ({
+      minX: f.x, minY: f.y, maxX: f.x + f.width, maxY: f.y + f.height,
+    }));
+    const nodeBounds = nm.getBounds();
+    if (nodeBounds) rects.push(nodeBounds);
+    if (rects.length === 0) return null;
+
+    const minX = Math.min(...rects.map(r => r.minX));
+    const minY = Math.min(...rects.map(r => r.minY));
+    const maxX = Math.max(...rects.map(r => r.maxX));
+    const maxY = Math.max(...rects.map(r => r.maxY));
+    return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+  }
+
+  /** '#rrggbb' → 'rgba(r,g,b,a)' */
+  _withAlpha(hex, alpha) {
+    const n = parseInt(hex.slice(1), 16);
+    return `rgba(${(n >> 16) & 255},${(n >> 8) & 255},${n & 255},${alpha})`;
+  }
+
   _drawRoundedRect(ctx, x, y, w, h, r, topOnly = false) {
     ctx.beginPath();
     if (topOnly) {
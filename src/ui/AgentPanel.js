@@ -18,6 +18,7 @@
 
 import { marked } from 'marked';
 import { AGENT_ROLES } from '../nodes/NodeManager.js';
+import { REPORT_TYPES } from '../prompts/ReportPrompts.js';
 import { escapeHtml, sanitizeHtml, escapeAttr } from '../core/Sanitize.js';
 import { AgentStatusDisplay } from './AgentStatusDisplay.js';
 
@@ -335,13 +336,7 @@ export class AgentPanel {
     }, { signal });
 
     // ─── P1.6 — CEO Report Command Buttons ────────────────────────
-    const reportTypes = [
-      { id: 'cmd-bug-audit',     type: 'bug-audit',     label: 'Bug Audit & Report' },
-      { id: 'cmd-project-audit', type: 'project-audit', label: 'Project Audit' },
-      { id: 'cmd-cfo-report',    type: 'cfo-report',    label: 'CFO Report' },
-      { id: 'cmd-coo-report',    type: 'coo-report',    label: 'COO Report' },
-      { id: 'cmd-cto-report',    type: 'cto-report',    label: 'CTO Report' },
-    ];
+    const reportTypes = REPORT_TYPES.map(rt => ({ ...rt, id: `cmd-${rt.type}` }));
 
     for (const rt of reportTypes) {
       this.panel.querySelector(`#${rt.id}`)?.addEventListener('click', () => {
@@ -1213,6 +1208,8 @@ export class AgentPanel {
       valueEl.textContent = `⚠️ ${result.warnings.length} warning(s)`;
       valueEl.className = 'readiness-value warning';
     }
+    // Spell the issues out on hover (dependency cycles name their nodes)
+    valueEl.title = [...result.errors, ...result.warnings].join('\n');
 
     // Update cost estimate based on current node count
     this.updateCostEstimate(result.nodeCount || 0);
@@ -0,0 +1,192 @@
+/**
+ * AnalysisOverlay — Critical-path and impact highlighting on the canvas.
+ *
+ * Two modes, one at a time:
+ *  • Critical path — the heaviest chain of dependency wires, weighted by
+ *    each node's estimate (see estimateField in DependencyGraph.js)
+ *  • Impact — every node that transitively waits on the selected node;
+ *    follows the selection while it is on
+ *
+ * Both run on the dependency adjacency serializeMindMap sorts by
+ * (buildDependencyGraph), built straight from the model. The analysis is
+ * linear, re-runs at most once per burst of edits, and the fading is a
+ * single body class, so large maps stay responsive.
+ * Everything else is faded while a mode is on; a bar at the bottom
+ * summarizes the result and turns the mode off.
+ */
+
+import { escapeHtml } from '../core/Sanitize.js';
+import {
+  buildDependencyGraph, estimateField, nodeEstimate, findCriticalPath, findDependents,
+} from '../model/DependencyGraph.js';
+
+const REFRESH_DELAY = 150; // ms to wait for a burst of edits to settle
+
+export class AnalysisOverlay {
+  /**
+   * @param {import('../core/EventBus.js').EventBus} bus
+   * @param {import('../nodes/NodeManager.js').NodeManager} nodeManager
+   * @param {import('../connections/ConnectionManager.js').ConnectionManager} connectionManager
+   */
+  constructor(bus, nodeManager, connectionManager) {
+    this.bus = bus;
+    this.nodeManager = nodeManager;
+    this.connectionManager = connectionManager;
+    this.model = nodeManager.model;
+
+    /** @type {null | 'critical' | 'impact'} */
+    this.mode = null;
+    this._impactNodeId = null;
+    this._refreshTimer = null;
+
+    // Class currently applied to each highlighted element id
+    this._nodeMarks = new Map();
+    this._wireMarks = new Map();
+
+    this.el = document.createElement('div');
+    this.el.className = 'analysis-bar glass-panel';
+    this.el.setAttribute('role', 'status');
+    document.body.appendChild(this.el);
+    this.el.addEventListener('click', (e) => {
+      if (e.target.closest('.analysis-bar-close')) this.clear();
+    });
+
+    this._bindEvents();
+  }
+
+  _bindEvents() {
+    const refresh = () => this._scheduleRefresh();
+    this.bus.on('state:changed', refresh);
+    this.bus.on('state:loaded', refresh);
+    this.bus.on('analysis:impact-request', ({ nodeId }) => this.toggleImpact(nodeId));
+    this.bus.on('selection:changed', (ids) => {
+      if (this.mode === 'impact' && ids.length === 1 && ids[0] !== this._impactNodeId) {
+        this._impactNodeId = ids[0];
+        this._refresh();
+      }
+    });
+  }
+
+  // ─── Modes ─────────────────────────────────────────────────────────
+
+  toggleCriticalPath() {
+    if (this.mode === 'critical') this.clear();
+    else this._setMode('critical');
+  }
+
+  /** Show what waits on a node; toggles off when already showing it */
+  toggleImpact(nodeId) {
+    if (!nodeId) return;
+    if (this.mode === 'impact' && this._impactNodeId === nodeId) {
+      this.clear();
+      return;
+    }
+    this._impactNodeId = nodeId;
+    this._setMode('impact');
+  }
+
+  clear() {
+    clearTimeout(this._refreshTimer);
+    this.mode = null;
+    this._impactNodeId = null;
+    this._mark(new Map(), new Map());
+    document.body.classList.remove('analysis-active');
+    this.el.classList.remove('visible');
+  }
+
+  _setMode(mode) {
+    this.mode = mode;
+    document.body.classList.add('analysis-active');
+    this._refresh();
+  }
+
+  _scheduleRefresh() {
+    if (!this.mode) return;
+    clearTimeout(this._refreshTimer);
+    this._refreshTimer = setTimeout(() => this._refresh(), REFRESH_DELAY);
+  }
+
+  // ─── Analysis ──────────────────────────────────────────────────────
+
+  _refresh() {
+    if (!this.mode) return;
+    const nodes = [...this.model.nodes.values()];
+    const graph = buildDependencyGraph(nodes, this.model.connections.values());
+    if (this.mode === 'critical') this._showCriticalPath(nodes, graph);
+    else this._showImpact(graph);
+  }
+
+  _showCriticalPath(nodes, graph) {
+    const field = estimateField(this.model.getPropertySchema());
+    const path = findCriticalPath(nodes, graph, node => nodeEstimate(node, field));
+
+    // A single node is not a chain
+    if (path.nodeIds.length < 2) {
+      this._mark(new Map(), new Map());
+      this._renderBar('⛓ Critical path', 'No dependency chains yet — mark wires as <em>depends on</em> or <em>blocks</em>.');
+      return;
+    }
+
+    this._mark(
+      new Map(path.nodeIds.map(id => [id, 'critical-path'])),
+      new Map(path.connectionIds.map(id => [id, 'critical-path']))
+    );
+    const weight = field
+      ? `${formatNumber(path.total)} ${escapeHtml(field.label.toLowerCase())}`
+      : `${path.nodeIds.length} steps (add a number property like “Estimate” to weight it)`;
+    this._renderBar('⛓ Critical path', `${path.nodeIds.length} nodes · ${weight}`);
+  }
+
+  _showImpact(graph) {
+    const source = this.model.nodes.get(this._impactNodeId);
+    if (!source) {
+      this.clear();
+      return;
+    }
+    const { dependents, connectionIds } = findDependents(graph, source.id);
+    const nodeMarks = new Map([[source.id, 'impact-source']]);
+    dependents.forEach((_, id) => nodeMarks.set(id, 'impact-dependent'));
+    this._mark(nodeMarks, new Map(connectionIds.map(id => [id, 'impact-path'])));
+
+    const name = escapeHtml((source.text || '').trim() || 'Untitled');
+    let depth = 0;
+    dependents.forEach(d => { depth = Math.max(depth, d); });
+    this._renderBar(
+      '◎ Impact',
+      dependents.size === 0
+        ? `Nothing depends on “${name}”`
+        : `${dependents.size} node${dependents.size === 1 ? '' : 's'} wait on “${name}” · ${depth} level${depth === 1 ? '' : 's'} deep`
+    );
+  }
+
+  // ─── Rendering ─────────────────────────────────────────────────────
+
+  /** Swap highlight classes; stale ones come off, current ones go (back) on */
+  _mark(nodeMarks, wireMarks) {
+    this._nodeMarks = diffMarks(this._nodeMarks, nodeMarks, id => this.nodeManager.getElement(id));
+    this._wireMarks = diffMarks(this._wireMarks, wireMarks, id => this.connectionManager.getElement(id));
+  }
+
+  _renderBar(title, summary) {
+    this.el.innerHTML = `
+      <span class="analysis-bar-title">${title}</span>
+      <span class="analysis-bar-summary">${summary}</span>
+      <button class="analysis-bar-close" title="Turn off">✕</button>
+    `;
+    this.el.classList.add('visible');
+  }
+}
+
+function diffMarks(previous, next, elementFor) {
+  previous.forEach((cls, id) => {
+    if (next.get(id) !== cls) elementFor(id)?.classList.remove(cls);
+  });
+  // Re-adding is a no-op for unchanged elements, and restores the class on
+  // any wire or node element re-created since the last pass
+  next.forEach((cls, id) => elementFor(id)?.classList.add(cls));
+  return next;
+}
+
+function formatNumber(n) {
+  return Number.isInteger(n) ? String(n) : n.toFixed(1);
+}
@@ -0,0 +1,170 @@
+/**
+ * CommandPalette — Ctrl+K list of every app action, fuzzy-searchable.
+ *
+ * With an empty query it shows recent actions first, then the entries for
+ * the current selection, then everything else by group. Typing ranks all of
+ * them with the same fuzzy matcher as node search. Shortcuts come from the
+ * Keymap, so rebinding a key updates the palette too.
+ */
+
+import { escapeHtml } from '../core/Sanitize.js';
+import { fuzzyMatch } from '../model/NodeSearch.js';
+
+const MAX_RESULTS = 60;
+
+export class CommandPalette {
+  /**
+   * @param {import('../core/EventBus.js').EventBus} bus
+   * @param {import('../commands/ActionRegistry.js').ActionRegistry} actions
+   * @param {import('../commands/Keymap.js').Keymap} keymap
+   */
+  constructor(bus, actions, keymap) {
+    this.bus = bus;
+    this.actions = actions;
+    this.keymap = keymap;
+
+    this._entries = [];
+    this._index = 0;
+
+    this._createDOM();
+    this._bindEvents();
+  }
+
+  get isOpen() {
+    return this.overlay.classList.contains('visible');
+  }
+
+  // ─── DOM Construction ──────────────────────────────────────────────
+
+  _createDOM() {
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'command-palette-overlay';
+    this.overlay.innerHTML = `
+      <div class="command-palette glass-panel">
+        <input class="command-palette-input" spellcheck="false" placeholder="Type a command…" />
+        <div class="command-palette-list"></div>
+      </div>
+    `;
+    document.body.appendChild(this.overlay);
+
+    this.inputEl = this.overlay.querySelector('.command-palette-input');
+    this.listEl = this.overlay.querySelector('.command-palette-list');
+  }
+
+  // ─── Event Binding ─────────────────────────────────────────────────
+
+  _bindEvents() {
+    this.overlay.addEventListener('click', (e) => {
+      if (e.target === this.overlay) this.hide();
+    });
+    this.inputEl.addEventListener('input', () => {
+      this._index = 0;
+      this._render();
+    });
+    this.overlay.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.hide();
+      else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        this._index = (this._index + step + this._entries.length) % Math.max(this._entries.length, 1);
+        this._render({ keepEntries: true });
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        this._runEntry(this._index);
+      }
+      e.stopPropagation(); // keep canvas shortcuts out of the input
+    });
+    this.listEl.addEventListener('click', (e) => {
+      const row = e.target.closest('.command-palette-item');
+      if (row) this._runEntry(Number(row.dataset.index));
+    });
+  }
+
+  // ─── Show / Hide ───────────────────────────────────────────────────
+
+  show() {
+    this.inputEl.value = '';
+    this._index = 0;
+    this._render();
+    this.overlay.classList.add('visible');
+    this.inputEl.focus();
+  }
+
+  hide() {
+    this.overlay.classList.remove('visible');
+    this.inputEl.blur();
+  }
+
+  // ─── Entries ───────────────────────────────────────────────────────
+
+  /** Ranked entries for the query; each is { action, section } */
+  _collect(query) {
+    const registered = this.actions.list().filter(a => this.actions.isEnabled(a));
+    const contextual = this.actions.contextual();
+
+    if (!query.trim()) {
+      const recent = this.actions.recent().filter(a => this.actions.isEnabled(a));
+      const recentIds = new Set(recent.map(a => a.id));
+      return [
+        ...recent.map(action => ({ action, section: 'Recent' })),
+        ...contextual.map(action => ({ action, section: action.group })),
+        ...registered.filter(a => !recentIds.has(a.id)).map(action => ({ action, section: action.group })),
+      ];
+    }
+
+    return [...contextual, ...registered]
+      .map(action => {
+        const match = fuzzyMatch(query, `${action.group}: ${action.label}`);
+        return match && { action, section: action.group, score: match.score };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  _runEntry(index) {
+    const entry = this._entries[index];
+    if (!entry) return;
+    this.hide();
+    try {
+      this.actions.run(entry.action, { source: 'palette' });
+    } catch (err) {
+      console.warn(`[CommandPalette] "${entry.action.label}" failed:`, err.message);
+    }
+  }
+
+  // ─── Rendering ─────────────────────────────────────────────────────
+
+  _render({ keepEntries = false } = {}) {
+    if (!keepEntries) this._entries = this._collect(this.inputEl.value).slice(0, MAX_RESULTS);
+    this.listEl.innerHTML = '';
+
+    if (this._entries.length === 0) {
+      this.listEl.innerHTML = '<div class="command-palette-empty">No matching commands</div>';
+      return;
+    }
+
+    let section = null;
+    this._entries.forEach(({ action, section: name }, i) => {
+      if (name !== section) {
+        section = name;
+        const header = document.createElement('div');
+        header.className = 'command-palette-section';
+        header.textContent = name;
+        this.listEl.appendChild(header);
+      }
+      const shortcut = this.keymap.label(action.id);
+      const row = document.createElement('div');
+      row.className = 'command-palette-item';
+      row.classList.toggle('active', i === this._index);
+      row.dataset.index = i;
+      row.innerHTML = `
+        <span class="command-palette-icon">${escapeHtml(action.icon || '•')}</span>
+        <span class="command-palette-label">${escapeHtml(action.label)}</span>
+        ${shortcut ? `<kbd class="command-palette-key">${escapeHtml(shortcut)}</kbd>` : ''}
+      `;
+      this.listEl.appendChild(row);
+    });
+
+    this.listEl.querySelector('.command-palette-item.active')?.scrollIntoView({ block: 'nearest' });
+  }
+}
@@ -1,5 +1,5 @@
 /**
- * ContextMenu — Right-click context menus for canvas, nodes, and connections.
+ * ContextMenu — Right-click context menus for canvas, nodes, connections and frames.
  *
  * Best-practice implementation:
  *  • Canvas menu adds a title header so you know it's for the canvas
@@ -8,15 +8,22 @@
  *    the scrolling UL, which would clip it via overflow)
  *  • Hover bridge with delay so the submenu doesn't close when crossing a gap
  */
-import { NODE_SHAPES, NODE_TYPES, PRIORITY_LEVELS, AGENT_ROLES, COMMERCE_NODE_TYPES, COMMERCE_CATEGORIES } from '../nodes/NodeManager.js';
+import { NODE_SHAPES, PRIORITY_LEVELS, AGENT_ROLES, COMMERCE_NODE_TYPES, COMMERCE_CATEGORIES } from '../nodes/NodeManager.js';
+import {
+  FRAME_COLORS, FRAME_DEFAULTS, CONNECTION_TYPES, CONNECTION_ROUTINGS, getConnectionType,
+} from '../model/NodeSchema.js';
 import { escapeHtml } from '../core/Sanitize.js';
+import { countSubMapNodes } from '../model/SubMaps.js';
+import { ALIGN_EDGES, DISTRIBUTE_AXES } from '../model/Arrange.js';
 
 export class ContextMenu {
-  constructor(bus, nodeManager, connectionManager, viewport) {
+  constructor(bus, nodeManager, connectionManager, viewport, commands) {
     this.bus = bus;
     this.nodeManager = nodeManager;
     this.connectionManager = connectionManager;
     this.viewport = viewport;
+    this.commands = commands;
+    this.frameManager = null; // set via setFrameManager()
 
     this.el = document.getElementById('context-menu');
     this.itemsEl = document.getElementById('context-menu-items');
@@ -32,6 +39,11 @@ export class ContextMenu {
     this._bindEvents();
   }
 
+  /** Attach the FrameManager so frame headers get their own menu */
+  setFrameManager(frameManager) {
+    this.frameManager = frameManager;
+  }
+
   _bindEvents() {
     this.container.addEventListener('contextmenu', (e) => {
       e.preventDefault();
@@ -48,6 +60,12 @@ export class ContextMenu {
         }
       }
 
+      const frameHeader = e.target.closest('.group-frame-header');
+      if (frameHeader && this.frameManager) {
+        this._showFrameMenu(e.clientX, e.clientY, frameHeader.closest('.group-frame').dataset.frameId);
+        return;
+      }
+
       const node = e.target.closest('.mind-node');
       if (node) {
         this._showNodeMenu(e.clientX, e.clientY, node.dataset.nodeId);
@@ -74,7 +92,7 @@ export class ContextMenu {
     this._buildMenu([
       { label: 'Canvas', type: 'title' },
       { label: 'Add Node', shortcut: 'Dbl-Click', action: () => {
-        this.nodeManager.createNode(this._clickWorld.x - 70, this._clickWorld.y - 20);
+        this._run('node.create', { x: this._clickWorld.x - 70, y: this._clickWorld.y - 20 });
       }},
       { type: 'divider' },
 
@@ -84,7 +102,8 @@ export class ContextMenu {
         label: `${s.icon} ${s.label}`,
         shortcut: s.meaning,
         action: () => {
-          this.nodeManager.createNode(this._clickWorld.x - 70, this._clickWorld.y - 20, {
+          this._run('node.create', {
+            x: this._clickWorld.x - 70, y: this._clickWorld.y - 20,
             shape: s.id,
             text: s.meaning,
           });
@@ -93,6 +112,14 @@ export class ContextMenu {
       { type: 'divider' },
 
       { label: '🔌 Add Integration', chevron: true, submenuId: 'commerce' },
+      { label: '▭ Add Frame', action: () => {
+        this._run('frame.create', {
+          x: this._clickWorld.x - FRAME_DEFAULTS.width / 2,
+          y: this._clickWorld.y - FRAME_DEFAULTS.headerHeight,
+          width: FRAME_DEFAULTS.width,
+          height: FRAME_DEFAULTS.height,
+        });
+      }},
       { type: 'divider' },
       { label: 'Zoom to Fit', action: () => this.bus.emit('viewport:fit-request') },
       { label: 'Reset Zoom', shortcut: '100%', action: () => {
@@ -123,16 +150,48 @@ export class ContextMenu {
     const menuItems = [
       { label, type: 'title' },
       { label: 'Edit Text', action: () => {
-        const textEl = node.el.querySelector('.node-text');
+        const textEl = this.nodeManager.getElement(nodeId).querySelector('.node-text');
         this.nodeManager._startEditing(nodeId, textEl);
       }},
+      { label: 'Copy', shortcut: 'Ctrl+C', action: () => this.bus.emit('clipboard:copy-request') },
+      { label: 'Cut', shortcut: 'Ctrl+X', action: () => this.bus.emit('clipboard:cut-request') },
       { label: 'Duplicate', action: () => {
-        this.nodeManager.createNode(node.x + 30, node.y + 30, {
+        this._run('node.create', {
+          x: node.x + 30, y: node.y + 30,
           text: node.text, color: node.color, shape: node.shape,
           nodeType: node.nodeType, priority: node.priority,
         });
       }},
+      { label: node.body ? '📝 Edit Notes' : '📝 Add Notes', action: () => {
+        this.bus.emit('notes:edit-request', { nodeId });
+      }},
+      ...(node.body ? [{
+        label: this.nodeManager.isNotesPreviewOpen(nodeId) ? 'Hide Notes Preview' : 'Show Notes Preview',
+        action: () => this.nodeManager.toggleNotesPreview(nodeId),
+      }] : []),
+      { label: 'Group in Frame', shortcut: 'Ctrl+G', action: () => {
+        this._run('frame.create', { nodeIds: [...this.nodeManager.selected] });
+      }},
+      {
+        label: node.subMap ? '⊞ Open Sub-Map' : '⊞ Create Sub-Map',
+        shortcut: node.subMap ? 'Dbl-Click' : '',
+        action: () => this.bus.emit('submap:open-request', { nodeId }),
+      },
+      ...(node.subMap ? [{
+        label: 'Remove Sub-Map', className: 'menu-danger',
+        action: () => {
+          const count = countSubMapNodes(node.subMap);
+          if (confirm(`Delete the sub-map of "${label}" and its ${count} node(s)?`)) {
+            this._run('node.setSubMap', { nodeId, subMap: null });
+          }
+        },
+      }] : []),
+      {
+        label: '◎ Show Impact',
+        action: () => this.bus.emit('analysis:impact-request', { nodeId }),
+      },
       { type: 'divider' },
+      ...this._arrangeItems(nodeId),
 
       // Shape
       { label: 'Shape', type: 'header' },
@@ -140,17 +199,18 @@ export class ContextMenu {
         label: `${s.icon} ${s.label}`,
         shortcut: s.meaning,
         className: node.shape === s.id ? 'menu-active' : '',
-        action: () => this.nodeManager.setShape(nodeId, s.id),
+        action: () => this._run('node.setShape', { nodeId, shape: s.id }),
       })),
       { type: 'divider' },
 
       // Node Type
       { label: 'Node Type', type: 'header' },
-      ...NODE_TYPES.map(t => ({
+      ...this.nodeManager.getNodeTypes().map(t => ({
         label: `${t.icon} ${t.label}`,
         className: node.nodeType === t.id ? 'menu-active' : '',
-        action: () => this.nodeManager.setNodeType(nodeId, t.id),
+        action: () => this._run('node.setType', { nodeId, nodeType: t.id }),
       })),
+      { label: '✎ Manage Types…', action: () => this.bus.emit('nodetypes:manage-request') },
       { type: 'divider' },
 
       // Priority
@@ -158,7 +218,7 @@ export class ContextMenu {
       ...PRIORITY_LEVELS.map(p => ({
         label: `${p.icon} ${p.label}`,
         className: node.priority === p.id ? 'menu-active' : '',
-        action: () => this.nodeManager.setPriority(nodeId, p.id),
+        action: () => this._run('node.setPriority', { nodeId, priority: p.id }),
       })),
       { type: 'divider' },
 
@@ -167,38 +227,60 @@ export class ContextMenu {
       { label: '⚪ Unassigned',
         className: !node.assignedAgent ? 'menu-active' : '',
         action: () => {
-          this.nodeManager.setAssignedAgent(nodeId, null);
-          this.nodeManager.setAgentStatus(nodeId, 'unassigned');
+          this._run('node.setAgent', { nodeId, agent: null });
+          this._run('node.setAgentStatus', { nodeId, status: 'unassigned' });
         },
       },
       ...AGENT_ROLES.map(a => ({
         label: `${a.icon} ${a.label}`,
         className: node.assignedAgent === a.id ? 'menu-active' : '',
-        action: () => this.nodeManager.setAssignedAgent(nodeId, a.id),
+        action: () => this._run('node.setAgent', { nodeId, agent: a.id }),
       })),
     ];
 
     if (connCount > 0) {
       menuItems.push({ type: 'divider' });
+      if (this.nodeManager.model.getChildIds(nodeId).length > 0) {
+        menuItems.push({
+          label: node.collapsed ? '⊕ Expand Subtree' : '⊖ Collapse Subtree',
+          action: () => this._run('node.setCollapsed', { nodeId, collapsed: !node.collapsed }),
+        });
+      }
       menuItems.push({
         label: 'Disconnect All', shortcut: `${connCount}`,
-        action: () => this.connectionManager.disconnectAll(nodeId),
+        action: () => this._run('connection.disconnectAll', { nodeId }),
       });
     }
 
     menuItems.push({ type: 'divider' });
     menuItems.push({
       label: 'Delete', shortcut: 'Del', className: 'menu-danger',
-      action: () => {
-        this.nodeManager.deleteNode(nodeId);
-        this.bus.emit('state:changed');
-      },
+      action: () => this._run('node.delete', { nodeIds: [nodeId] }),
     });
 
     this._buildMenu(menuItems);
     this._show(x, y);
   }
 
+  /** Align / distribute / snap entries for a multi-selection containing the node */
+  _arrangeItems(nodeId) {
+    const nodeIds = [...this.nodeManager.selected];
+    if (nodeIds.length < 2 || !nodeIds.includes(nodeId)) return [];
+    return [
+      { label: `Arrange ${nodeIds.length} Nodes`, type: 'header' },
+      ...ALIGN_EDGES.map(a => ({
+        label: `${a.icon} ${a.label}`,
+        action: () => this._run('node.align', { nodeIds, edge: a.id }),
+      })),
+      ...(nodeIds.length >= 3 ? DISTRIBUTE_AXES.map(d => ({
+        label: `${d.icon} ${d.label}`,
+        action: () => this._run('node.distribute', { nodeIds, axis: d.id }),
+      })) : []),
+      { label: '▦ Snap to Grid', action: () => this._run('node.snapToGrid', { nodeIds }) },
+      { type: 'divider' },
+    ];
+  }
+
   // ─── Connection Menu ─────────────────────────────────────────────────
 
   _showConnectionMenu(x, y, connId) {
@@ -211,35 +293,116 @@ export class ContextMenu {
       { label: 'Connection', type: 'title' },
     ];
 
+    // Quick fixes — this wire closes a dependency cycle
+    if (this.connectionManager.isInCycle(connId)) {
+      menuItems.push({ label: '⚠ Dependency Cycle', type: 'header' });
+      menuItems.push({ label: '↔ Reverse to Break Cycle', action: () => this._run('connection.reverse', { connId }) });
+      ['relates-to', 'link'].forEach(id => {
+        const t = getConnectionType(id);
+        menuItems.push({
+          label: `${t.icon} Change to "${t.label}"`,
+          action: () => this._run('connection.setType', { connId, type: id }),
+        });
+      });
+      menuItems.push({ type: 'divider' });
+    }
+
+    const setArrow = (directed) => () => this._run('connection.setArrow', { connId, directed });
+
     if (state === 'none') {
-      menuItems.push({ label: '→ Add Arrow',         action: () => this.connectionManager.setArrow(connId, 'forward') });
-      menuItems.push({ label: '⇆ Add Bidirectional', action: () => this.connectionManager.setArrow(connId, 'both') });
+      menuItems.push({ label: '→ Add Arrow',         action: setArrow('forward') });
+      menuItems.push({ label: '⇆ Add Bidirectional', action: setArrow('both') });
     } else if (state === 'forward') {
-      menuItems.push({ label: '⇆ Make Bidirectional', action: () => this.connectionManager.setArrow(connId, 'both') });
-      menuItems.push({ label: '↔ Reverse Direction', action: () => {
-        const { sourceId, sourcePort, targetId, targetPort, directed } = conn;
-        this.connectionManager.deleteConnection(connId);
-        this.connectionManager.createConnection(targetId, targetPort, sourceId, sourcePort, { directed });
-      }});
-      menuItems.push({ label: '✕ Remove Arrow', action: () => this.connectionManager.setArrow(connId, 'none') });
+      menuItems.push({ label: '⇆ Make Bidirectional', action: setArrow('both') });
+      menuItems.push({ label: '↔ Reverse Direction', action: () => this._run('connection.reverse', { connId }) });
+      menuItems.push({ label: '✕ Remove Arrow', action: setArrow('none') });
     } else if (state === 'both') {
-      menuItems.push({ label: '→ Make One-way',   action: () => this.connectionManager.setArrow(connId, 'forward') });
-      menuItems.push({ label: '✕ Remove Arrows', action: () => this.connectionManager.setArrow(connId, 'none') });
+      menuItems.push({ label: '→ Make One-way',   action: setArrow('forward') });
+      menuItems.push({ label: '✕ Remove Arrows', action: setArrow('none') });
     }
 
+    // Relationship — dependency types read source → target, so give them an arrow
     menuItems.push({ type: 'divider' });
+    menuItems.push({ label: 'Relationship', type: 'header' });
+    CONNECTION_TYPES.forEach(t => menuItems.push({
+      label: `${t.icon} ${t.label}`,
+      className: conn.type === t.id ? 'menu-active' : '',
+      action: () => {
+        this._run('connection.setType', { connId, type: t.id });
+        if (t.order && conn.directed === 'none') this._run('connection.setArrow', { connId, directed: 'forward' });
+      },
+    }));
     menuItems.push({
-      label: 'Delete Connection', shortcut: 'Del', className: 'menu-danger',
+      label: conn.label ? '✎ Edit Label…' : '✎ Add Label…',
       action: () => {
-        this.connectionManager.deleteConnection(connId);
-        this.bus.emit('state:changed');
+        const fallback = getConnectionType(conn.type).wireLabel;
+        const label = prompt(fallback ? `Connection label (leave empty for "${fallback}"):` : 'Connection label:', conn.label);
+        if (label !== null) this._run('connection.setLabel', { connId, label });
       },
     });
 
+    // Routing — bend points are dragged on the selected wire
+    menuItems.push({ type: 'divider' });
+    menuItems.push({ label: 'Routing', type: 'header' });
+    CONNECTION_ROUTINGS.forEach(r => menuItems.push({
+      label: `${r.icon} ${r.label}`,
+      className: conn.routing === r.id ? 'menu-active' : '',
+      action: () => this._run('connection.setRouting', { connId, routing: r.id }),
+    }));
+    if (conn.waypoints.length > 0) {
+      menuItems.push({
+        label: `✕ Clear Bend Points (${conn.waypoints.length})`,
+        action: () => this._run('connection.setWaypoints', { connId, waypoints: [] }),
+      });
+    }
+
+    menuItems.push({ type: 'divider' });
+    menuItems.push({
+      label: 'Delete Connection', shortcut: 'Del', className: 'menu-danger',
+      action: () => this._run('connection.delete', { connId }),
+    });
+
     this._buildMenu(menuItems);
     this._show(x, y);
   }
 
+  // ─── Frame Menu ──────────────────────────────────────────────────────
+
+  _showFrameMenu(x, y, frameId) {
+    const frame = this.frameManager.frames.get(frameId);
+    if (!frame) return;
+
+    this.frameManager.select(frameId);
+    const memberCount = this.nodeManager.model.getFrameMemberIds(frameId, true).length;
+
+    this._buildMenu([
+      { label: frame.label || 'Frame', type: 'title' },
+      { label: 'Rename', shortcut: 'Dbl-Click', action: () => this.frameManager.rename(frameId) },
+      { type: 'divider' },
+
+      { label: 'Color', type: 'header' },
+      ...FRAME_COLORS.map(color => ({
+        label: color,
+        swatch: color,
+        className: frame.color === color ? 'menu-active' : '',
+        action: () => this._run('frame.setColor', { frameId, color }),
+      })),
+      { type: 'divider' },
+
+      {
+        label: 'Delete Frame', shortcut: memberCount ? `keeps ${memberCount}` : 'Del',
+        className: 'menu-danger',
+        action: () => this._run('frame.delete', { frameId }),
+      },
+    ]);
+    this._show(x, y);
+  }
+
+  /** Dispatch a canvas command for a menu action */
+  _run(type, payload) {
+    return this.commands.dispatch({ type, payload });
+  }
+
   // ─── Build Menu DOM ──────────────────────────────────────────────────
 
   _buildMenu(items) {
@@ -292,7 +455,10 @@ export class ContextMenu {
     }
 
     // ─── Normal clickable item ───
-    li.innerHTML = `<span>${escapeHtml(item.label)}</span>${item.shortcut ? `<span class="shortcut">${escapeHtml(item.shortcut)}</span>` : ''}`;
+    const swatch = item.swatch
+      ? `<span class="menu-swatch" style="background:${escapeHtml(item.swatch)}"></span>`
+      : '';
+    li.innerHTML = `<span>${swatch}${escapeHtml(item.label)}</span>${item.shortcut ? `<span class="shortcut">${escapeHtml(item.shortcut)}</span>` : ''}`;
     if (item.className) li.classList.add(item.className);
 
     li.addEventListener('click', () => {
@@ -370,7 +536,8 @@ export class ContextMenu {
         li.innerHTML = `<span>${escapeHtml(t.icon + ' ' + t.label)}</span>`;
         li.addEventListener('click', () => {
           this.hide();
-          this.nodeManager.createNode(this._clickWorld.x - 70, this._clickWorld.y - 20, {
+          this._run('node.create', {
+            x: this._clickWorld.x - 70, y: this._clickWorld.y - 20,
             commerceType: t.id,
             text: t.label,
             shape: 'rounded',
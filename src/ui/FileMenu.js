@@ -2,15 +2,19 @@
  * FileMenu — Dropdown file menu in the toolbar
  *
  * Provides: New, Open, Save, Save As, Export (PNG/JSON/SVG),
- * Import Reference File. Keyboard shortcuts included.
+ * Import Reference File, Node Types, Property Fields, Keyboard Shortcuts,
+ * Record / Replay Macro. Shortcut labels come from the Keymap, which also
+ * handles the keys.
  */
 
 export class FileMenu {
   /**
    * @param {import('../storage/FileManager.js').FileManager} fileManager
+   * @param {import('../commands/Keymap.js').Keymap} [keymap] — for shortcut labels
    */
-  constructor(fileManager) {
+  constructor(fileManager, keymap = null) {
     this.fm = fileManager;
+    this.keymap = keymap;
     this.isOpen = false;
 
     this.btn = document.getElementById('btn-file-menu');
@@ -25,6 +29,7 @@ export class FileMenu {
   }
 
   show() {
+    this._buildMenu(); // macro item label reflects recording state
     this.menu.classList.add('open');
     this.btn.classList.add('active');
     this.isOpen = true;
@@ -39,20 +44,30 @@ export class FileMenu {
   // ── Private ────────────────────────
 
   _buildMenu() {
+    const key = (actionId) => this.keymap?.label(actionId) || '';
     const items = [
-      { label: 'New Project',           shortcut: 'Ctrl+N',        icon: '📄', action: () => this.fm.newProject() },
+      { label: 'New Project',           shortcut: key('file.new'),    icon: '📄', action: () => this.fm.newProject() },
       { type: 'divider' },
-      { label: 'Open File…',            shortcut: 'Ctrl+O',        icon: '📂', action: () => this.fm.openFile() },
+      { label: 'Open File…',            shortcut: key('file.open'),   icon: '📂', action: () => this.fm.openFile() },
       { type: 'divider' },
-      { label: 'Save',                  shortcut: 'Ctrl+S',        icon: '💾', action: () => this.fm.save() },
-      { label: 'Save As…',             shortcut: 'Ctrl+Shift+S',  icon: '📥', action: () => this.fm.saveAs() },
+      { label: 'Save',                  shortcut: key('file.save'),   icon: '💾', action: () => this.fm.save() },
+      { label: 'Save As…',             shortcut: key('file.saveAs'), icon: '📥', action: () => this.fm.saveAs() },
       { type: 'divider' },
       { label: 'Export', type: 'header' },
-      { label: 'Export as PNG',         shortcut: '',              icon: '🖼️', action: () => this.fm.exportPNG() },
-      { label: 'Export as JSON',        shortcut: '',              icon: '{ }', action: () => this.fm.exportJSON() },
-      { label: 'Export as SVG',         shortcut: '',              icon: '◇',  action: () => this.fm.exportSVG() },
+      { label: 'Export as PNG',         shortcut: key('file.exportPNG'),  icon: '🖼️', action: () => this.fm.exportPNG() },
+      { label: 'Export as JSON',        shortcut: key('file.exportJSON'), icon: '{ }', action: () => this.fm.exportJSON() },
+      { label: 'Export as SVG',         shortcut: key('file.exportSVG'),  icon: '◇',  action: () => this.fm.exportSVG() },
       { type: 'divider' },
-      { label: 'Import Reference…',    shortcut: '',              icon: '📎', action: () => this.fm.importReference() },
+      { label: 'Import Reference…',    shortcut: key('file.import'),         icon: '📎', action: () => this.fm.importReference() },
+      { label: 'Node Types…',          shortcut: key('project.nodeTypes'),   icon: '🏷️', action: () => this.fm.bus?.emit('nodetypes:manage-request') },
+      { label: 'Property Fields…',     shortcut: key('project.properties'),  icon: '🗂️', action: () => this.fm.bus?.emit('properties:manage-request') },
+      { label: 'Keyboard Shortcuts…',  shortcut: key('project.keybindings'), icon: '⌨️', action: () => this.fm.bus?.emit('keybindings:manage-request') },
+      { type: 'divider' },
+      { label: 'Macros', type: 'header' },
+      this.fm.isRecordingMacro
+        ? { label: 'Stop & Save Macro',  shortcut: key('file.recordMacro'), icon: '⏹', action: () => this.fm.toggleMacroRecording() }
+        : { label: 'Record Macro…',      shortcut: key('file.recordMacro'), icon: '⏺', action: () => this.fm.toggleMacroRecording() },
+      { label: 'Replay Macro…',         shortcut: key('file.replayMacro'), icon: '▶', action: () => this.fm.replayMacroFile() },
     ];
 
     this.menu.innerHTML = '';
@@ -107,31 +122,5 @@ export class FileMenu {
         this.hide();
       }
     });
-
-    // Keyboard shortcuts
-    window.addEventListener('keydown', (e) => {
-      // Ignore when editing text
-      if (document.activeElement?.isContentEditable ||
-          document.activeElement?.tagName === 'TEXTAREA' ||
-          document.activeElement?.tagName === 'INPUT') return;
-
-      // Ctrl+N → New
-      if (e.ctrlKey && !e.shiftKey && e.key === 'n') {
-        e.preventDefault();
-        this.fm.newProject();
-      }
-
-      // Ctrl+O → Open
-      if (e.ctrlKey && !e.shiftKey && e.key === 'o') {
-        e.preventDefault();
-        this.fm.openFile();
-      }
-
-      // Ctrl+Shift+S → Save As
-      if (e.ctrlKey && e.shiftKey && e.key === 'S') {
-        e.preventDefault();
-        this.fm.saveAs();
-      }
-    });
   }
 }
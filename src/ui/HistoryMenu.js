@@ -0,0 +1,111 @@
+/**
+ * HistoryMenu — Dropdown of labeled undo steps next to Undo / Redo.
+ *
+ * Lists History.list() newest first, below an "Opened" entry for the state
+ * before the first step. The current step is marked and undone steps are
+ * dimmed; clicking any entry jumps there in one go (undoing or redoing every
+ * step in between).
+ */
+
+import { escapeHtml } from '../core/Sanitize.js';
+
+export class HistoryMenu {
+  /**
+   * @param {import('../core/EventBus.js').EventBus} bus
+   * @param {import('../core/History.js').History} history
+   * @param {(index: number) => void} onJump — applies a jump to list() index (-1 = before the first step)
+   */
+  constructor(bus, history, onJump) {
+    this.bus = bus;
+    this.history = history;
+    this.onJump = onJump;
+    this.isOpen = false;
+
+    this.btn = document.getElementById('btn-history');
+    this.menu = document.getElementById('history-menu-dropdown');
+    if (!this.btn || !this.menu) return;
+
+    this._bind();
+  }
+
+  toggle() {
+    this.isOpen ? this.hide() : this.show();
+  }
+
+  show() {
+    if (!this.menu) return;
+    this._buildMenu();
+    this.menu.classList.add('open');
+    this.btn.classList.add('active');
+    this.isOpen = true;
+  }
+
+  hide() {
+    if (!this.menu) return;
+    this.menu.classList.remove('open');
+    this.btn.classList.remove('active');
+    this.isOpen = false;
+  }
+
+  // ── Private ────────────────────────
+
+  _buildMenu() {
+    const steps = this.history.list();
+    const atStart = steps.every(s => s.undone);
+
+    this.menu.innerHTML = `<div class="file-menu-header">History</div>`;
+    if (steps.length === 0) {
+      this.menu.insertAdjacentHTML('beforeend', '<div class="history-menu-empty">No changes yet</div>');
+      return;
+    }
+
+    [...steps].reverse().forEach(step => this._addItem(step.index, step.label, step));
+    this._addItem(-1, 'Opened', { current: atStart, undone: false });
+  }
+
+  _addItem(index, label, { current, undone, timestamp }) {
+    const div = document.createElement('div');
+    div.className = 'file-menu-item history-menu-item';
+    div.classList.toggle('current', current);
+    div.classList.toggle('undone', undone);
+    div.innerHTML = `
+      <span class="file-menu-icon">${current ? '●' : ''}</span>
+      <span class="file-menu-label">${escapeHtml(label)}</span>
+      ${timestamp ? `<span class="file-menu-shortcut">${formatTime(timestamp)}</span>` : ''}
+    `;
+    div.addEventListener('click', () => {
+      this.hide();
+      if (!current) this.onJump(index);
+    });
+    this.menu.appendChild(div);
+  }
+
+  _bind() {
+    this.btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.toggle();
+    });
+
+    // Keep an open list in step with undo / redo made meanwhile
+    this.bus.on('history:changed', ({ canUndo, canRedo }) => {
+      this.btn.disabled = !canUndo && !canRedo;
+      if (this.isOpen) this._buildMenu();
+    });
+
+    document.addEventListener('click', (e) => {
+      if (this.isOpen && !this.menu.contains(e.target) && !this.btn.contains(e.target)) {
+        this.hide();
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen) {
+        this.hide();
+      }
+    });
+  }
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
@@ -21,11 +21,13 @@ export class IdeaInputModal {
    * @param {import('../core/EventBus.js').EventBus} bus
    * @param {import('../nodes/NodeManager.js').NodeManager} nodeManager
    * @param {import('../connections/ConnectionManager.js').ConnectionManager} connectionManager
+   * @param {import('../commands/CommandDispatcher.js').CommandDispatcher} commands
    */
-  constructor(bus, nodeManager, connectionManager) {
+  constructor(bus, nodeManager, connectionManager, commands) {
     this.bus = bus;
     this.nodeManager = nodeManager;
     this.connectionManager = connectionManager;
+    this.commands = commands;
     this._generating = false;
 
     this._createDOM();
@@ -294,15 +296,17 @@ export class IdeaInputModal {
     const nodeIds = [];
 
     positionedNodes.forEach(n => {
-      const node = this.nodeManager.createNode(
-        Math.round(n.x - 70), // offset to center the node
-        Math.round(n.y - 20),
-        { text: n.text }
-      );
-
-      // Set Phase 3 metadata
-      if (n.type) this.nodeManager.setNodeType(node.id, n.type);
-      if (n.priority) this.nodeManager.setPriority(node.id, n.priority);
+      const node = this.commands.dispatch({
+        type: 'node.create',
+        payload: {
+          x: Math.round(n.x - 70), // offset to center the node
+          y: Math.round(n.y - 20),
+          text: n.text,
+          // Phase 3 metadata
+          ...(n.type ? { nodeType: n.type } : {}),
+          ...(n.priority ? { priority: n.priority } : {}),
+        },
+      }, { source: 'agent' });
 
       nodeIds.push(node.id);
     });
@@ -333,11 +337,15 @@ export class IdeaInputModal {
         targetPort = dy > 0 ? 'top' : 'bottom';
       }
 
-      this.connectionManager.createConnection(
-        sourceId, sourcePort,
-        targetId, targetPort,
-        { directed: conn.directed ? 'forward' : 'none' }
-      );
+      this.commands.dispatch({
+        type: 'connection.create',
+        payload: {
+          sourceId, sourcePort,
+          targetId, targetPort,
+          directed: conn.directed ? 'forward' : 'none',
+          type: conn.directed ? 'blocks' : 'link',
+        },
+      }, { source: 'agent' });
     });
   }
 
@@ -0,0 +1,187 @@
+/**
+ * KeybindingsDialog — View and rebind the keyboard shortcuts.
+ *
+ * Lists every action by group with its current keys. Clicking a key cell
+ * records the next key combo; a combo already used elsewhere moves to the
+ * new action after a confirm. Changes persist through the Keymap.
+ */
+
+import { escapeHtml } from '../core/Sanitize.js';
+import { eventToCombo } from '../commands/Keymap.js';
+
+export class KeybindingsDialog {
+  /**
+   * @param {import('../core/EventBus.js').EventBus} bus
+   * @param {import('../commands/ActionRegistry.js').ActionRegistry} actions
+   * @param {import('../commands/Keymap.js').Keymap} keymap
+   */
+  constructor(bus, actions, keymap) {
+    this.bus = bus;
+    this.actions = actions;
+    this.keymap = keymap;
+
+    /** Action whose key cell is waiting for a combo */
+    this._recording = null;
+
+    this._createDOM();
+    this._bindEvents();
+  }
+
+  get isOpen() {
+    return this.overlay.classList.contains('visible');
+  }
+
+  // ─── DOM Construction ──────────────────────────────────────────────
+
+  _createDOM() {
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'prompt-export-overlay';
+    this.overlay.innerHTML = `
+      <div class="prompt-export-modal glass-panel keybindings-modal">
+        <div class="prompt-export-header">
+          <div class="export-header-left">
+            <span class="export-icon">⌨️</span>
+            <h2 class="export-title">Keyboard Shortcuts</h2>
+          </div>
+          <button class="prompt-export-close" title="Close">✕</button>
+        </div>
+        <div class="node-types-body">
+          <input class="export-input keybindings-filter" spellcheck="false" placeholder="Filter actions…" />
+          <div class="keybindings-list"></div>
+        </div>
+        <div class="prompt-export-footer">
+          <div class="export-footer-left">
+            <span class="node-types-hint">Click a shortcut, then press the new keys. Backspace clears it, Esc cancels.</span>
+          </div>
+          <div class="export-footer-right">
+            <button class="export-btn" data-action="reset-all">Reset All</button>
+          </div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(this.overlay);
+
+    this.modal = this.overlay.querySelector('.keybindings-modal');
+    this.filterEl = this.overlay.querySelector('.keybindings-filter');
+    this.listEl = this.overlay.querySelector('.keybindings-list');
+  }
+
+  // ─── Event Binding ─────────────────────────────────────────────────
+
+  _bindEvents() {
+    this.overlay.querySelector('.prompt-export-close').addEventListener('click', () => this.hide());
+    this.overlay.addEventListener('click', (e) => {
+      if (e.target === this.overlay) this.hide();
+    });
+    this.overlay.addEventListener('keydown', (e) => {
+      e.stopPropagation(); // keep canvas shortcuts out of the dialog
+      if (this._recording) {
+        e.preventDefault();
+        this._record(e);
+      } else if (e.key === 'Escape') {
+        this.hide();
+      }
+    });
+
+    this.filterEl.addEventListener('input', () => this._render());
+
+    this.listEl.addEventListener('click', (e) => {
+      const row = e.target.closest('.keybindings-row');
+      if (!row) return;
+      const actionId = row.dataset.actionId;
+      if (e.target.closest('[data-action="reset"]')) {
+        this.keymap.reset(actionId);
+      } else if (e.target.closest('[data-action="record"]')) {
+        this._recording = actionId;
+        this._render();
+        this.listEl.querySelector('.keybindings-keys.recording')?.focus();
+      }
+    });
+    this.overlay.querySelector('[data-action="reset-all"]').addEventListener('click', () => {
+      if (confirm('Restore every default shortcut?')) this.keymap.reset();
+    });
+
+    this.bus.on('keybindings:manage-request', () => this.show());
+    this.bus.on('keymap:changed', () => { if (this.isOpen) this._render(); });
+  }
+
+  // ─── Show / Hide ───────────────────────────────────────────────────
+
+  show() {
+    this._recording = null;
+    this.filterEl.value = '';
+    this._render();
+    this.overlay.classList.add('visible');
+    requestAnimationFrame(() => this.modal.classList.add('visible'));
+  }
+
+  hide() {
+    this._recording = null;
+    this.modal.classList.remove('visible');
+    setTimeout(() => this.overlay.classList.remove('visible'), 250);
+  }
+
+  // ─── Recording ─────────────────────────────────────────────────────
+
+  _record(e) {
+    const actionId = this._recording;
+    if (e.key === 'Escape') {
+      this._recording = null;
+      this._render();
+      return;
+    }
+    if (e.key === 'Backspace' && !e.ctrlKey && !e.altKey && !e.shiftKey) {
+      this._recording = null;
+      this.keymap.setKeys(actionId, []);
+      return;
+    }
+    const combo = eventToCombo(e);
+    if (!combo) return; // wait for a non-modifier key
+
+    const owner = this.keymap.lookup(combo);
+    this._recording = null;
+    if (owner && owner.id !== actionId
+      && !confirm(`${combo} is used by "${owner.label}". Move it to "${this.actions.get(actionId).label}"?`)) {
+      this._render();
+      return;
+    }
+    this.keymap.setKeys(actionId, [combo]);
+  }
+
+  // ─── Rendering ─────────────────────────────────────────────────────
+
+  _render() {
+    const filter = this.filterEl.value.trim().toLowerCase();
+    const actions = this.actions.list().filter(a =>
+      !filter || `${a.group} ${a.label} ${this.keymap.getKeys(a.id).join(' ')}`.toLowerCase().includes(filter));
+
+    this.listEl.innerHTML = '';
+    let group = null;
+    actions.forEach(action => {
+      if (action.group !== group) {
+        group = action.group;
+        const header = document.createElement('div');
+        header.className = 'keybindings-group';
+        header.textContent = group;
+        this.listEl.appendChild(header);
+      }
+
+      const keys = this.keymap.getKeys(action.id);
+      const recording = this._recording === action.id;
+      const row = document.createElement('div');
+      row.className = 'keybindings-row';
+      row.dataset.actionId = action.id;
+      row.innerHTML = `
+        <span class="keybindings-label">${escapeHtml(action.icon || '')} ${escapeHtml(action.label)}</span>
+        ${action.hint
+          ? `<span class="keybindings-keys fixed" title="Handled by the browser"><kbd>${escapeHtml(action.hint)}</kbd></span>`
+          : `<button class="keybindings-keys${recording ? ' recording' : ''}" data-action="record">
+              ${recording ? 'Press keys…' : (keys.map(k => `<kbd>${escapeHtml(k)}</kbd>`).join(' ') || '<span class="keybindings-none">—</span>')}
+            </button>`}
+        <button class="node-type-delete" data-action="reset" title="Restore default"
+          ${this.keymap.isCustomized(action.id) ? '' : 'disabled'}>↺</button>
+      `;
+      this.listEl.appendChild(row);
+    });
+  }
+}
@@ -25,6 +25,12 @@ export class MiniMap {
     this.bus.on('node:deleted', render);
     this.bus.on('viewport:changed', render);
     this.bus.on('state:loaded', render);
+    this.bus.on('visibility:changed', render);
+    this.bus.on('tagfilter:changed', render);
+    this.bus.on('search:changed', render);
+    this.bus.on('frame:created', render);
+    this.bus.on('frame:updated', render);
+    this.bus.on('frame:deleted', render);
 
     // Click to navigate
     this.canvas.addEventListener('click', (e) => {
@@ -89,19 +95,45 @@ export class MiniMap {
     ctx.lineWidth = 1;
     // We don't have direct access to connectionManager here, so we'll skip connection rendering in minimap
 
-    // Draw nodes as dots
+    // Draw group frames as outlines behind the nodes
+    this.nodeManager.model.frames.forEach(frame => {
+      ctx.strokeStyle = frame.color;
+      ctx.globalAlpha = 0.5;
+      ctx.strokeRect(toMiniX(frame.x), toMiniY(frame.y), frame.width * scale, frame.height * scale);
+      ctx.globalAlpha = 1;
+    });
+
+    // Draw nodes as dots (nodes inside collapsed subtrees are skipped,
+    // nodes dimmed by the tag filter are faded)
     this.nodeManager.nodes.forEach(node => {
+      if (this.nodeManager.isHidden(node.id)) return;
       const nx = toMiniX(node.x);
       const ny = toMiniY(node.y);
-      const nw = Math.max(node.el.offsetWidth * scale, 4);
-      const nh = Math.max(node.el.offsetHeight * scale, 3);
+      const size = this.nodeManager.model.getNodeSize(node);
+      const nw = Math.max(size.width * scale, 4);
+      const nh = Math.max(size.height * scale, 3);
 
       ctx.fillStyle = node.color || '#00e5ff';
-      ctx.globalAlpha = 0.8;
+      ctx.globalAlpha = this.nodeManager.isDimmed(node.id) ? 0.2 : 0.8;
       ctx.fillRect(nx, ny, nw, nh);
       ctx.globalAlpha = 1;
     });
 
+    // Ring the search matches so they stand out on a crowded map
+    this.nodeManager.searchMatches.forEach(id => {
+      const node = this.nodeManager.getNode(id);
+      if (!node || this.nodeManager.isHidden(id)) return;
+      const size = this.nodeManager.model.getNodeSize(node);
+      const active = id === this.nodeManager.searchActive;
+      ctx.strokeStyle = active ? '#ffffff' : '#ffc107';
+      ctx.lineWidth = active ? 2 : 1;
+      const pad = active ? 3 : 2;
+      ctx.strokeRect(
+        toMiniX(node.x) - pad, toMiniY(node.y) - pad,
+        Math.max(size.width * scale, 4) + pad * 2, Math.max(size.height * scale, 3) + pad * 2
+      );
+    });
+
     // Draw viewport rectangle
     const containerRect = document.getElementById('canvas-container').getBoundingClientRect();
     const vpLeft = (-this.viewport.x / this.viewport.zoom);
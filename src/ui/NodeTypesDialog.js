@@ -0,0 +1,191 @@
+/**
+ * NodeTypesDialog — Manage the project's own node types.
+ *
+ * Built-in types are listed read-only; project types can be renamed,
+ * recoloured, given an icon and a meaning for the prompt glossary, and
+ * mapped to the built-in type they are planned as. Every edit runs through
+ * the nodeType.* commands so it is undoable and recordable in macros.
+ */
+
+import { NODE_TYPES } from '../model/NodeSchema.js';
+
+export class NodeTypesDialog {
+  /**
+   * @param {import('../core/EventBus.js').EventBus} bus
+   * @param {import('../nodes/NodeManager.js').NodeManager} nodeManager
+   * @param {import('../commands/CommandDispatcher.js').CommandDispatcher} commands
+   */
+  constructor(bus, nodeManager, commands) {
+    this.bus = bus;
+    this.nodeManager = nodeManager;
+    this.commands = commands;
+
+    this._createDOM();
+    this._bindEvents();
+  }
+
+  get isOpen() {
+    return this.overlay.classList.contains('visible');
+  }
+
+  // ─── DOM Construction ──────────────────────────────────────────────
+
+  _createDOM() {
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'prompt-export-overlay';
+    this.overlay.innerHTML = `
+      <div class="prompt-export-modal glass-panel node-types-modal">
+        <div class="prompt-export-header">
+          <div class="export-header-left">
+            <span class="export-icon">🏷️</span>
+            <h2 class="export-title">Node Types</h2>
+          </div>
+          <button class="prompt-export-close" title="Close">✕</button>
+        </div>
+        <div class="node-types-body">
+          <div class="node-types-columns">
+            <span>Icon</span><span>Name</span><span>Color</span><span>Meaning</span><span>Plan as</span><span></span>
+          </div>
+          <div class="node-types-list"></div>
+        </div>
+        <div class="prompt-export-footer">
+          <div class="export-footer-left">
+            <span class="node-types-hint">Project types are saved with the file and explained to agents in the prompt.</span>
+          </div>
+          <div class="export-footer-right">
+            <button class="export-btn primary" data-action="add">＋ Add Type</button>
+          </div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(this.overlay);
+
+    this.modal = this.overlay.querySelector('.node-types-modal');
+    this.listEl = this.overlay.querySelector('.node-types-list');
+  }
+
+  // ─── Event Binding ─────────────────────────────────────────────────
+
+  _bindEvents() {
+    this.overlay.querySelector('.prompt-export-close').addEventListener('click', () => this.hide());
+    this.overlay.addEventListener('click', (e) => {
+      if (e.target === this.overlay) this.hide();
+    });
+    this.overlay.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.hide();
+      e.stopPropagation(); // keep canvas shortcuts out of the fields
+    });
+
+    this.overlay.querySelector('[data-action="add"]').addEventListener('click', () => this._addType());
+
+    // Fields commit on change (blur / enter / pick), one command each
+    this.listEl.addEventListener('change', (e) => {
+      const field = e.target.dataset.field;
+      const typeId = e.target.closest('.node-type-row')?.dataset.typeId;
+      if (!field || !typeId) return;
+      let value = e.target.value.trim();
+      if (field === 'label' && !value) value = 'Custom Type';
+      this.commands.dispatch({ type: 'nodeType.update', payload: { typeId, [field]: value } });
+    });
+
+    this.listEl.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-action="delete"]');
+      if (btn) this._deleteType(btn.closest('.node-type-row').dataset.typeId);
+    });
+
+    this.bus.on('nodetypes:manage-request', () => this.show());
+    this.bus.on('nodetypes:changed', () => { if (this.isOpen) this._render(); });
+    this.bus.on('state:loaded', () => { if (this.isOpen) this._render(); });
+  }
+
+  // ─── Show / Hide ───────────────────────────────────────────────────
+
+  show() {
+    this._render();
+    this.overlay.classList.add('visible');
+    requestAnimationFrame(() => this.modal.classList.add('visible'));
+  }
+
+  hide() {
+    this.modal.classList.remove('visible');
+    setTimeout(() => this.overlay.classList.remove('visible'), 250);
+  }
+
+  // ─── Actions ───────────────────────────────────────────────────────
+
+  _addType() {
+    const type = this.commands.dispatch({ type: 'nodeType.define', payload: { label: 'New Type' } });
+    if (!type) return;
+    const input = this.listEl.querySelector(`[data-type-id="${type.id}"] [data-field="label"]`);
+    input?.focus();
+    input?.select();
+  }
+
+  _deleteType(typeId) {
+    const type = this.nodeManager.getNodeTypes().find(t => t.id === typeId);
+    if (!type) return;
+    const inUse = this._usage().get(typeId) || 0;
+    if (inUse > 0 && !confirm(`${inUse} node(s) use "${type.label}". Delete the type and make them General?`)) return;
+    this.commands.dispatch({ type: 'nodeType.delete', payload: { typeId } });
+  }
+
+  // ─── Rendering ─────────────────────────────────────────────────────
+
+  _usage() {
+    const counts = new Map();
+    this.nodeManager.nodes.forEach(n => counts.set(n.nodeType, (counts.get(n.nodeType) || 0) + 1));
+    return counts;
+  }
+
+  _render() {
+    const usage = this._usage();
+    this.listEl.innerHTML = '';
+    this.nodeManager.getNodeTypes().forEach(type => {
+      this.listEl.appendChild(type.custom
+        ? this._customRow(type, usage.get(type.id) || 0)
+        : this._builtInRow(type, usage.get(type.id) || 0));
+    });
+  }
+
+  _builtInRow(type, count) {
+    const row = document.createElement('div');
+    row.className = 'node-type-row built-in';
+    row.innerHTML = `
+      <span class="node-type-icon"></span>
+      <span class="node-type-label"></span>
+      <span class="node-type-color"></span>
+      <span class="node-type-meaning"></span>
+      <span class="node-type-base">built-in</span>
+      <span class="node-type-count"></span>
+    `;
+    row.querySelector('.node-type-icon').textContent = type.icon;
+    row.querySelector('.node-type-label').textContent = type.label;
+    row.querySelector('.node-type-color').style.background = type.color;
+    row.querySelector('.node-type-meaning').textContent = type.meaning;
+    row.querySelector('.node-type-count').textContent = count || '';
+    return row;
+  }
+
+  _customRow(type, count) {
+    const row = document.createElement('div');
+    row.className = 'node-type-row';
+    row.dataset.typeId = type.id;
+    row.innerHTML = `
+      <input class="export-input node-type-icon" data-field="icon" maxlength="4" />
+      <input class="export-input" data-field="label" maxlength="40" />
+      <input type="color" class="node-type-color-input" data-field="color" />
+      <input class="export-input" data-field="meaning" placeholder="What this type means to the team" />
+      <select class="export-input" data-field="base">
+        ${NODE_TYPES.map(t => `<option value="${t.id}">${t.icon} ${t.label}</option>`).join('')}
+      </select>
+      <button class="node-type-delete" data-action="delete" title="Delete type">🗑</button>
+    `;
+    row.querySelector('[data-field="icon"]').value = type.icon;
+    row.querySelector('[data-field="label"]').value = type.label;
+    row.querySelector('[data-field="color"]').value = type.color;
+    row.querySelector('[data-field="meaning"]').value = type.meaning;
+    row.querySelector('[data-field="base"]').value = type.base;
+    if (count > 0) row.querySelector('.node-type-delete').title = `Delete type (used by ${count} node(s))`;
+    return row;
+  }
+}
@@ -0,0 +1,203 @@
+/**
+ * NotesDrawer — Left-side drawer for editing a node's markdown notes body.
+ *
+ * Write / Preview tabs over a single textarea. Typing only touches the
+ * drawer; the body is committed as one `node.setBody` command when the
+ * textarea loses focus, the drawer closes, or another node is opened — so
+ * a whole editing session is a single undo step.
+ */
+
+import { renderMarkdown, countChecklist } from '../core/Markdown.js';
+
+const PLACEHOLDER = `Detailed spec for this node — markdown supported:
+
+## Acceptance criteria
+- [ ] Users can sign in with email
+- [ ] Sessions expire after 24h
+
+\`\`\`js
+// code blocks, **bold**, [links](https://example.com)
+\`\`\``;
+
+export class NotesDrawer {
+  /**
+   * @param {import('../core/EventBus.js').EventBus} bus
+   * @param {import('../nodes/NodeManager.js').NodeManager} nodeManager
+   * @param {import('../commands/CommandDispatcher.js').CommandDispatcher} commands
+   */
+  constructor(bus, nodeManager, commands) {
+    this.bus = bus;
+    this.nodeManager = nodeManager;
+    this.commands = commands;
+
+    this._nodeId = null;
+    this._tab = 'write';
+
+    this._createDOM();
+    this._bindEvents();
+  }
+
+  /** Node whose notes are open, or null */
+  get nodeId() {
+    return this._nodeId;
+  }
+
+  get isOpen() {
+    return this.el.classList.contains('open');
+  }
+
+  // ─── DOM Construction ──────────────────────────────────────────────
+
+  _createDOM() {
+    this.el = document.createElement('aside');
+    this.el.className = 'notes-drawer';
+    this.el.innerHTML = `
+      <div class="notes-drawer-header">
+        <div class="notes-drawer-title">
+          <span class="notes-drawer-icon">📝</span>
+          <span class="notes-drawer-node"></span>
+        </div>
+        <button class="notes-drawer-close" title="Close (Esc)">✕</button>
+      </div>
+      <div class="notes-drawer-tabs">
+        <button class="notes-tab active" data-tab="write">Write</button>
+        <button class="notes-tab" data-tab="preview">Preview</button>
+        <span class="notes-drawer-progress"></span>
+      </div>
+      <textarea class="notes-drawer-input" spellcheck="true"></textarea>
+      <div class="notes-drawer-preview md-body" style="display: none"></div>
+      <div class="notes-drawer-footer">
+        <span class="notes-drawer-hint">Markdown · Ctrl+Enter to save</span>
+        <button class="export-btn small" data-action="toggle-preview" title="Show the rendered notes under the node">
+          Show on canvas
+        </button>
+      </div>
+    `;
+    this.el.querySelector('.notes-drawer-input').placeholder = PLACEHOLDER;
+    document.body.appendChild(this.el);
+
+    this.titleEl = this.el.querySelector('.notes-drawer-node');
+    this.inputEl = this.el.querySelector('.notes-drawer-input');
+    this.previewEl = this.el.querySelector('.notes-drawer-preview');
+    this.progressEl = this.el.querySelector('.notes-drawer-progress');
+  }
+
+  // ─── Event Binding ─────────────────────────────────────────────────
+
+  _bindEvents() {
+    this.el.querySelector('.notes-drawer-close').addEventListener('click', () => this.close());
+
+    this.el.querySelectorAll('.notes-tab').forEach(tab => {
+      tab.addEventListener('click', () => this._showTab(tab.dataset.tab));
+    });
+
+    this.el.querySelector('[data-action="toggle-preview"]').addEventListener('click', () => {
+      this.commit();
+      if (this._nodeId) this.nodeManager.toggleNotesPreview(this._nodeId);
+    });
+
+    this.inputEl.addEventListener('input', () => this._updateProgress());
+    this.inputEl.addEventListener('blur', () => this.commit());
+    this.inputEl.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.close();
+      } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        this.commit();
+      } else if (e.key === 'Tab') {
+        // Indent instead of leaving the field — nested lists need it
+        e.preventDefault();
+        this.inputEl.setRangeText('  ', this.inputEl.selectionStart, this.inputEl.selectionEnd, 'end');
+      }
+      e.stopPropagation(); // keep global shortcuts out of the editor
+    });
+
+    this.bus.on('notes:edit-request', ({ nodeId }) => this.open(nodeId));
+
+    // Follow the selection while open
+    this.bus.on('selection:changed', (ids) => {
+      if (this.isOpen && ids?.length === 1 && ids[0] !== this._nodeId) this.open(ids[0]);
+    });
+
+    this.bus.on('node:deleted', ({ id }) => {
+      if (id === this._nodeId) this._hide();
+    });
+
+    // Undo/redo or a loaded file may have replaced the body under us
+    const sync = () => {
+      if (!this._nodeId) return;
+      const node = this.nodeManager.getNode(this._nodeId);
+      if (!node) this._hide();
+      else if (document.activeElement !== this.inputEl) this._load(node);
+    };
+    this.bus.on('node:updated', (node) => { if (node.id === this._nodeId) sync(); });
+    this.bus.on('state:loaded', sync);
+  }
+
+  // ─── Open / Close ──────────────────────────────────────────────────
+
+  open(nodeId) {
+    const node = this.nodeManager.getNode(nodeId);
+    if (!node) return;
+    if (this._nodeId && this._nodeId !== nodeId) this.commit();
+
+    this._nodeId = nodeId;
+    this._load(node);
+    this.el.classList.add('open');
+    this._showTab(node.body ? this._tab : 'write');
+    if (this._tab === 'write') this.inputEl.focus();
+  }
+
+  close() {
+    this.commit();
+    this._hide();
+  }
+
+  _hide() {
+    this.el.classList.remove('open');
+    this._nodeId = null;
+  }
+
+  /** Write the drawer contents back to the node as one undoable step */
+  commit() {
+    const node = this._nodeId ? this.nodeManager.getNode(this._nodeId) : null;
+    if (!node) return;
+    const body = this.inputEl.value.replace(/\s+$/, '');
+    if (body === (node.body || '')) return;
+    this.commands.dispatch({ type: 'node.setBody', payload: { nodeId: node.id, body } });
+  }
+
+  // ─── Rendering ─────────────────────────────────────────────────────
+
+  _load(node) {
+    const label = node.text || 'Untitled node';
+    this.titleEl.textContent = label.length > 40 ? label.slice(0, 38) + '…' : label;
+    this.inputEl.value = node.body || '';
+    this._updateProgress();
+    if (this._tab === 'preview') this._renderPreview();
+  }
+
+  _showTab(tab) {
+    this._tab = tab;
+    this.el.querySelectorAll('.notes-tab').forEach(t => {
+      t.classList.toggle('active', t.dataset.tab === tab);
+    });
+    const writing = tab === 'write';
+    this.inputEl.style.display = writing ? '' : 'none';
+    this.previewEl.style.display = writing ? 'none' : '';
+    if (!writing) this._renderPreview();
+  }
+
+  _renderPreview() {
+    const body = this.inputEl.value;
+    this.previewEl.innerHTML = body.trim()
+      ? renderMarkdown(body)
+      : '<p class="notes-drawer-empty">No notes yet.</p>';
+  }
+
+  _updateProgress() {
+    const { done, total } = countChecklist(this.inputEl.value);
+    this.progressEl.textContent = total > 0 ? `☑ ${done}/${total}` : '';
+  }
+}
@@ -0,0 +1,248 @@
+/**
+ * PresentationMode — Walks an audience through the map one node at a time.
+ *
+ * The tour follows one of three orders:
+ *  • plan      — the execution order serializeMindMap sorts from the
+ *                dependency wires
+ *  • phase     — by phase (unphased nodes last), plan order within a phase
+ *  • selection — the selected nodes, in the order they were picked
+ *                (Shift+click them one by one)
+ *
+ * Each step glides the viewport to the node (Viewport.animateTo), marks it
+ * current, and shows its notes body as speaker notes in a card at the
+ * bottom. The rest of the UI is hidden while presenting (body.presenting)
+ * and the window goes full screen where the browser allows it.
+ *
+ * Keys: → / Space / PageDown next, ← / PageUp previous, Home / End, N shows
+ * or hides the notes, Esc ends. Clicking a node in the tour jumps to it.
+ */
+
+import { escapeHtml } from '../core/Sanitize.js';
+import { renderMarkdown } from '../core/Markdown.js';
+
+const STEP_DURATION = 600;   // ms per glide
+const STEP_FILL = 0.35;      // share of the canvas width the current node spans
+const MIN_STEP_ZOOM = 0.6;
+const MAX_STEP_ZOOM = 1.6;
+
+/** What each key does while presenting */
+const STEP_KEYS = {
+  ArrowRight: 'next', ' ': 'next', PageDown: 'next', Enter: 'next',
+  ArrowLeft: 'prev', PageUp: 'prev', Backspace: 'prev',
+  Home: 'first', End: 'last',
+  n: 'notes', N: 'notes',
+  Escape: 'stop',
+};
+
+export class PresentationMode {
+  /**
+   * @param {import('../core/EventBus.js').EventBus} bus
+   * @param {import('../nodes/NodeManager.js').NodeManager} nodeManager
+   * @param {import('../viewport/Viewport.js').Viewport} viewport
+   * @param {{plan: () => import('../export/MindMapSerializer.js').SerializedMindMap}} opts
+   *   plan — serializeMindMap of the map level on screen
+   */
+  constructor(bus, nodeManager, viewport, opts) {
+    this.bus = bus;
+    this.nodeManager = nodeManager;
+    this.viewport = viewport;
+    this.plan = opts.plan;
+
+    /** @type {string[]} node ids, in tour order */
+    this._steps = [];
+    this._index = -1;
+    this._currentId = null;
+    this._savedView = null;
+    this._enteredFullscreen = false;
+
+    this._createDOM();
+    this._bindEvents();
+  }
+
+  get isActive() {
+    return this._steps.length > 0;
+  }
+
+  // ─── DOM Construction ──────────────────────────────────────────────
+
+  _createDOM() {
+    this.el = document.createElement('div');
+    this.el.className = 'presentation-card glass-panel';
+    this.el.setAttribute('role', 'region');
+    this.el.setAttribute('aria-label', 'Presentation');
+    this.el.innerHTML = `
+      <div class="presentation-header">
+        <span class="presentation-step"></span>
+        <span class="presentation-title"></span>
+        <button class="presentation-btn" data-action="prev" title="Previous (←)">‹</button>
+        <button class="presentation-btn" data-action="next" title="Next (→ or Space)">›</button>
+        <button class="presentation-btn" data-action="notes" title="Show / hide notes (N)">📝</button>
+        <button class="presentation-btn" data-action="stop" title="End presentation (Esc)">✕</button>
+      </div>
+      <div class="presentation-notes md-body"></div>
+    `;
+    document.body.appendChild(this.el);
+
+    this.stepEl = this.el.querySelector('.presentation-step');
+    this.titleEl = this.el.querySelector('.presentation-title');
+    this.notesEl = this.el.querySelector('.presentation-notes');
+  }
+
+  _bindEvents() {
+    this.el.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-action]')?.dataset.action;
+      if (action) this._run(action);
+    });
+
+    // Capture phase, ahead of the keymap: the canvas shortcuts are off while presenting
+    window.addEventListener('keydown', (e) => {
+      if (!this.isActive) return;
+      e.stopImmediatePropagation();
+      const action = !e.ctrlKey && !e.metaKey && !e.altKey && STEP_KEYS[e.key];
+      if (!action) return;
+      e.preventDefault();
+      this._run(action);
+    }, true);
+
+    // Clicking a node of the tour jumps there
+    this.bus.on('selection:changed', (ids) => {
+      if (!this.isActive || ids.length !== 1) return;
+      const index = this._steps.indexOf(ids[0]);
+      if (index !== -1 && index !== this._index) this.go(index);
+    });
+
+    // A different map level (sub-map, undo past a load) ends the tour
+    this.bus.on('state:loaded', () => {
+      if (this.isActive) this.stop();
+    });
+
+    // Leaving full screen with the browser's own Esc ends it too
+    document.addEventListener('fullscreenchange', () => {
+      if (this.isActive && this._enteredFullscreen && !document.fullscreenElement) {
+        this._enteredFullscreen = false;
+        this.stop();
+      }
+    });
+  }
+
+  _run(action) {
+    switch (action) {
+      case 'next': this.go(this._index + 1); break;
+      case 'prev': this.go(this._index - 1); break;
+      case 'first': this.go(0); break;
+      case 'last': this.go(this._steps.length - 1); break;
+      case 'notes': this.el.classList.toggle('notes-hidden'); break;
+      case 'stop': this.stop(); break;
+    }
+  }
+
+  // ─── Tour ──────────────────────────────────────────────────────────
+
+  /**
+   * Start presenting.
+   * @param {'plan'|'phase'|'selection'} [order]
+   */
+  start(order = 'plan') {
+    const steps = this._order(order);
+    if (steps.length === 0) {
+      alert(order === 'selection'
+        ? 'Select the nodes to present first (Shift+click them in order).'
+        : 'There are no nodes to present.');
+      return;
+    }
+
+    if (this.isActive) this._markCurrent(null);
+    this._steps = steps;
+    this._index = -1;
+    this._savedView = this._savedView || this.viewport.getState();
+    document.body.classList.add('presenting');
+
+    this.nodeManager.deselectAll();
+    this.bus.emit('selection:changed', []);
+
+    if (!document.fullscreenElement && document.documentElement.requestFullscreen) {
+      document.documentElement.requestFullscreen()
+        .then(() => { this._enteredFullscreen = true; })
+        .catch(() => { /* not allowed here — present in the window */ });
+    }
+    this.go(0);
+  }
+
+  /** End the tour and put the view back where it was */
+  stop() {
+    if (!this.isActive) return;
+    this._markCurrent(null);
+    this._steps = [];
+    this._index = -1;
+    document.body.classList.remove('presenting');
+
+    if (this._enteredFullscreen && document.fullscreenElement) {
+      this._enteredFullscreen = false;
+      document.exitFullscreen().catch(() => {});
+    }
+    if (this._savedView) {
+      this.viewport.setState(this._savedView);
+      this.bus.emit('viewport:changed', this.viewport.getState());
+      this._savedView = null;
+    }
+  }
+
+  /** Glide to a step; out-of-range indexes stay on the first or last one */
+  go(index) {
+    // Nodes deleted mid-tour drop out of it
+    const steps = this._steps.filter(id => this.nodeManager.getNode(id));
+    if (steps.length === 0) {
+      this.stop();
+      return;
+    }
+    this._steps = steps;
+    index = Math.max(0, Math.min(this._steps.length - 1, index));
+    const node = this.nodeManager.getNode(this._steps[index]);
+    this._index = index;
+    this._markCurrent(node.id);
+    this._renderCard(node);
+
+    // Fit the node to a share of the canvas, centered above the notes card
+    const { width, height } = this.nodeManager.model.getNodeSize(node);
+    const rect = this.viewport.container.getBoundingClientRect();
+    const zoom = Math.min(MAX_STEP_ZOOM, Math.max(MIN_STEP_ZOOM, (rect.width * STEP_FILL) / width));
+    const cardHeight = this.el.classList.contains('notes-hidden') ? 0 : this.el.offsetHeight;
+    this.viewport.animateTo(
+      node.x + width / 2,
+      node.y + height / 2 + cardHeight / 2 / zoom,
+      { duration: STEP_DURATION, zoom }
+    );
+  }
+
+  /** Node ids in tour order, skipping nodes folded away under a collapsed parent */
+  _order(order) {
+    const shown = id => this.nodeManager.getNode(id) && !this.nodeManager.isHidden(id);
+    if (order === 'selection') return [...this.nodeManager.selected].filter(shown);
+
+    const ids = this.plan().executionOrder.map(n => n.id).filter(shown);
+    if (order !== 'phase') return ids;
+
+    const phaseOf = id => this.nodeManager.getNode(id).phase ?? Infinity;
+    // Array sort is stable, so plan order holds within a phase
+    return ids.sort((a, b) => phaseOf(a) - phaseOf(b));
+  }
+
+  // ─── Rendering ─────────────────────────────────────────────────────
+
+  _markCurrent(nodeId) {
+    this.nodeManager.getElement(this._currentId)?.classList.remove('presentation-current');
+    this._currentId = nodeId;
+    if (nodeId) this.nodeManager.getElement(nodeId)?.classList.add('presentation-current');
+  }
+
+  _renderCard(node) {
+    const phase = node.phase !== null && node.phase !== undefined ? ` · Phase ${node.phase}` : '';
+    this.stepEl.textContent = `${this._index + 1} / ${this._steps.length}${phase}`;
+    this.titleEl.textContent = (node.text || '').trim() || 'Untitled';
+    this.notesEl.innerHTML = node.body?.trim()
+      ? renderMarkdown(node.body)
+      : `<p class="presentation-no-notes">No notes for ${escapeHtml(this.titleEl.textContent)}.</p>`;
+    this.el.querySelector('[data-action="prev"]').disabled = this._index === 0;
+    this.el.querySelector('[data-action="next"]').disabled = this._index === this._steps.length - 1;
+  }
+}
@@ -23,15 +23,18 @@ export class PromptExportModal {
    * @param {Function} getNodes - Returns serialized nodes array
    * @param {Function} getConnections - Returns serialized connections array
    * @param {import('./WorkspaceSettingsModal.js').WorkspaceSettingsModal} [settingsModal] - Workspace settings
+   * @param {Function} [getPipelineOptions] - Returns { frames, nodeTypes } for the serializer
    */
-  constructor(bus, getNodes, getConnections, settingsModal) {
+  constructor(bus, getNodes, getConnections, settingsModal, getPipelineOptions) {
     this.bus = bus;
     this._getNodes = getNodes;
     this._getConnections = getConnections;
     this._settingsModal = settingsModal || null;
+    this._getPipelineOptions = getPipelineOptions || (() => ({}));
     this._currentPrompt = '';
     this._currentJSON = null;
     this._serializedData = null;
+    this._canvasTagFilter = '';
 
     this._createDOM();
     this._bindEvents();
@@ -60,6 +63,10 @@ export class PromptExportModal {
             <label class="export-label" for="export-project-name">Project Name</label>
             <input type="text" id="export-project-name" class="export-input" placeholder="My Awesome Project" />
           </div>
+          <div class="export-input-group">
+            <label class="export-label" for="export-tag-scope">Tag Scope <span class="label-hint">(only matching nodes)</span></label>
+            <input type="text" id="export-tag-scope" class="export-input" spellcheck="false" placeholder="#mvp and not #v2" />
+          </div>
           <div class="export-input-group full-width">
             <label class="export-label" for="export-ceo-vision">CEO Vision <span class="label-hint">(Describe your concept in 1-3 sentences)</span></label>
             <textarea id="export-ceo-vision" class="export-textarea" rows="2" placeholder="An AI-powered platform that..."></textarea>
@@ -79,6 +86,10 @@ export class PromptExportModal {
             <div class="preview-toolbar">
               <span class="preview-label">📄 Prompt Preview</span>
               <div class="preview-actions">
+                <label class="compact-toggle" title="Plan nested sub-maps in this prompt too">
+                  <input type="checkbox" id="submaps-toggle" />
+                  <span class="toggle-label">⊞ Sub-maps</span>
+                </label>
                 <label class="compact-toggle" title="Compress prompt for smaller token budgets">
                   <input type="checkbox" id="compact-mode-toggle" />
                   <span class="toggle-label">⚡ Compact</span>
@@ -153,6 +164,7 @@ export class PromptExportModal {
     const inputs = [
       this.overlay.querySelector('#export-project-name'),
       this.overlay.querySelector('#export-ceo-vision'),
+      this.overlay.querySelector('#export-tag-scope'),
     ];
     inputs.forEach(el => {
       el.addEventListener('input', () => {
@@ -161,15 +173,20 @@ export class PromptExportModal {
       });
     });
 
-    // Compact mode toggle
-    this.overlay.querySelector('#compact-mode-toggle').addEventListener('change', () => {
-      this._generate();
+    // Remember the canvas tag filter to offer it as the prompt scope
+    this.bus.on('tagfilter:changed', ({ expression }) => { this._canvasTagFilter = expression; });
+
+    // Compact mode and sub-map toggles
+    ['#compact-mode-toggle', '#submaps-toggle'].forEach(sel => {
+      this.overlay.querySelector(sel).addEventListener('change', () => this._generate());
     });
   }
 
   // ─── Public API ────────────────────────────────────────────────────
 
   show() {
+    const scopeInput = this.overlay.querySelector('#export-tag-scope');
+    if (!scopeInput.value.trim() && this._canvasTagFilter) scopeInput.value = this._canvasTagFilter;
     this.overlay.classList.add('visible');
     const modal = this.overlay.querySelector('#prompt-export-modal');
     requestAnimationFrame(() => modal.classList.add('visible'));
@@ -189,9 +206,27 @@ export class PromptExportModal {
     const connections = this._getConnections();
     const projectName = this.overlay.querySelector('#export-project-name').value.trim();
     const ceoVision = this.overlay.querySelector('#export-ceo-vision').value.trim();
-
-    // Stage 1: Serialize
-    this._serializedData = serializeMindMap(nodes, connections, { projectName, ceoVision });
+    const options = {
+      ...this._getPipelineOptions(),
+      projectName,
+      ceoVision,
+      flattenSubMaps: this.overlay.querySelector('#submaps-toggle').checked,
+    };
+
+    // Stage 1: Serialize, narrowed to the tag scope
+    // (an invalid expression keeps the whole map)
+    const scopeInput = this.overlay.querySelector('#export-tag-scope');
+    const tags = scopeInput.value.trim();
+    scopeInput.classList.remove('invalid');
+    scopeInput.title = '';
+    try {
+      this._serializedData = serializeMindMap(nodes, connections, { ...options, tags });
+    } catch (err) {
+      if (!tags) throw err;
+      scopeInput.classList.add('invalid');
+      scopeInput.title = err.message;
+      this._serializedData = serializeMindMap(nodes, connections, options);
+    }
 
     // Stage 2: Generate prompt (inject workspace settings + compact mode)
     const genOptions = {};
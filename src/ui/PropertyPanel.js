@@ -1,27 +1,98 @@
 /**
- * PropertyPanel — Side panel for editing selected node properties (text, color).
+ * PropertyPanel — Side panel for editing the selected nodes (text, notes,
+ * tags, attributes, custom property fields, color).
+ *
+ * With several nodes selected the panel edits all of them: fields whose
+ * values differ show as mixed, and a change is applied as one undo step to
+ * the selected nodes it actually changes. Label, notes and position stay
+ * single-node.
  */
+
+import {
+  PROPERTY_KINDS, NODE_SHAPES, PRIORITY_LEVELS, AGENT_ROLES, AGENT_STATUS_MAP,
+} from '../model/NodeSchema.js';
+import { formatTag, normalizeTags } from '../model/TagQuery.js';
+
+const MIXED = 'Mixed';
+
+/** Attribute selects, each backed by a per-node setter command (appliesTo limits which nodes it edits) */
+const ATTRIBUTES = [
+  {
+    id: 'shape', label: 'Shape', type: 'node.setShape', key: 'shape', read: n => n.shape,
+    options: () => NODE_SHAPES.map(s => ({ value: s.id, label: `${s.icon} ${s.label}` })),
+  },
+  {
+    id: 'nodeType', label: 'Type', type: 'node.setType', key: 'nodeType', read: n => n.nodeType,
+    options: (nodeManager) => nodeManager.getNodeTypes().map(t => ({ value: t.id, label: `${t.icon} ${t.label}` })),
+  },
+  {
+    id: 'priority', label: 'Priority', type: 'node.setPriority', key: 'priority', read: n => n.priority,
+    options: () => PRIORITY_LEVELS.map(p => ({ value: p.id, label: `${p.icon} ${p.label}` })),
+  },
+  {
+    id: 'phase', label: 'Phase', type: 'node.setPhase', key: 'phase', read: n => n.phase ?? '',
+    parse: (v) => (v === '' ? null : Math.max(0, Math.round(Number(v)))),
+  },
+  {
+    id: 'agent', label: 'Agent', type: 'node.setAgent', key: 'agent', read: n => n.assignedAgent || '',
+    options: () => [{ value: '', label: '⚪ Unassigned' }, ...AGENT_ROLES.map(a => ({ value: a.id, label: `${a.icon} ${a.label}` }))],
+    parse: (v) => v || null,
+  },
+  {
+    id: 'status', label: 'Status', type: 'node.setAgentStatus', key: 'status', read: n => n.agentStatus,
+    appliesTo: n => !!n.assignedAgent,
+    options: () => Object.entries(AGENT_STATUS_MAP).map(([id, s]) => ({ value: id, label: `${s.icon} ${s.label}` })),
+  },
+];
+
 export class PropertyPanel {
-  constructor(bus, nodeManager) {
+  /**
+   * @param {import('../core/EventBus.js').EventBus} bus
+   * @param {import('../nodes/NodeManager.js').NodeManager} nodeManager
+   * @param {import('../commands/CommandDispatcher.js').CommandDispatcher} commands
+   * @param {{transaction?: (label: string, run: Function) => any}} [opts]
+   */
+  constructor(bus, nodeManager, commands, opts = {}) {
     this.bus = bus;
     this.nodeManager = nodeManager;
+    this.commands = commands;
+    this.transaction = opts.transaction || ((label, run) => run());
 
     this.panel = document.getElementById('property-panel');
+    this.titleEl = document.getElementById('prop-title');
     this.textInput = document.getElementById('prop-text');
     this.idDisplay = document.getElementById('prop-id');
     this.posDisplay = document.getElementById('prop-pos');
     this.colorPicker = document.getElementById('color-picker');
+    this.notesBtn = document.getElementById('prop-notes');
+    this.notesSummary = document.getElementById('prop-notes-summary');
+    this.tagsInput = document.getElementById('prop-tags');
+    this.attributesEl = document.getElementById('prop-attributes');
+    this.fieldsEl = document.getElementById('prop-fields');
+    this.manageFieldsBtn = document.getElementById('prop-fields-manage');
     this.closeBtn = document.getElementById('btn-close-panel');
 
-    this._currentNodeId = null;
+    /** @type {string[]} nodes the panel edits */
+    this._nodeIds = [];
+    this._syncQueued = false;
 
     this._bindEvents();
   }
 
+  /** The edited node when exactly one is selected */
+  get _currentNodeId() {
+    return this._nodeIds.length === 1 ? this._nodeIds[0] : null;
+  }
+
+  /** Selected nodes that still exist */
+  _nodes() {
+    return this._nodeIds.map(id => this.nodeManager.getNode(id)).filter(Boolean);
+  }
+
   _bindEvents() {
     this.bus.on('selection:changed', (selectedIds) => {
-      if (selectedIds.length === 1) {
-        this.show(selectedIds[0]);
+      if (selectedIds.length > 0) {
+        this.show(selectedIds);
       } else {
         this.hide();
       }
@@ -33,6 +104,52 @@ export class PropertyPanel {
       }
     });
 
+    // Bulk edits update many nodes at once; refresh the panel once per burst
+    this.bus.on('node:updated', (node) => {
+      if (!this._nodeIds.includes(node.id) || this._syncQueued) return;
+      this._syncQueued = true;
+      queueMicrotask(() => this._sync());
+    });
+
+    this.tagsInput?.addEventListener('change', () => this._applyTags());
+
+    this.attributesEl?.addEventListener('change', (e) => {
+      const attr = ATTRIBUTES.find(a => a.id === e.target.dataset.attr);
+      if (!attr || isMixedPlaceholder(e.target)) return;
+      const value = attr.parse ? attr.parse(e.target.value) : e.target.value;
+      this._apply(`Set ${attr.label.toLowerCase()}`, attr.type, (node) => {
+        if (attr.appliesTo && !attr.appliesTo(node)) return null;
+        return attributeValue(attr, node) === value ? null : { nodeId: node.id, [attr.key]: value };
+      });
+    });
+
+    this.bus.on('properties:changed', () => {
+      if (this._nodes().length) this._renderFields();
+    });
+    this.bus.on('nodetypes:changed', () => {
+      if (this._nodes().length) this._renderAttributes();
+    });
+
+    this.manageFieldsBtn?.addEventListener('click', () => this.bus.emit('properties:manage-request'));
+
+    // Custom property inputs commit on change, one command per node and field
+    this.fieldsEl?.addEventListener('change', (e) => {
+      const fieldId = e.target.dataset.fieldId;
+      if (!fieldId || this._nodes().length === 0) return;
+      const field = this.nodeManager.model.getPropertyDef(fieldId);
+      const { value } = e.target;
+      if (!isMixedPlaceholder(e.target)) {
+        this._apply(`Set ${field?.label || 'property'}`, 'node.setProperty', node =>
+          String(node.properties?.[fieldId] ?? '') === value ? null : { nodeId: node.id, fieldId, value });
+      }
+      // Show the stored (coerced) value — invalid input is cleared
+      this._syncFieldValues(true);
+    });
+
+    this.notesBtn?.addEventListener('click', () => {
+      if (this._currentNodeId) this.bus.emit('notes:edit-request', { nodeId: this._currentNodeId });
+    });
+
     this.closeBtn?.addEventListener('click', () => {
       this.hide();
       this.nodeManager.deselectAll();
@@ -44,13 +161,17 @@ export class PropertyPanel {
       const node = this.nodeManager.getNode(this._currentNodeId);
       if (node) {
         node.text = this.textInput.value;
-        node.el.querySelector('.node-text').textContent = node.text;
+        this.nodeManager.getElement(node.id).querySelector('.node-text').textContent = node.text;
         // Live DOM update only; state:changed deferred to 'change' event (CLEAN-03)
       }
     });
 
     this.textInput?.addEventListener('change', () => {
-      this.bus.emit('state:changed');
+      if (!this.nodeManager.getNode(this._currentNodeId)) return;
+      this.commands.dispatch({
+        type: 'node.setText',
+        payload: { nodeId: this._currentNodeId, text: this.textInput.value },
+      });
     });
 
     // Color picker
@@ -59,33 +180,214 @@ export class PropertyPanel {
       if (!swatch) return;
 
       const color = swatch.dataset.color;
-      const node = this.nodeManager.getNode(this._currentNodeId);
-      if (node) {
-        node.color = color;
-        node.el.querySelector('.node-color-bar').style.background = color;
-        this._updateActiveColor(color);
-        this.bus.emit('node:updated', node);
-        this.bus.emit('state:changed');
-      }
+      this._apply('Set color', 'node.setColor', node => (node.color === color ? null : { nodeId: node.id, color }));
+      this._updateActiveColor(color);
     });
   }
 
-  show(nodeId) {
-    const node = this.nodeManager.getNode(nodeId);
-    if (!node) return;
+  /**
+   * Edit one node, or several at once.
+   * @param {string|string[]} nodeIds
+   */
+  show(nodeIds) {
+    this._nodeIds = (Array.isArray(nodeIds) ? nodeIds : [nodeIds]).filter(id => this.nodeManager.getNode(id));
+    const nodes = this._nodes();
+    if (nodes.length === 0) return;
+
+    const multi = nodes.length > 1;
+    this.panel.classList.toggle('multi', multi);
+    if (this.titleEl) this.titleEl.textContent = multi ? `${nodes.length} Nodes` : 'Properties';
 
-    this._currentNodeId = nodeId;
-    this.textInput.value = node.text;
-    this.idDisplay.textContent = node.id.substring(0, 12) + '…';
-    this.posDisplay.textContent = `${Math.round(node.x)}, ${Math.round(node.y)}`;
-    this._updateActiveColor(node.color);
+    if (!multi) {
+      const node = nodes[0];
+      this.textInput.value = node.text;
+      this.idDisplay.textContent = node.id.substring(0, 12) + '…';
+      this.posDisplay.textContent = `${Math.round(node.x)}, ${Math.round(node.y)}`;
+      this._updateNotesSummary(node);
+    }
+    this._updateActiveColor(shared(nodes, n => n.color).value);
+    this._updateTags();
+    this._renderAttributes();
+    this._renderFields();
 
     this.panel.style.display = 'block';
   }
 
   hide() {
     this.panel.style.display = 'none';
-    this._currentNodeId = null;
+    this._nodeIds = [];
+  }
+
+  /** Refresh every section from the nodes (inputs being typed in are left alone) */
+  _sync() {
+    this._syncQueued = false;
+    const nodes = this._nodes();
+    if (nodes.length === 0) return;
+    if (this._currentNodeId) this._updateNotesSummary(nodes[0]);
+    if (document.activeElement !== this.tagsInput) this._updateTags();
+    this._updateActiveColor(shared(nodes, n => n.color).value);
+    this._syncAttributes();
+    this._syncFieldValues();
+  }
+
+  /**
+   * Run one setter command per selected node as a single undo step.
+   * @param {string} label
+   * @param {string} type
+   * @param {(node: object) => object|null} payloadFor - null skips a node the change leaves as it is
+   */
+  _apply(label, type, payloadFor) {
+    const payloads = this._nodes().map(payloadFor).filter(Boolean);
+    if (payloads.length === 0) return;
+    const name = payloads.length === 1 ? label : `${label} on ${payloads.length} nodes`;
+    this.transaction(name, () => {
+      payloads.forEach(payload => this.commands.dispatch({ type, payload }));
+    });
+  }
+
+  /** First line of the notes body, or a prompt to add some */
+  _updateNotesSummary(node) {
+    if (!this.notesSummary) return;
+    const firstLine = (node.body || '').split('\n').find(l => l.trim())?.replace(/^[#>\-*+\s]+/, '') || '';
+    this.notesSummary.textContent = firstLine
+      ? (firstLine.length > 28 ? firstLine.slice(0, 26) + '…' : firstLine)
+      : 'Add notes…';
+  }
+
+  // ─── Tags ──────────────────────────────────────────────────────────
+
+  /** Tags every selected node has */
+  _commonTags() {
+    const [first, ...rest] = this._nodes();
+    return (first?.tags || []).filter(tag => rest.every(n => (n.tags || []).includes(tag)));
+  }
+
+  _updateTags() {
+    if (!this.tagsInput) return;
+    const nodes = this._nodes();
+    const common = this._commonTags();
+    this.tagsInput.value = common.map(formatTag).join(' ');
+    const partial = nodes.some(n => (n.tags || []).length > common.length);
+    this.tagsInput.placeholder = partial ? 'Tags differ — add or remove shared tags' : '#mvp #mobile';
+  }
+
+  /** Add / remove the tags that changed against the shared set; other tags are kept */
+  _applyTags() {
+    const common = this._commonTags();
+    const next = normalizeTags(this.tagsInput.value);
+    const removed = common.filter(t => !next.includes(t));
+    const added = next.filter(t => !common.includes(t));
+    if (removed.length === 0 && added.length === 0) return;
+
+    this._apply('Set tags', 'node.setTags', (node) => {
+      const tags = node.tags || [];
+      const kept = tags.filter(t => !removed.includes(t));
+      const fresh = added.filter(t => !tags.includes(t));
+      if (kept.length === tags.length && fresh.length === 0) return null;
+      return { nodeId: node.id, tags: [...kept, ...fresh] };
+    });
+    this._updateTags();
+  }
+
+  // ─── Attributes ────────────────────────────────────────────────────
+
+  _renderAttributes() {
+    if (!this.attributesEl) return;
+    this.attributesEl.innerHTML = '';
+    ATTRIBUTES.forEach(attr => {
+      const row = document.createElement('label');
+      row.className = 'panel-field';
+      const name = document.createElement('span');
+      name.className = 'panel-field-name';
+      name.textContent = attr.label;
+
+      let input;
+      if (attr.options) {
+        input = document.createElement('select');
+        attr.options(this.nodeManager).forEach(o => input.add(new Option(o.label, o.value)));
+      } else {
+        input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.placeholder = '—';
+      }
+      input.className = 'panel-input panel-field-input';
+      input.dataset.attr = attr.id;
+      row.append(name, input);
+      this.attributesEl.appendChild(row);
+    });
+    this._syncAttributes();
+  }
+
+  _syncAttributes() {
+    if (!this.attributesEl) return;
+    const nodes = this._nodes();
+    this.attributesEl.querySelectorAll('[data-attr]').forEach(input => {
+      const attr = ATTRIBUTES.find(a => a.id === input.dataset.attr);
+      input.disabled = !!attr.appliesTo && !nodes.some(attr.appliesTo);
+      if (input === document.activeElement) return;
+      const { value, mixed } = shared(nodes, attr.read);
+      setInputValue(input, mixed ? null : value);
+    });
+  }
+
+  // ─── Custom Properties ─────────────────────────────────────────────
+
+  _renderFields() {
+    if (!this.fieldsEl) return;
+    const schema = this.nodeManager.getPropertySchema();
+    this.fieldsEl.innerHTML = '';
+
+    if (schema.length === 0) {
+      const empty = document.createElement('button');
+      empty.className = 'panel-fields-empty';
+      empty.textContent = '＋ Add a field (estimate, owner, due date…)';
+      empty.addEventListener('click', () => this.bus.emit('properties:manage-request'));
+      this.fieldsEl.appendChild(empty);
+      return;
+    }
+
+    schema.forEach(field => {
+      const row = document.createElement('label');
+      row.className = 'panel-field';
+      const name = document.createElement('span');
+      name.className = 'panel-field-name';
+      name.textContent = `${PROPERTY_KINDS.find(k => k.id === field.kind).icon} ${field.label}`;
+      row.append(name, this._fieldInput(field));
+      this.fieldsEl.appendChild(row);
+    });
+    this._syncFieldValues(true);
+  }
+
+  _fieldInput(field) {
+    let input;
+    if (field.kind === 'enum') {
+      input = document.createElement('select');
+      input.add(new Option('—', ''));
+      field.options.forEach(o => input.add(new Option(o, o)));
+    } else if (field.kind === 'text') {
+      input = document.createElement('textarea');
+      input.rows = 1;
+    } else {
+      input = document.createElement('input');
+      input.type = field.kind;
+      if (field.kind === 'url') input.placeholder = 'https://…';
+      if (field.kind === 'number') input.step = 'any';
+    }
+    input.className = 'panel-input panel-field-input';
+    input.dataset.fieldId = field.id;
+    return input;
+  }
+
+  /** Refresh input values from the nodes (the focused input is left alone unless forced) */
+  _syncFieldValues(force = false) {
+    if (!this.fieldsEl) return;
+    const nodes = this._nodes();
+    this.fieldsEl.querySelectorAll('[data-field-id]').forEach(input => {
+      if (!force && input === document.activeElement) return;
+      const { value, mixed } = shared(nodes, n => n.properties?.[input.dataset.fieldId] ?? '');
+      setInputValue(input, mixed ? null : value);
+    });
   }
 
   _updateActiveColor(color) {
@@ -94,3 +396,45 @@ export class PropertyPanel {
     });
   }
 }
+
+// ─── Helpers ─────────────────────────────────────────────────────────
+
+/** The value every node shares, or mixed */
+function shared(nodes, read) {
+  const values = nodes.map(read);
+  const mixed = values.some(v => v !== values[0]);
+  return { value: mixed ? undefined : values[0], mixed };
+}
+
+/** The value an attribute holds on a node, in the form its setter takes */
+function attributeValue(attr, node) {
+  const shown = attr.read(node);
+  return attr.parse ? attr.parse(String(shown)) : shown;
+}
+
+/** Whether an input still shows the "Mixed" placeholder rather than a value the user chose */
+function isMixedPlaceholder(input) {
+  if (input.tagName === 'SELECT') return !!input.selectedOptions[0]?.dataset.mixed;
+  return input.classList.contains('mixed') && input.value === '';
+}
+
+/** Show a value, or a "Mixed" placeholder (value null) that commits nothing until changed */
+function setInputValue(input, value) {
+  input.classList.toggle('mixed', value === null);
+  if (input.tagName === 'SELECT') {
+    input.querySelector('option[data-mixed]')?.remove();
+    if (value === null) {
+      const option = new Option(`— ${MIXED} —`, '');
+      option.dataset.mixed = '1';
+      option.disabled = true;
+      input.add(option, 0);
+      input.selectedIndex = 0;
+    } else {
+      input.value = value ?? '';
+    }
+    return;
+  }
+  if (!input.dataset.placeholder) input.dataset.placeholder = input.placeholder || ' ';
+  input.placeholder = value === null ? MIXED : input.dataset.placeholder.trim();
+  input.value = value ?? '';
+}
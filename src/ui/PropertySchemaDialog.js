@@ -0,0 +1,187 @@
+/**
+ * PropertySchemaDialog — Define the project's custom node properties.
+ *
+ * Each field has a label, a kind (text, number, date, choice, URL), the
+ * options of a choice field, and whether its value shows as a chip on the
+ * node. Values are edited per node in the PropertyPanel. Every edit runs
+ * through the property.* commands so it is undoable and recordable.
+ */
+
+import { PROPERTY_KINDS, normalizePropertyDef, coercePropertyValue } from '../model/NodeSchema.js';
+
+export class PropertySchemaDialog {
+  /**
+   * @param {import('../core/EventBus.js').EventBus} bus
+   * @param {import('../nodes/NodeManager.js').NodeManager} nodeManager
+   * @param {import('../commands/CommandDispatcher.js').CommandDispatcher} commands
+   */
+  constructor(bus, nodeManager, commands) {
+    this.bus = bus;
+    this.nodeManager = nodeManager;
+    this.commands = commands;
+
+    this._createDOM();
+    this._bindEvents();
+  }
+
+  get isOpen() {
+    return this.overlay.classList.contains('visible');
+  }
+
+  // ─── DOM Construction ──────────────────────────────────────────────
+
+  _createDOM() {
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'prompt-export-overlay';
+    this.overlay.innerHTML = `
+      <div class="prompt-export-modal glass-panel property-schema-modal">
+        <div class="prompt-export-header">
+          <div class="export-header-left">
+            <span class="export-icon">🗂️</span>
+            <h2 class="export-title">Property Fields</h2>
+          </div>
+          <button class="prompt-export-close" title="Close">✕</button>
+        </div>
+        <div class="node-types-body">
+          <div class="property-schema-columns">
+            <span>Name</span><span>Kind</span><span>Choices</span><span>On node</span><span></span>
+          </div>
+          <div class="property-schema-list"></div>
+          <p class="property-schema-empty">No fields yet. Add estimates, owners, due dates or acceptance criteria.</p>
+        </div>
+        <div class="prompt-export-footer">
+          <div class="export-footer-left">
+            <span class="node-types-hint">Fields are saved with the file; their values are included in the workflow prompt.</span>
+          </div>
+          <div class="export-footer-right">
+            <button class="export-btn primary" data-action="add">＋ Add Field</button>
+          </div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(this.overlay);
+
+    this.modal = this.overlay.querySelector('.property-schema-modal');
+    this.listEl = this.overlay.querySelector('.property-schema-list');
+    this.emptyEl = this.overlay.querySelector('.property-schema-empty');
+  }
+
+  // ─── Event Binding ─────────────────────────────────────────────────
+
+  _bindEvents() {
+    this.overlay.querySelector('.prompt-export-close').addEventListener('click', () => this.hide());
+    this.overlay.addEventListener('click', (e) => {
+      if (e.target === this.overlay) this.hide();
+    });
+    this.overlay.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.hide();
+      e.stopPropagation(); // keep canvas shortcuts out of the fields
+    });
+
+    this.overlay.querySelector('[data-action="add"]').addEventListener('click', () => this._addField());
+
+    this.listEl.addEventListener('change', (e) => {
+      const key = e.target.dataset.field;
+      const fieldId = e.target.closest('.property-schema-row')?.dataset.fieldId;
+      if (!key || !fieldId) return;
+
+      let value;
+      if (key === 'showOnNode') value = e.target.checked;
+      else if (key === 'options') value = e.target.value.split(',').map(o => o.trim()).filter(Boolean);
+      else value = e.target.value.trim();
+
+      const field = this.nodeManager.model.getPropertyDef(fieldId);
+      if (field && (key === 'kind' || key === 'options') && !this._confirmValueLoss(field, { [key]: value })) {
+        this._render();
+        return;
+      }
+      this.commands.dispatch({ type: 'property.update', payload: { fieldId, [key]: value } });
+    });
+
+    this.listEl.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-action="delete"]');
+      if (btn) this._deleteField(btn.closest('.property-schema-row').dataset.fieldId);
+    });
+
+    this.bus.on('properties:manage-request', () => this.show());
+    this.bus.on('properties:changed', () => { if (this.isOpen) this._render(); });
+    this.bus.on('state:loaded', () => { if (this.isOpen) this._render(); });
+  }
+
+  // ─── Show / Hide ───────────────────────────────────────────────────
+
+  show() {
+    this._render();
+    this.overlay.classList.add('visible');
+    requestAnimationFrame(() => this.modal.classList.add('visible'));
+  }
+
+  hide() {
+    this.modal.classList.remove('visible');
+    setTimeout(() => this.overlay.classList.remove('visible'), 250);
+  }
+
+  // ─── Actions ───────────────────────────────────────────────────────
+
+  _addField() {
+    const field = this.commands.dispatch({ type: 'property.define', payload: { label: 'New field' } });
+    if (!field) return;
+    const input = this.listEl.querySelector(`[data-field-id="${field.id}"] [data-field="label"]`);
+    input?.focus();
+    input?.select();
+  }
+
+  _deleteField(fieldId) {
+    const field = this.nodeManager.model.getPropertyDef(fieldId);
+    if (!field) return;
+    const inUse = this._usage(fieldId);
+    if (inUse > 0 && !confirm(`${inUse} node(s) have a "${field.label}" value. Delete the field and its values?`)) return;
+    this.commands.dispatch({ type: 'property.delete', payload: { fieldId } });
+  }
+
+  /** Changing the kind or choices drops values that no longer fit — ask first */
+  _confirmValueLoss(field, change) {
+    const next = normalizePropertyDef({ ...field, ...change });
+    const lost = [...this.nodeManager.nodes.values()].filter(n => {
+      const value = n.properties?.[field.id];
+      return value !== undefined && coercePropertyValue(next, value) === null;
+    }).length;
+    return lost === 0 || confirm(`${lost} node value(s) of "${field.label}" will no longer fit and will be cleared. Continue?`);
+  }
+
+  // ─── Rendering ─────────────────────────────────────────────────────
+
+  _usage(fieldId) {
+    return [...this.nodeManager.nodes.values()].filter(n => n.properties?.[fieldId] !== undefined).length;
+  }
+
+  _render() {
+    const schema = this.nodeManager.getPropertySchema();
+    this.listEl.innerHTML = '';
+    schema.forEach(field => this.listEl.appendChild(this._row(field)));
+    this.emptyEl.style.display = schema.length ? 'none' : '';
+  }
+
+  _row(field) {
+    const row = document.createElement('div');
+    row.className = 'property-schema-row';
+    row.dataset.fieldId = field.id;
+    row.innerHTML = `
+      <input class="export-input" data-field="label" maxlength="40" />
+      <select class="export-input" data-field="kind">
+        ${PROPERTY_KINDS.map(k => `<option value="${k.id}">${k.icon} ${k.label}</option>`).join('')}
+      </select>
+      <input class="export-input" data-field="options" placeholder="S, M, L" />
+      <input type="checkbox" class="property-schema-check" data-field="showOnNode" title="Show the value as a chip on the node" />
+      <button class="node-type-delete" data-action="delete" title="Delete field">🗑</button>
+    `;
+    row.querySelector('[data-field="label"]').value = field.label;
+    row.querySelector('[data-field="kind"]').value = field.kind;
+    const options = row.querySelector('[data-field="options"]');
+    options.value = field.options.join(', ');
+    options.disabled = field.kind !== 'enum';
+    if (field.kind !== 'enum') options.placeholder = '—';
+    row.querySelector('[data-field="showOnNode"]').checked = field.showOnNode;
+    return row;
+  }
+}
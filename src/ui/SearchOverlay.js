@@ -0,0 +1,244 @@
+/**
+ * SearchOverlay — Ctrl+F search and jump-to-node, with find-and-replace.
+ *
+ * Fuzzy-matches node labels, notes, types, agents and priorities (see
+ * NodeSearch), highlights every match on the canvas and the MiniMap, and
+ * glides the viewport to the current result. Replace All rewrites matching
+ * labels through one node.replaceText command, recorded as a single undo step.
+ */
+
+import { escapeHtml } from '../core/Sanitize.js';
+import { searchNodes, planReplace, SEARCH_FIELDS } from '../model/NodeSearch.js';
+
+const MAX_RESULTS = 50;
+
+export class SearchOverlay {
+  /**
+   * @param {import('../core/EventBus.js').EventBus} bus
+   * @param {import('../nodes/NodeManager.js').NodeManager} nodeManager
+   * @param {import('../viewport/Viewport.js').Viewport} viewport
+   * @param {import('../commands/CommandDispatcher.js').CommandDispatcher} commands
+   * @param {{transaction: (label: string, run: Function) => any}} opts
+   */
+  constructor(bus, nodeManager, viewport, commands, opts) {
+    this.bus = bus;
+    this.nodeManager = nodeManager;
+    this.viewport = viewport;
+    this.commands = commands;
+    this.transaction = opts.transaction;
+
+    this._results = [];
+    this._index = -1;
+    this._refreshQueued = false;
+
+    this._createDOM();
+    this._bindEvents();
+  }
+
+  get isOpen() {
+    return this.el.classList.contains('visible');
+  }
+
+  // ─── DOM Construction ──────────────────────────────────────────────
+
+  _createDOM() {
+    this.el = document.createElement('div');
+    this.el.className = 'search-overlay glass-panel';
+    this.el.innerHTML = `
+      <div class="search-row">
+        <span class="search-icon">⌕</span>
+        <input class="search-input" spellcheck="false" placeholder="Find nodes — label, notes, type, agent, priority" />
+        <span class="search-count"></span>
+        <button class="search-btn" data-action="prev" title="Previous (Shift+Enter)">↑</button>
+        <button class="search-btn" data-action="next" title="Next (Enter)">↓</button>
+        <button class="search-btn" data-action="toggle-replace" title="Find and replace in labels">⇄</button>
+        <button class="search-btn" data-action="close" title="Close (Esc)">✕</button>
+      </div>
+      <div class="search-row search-replace-row">
+        <span class="search-icon">⇄</span>
+        <input class="search-replace-input" spellcheck="false" placeholder="Replace in labels with…" />
+        <label class="search-case" title="Match case"><input type="checkbox" class="search-case-check" /> Aa</label>
+        <button class="search-btn wide" data-action="replace-all">Replace All</button>
+      </div>
+      <div class="search-results"></div>
+    `;
+    document.body.appendChild(this.el);
+
+    this.inputEl = this.el.querySelector('.search-input');
+    this.replaceEl = this.el.querySelector('.search-replace-input');
+    this.caseEl = this.el.querySelector('.search-case-check');
+    this.countEl = this.el.querySelector('.search-count');
+    this.resultsEl = this.el.querySelector('.search-results');
+  }
+
+  // ─── Event Binding ─────────────────────────────────────────────────
+
+  _bindEvents() {
+    this.inputEl.addEventListener('input', () => this._search());
+    this.el.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.hide();
+      else if (e.key === 'Enter' && e.target === this.replaceEl) this._replaceAll();
+      else if (e.key === 'Enter' || e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        this._step(e.key === 'ArrowUp' || (e.key === 'Enter' && e.shiftKey) ? -1 : 1);
+      }
+      e.stopPropagation(); // keep canvas shortcuts out of the inputs
+    });
+
+    this.el.addEventListener('click', (e) => {
+      const row = e.target.closest('.search-result');
+      if (row) {
+        this._goTo(Number(row.dataset.index));
+        return;
+      }
+      const action = e.target.closest('[data-action]')?.dataset.action;
+      if (action === 'prev') this._step(-1);
+      else if (action === 'next') this._step(1);
+      else if (action === 'close') this.hide();
+      else if (action === 'replace-all') this._replaceAll();
+      else if (action === 'toggle-replace') {
+        this.el.classList.toggle('replacing');
+        if (this.el.classList.contains('replacing')) this.replaceEl.focus();
+      }
+    });
+
+    // Keep results current while the map changes under an open search
+    const queue = () => {
+      if (!this.isOpen || this._refreshQueued) return;
+      this._refreshQueued = true;
+      queueMicrotask(() => {
+        this._refreshQueued = false;
+        this._search({ keepActive: true });
+      });
+    };
+    ['node:created', 'node:updated', 'node:deleted', 'state:loaded']
+      .forEach(event => this.bus.on(event, queue));
+  }
+
+  // ─── Show / Hide ───────────────────────────────────────────────────
+
+  show({ replace = false } = {}) {
+    this.el.classList.add('visible');
+    if (replace) this.el.classList.add('replacing');
+    this.inputEl.focus();
+    this.inputEl.select();
+    this._search();
+  }
+
+  hide() {
+    this.el.classList.remove('visible', 'replacing');
+    this.nodeManager.setSearchHighlight([]);
+    this.inputEl.blur();
+  }
+
+  // ─── Searching ─────────────────────────────────────────────────────
+
+  _search({ keepActive = false } = {}) {
+    const activeId = keepActive ? this._results[this._index]?.node.id : null;
+    this._results = searchNodes([...this.nodeManager.nodes.values()], this.inputEl.value, {
+      nodeTypes: this.nodeManager.getNodeTypes(),
+    });
+    const kept = this._results.findIndex(r => r.node.id === activeId);
+    this._index = kept !== -1 ? kept : (this._results.length ? 0 : -1);
+    this._render();
+    this._highlight();
+  }
+
+  _step(delta) {
+    if (this._results.length === 0) return;
+    this._goTo((this._index + delta + this._results.length) % this._results.length);
+  }
+
+  /** Make a result current: select it and glide the viewport to it */
+  _goTo(index) {
+    const result = this._results[index];
+    if (!result) return;
+    this._index = index;
+    this._render();
+    this._highlight();
+
+    const node = this.nodeManager.getNode(result.node.id);
+    if (!node) return;
+    const size = this.nodeManager.model.getNodeSize(node);
+    this.nodeManager.selectNodes([node.id]);
+    this.viewport.animateTo(node.x + size.width / 2, node.y + size.height / 2);
+  }
+
+  _highlight() {
+    this.nodeManager.setSearchHighlight(
+      this._results.map(r => r.node.id),
+      this._results[this._index]?.node.id ?? null
+    );
+  }
+
+  // ─── Replace ───────────────────────────────────────────────────────
+
+  _replaceAll() {
+    const find = this.inputEl.value;
+    if (!find) return;
+    const replace = this.replaceEl.value;
+    const matchCase = this.caseEl.checked;
+    const changes = planReplace([...this.nodeManager.nodes.values()], find, replace, matchCase);
+    if (changes.length === 0) {
+      this.countEl.textContent = 'No labels to change';
+      return;
+    }
+
+    const result = this.transaction(`Replace "${find}" in ${changes.length} label${changes.length === 1 ? '' : 's'}`, () =>
+      this.commands.dispatch({ type: 'node.replaceText', payload: { find, replace, matchCase } })
+    );
+    this.inputEl.value = replace;
+    this._search();
+    if (result) this.countEl.textContent = `Replaced ${result.replacements} in ${result.nodes} node${result.nodes === 1 ? '' : 's'}`;
+  }
+
+  // ─── Rendering ─────────────────────────────────────────────────────
+
+  _render() {
+    const total = this._results.length;
+    this.countEl.textContent = this.inputEl.value.trim()
+      ? (total ? `${this._index + 1}/${total}` : 'No matches')
+      : '';
+
+    this.resultsEl.innerHTML = '';
+    this._results.slice(0, MAX_RESULTS).forEach((result, i) => {
+      const row = document.createElement('div');
+      row.className = 'search-result';
+      row.classList.toggle('active', i === this._index);
+      row.classList.toggle('folded', this.nodeManager.isHidden(result.node.id));
+      row.dataset.index = i;
+
+      const label = result.field === 'text'
+        ? markMatches(result.value, result.indices)
+        : escapeHtml(result.node.text || 'Untitled');
+      const field = SEARCH_FIELDS.find(f => f.id === result.field);
+      row.innerHTML = `
+        <span class="search-result-dot" style="background:${escapeHtml(result.node.color || '#00e5ff')}"></span>
+        <span class="search-result-text">${label}</span>
+        ${result.field === 'text' ? '' : `<span class="search-result-field">${field.label}: ${markMatches(result.value, result.indices)}</span>`}
+      `;
+      this.resultsEl.appendChild(row);
+    });
+    if (total > MAX_RESULTS) {
+      const more = document.createElement('div');
+      more.className = 'search-result-more';
+      more.textContent = `+${total - MAX_RESULTS} more — refine the search`;
+      this.resultsEl.appendChild(more);
+    }
+
+    this.resultsEl.querySelector('.search-result.active')?.scrollIntoView({ block: 'nearest' });
+  }
+}
+
+/** Escape `value` and wrap matched characters in <mark>, trimmed around the first match */
+function markMatches(value, indices, width = 60) {
+  const start = value.length > width ? Math.max(0, Math.min(indices[0] - 15, value.length - width)) : 0;
+  const end = Math.min(value.length, start + width);
+  const marked = new Set(indices);
+  let html = start > 0 ? '…' : '';
+  for (let i = start; i < end; i++) {
+    const ch = escapeHtml(value[i] === '\n' ? ' ' : value[i]);
+    html += marked.has(i) ? `<mark>${ch}</mark>` : ch;
+  }
+  return end < value.length ? `${html}…` : html;
+}
@@ -0,0 +1,40 @@
+/**
+ * SubMapBreadcrumb — Path bar shown while a sub-map is open.
+ *
+ * Lists the main map and every node drilled into; clicking an outer
+ * level asks main.js to return there (submap:navigate). Hidden on the
+ * main map.
+ */
+
+import { escapeHtml } from '../core/Sanitize.js';
+
+export class SubMapBreadcrumb {
+  /** @param {import('../core/EventBus.js').EventBus} bus */
+  constructor(bus) {
+    this.bus = bus;
+    this.el = document.getElementById('submap-breadcrumb');
+
+    this.el.addEventListener('click', (e) => {
+      const crumb = e.target.closest('[data-depth]');
+      if (crumb) this.bus.emit('submap:navigate', { depth: Number(crumb.dataset.depth) });
+    });
+    this.bus.on('submap:changed', ({ trail }) => this._render(trail));
+  }
+
+  /** @param {{nodeId: string, text: string}[]} trail - Owners drilled into, outermost first */
+  _render(trail) {
+    this.el.classList.toggle('visible', trail.length > 0);
+    if (trail.length === 0) {
+      this.el.innerHTML = '';
+      return;
+    }
+
+    const crumbs = [
+      `<button class="submap-crumb" data-depth="0" title="Back to the main map">⌂ Main map</button>`,
+      ...trail.map(({ text }, i) => i === trail.length - 1
+        ? `<span class="submap-crumb current">⊞ ${escapeHtml(text)}</span>`
+        : `<button class="submap-crumb" data-depth="${i + 1}">${escapeHtml(text)}</button>`),
+    ];
+    this.el.innerHTML = crumbs.join('<span class="submap-crumb-sep">›</span>');
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * TagBar — Floating bar of the map's #tags that filters the canvas.
+ *
+ * Clicking tag pills builds an "or" filter; the input takes any tag
+ * expression (see TagQuery). Non-matching nodes and their wires are dimmed
+ * by NodeManager / ConnectionManager. The bar hides itself while the map
+ * has no tags and no filter is set.
+ */
+
+import { formatTag } from '../model/TagQuery.js';
+
+export class TagBar {
+  /**
+   * @param {import('../core/EventBus.js').EventBus} bus
+   * @param {import('../nodes/NodeManager.js').NodeManager} nodeManager
+   */
+  constructor(bus, nodeManager) {
+    this.bus = bus;
+    this.nodeManager = nodeManager;
+
+    /** @type {Set<string>} tags picked with the pills */
+    this._picked = new Set();
+    this._refreshQueued = false;
+
+    this.el = document.getElementById('tag-bar');
+    this._createDOM();
+    this._bindEvents();
+    this._refresh();
+  }
+
+  // ─── DOM Construction ──────────────────────────────────────────────
+
+  _createDOM() {
+    this.el.innerHTML = `
+      <span class="tag-bar-icon" title="Filter by tag">#</span>
+      <div class="tag-bar-pills"></div>
+      <input class="tag-bar-input" spellcheck="false" placeholder="#mvp and not #v2" />
+      <span class="tag-bar-count"></span>
+      <button class="tag-bar-clear" title="Clear filter">✕</button>
+    `;
+    this.pillsEl = this.el.querySelector('.tag-bar-pills');
+    this.inputEl = this.el.querySelector('.tag-bar-input');
+    this.countEl = this.el.querySelector('.tag-bar-count');
+  }
+
+  // ─── Event Binding ─────────────────────────────────────────────────
+
+  _bindEvents() {
+    this.pillsEl.addEventListener('click', (e) => {
+      const pill = e.target.closest('.tag-pill');
+      if (!pill) return;
+      const tag = pill.dataset.tag;
+      if (this._picked.has(tag)) this._picked.delete(tag);
+      else this._picked.add(tag);
+      this.inputEl.value = [...this._picked].map(formatTag).join(' or ');
+      this._applyFilter();
+    });
+
+    this.inputEl.addEventListener('input', () => {
+      this._picked.clear();
+      this._applyFilter();
+    });
+    this.inputEl.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        this.clear();
+        this.inputEl.blur();
+      }
+      e.stopPropagation(); // keep global shortcuts out of the input
+    });
+
+    this.el.querySelector('.tag-bar-clear').addEventListener('click', () => this.clear());
+
+    // Tag counts change with node edits; coalesce bursts (load, undo)
+    const queue = () => {
+      if (this._refreshQueued) return;
+      this._refreshQueued = true;
+      queueMicrotask(() => this._refresh());
+    };
+    ['node:created', 'node:updated', 'node:deleted', 'state:loaded', 'tagfilter:changed']
+      .forEach(event => this.bus.on(event, queue));
+  }
+
+  // ─── Filtering ─────────────────────────────────────────────────────
+
+  clear() {
+    this._picked.clear();
+    this.inputEl.value = '';
+    this._applyFilter();
+  }
+
+  _applyFilter() {
+    try {
+      this.nodeManager.setTagFilter(this.inputEl.value);
+      this.inputEl.classList.remove('invalid');
+      this.inputEl.title = '';
+    } catch (err) {
+      // Keep the last valid filter while the expression is being typed
+      this.inputEl.classList.add('invalid');
+      this.inputEl.title = err.message;
+    }
+    this._refresh();
+  }
+
+  // ─── Rendering ─────────────────────────────────────────────────────
+
+  _refresh() {
+    this._refreshQueued = false;
+    const tags = this.nodeManager.getAllTags();
+    const filter = this.nodeManager.tagFilter;
+    this.el.classList.toggle('visible', tags.length > 0 || !!filter);
+    this.el.classList.toggle('filtering', !!filter);
+
+    this.pillsEl.innerHTML = '';
+    tags.forEach(({ tag, count }) => {
+      const pill = document.createElement('button');
+      pill.className = 'tag-pill';
+      pill.classList.toggle('active', this._picked.has(tag));
+      pill.dataset.tag = tag;
+      pill.textContent = formatTag(tag);
+      const badge = document.createElement('span');
+      badge.className = 'tag-pill-count';
+      badge.textContent = count;
+      pill.appendChild(badge);
+      this.pillsEl.appendChild(pill);
+    });
+
+    const total = this.nodeManager.nodes.size;
+    this.countEl.textContent = filter ? `${total - this.nodeManager.dimmed.size}/${total}` : '';
+  }
+}
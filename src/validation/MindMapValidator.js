@@ -8,16 +8,19 @@
  * - Nodes have meaningful text
  * - Required metadata is set (types, priorities)
  * - Connectivity requirements are met
+ * - Dependency wires do not form a cycle
  * - CEO context is provided
  */
 
-import { NODE_TYPES, PRIORITY_LEVELS, AGENT_STATUS_MAP } from '../nodes/NodeManager.js';
+import { PRIORITY_LEVELS, AGENT_STATUS_MAP, resolveNodeTypes } from '../model/NodeSchema.js';
+import { findDependencyCycles, formatCycle } from '../model/DependencyGraph.js';
 
 /**
  * @typedef {Object} ValidationResult
  * @property {boolean} valid - Whether the mind map passes validation
  * @property {string[]} errors - Blocking issues that prevent agent processing
  * @property {string[]} warnings - Non-blocking issues that may affect quality
+ * @property {Object[]} cycles - Dependency cycles ({ nodeIds, connectionIds }), each also an error
  * @property {Object} stats - Mind map statistics
  */
 
@@ -27,9 +30,11 @@ import { NODE_TYPES, PRIORITY_LEVELS, AGENT_STATUS_MAP } from '../nodes/NodeMana
  * @param {object[]} nodes - Serialized node array
  * @param {object[]} connections - Serialized connection array
  * @param {object} ceoContext - CEO context object
+ * @param {object} [options]
+ * @param {object[]} [options.nodeTypes] - Project-defined node types
  * @returns {ValidationResult}
  */
-export function validateMindMap(nodes, connections, ceoContext = {}) {
+export function validateMindMap(nodes, connections, ceoContext = {}, options = {}) {
   const errors = [];
   const warnings = [];
 
@@ -63,6 +68,14 @@ export function validateMindMap(nodes, connections, ceoContext = {}) {
     }
   }
 
+  if (nodes) {
+    const known = new Set(resolveNodeTypes(options.nodeTypes).map(t => t.id));
+    const untyped = nodes.filter(n => n.nodeType && !known.has(n.nodeType));
+    if (untyped.length > 0) {
+      warnings.push(`${untyped.length} node(s) use a node type this project does not define. They will be treated as general.`);
+    }
+  }
+
   // ─── Priority ──────────────────────────────────────────────────────
   if (nodes && nodes.length >= 3) {
     const prioritizedNodes = nodes.filter(n => n.priority && n.priority !== 'medium');
@@ -89,31 +102,43 @@ export function validateMindMap(nodes, connections, ceoContext = {}) {
     }
   }
 
+  // ─── Dependency cycles ─────────────────────────────────────────────
+  // A cycle leaves no valid execution order, so it blocks agent processing
+  const cycles = nodes && connections ? findDependencyCycles(nodes, connections) : [];
+  cycles.forEach(cycle => {
+    errors.push(`Dependency cycle: ${formatCycle(cycle, nodes)}. Reverse one of its wires or make it a non-dependency relationship.`);
+  });
+
   // ─── CEO Context ───────────────────────────────────────────────────
   if (!ceoContext || (!ceoContext.concept && (!ceoContext.goals || ceoContext.goals.length === 0))) {
     warnings.push('No CEO context provided. Describing your concept and goals gives agents better direction.');
   }
 
   // ─── Stats ─────────────────────────────────────────────────────────
-  const stats = computeStats(nodes || [], connections || []);
+  const stats = computeStats(nodes || [], connections || [], options.nodeTypes);
 
   return {
     valid: errors.length === 0,
     errors,
     warnings,
+    cycles,
     stats,
   };
 }
 
 /**
  * Compute statistics about the mind map
+ *
+ * @param {object[]} nodes
+ * @param {object[]} connections
+ * @param {object[]} [nodeTypes] - Project-defined node types, counted alongside built-ins
  */
-export function computeStats(nodes, connections) {
+export function computeStats(nodes, connections, nodeTypes) {
   const nodesByType = {};
   const nodesByPriority = {};
   const nodesByStatus = {};
 
-  NODE_TYPES.forEach(t => nodesByType[t.id] = 0);
+  resolveNodeTypes(nodeTypes).forEach(t => nodesByType[t.id] = 0);
   PRIORITY_LEVELS.forEach(p => nodesByPriority[p.id] = 0);
   Object.keys(AGENT_STATUS_MAP).forEach(s => nodesByStatus[s] = 0);
 
@@ -1,6 +1,19 @@
 /**
  * Viewport — Manages pan, zoom, and coordinate transforms for the infinite canvas.
+ *
+ * Mouse: the wheel zooms; middle-drag or Space+drag pans.
+ * Trackpad: two-finger scroll pans, pinch (a Ctrl+wheel event) zooms.
+ * Touch: one finger on empty canvas or two fingers anywhere pan, pinching
+ * zooms, and a long press opens the context menu (as a synthetic
+ * `contextmenu` event, so ContextMenu needs no touch code of its own).
  */
+
+import { GRID } from '../model/NodeSchema.js';
+
+const LONG_PRESS_MS = 550;
+const LONG_PRESS_SLOP = 10;        // px a finger may drift before a long press is off
+const PINCH_ZOOM_SPEED = 0.01;     // zoom per pixel of Ctrl+wheel delta
+
 export class Viewport {
   constructor(bus) {
     this.bus = bus;
@@ -18,20 +31,34 @@ export class Viewport {
     this._spaceDown = false;
     this._startX = 0;
     this._startY = 0;
+    this._animation = null;
+
+    // Touch state: active fingers, and the gesture they are making
+    /** @type {Map<number, {x: number, y: number}>} pointer id → client position */
+    this._touches = new Map();
+    this._touchPan = null;    // { startX, startY } — one finger on empty canvas
+    this._pinch = null;       // { dist, zoom, world } — two fingers
+    this._longPress = null;   // { timer, x, y }
 
     this._bindEvents();
     this._applyTransform();
   }
 
   _bindEvents() {
-    // Wheel zoom
+    // Wheel zoom; trackpads pan with two fingers and pinch as Ctrl+wheel
     this.container.addEventListener('wheel', (e) => {
       e.preventDefault();
-      const delta = e.deltaY > 0 ? 0.9 : 1.1;
       const rect = this.container.getBoundingClientRect();
       const mx = e.clientX - rect.left;
       const my = e.clientY - rect.top;
-      this.zoomAt(mx, my, delta);
+      if (e.ctrlKey) {
+        const factor = Math.exp(-e.deltaY * PINCH_ZOOM_SPEED);
+        this.zoomAt(mx, my, Math.min(1.1, Math.max(0.9, factor)));
+      } else if (isTrackpadScroll(e)) {
+        this.panBy(-e.deltaX, -e.deltaY);
+      } else {
+        this.zoomAt(mx, my, e.deltaY > 0 ? 0.9 : 1.1);
+      }
     }, { passive: false });
 
     // Middle-click pan
@@ -93,6 +120,122 @@ export class Viewport {
     document.getElementById('btn-zoom-fit')?.addEventListener('click', () => {
       this.bus.emit('viewport:fit-request');
     });
+
+    this._bindTouch();
+  }
+
+  // ─── Touch ─────────────────────────────────────────────────────────
+
+  _bindTouch() {
+    // Capture phase: runs before nodes, ports and wires start their own drags
+    this.container.addEventListener('pointerdown', (e) => {
+      if (e.pointerType !== 'touch') return;
+      // Let later events target whatever is under the finger (drop targets)
+      if (e.target.hasPointerCapture?.(e.pointerId)) e.target.releasePointerCapture(e.pointerId);
+      this._touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+      if (this._touches.size === 2) {
+        this._cancelLongPress();
+        this._touchPan = null;
+        this._startPinch();
+      } else if (this._touches.size === 1) {
+        this._startLongPress(e);
+        if (!e.target.closest('.mind-node, .node-port, .connection-group, .group-frame-header')) {
+          this._touchPan = { startX: e.clientX - this.x, startY: e.clientY - this.y };
+        }
+      }
+    }, true);
+
+    window.addEventListener('pointermove', (e) => {
+      if (!this._touches.has(e.pointerId)) return;
+      this._touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+      const lp = this._longPress;
+      if (lp && Math.hypot(e.clientX - lp.x, e.clientY - lp.y) > LONG_PRESS_SLOP) this._cancelLongPress();
+
+      if (this._pinch) {
+        this._updatePinch();
+      } else if (this._touchPan) {
+        this.x = e.clientX - this._touchPan.startX;
+        this.y = e.clientY - this._touchPan.startY;
+        this._applyTransform();
+        this.bus.emit('viewport:changed', this.getState());
+      }
+    });
+
+    const end = (e) => {
+      if (!this._touches.delete(e.pointerId)) return;
+      this._cancelLongPress();
+      this._touchPan = null;
+      // Lifting one finger of a pinch ends it; the other does not start a pan
+      if (this._touches.size < 2) this._pinch = null;
+    };
+    window.addEventListener('pointerup', end);
+    window.addEventListener('pointercancel', end);
+
+    // The browser's own long-press menu would double ours
+    this.container.addEventListener('contextmenu', (e) => {
+      if (e.isTrusted && this._touches.size > 0) {
+        e.preventDefault();
+        e.stopImmediatePropagation();
+      }
+    }, true);
+  }
+
+  _startLongPress(e) {
+    this._cancelLongPress();
+    const { clientX: x, clientY: y } = e;
+    this._longPress = {
+      x, y,
+      timer: setTimeout(() => {
+        this._longPress = null;
+        this._touchPan = null;
+        const target = document.elementFromPoint(x, y) || this.container;
+        target.dispatchEvent(new MouseEvent('contextmenu', {
+          bubbles: true, cancelable: true, clientX: x, clientY: y, button: 2,
+        }));
+      }, LONG_PRESS_MS),
+    };
+  }
+
+  _cancelLongPress() {
+    if (!this._longPress) return;
+    clearTimeout(this._longPress.timer);
+    this._longPress = null;
+  }
+
+  /** The two fingers' midpoint (container coords) and spread */
+  _fingers() {
+    const [a, b] = [...this._touches.values()];
+    const rect = this.container.getBoundingClientRect();
+    return {
+      mid: { x: (a.x + b.x) / 2 - rect.left, y: (a.y + b.y) / 2 - rect.top },
+      dist: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y)),
+    };
+  }
+
+  _startPinch() {
+    const { mid, dist } = this._fingers();
+    this._pinch = { dist, zoom: this.zoom, world: this.screenToWorld(mid.x, mid.y) };
+  }
+
+  /** Zoom by the change in spread, keeping the world point first under the fingers there */
+  _updatePinch() {
+    const { mid, dist } = this._fingers();
+    const { world } = this._pinch;
+    this.zoom = Math.min(this.maxZoom, Math.max(this.minZoom, this._pinch.zoom * dist / this._pinch.dist));
+    this.x = mid.x - world.x * this.zoom;
+    this.y = mid.y - world.y * this.zoom;
+    this._applyTransform();
+    this.bus.emit('viewport:changed', this.getState());
+  }
+
+  /** Shift the view by a screen-space offset */
+  panBy(dx, dy) {
+    this.x += dx;
+    this.y += dy;
+    this._applyTransform();
+    this.bus.emit('viewport:changed', this.getState());
   }
 
   zoomAt(screenX, screenY, factor) {
@@ -110,8 +253,8 @@ export class Viewport {
     this.zoomDisplay.textContent = `${Math.round(this.zoom * 100)}%`;
 
     // Update grid to scale with viewport
-    const gs = 24 * this.zoom;
-    const gm = gs * 6;
+    const gs = GRID.size * this.zoom;
+    const gm = gs * GRID.majorEvery;
     const ox = this.x % gs;
     const oy = this.y % gs;
     const omx = this.x % gm;
@@ -136,12 +279,41 @@ export class Viewport {
     };
   }
 
+  /**
+   * Glide the view so a world point ends up in the middle of the canvas,
+   * zooming on the way when a zoom is given.
+   * @param {number} wx
+   * @param {number} wy
+   * @param {{duration?: number, zoom?: number}} [opts]
+   */
+  animateTo(wx, wy, { duration = 350, zoom = this.zoom } = {}) {
+    cancelAnimationFrame(this._animation);
+    const rect = this.container.getBoundingClientRect();
+    // Glide the world point at the center and the zoom together
+    const from = { ...this.screenToWorld(rect.width / 2, rect.height / 2), zoom: this.zoom };
+    const toZoom = Math.min(this.maxZoom, Math.max(this.minZoom, zoom));
+    const start = performance.now();
+
+    const step = (now) => {
+      const t = Math.min(1, (now - start) / duration);
+      const ease = 1 - Math.pow(1 - t, 3);
+      this.zoom = from.zoom + (toZoom - from.zoom) * ease;
+      this.x = rect.width / 2 - (from.x + (wx - from.x) * ease) * this.zoom;
+      this.y = rect.height / 2 - (from.y + (wy - from.y) * ease) * this.zoom;
+      this._applyTransform();
+      this.bus.emit('viewport:changed', this.getState());
+      if (t < 1) this._animation = requestAnimationFrame(step);
+    };
+    this._animation = requestAnimationFrame(step);
+  }
+
   getState() {
     return { x: this.x, y: this.y, zoom: this.zoom };
   }
 
   setState(state) {
     if (state) {
+      cancelAnimationFrame(this._animation); // a jump overrides any glide
       this.x = state.x || 0;
       this.y = state.y || 0;
       this.zoom = state.zoom || 1;
@@ -157,4 +329,19 @@ export class Viewport {
   get isPanning() {
     return this._isPanning;
   }
+
+  /** True while two fingers are pinching or panning (node drags pause) */
+  get isPinching() {
+    return this._pinch !== null;
+  }
+}
+
+/**
+ * Trackpads scroll in pixels, often with a sideways component; mouse wheels
+ * step in notches, which the legacy wheelDelta reports as multiples of 120.
+ */
+function isTrackpadScroll(e) {
+  if (e.deltaMode !== 0) return false;
+  if (e.deltaX !== 0) return true;
+  return e.wheelDeltaY ? e.wheelDeltaY % 120 !== 0 : false;
 }